@@ -0,0 +1,212 @@
+const path = require('path');
+const chalk = require('chalk');
+const { generateDocuments } = require('../../lib/generator-pipeline');
+const { diffGeneratedDocs, SECTION_STATUS } = require('../../lib/docs-diff');
+const {
+  loadConfigFromProgram,
+  resolveProtocolPatterns,
+  resolveOption,
+  isExplicitOption,
+  formatConfigError
+} = require('../../lib/config');
+const { resolveTargetTypes } = require('./generate');
+
+const STATUS_STYLES = {
+  [SECTION_STATUS.IN_SYNC]: { icon: '✓', color: chalk.green },
+  [SECTION_STATUS.MISSING]: { icon: '✗', color: chalk.red },
+  [SECTION_STATUS.OUTDATED]: { icon: '~', color: chalk.yellow },
+  [SECTION_STATUS.HAND_EDITED]: { icon: '✎', color: chalk.magenta },
+  [SECTION_STATUS.ORPHANED]: { icon: '?', color: chalk.gray }
+};
+
+function colorizeDiff(diff) {
+  return diff
+    .trimEnd()
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    })
+    .map(line => `    ${line}`)
+    .join('\n');
+}
+
+function logFile(file, showDiffs) {
+  const header = file.status === SECTION_STATUS.MISSING
+    ? chalk.red(`${file.path} (file missing)`)
+    : chalk.white.bold(file.path);
+  console.log(`\n${header}`);
+  if (!file.hasBase && file.status !== SECTION_STATUS.MISSING) {
+    console.log(chalk.gray('  No BASE snapshot; changed sections are reported as outdated.'));
+  }
+
+  file.sections.forEach(section => {
+    const style = STATUS_STYLES[section.status];
+    const note = section.generatorChanged ? chalk.gray(' (generator output also changed)') : '';
+    console.log(`  ${style.color(`${style.icon} ${section.status.padEnd(11)}`)} ${section.id}${note}`);
+    if (showDiffs && section.diff) {
+      console.log(colorizeDiff(section.diff));
+    }
+  });
+}
+
+function logSummary(summary) {
+  const parts = [
+    chalk.green(`${summary.inSync} in sync`),
+    chalk.red(`${summary.missing} missing`),
+    chalk.yellow(`${summary.outdated} outdated`),
+    chalk.magenta(`${summary.handEdited} hand-edited`),
+    chalk.gray(`${summary.orphaned} orphaned`)
+  ];
+  console.log(
+    `\n${chalk.bold('Summary:')} ${summary.files} file(s), ${summary.sections} section(s): ${parts.join(', ')}`
+  );
+  if (summary.drift === 0) {
+    console.log(chalk.green('✅ Documentation matches the protocol manifests.'));
+  } else {
+    console.log(
+      chalk.yellow(
+        `⚠️  ${summary.drift} section(s) drifted. Run ${chalk.cyan('dochealth generate')} to refresh generated content.`
+      )
+    );
+  }
+}
+
+function stripDiffs(file) {
+  return {
+    ...file,
+    sections: file.sections.map(section => {
+      const copy = { ...section };
+      delete copy.diff;
+      return copy;
+    })
+  };
+}
+
+function parseContext(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 3;
+}
+
+function registerDiffCommand(program) {
+  program
+    .command('diff')
+    .description('Show differences between protocol and documentation')
+    .argument('[type]', 'Documentation type (api, data, workflows, events, ui, agents, all)', 'all')
+    .option('-p, --path <path>', 'Path to protocol manifests', './src')
+    .option('--docs-path <path>', 'Path to documentation', './docs')
+    .option('--format <format>', 'Output format used to regenerate docs', 'markdown')
+    .option('--storybook', 'UI component docs were generated with --storybook')
+    .option('--context <lines>', 'Context lines in unified diffs', '3')
+    .option('--summary', 'List section statuses without unified diffs')
+    .option('--root <path>', 'Project root used for .dochealth state', process.cwd())
+    .option('--state-dir <path>', 'Override .dochealth state directory')
+    .action(async (typeArg, options, command) => {
+      const globalOpts = program.opts();
+      const targetTypes = resolveTargetTypes(typeArg);
+
+      if (!targetTypes.length) {
+        console.error(chalk.red(`❌ Unsupported documentation type: ${typeArg}`));
+        process.exit(2);
+        return;
+      }
+
+      let configResult;
+      try {
+        configResult = loadConfigFromProgram(program);
+      } catch (error) {
+        console.error(chalk.red(formatConfigError(error)));
+        process.exit(2);
+        return;
+      }
+
+      const { config, rootDir } = configResult;
+      const configPatterns = isExplicitOption(command, 'path')
+        ? null
+        : resolveProtocolPatterns(config);
+      const format = resolveOption(command, 'format', config.output.format);
+      const storybook = Boolean(resolveOption(command, 'storybook', config.output.storybook));
+      const docsPath = isExplicitOption(command, 'docsPath')
+        ? path.resolve(options.docsPath)
+        : path.resolve(rootDir, config.output.directory || options.docsPath);
+      const protocolsPath = configPatterns ? rootDir : path.resolve(options.path);
+
+      try {
+        if (!globalOpts.json) {
+          console.log(chalk.blue('📊 Showing protocol/documentation differences...'));
+          console.log(
+            chalk.gray(
+              `Protocol path: ${protocolsPath}${configPatterns ? ` (${configPatterns.join(', ')})` : ''}`
+            )
+          );
+          console.log(chalk.gray(`Docs path: ${docsPath}`));
+        }
+
+        const generation = await generateDocuments({
+          types: targetTypes,
+          protocolsPath,
+          patterns: configPatterns,
+          outputDir: docsPath,
+          format,
+          storybook
+        });
+
+        const { files, summary } = await diffGeneratedDocs({
+          documents: generation.documents,
+          outputDir: docsPath,
+          stateOptions: {
+            root: path.resolve(options.root),
+            ...(options.stateDir ? { stateDir: path.resolve(options.stateDir) } : {})
+          },
+          context: parseContext(options.context)
+        });
+
+        if (globalOpts.json) {
+          console.log(
+            JSON.stringify(
+              {
+                types: targetTypes,
+                format,
+                docsPath,
+                summary,
+                files: options.summary ? files.map(stripDiffs) : files,
+                loadErrors: generation.loadResults.errors
+              },
+              null,
+              2
+            )
+          );
+        } else {
+          if (generation.loadResults.errors.length) {
+            console.error(
+              chalk.yellow(
+                `⚠️  ${generation.loadResults.errors.length} protocol(s) failed to load`
+              )
+            );
+          }
+          if (!files.length) {
+            console.log(chalk.yellow('⚠️  No generated documents to compare.'));
+          }
+          files
+            .filter(file => file.status !== SECTION_STATUS.IN_SYNC)
+            .forEach(file => logFile(file, !options.summary));
+          logSummary(summary);
+        }
+
+        process.exit(summary.drift > 0 ? 1 : 0);
+      } catch (error) {
+        console.error(chalk.red('Error showing diff:'), error.message);
+        if (globalOpts.verbose) {
+          console.error(error.stack);
+        }
+        process.exit(2);
+      }
+    });
+}
+
+module.exports = {
+  registerDiffCommand
+};
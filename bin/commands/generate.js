@@ -1,8 +1,21 @@
 const path = require('path');
 const chalk = require('chalk');
 const { runGeneratorPipeline } = require('../../lib/generator-pipeline');
+const {
+  resolveWatchTargets,
+  createChangeWatcher,
+  getSourcePath,
+  isAffectedBy
+} = require('../../lib/watch');
+const {
+  loadConfigFromProgram,
+  resolveProtocolPatterns,
+  resolveOption,
+  isExplicitOption,
+  formatConfigError
+} = require('../../lib/config');
 
-const SUPPORTED_TYPES = ['api', 'data', 'workflow'];
+const SUPPORTED_TYPES = ['api', 'data', 'workflow', 'event', 'ui', 'agent'];
 
 function resolveTargetTypes(typeArg) {
   const normalized = String(typeArg || '').toLowerCase();
@@ -12,6 +25,12 @@ function resolveTargetTypes(typeArg) {
   if (normalized === 'workflow' || normalized === 'workflows') {
     return ['workflow'];
   }
+  if (normalized === 'event' || normalized === 'events') {
+    return ['event'];
+  }
+  if (normalized === 'agent' || normalized === 'agents') {
+    return ['agent'];
+  }
   if (SUPPORTED_TYPES.includes(normalized)) {
     return [normalized];
   }
@@ -30,6 +49,16 @@ function logLoadErrors(loadResults) {
   });
 }
 
+function logCollectErrors(collectErrors) {
+  if (!collectErrors?.length) return;
+  console.error(
+    chalk.yellow(`⚠️  ${collectErrors.length} protocol(s) left out of agent links and site files`)
+  );
+  collectErrors.slice(0, 3).forEach(err => {
+    console.error(chalk.gray(`  - ${err.path}: ${err.message || 'Unknown error'}`));
+  });
+}
+
 function logSummary(summary, mergeEnabled) {
   if (!summary || summary.documentsPlanned === 0) {
     console.log(
@@ -66,6 +95,80 @@ function logSummary(summary, mergeEnabled) {
   }
 }
 
+function logSiteFiles(pipelineResult) {
+  const siteFiles = pipelineResult?.siteFiles || [];
+  if (!siteFiles.length) return;
+  console.log(chalk.green(`\n✅ Updated ${siteFiles.length} ${pipelineResult.format} site file(s).`));
+  siteFiles.forEach(file => console.log(chalk.gray(`  • ${file.targetPath}`)));
+}
+
+/**
+ * Regenerate docs for the manifests that change, or whose source paths
+ * change, until the process is interrupted. Source paths of manifests added
+ * while watching are watched from then on. Output and merge-state
+ * directories are ignored so writes don't retrigger the watcher.
+ */
+async function watchGeneration(options) {
+  const { runPipeline, targetTypes, mergeEnabled, rootDir, ignore, json, watch } = options;
+  let { loadResults } = options;
+  const resolveTargets = () => resolveWatchTargets({
+    ...watch,
+    sourcePaths: loadResults.protocols.map(getSourcePath).filter(Boolean)
+  });
+  const targets = resolveTargets();
+
+  const watcher = createChangeWatcher(targets, {
+    onChange: async changedPaths => {
+      // Manifest paths stand for themselves; source files select the manifests pointing at them
+      const onlyPaths = new Set(changedPaths);
+      loadResults.protocols
+        .filter(entry => isAffectedBy(entry, changedPaths, rootDir))
+        .forEach(entry => onlyPaths.add(entry.path));
+      const pipelineResult = await runPipeline(onlyPaths);
+      loadResults = pipelineResult.loadResults;
+      // Protocols added while watching bring their source paths along
+      watcher.add(resolveTargets());
+      const regenerated = targetTypes.filter(
+        type => pipelineResult.summaries[type]?.protocolsProcessed > 0
+      );
+
+      if (json) {
+        console.log(JSON.stringify({ changed: changedPaths, summaries: pipelineResult.summaries }));
+        return;
+      }
+
+      console.log(chalk.blue(
+        `\n↻ ${new Date().toLocaleTimeString()} ${changedPaths.map(file => path.relative(rootDir, file)).join(', ')}`
+      ));
+      logLoadErrors(pipelineResult.loadResults);
+      logCollectErrors(pipelineResult.collectErrors);
+      if (!regenerated.length) {
+        console.log(chalk.gray('  No generated documents affected'));
+      }
+      regenerated.forEach(type => logSummary(pipelineResult.summaries[type], mergeEnabled));
+      if (regenerated.length) {
+        logSiteFiles(pipelineResult);
+      }
+    },
+    onError: error => console.error(chalk.red('Watch error:'), error.message),
+    ignore
+  });
+
+  if (!json) {
+    console.log(chalk.gray(
+      `\n👀 Watching ${targets.map(target => path.relative(rootDir, target.path) || '.').join(', ')}` +
+      ' for changes (Ctrl+C to stop)'
+    ));
+  }
+
+  await new Promise(resolve => {
+    process.once('SIGINT', () => {
+      watcher.close();
+      resolve();
+    });
+  });
+}
+
 function parseConcurrency(value) {
   if (value == null) return undefined;
   const parsed = Number.parseInt(value, 10);
@@ -76,22 +179,24 @@ function registerGenerateCommand(program) {
   program
     .command('generate')
     .description('Generate documentation from protocols')
-    .argument('<type>', 'Documentation type (api, data, workflows, all)')
+    .argument('<type>', 'Documentation type (api, data, workflows, events, ui, agents, all)')
     .option('-p, --path <path>', 'Path to protocol manifests', './src')
     .option('-o, --output <path>', 'Output directory', './docs')
     .option('--format <format>', 'Output format (markdown, docusaurus, mkdocs)', 'markdown')
+    .option('--storybook', 'Write Storybook stories next to UI component docs')
     .option('--merge', 'Preserve human edits by merging with existing docs', true)
     .option('--concurrency <number>', 'Concurrent file writes (default 200)')
     .option('--root <path>', 'Project root used for .dochealth state', process.cwd())
     .option('--state-dir <path>', 'Override .dochealth state directory')
-    .action(async (typeArg, options) => {
+    .option('--watch', 'Regenerate docs for manifests as they change')
+    .action(async (typeArg, options, command) => {
       const globalOpts = program.opts();
       const normalizedType = String(typeArg || '').toLowerCase();
       const targetTypes = resolveTargetTypes(typeArg);
 
       if (!targetTypes.length) {
         console.log(
-          chalk.yellow('⚠️  Supported generator types: api, data, workflow, workflows, all.')
+          chalk.yellow('⚠️  Supported generator types: api, data, workflow, workflows, event, events, ui, agent, agents, all.')
         );
         if (globalOpts.json) {
           console.log(
@@ -110,8 +215,25 @@ function registerGenerateCommand(program) {
         return;
       }
 
-      const resolvedOutput = path.resolve(options.output);
-      const resolvedProtocols = path.resolve(options.path);
+      let configResult;
+      try {
+        configResult = loadConfigFromProgram(program);
+      } catch (error) {
+        console.error(chalk.red(formatConfigError(error)));
+        process.exit(2);
+        return;
+      }
+
+      const { config, rootDir } = configResult;
+      const configPatterns = isExplicitOption(command, 'path')
+        ? null
+        : resolveProtocolPatterns(config);
+      const format = resolveOption(command, 'format', config.output.format);
+      const storybook = Boolean(resolveOption(command, 'storybook', config.output.storybook));
+      const resolvedOutput = isExplicitOption(command, 'output')
+        ? path.resolve(options.output)
+        : path.resolve(rootDir, config.output.directory || options.output);
+      const resolvedProtocols = configPatterns ? rootDir : path.resolve(options.path);
       const mergeEnabled = options.merge !== false;
 
       console.log(
@@ -119,27 +241,40 @@ function registerGenerateCommand(program) {
           `📄 Generating ${normalizedType === 'all' ? 'all targets' : normalizedType} documentation...`
         )
       );
-      console.log(chalk.gray(`Manifest path: ${resolvedProtocols}`));
+      console.log(
+        chalk.gray(
+          `Manifest path: ${resolvedProtocols}${configPatterns ? ` (${configPatterns.join(', ')})` : ''}`
+        )
+      );
       console.log(chalk.gray(`Output: ${resolvedOutput}`));
-      console.log(chalk.gray(`Format: ${options.format}`));
+      console.log(chalk.gray(`Format: ${format}`));
       console.log(
         chalk.gray(`Merge mode: ${mergeEnabled ? 'enabled (auto-merge existing docs)' : 'disabled'}`)
       );
 
+      const mergeRoot = options.root ? path.resolve(options.root) : process.cwd();
+      const stateDir = options.stateDir ? path.resolve(options.stateDir) : null;
+      const runPipeline = onlyPaths => runGeneratorPipeline({
+        types: targetTypes,
+        protocolsPath: resolvedProtocols,
+        patterns: configPatterns,
+        outputDir: resolvedOutput,
+        format,
+        storybook,
+        merge: mergeEnabled,
+        concurrency: parseConcurrency(options.concurrency),
+        mergeRoot,
+        stateDir,
+        onlyPaths
+      });
+
       try {
-        const pipelineResult = await runGeneratorPipeline({
-          types: targetTypes,
-          protocolsPath: resolvedProtocols,
-          outputDir: resolvedOutput,
-          format: options.format,
-          merge: mergeEnabled,
-          concurrency: parseConcurrency(options.concurrency),
-          mergeRoot: options.root ? path.resolve(options.root) : process.cwd(),
-          stateDir: options.stateDir ? path.resolve(options.stateDir) : null
-        });
+        const pipelineResult = await runPipeline(null);
 
         logLoadErrors(pipelineResult.loadResults);
+        logCollectErrors(pipelineResult.collectErrors);
         targetTypes.forEach(type => logSummary(pipelineResult.summaries[type], mergeEnabled));
+        logSiteFiles(pipelineResult);
 
         if (globalOpts.json) {
           console.log(
@@ -147,12 +282,15 @@ function registerGenerateCommand(program) {
               {
                 type: normalizedType,
                 types: targetTypes,
-                format: options.format,
+                format,
+                storybook,
                 output: resolvedOutput,
                 merge: mergeEnabled,
                 summaries: pipelineResult.summaries,
+                siteFiles: pipelineResult.siteFiles,
                 loadStats: pipelineResult.loadResults.stats,
-                loadErrors: pipelineResult.loadResults.errors
+                loadErrors: pipelineResult.loadResults.errors,
+                collectErrors: pipelineResult.collectErrors
               },
               null,
               2
@@ -160,6 +298,25 @@ function registerGenerateCommand(program) {
           );
         }
 
+        if (options.watch) {
+          await watchGeneration({
+            runPipeline,
+            targetTypes,
+            mergeEnabled,
+            rootDir,
+            json: globalOpts.json,
+            loadResults: pipelineResult.loadResults,
+            ignore: [resolvedOutput, stateDir || path.join(mergeRoot, '.dochealth')],
+            watch: {
+              protocolsPath: resolvedProtocols,
+              patterns: configPatterns,
+              rootDir
+            }
+          });
+          process.exit(0);
+          return;
+        }
+
         if (normalizedType !== 'all') {
           const targetSummary = pipelineResult.summaries[targetTypes[0]];
           if (!targetSummary || targetSummary.documentsWritten === 0) {
@@ -183,5 +340,6 @@ function registerGenerateCommand(program) {
 }
 
 module.exports = {
-  registerGenerateCommand
+  registerGenerateCommand,
+  resolveTargetTypes
 };
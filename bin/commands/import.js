@@ -0,0 +1,194 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadProtocol } = require('../../lib/loader');
+const {
+  resolveSpecFiles,
+  writeManifestFiles
+} = require('../../lib/importers/manifest-writer');
+const { importAsyncAPIFile } = require('../../lib/importers/asyncapi');
+const { importGraphQLFile } = require('../../lib/importers/graphql');
+
+/**
+ * Run the protocol validators on freshly written manifests so importer
+ * output is checked exactly like hand-written manifests.
+ */
+async function validateWrittenManifests(written) {
+  const results = [];
+  for (const entry of written) {
+    if (entry.status !== 'written') {
+      results.push([]);
+      continue;
+    }
+    const loaded = await loadProtocol(entry.path);
+    if (loaded.error) {
+      results.push([{ level: 'error', msg: loaded.error.message }]);
+      continue;
+    }
+    const validation = typeof loaded.protocol.validate === 'function'
+      ? loaded.protocol.validate()
+      : { results: [] };
+    results.push(
+      validation.results.flatMap(result =>
+        (result.issues || []).map(issue => ({ validator: result.name, ...issue }))
+      )
+    );
+  }
+  return results;
+}
+
+async function runImport(input, options, importFile, kind) {
+  const files = resolveSpecFiles(input);
+  const specs = [];
+  const failures = [];
+
+  for (const file of files) {
+    try {
+      specs.push(await importFile(file, options));
+    } catch (error) {
+      failures.push({
+        source: path.relative(process.cwd(), file),
+        message: error.message,
+        ...(error.line ? { line: error.line, column: error.column } : {})
+      });
+    }
+  }
+
+  const entries = specs.flatMap(spec =>
+    spec.manifests.map(item => ({ ...item, kind, source: spec.source }))
+  );
+  const written = await writeManifestFiles(entries, {
+    outputDir: options.manifestDir,
+    force: options.force
+  });
+  const issues = await validateWrittenManifests(written);
+
+  return {
+    files,
+    failures,
+    specs: specs.map(spec => ({ source: spec.source, lossy: spec.lossy })),
+    manifests: entries.map((entry, index) => ({
+      name: entry.name,
+      source: entry.source,
+      path: written[index].path,
+      status: written[index].status,
+      ...(entry.pii ? { pii: entry.pii } : {}),
+      issues: issues[index]
+    }))
+  };
+}
+
+function logImportReport(report) {
+  report.manifests.forEach(entry => {
+    const target = path.relative(process.cwd(), entry.path);
+    if (entry.status === 'skipped') {
+      console.log(chalk.yellow(`⚠️  ${target} already exists (use --force to overwrite)`));
+      return;
+    }
+    console.log(chalk.green(`✅ ${entry.name} → ${target}`));
+    if (entry.pii?.length) {
+      const fields = entry.pii.map(item => `${item.field}${item.source === 'inferred' ? '*' : ''}`);
+      console.log(chalk.gray(`   PII fields: ${fields.join(', ')}`));
+    }
+    entry.issues.forEach(issue => {
+      const color = issue.level === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`   ${issue.level || 'warn'}: ${issue.path ? `${issue.path}: ` : ''}${issue.msg}`));
+    });
+  });
+
+  if (report.manifests.some(entry => entry.pii?.some(item => item.source === 'inferred'))) {
+    console.log(chalk.gray('   * inferred from field name or format; review before publishing'));
+  }
+
+  report.specs.forEach(spec => {
+    if (!spec.lossy.length) return;
+    console.log(chalk.yellow(`\n${spec.lossy.length} lossy mapping(s) in ${spec.source}:`));
+    spec.lossy.forEach(item => console.log(chalk.gray(`   - ${item.path}: ${item.reason}`)));
+  });
+
+  report.failures.forEach(failure => {
+    const position = failure.line ? `:${failure.line}:${failure.column}` : '';
+    console.error(chalk.red(`❌ ${failure.source}${position}: ${failure.message}`));
+  });
+}
+
+function finish(program, report, label, input) {
+  if (!report.files.length) {
+    console.error(chalk.red(`❌ No ${label} files matched ${input}`));
+    process.exit(2);
+    return;
+  }
+
+  logImportReport(report);
+
+  if (program.opts().json) {
+    console.log(JSON.stringify(report, null, 2));
+  }
+
+  if (report.failures.length) {
+    process.exit(report.manifests.length ? 1 : 2);
+    return;
+  }
+  process.exit(0);
+}
+
+function registerImportCommand(program) {
+  const importCommand = program
+    .command('import')
+    .description('Create protocol manifests from external API specifications');
+
+  importCommand
+    .command('asyncapi')
+    .description('Convert AsyncAPI 2.x/3.x documents into event protocol manifests')
+    .argument('<file>', 'AsyncAPI file or glob (JSON or YAML)')
+    .option('--manifest-dir <path>', 'Directory for generated manifest files', './protocols')
+    .option('-f, --force', 'Overwrite existing manifest files')
+    .option('--no-infer-pii', 'Only honour explicit PII markers (x-pii, x-classification)')
+    .action(async (input, options) => {
+      try {
+        console.log(chalk.blue('📥 Importing AsyncAPI channels as event manifests...'));
+        const report = await runImport(
+          input,
+          options,
+          (file, opts) => importAsyncAPIFile(file, { inferPII: opts.inferPii }),
+          'event'
+        );
+        finish(program, report, 'AsyncAPI', input);
+      } catch (error) {
+        console.error(chalk.red('Error importing AsyncAPI:'), error.message);
+        process.exit(2);
+      }
+    });
+
+  importCommand
+    .command('graphql')
+    .description('Convert GraphQL SDL schemas into API protocol manifests')
+    .argument('<file>', 'GraphQL SDL file or glob (.graphql, .gql)')
+    .option('--manifest-dir <path>', 'Directory for generated manifest files', './protocols')
+    .option('-f, --force', 'Overwrite existing manifest files')
+    .option('--service <name>', 'Service name for the manifest (defaults to the schema file name)')
+    .action(async (input, options) => {
+      try {
+        console.log(chalk.blue('📥 Importing GraphQL operations as API manifests...'));
+        const report = await runImport(
+          input,
+          options,
+          async (file, opts) => {
+            const result = await importGraphQLFile(file, { serviceName: opts.service });
+            return {
+              ...result,
+              manifests: [{ name: result.manifest.service.name, manifest: result.manifest }]
+            };
+          },
+          'api'
+        );
+        finish(program, report, 'GraphQL', input);
+      } catch (error) {
+        console.error(chalk.red('Error importing GraphQL:'), error.message);
+        process.exit(2);
+      }
+    });
+}
+
+module.exports = {
+  registerImportCommand
+};
@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const {
+  resolveSpecFiles,
+  writeManifestFiles
+} = require('../../lib/importers/manifest-writer');
+const { importOpenAPIFile } = require('../../lib/importers/openapi');
+
+const DEFAULT_API_PATTERN = './src/api_protocol_*.js';
+
+function buildDefaultConfig({ apiPattern = DEFAULT_API_PATTERN } = {}) {
+  return `module.exports = {
+  // Protocol globs by type; each key only loads manifests of its type
+  protocols: {
+    api: '${apiPattern}',
+    data: './src/data_protocol_*.js',
+    workflow: './src/workflow_protocol_*.js',
+    documentation: './src/*documentation*protocol*.js',
+    semantic: './src/*semantic*protocol*.js'
+  },
+
+  // Health check thresholds (--threshold overrides healthScore)
+  thresholds: {
+    healthScore: 70,
+    maxStaleDays: 30
+  },
+
+  // Generator output settings (--format / --output override these)
+  output: {
+    format: 'markdown',
+    directory: './docs'
+  },
+
+  // SME routing (future feature)
+  sme: {
+    autoRoute: false,
+    reviewers: []
+  }
+};`;
+}
+
+function toConfigGlob(configPath, manifestDir) {
+  const relative = path
+    .relative(path.dirname(path.resolve(configPath)), path.resolve(manifestDir))
+    .split(path.sep)
+    .join('/');
+  return `./${relative ? `${relative}/` : ''}*.protocol.json`;
+}
+
+async function importOpenAPISpecs(input, options) {
+  const files = resolveSpecFiles(input);
+  const imports = [];
+  const failures = [];
+
+  for (const file of files) {
+    try {
+      imports.push(await importOpenAPIFile(file));
+    } catch (error) {
+      failures.push({
+        source: path.relative(process.cwd(), file),
+        message: error.message,
+        ...(error.line ? { line: error.line, column: error.column } : {})
+      });
+    }
+  }
+
+  const written = await writeManifestFiles(
+    imports.map(result => ({
+      name: result.manifest.service.name,
+      kind: 'api',
+      manifest: result.manifest
+    })),
+    { outputDir: options.manifestDir, force: options.force }
+  );
+
+  return {
+    files,
+    failures,
+    manifests: imports.map((result, index) => ({
+      source: result.source,
+      service: result.manifest.service.name,
+      endpoints: result.manifest.interface.endpoints.length,
+      path: written[index].path,
+      status: written[index].status,
+      lossy: result.lossy
+    }))
+  };
+}
+
+function logImportReport(report) {
+  report.manifests.forEach(entry => {
+    const target = path.relative(process.cwd(), entry.path);
+    if (entry.status === 'skipped') {
+      console.log(
+        chalk.yellow(`⚠️  ${target} already exists (use --force to overwrite); skipped ${entry.source}`)
+      );
+      return;
+    }
+    console.log(
+      chalk.green(`✅ ${entry.source} → ${target} (${entry.service}, ${entry.endpoints} endpoint(s))`)
+    );
+    if (entry.lossy.length) {
+      console.log(chalk.yellow(`   ${entry.lossy.length} lossy mapping(s):`));
+      entry.lossy.forEach(item => {
+        console.log(chalk.gray(`   - ${item.path}: ${item.reason}`));
+      });
+    }
+  });
+
+  report.failures.forEach(failure => {
+    const position = failure.line ? `:${failure.line}:${failure.column}` : '';
+    console.error(chalk.red(`❌ ${failure.source}${position}: ${failure.message}`));
+  });
+}
+
+function registerInitCommand(program) {
+  program
+    .command('init')
+    .description('Initialize dochealth configuration')
+    .option('-f, --force', 'Overwrite existing config (and imported manifests)')
+    .option('--from-openapi <file|glob>', 'Create API manifests from OpenAPI 3.0/3.1 specs (JSON or YAML)')
+    .option('--manifest-dir <path>', 'Directory for imported manifest files', './protocols')
+    .action(async (options) => {
+      const globalOpts = program.opts();
+      try {
+        const configPath = globalOpts.config;
+        let importReport = null;
+
+        console.log(chalk.blue('⚙️  Initializing DocHealth configuration...'));
+
+        if (options.fromOpenapi) {
+          importReport = await importOpenAPISpecs(options.fromOpenapi, options);
+          if (!importReport.files.length) {
+            console.error(chalk.red(`❌ No OpenAPI files matched ${options.fromOpenapi}`));
+            process.exit(2);
+            return;
+          }
+          logImportReport(importReport);
+        }
+
+        // Check if config already exists
+        let configExists = false;
+        try {
+          await fs.access(configPath);
+          configExists = true;
+        } catch {
+          // File doesn't exist, which is fine
+        }
+
+        const apiPattern = importReport
+          ? toConfigGlob(configPath, options.manifestDir)
+          : DEFAULT_API_PATTERN;
+        let configStatus = 'created';
+
+        if (configExists && !options.force) {
+          if (!importReport) {
+            console.error(chalk.red(`Config file already exists at ${configPath}`));
+            console.log(chalk.yellow('Use --force to overwrite'));
+            process.exit(1);
+            return;
+          }
+          configStatus = 'unchanged';
+          console.log(
+            chalk.yellow(
+              `⚠️  Config file already exists at ${configPath}; add '${apiPattern}' to protocols.api to load the imported manifests.`
+            )
+          );
+        } else {
+          await fs.writeFile(configPath, buildDefaultConfig({ apiPattern }));
+          console.log(chalk.green(`✅ Created config file at ${configPath}`));
+        }
+
+        if (globalOpts.json) {
+          console.log(JSON.stringify({
+            configPath,
+            status: configStatus,
+            message: configStatus === 'created'
+              ? 'Configuration file created successfully'
+              : 'Configuration file left unchanged',
+            ...(importReport
+              ? { openapi: { manifests: importReport.manifests, failures: importReport.failures } }
+              : {})
+          }, null, 2));
+        }
+
+        if (importReport?.failures.length) {
+          process.exit(importReport.manifests.length ? 1 : 2);
+          return;
+        }
+        process.exit(0);
+      } catch (error) {
+        console.error(chalk.red('Error initializing config:'), error.message);
+        process.exit(2);
+      }
+    });
+}
+
+module.exports = {
+  registerInitCommand,
+  buildDefaultConfig
+};
@@ -2,12 +2,13 @@ const path = require('path');
 const chalk = require('chalk');
 
 const { runPRCommentWorkflow, COMMENT_IDENTIFIER } = require('../../lib/github/pr-comment');
+const { loadConfigFromProgram, resolveOption, formatConfigError } = require('../../lib/config');
 
 function registerPRCommentCommand(program) {
   program
     .command('pr-comment')
     .description('Post a DocHealth health delta comment to a GitHub pull request')
-    .requiredOption('--repo <owner/repo>', 'Repository slug in owner/repo format')
+    .option('--repo <owner/repo>', 'Repository slug in owner/repo format (or github.repo in config)')
     .requiredOption('--pr <number>', 'Pull request number', value => Number(value))
     .option('--before-report <path>', 'Path to baseline (base branch) health JSON report')
     .requiredOption('--after-report <path>', 'Path to head branch health JSON report')
@@ -22,8 +23,25 @@ function registerPRCommentCommand(program) {
     .option('--head-ref <ref>', 'Optional head ref label for reporting')
     .option('--pr-url <url>', 'Override pull request URL in dry-run output')
     .option('--dry-run', 'Skip posting to GitHub and print the comment body')
-    .action(async options => {
+    .action(async (options, command) => {
       const globalOpts = program.opts();
+
+      let config;
+      try {
+        ({ config } = loadConfigFromProgram(program));
+      } catch (error) {
+        console.error(chalk.red(formatConfigError(error)));
+        process.exit(2);
+        return;
+      }
+
+      const repo = resolveOption(command, 'repo', config.github.repo);
+      if (!repo) {
+        console.error(chalk.red('❌ Repository is required. Pass --repo or set github.repo in config.'));
+        process.exit(2);
+        return;
+      }
+
       const resolvedBefore = options.beforeReport
         ? path.resolve(options.beforeReport)
         : null;
@@ -31,7 +49,7 @@ function registerPRCommentCommand(program) {
 
       try {
         console.log(chalk.blue('💬 Preparing DocHealth pull request comment...'));
-        console.log(chalk.gray(`Repository: ${options.repo}`));
+        console.log(chalk.gray(`Repository: ${repo}`));
         console.log(chalk.gray(`PR #: ${options.pr}`));
         if (resolvedBefore) {
           console.log(chalk.gray(`Baseline report: ${resolvedBefore}`));
@@ -39,16 +57,16 @@ function registerPRCommentCommand(program) {
         console.log(chalk.gray(`Head report: ${resolvedAfter}`));
 
         const result = await runPRCommentWorkflow({
-          repo: options.repo,
+          repo,
           prNumber: options.pr,
           beforeReportPath: resolvedBefore,
           afterReportPath: resolvedAfter,
-          appId: options.appId,
-          installationId: options.installationId,
-          privateKeyPath: options.privateKeyPath,
+          appId: options.appId || config.github.appId,
+          installationId: options.installationId || config.github.installationId,
+          privateKeyPath: options.privateKeyPath || config.github.privateKeyPath,
           privateKey: options.privateKey,
           dryRun: Boolean(options.dryRun),
-          identifier: options.identifier,
+          identifier: resolveOption(command, 'identifier', config.github.identifier),
           baseSha: options.baseSha,
           baseRef: options.baseRef,
           headSha: options.headSha,
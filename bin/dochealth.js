@@ -2,12 +2,12 @@
 
 const { Command } = require('commander');
 const chalk = require('chalk');
+const fs = require('fs');
 const path = require('path');
-const fs = require('fs').promises;
 
 // Import core modules
 const { loadProtocols } = require('../lib/loader');
-const { analyzeMultipleProtocols } = require('../lib/analyzer');
+const { analyzeProtocol, summarizeProtocolResults } = require('../lib/analyzer');
 const {
   calculateHealthScore,
   generateCLIReport,
@@ -23,11 +23,64 @@ const { registerMergeDocsCommand } = require('./commands/merge-docs');
 const { registerResolveCommand } = require('./commands/resolve');
 const { registerGenerateCommand } = require('./commands/generate');
 const { registerPRCommentCommand } = require('./commands/pr-comment');
+const { registerDiffCommand } = require('./commands/diff');
+const { registerInitCommand } = require('./commands/init');
+const { registerImportCommand } = require('./commands/import');
 const { serveDashboard } = require('../lib/serve');
 const { writeToDashboard, DashboardWriterError } = require('../lib/dashboard-writer');
+const {
+  loadConfigFromProgram,
+  resolveProtocolPatterns,
+  resolveOption,
+  isExplicitOption,
+  formatConfigError,
+  ConfigError
+} = require('../lib/config');
+const { resolveScoringProfile } = require('../lib/scoring');
+const { generateSARIFReport } = require('../lib/sarif');
+const { generateJUnitReport } = require('../lib/junit');
+const {
+  DEFAULT_BASELINE_PATH,
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline,
+  ratchetBaseline
+} = require('../lib/baseline');
+const { evaluatePolicies } = require('../lib/policy');
+const {
+  DEFAULT_DRIFT_STATE_PATH,
+  fingerprintDocs,
+  detectContractDrift,
+  loadDriftState,
+  saveDriftState,
+  loadManifestsAtRef
+} = require('../lib/contract-drift');
+const {
+  DEFAULT_WAIVERS_PATH,
+  loadWaivers,
+  applyWaivers,
+  describeWaiver
+} = require('../lib/waivers');
+const { runProtocolValidators } = require('../lib/validation');
+const {
+  EXPORT_FORMATS,
+  inferExportFormat,
+  generateReportDocument
+} = require('../lib/report-export');
+const { FRESHNESS_SOURCES, resolveGitTimestamps } = require('../lib/git-freshness');
+const {
+  resolveWatchTargets,
+  createChangeWatcher,
+  diffScores,
+  formatDelta,
+  getSourcePath,
+  isAffectedBy
+} = require('../lib/watch');
 
 const program = new Command();
 const defaultDashboardRoot = path.join(__dirname, '..', 'dashboard');
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
 
 // Global options
 program
@@ -39,140 +92,738 @@ program
   .option('--config <path>', 'Path to config file', 'dochealth.config.js')
   .option('--no-color', 'Disable colored output');
 
+/**
+ * Resolve `check` settings from config and CLI flags.
+ * @throws {ConfigError} On invalid config, scoring profile or freshness source
+ * @throws {WaiverError} On an invalid waivers file
+ */
+function resolveCheckContext(options, command) {
+  const { config, rootDir } = loadConfigFromProgram(program);
+  const scoringProfile = resolveScoringProfile(config.scoring, options.profile);
+  const freshnessSource = resolveOption(command, 'freshnessSource', config.freshness.source);
+  if (!FRESHNESS_SOURCES.includes(freshnessSource)) {
+    throw new ConfigError('Invalid freshness source', [{
+      path: 'freshness.source',
+      message: `--freshness-source must be one of ${FRESHNESS_SOURCES.join(', ')} ` +
+        `(received "${freshnessSource}")`
+    }]);
+  }
+
+  // Load protocols from --path, or from config globs when --path is not given
+  const protocolPatterns = isExplicitOption(command, 'path') ? null : resolveProtocolPatterns(config);
+
+  return {
+    config,
+    rootDir,
+    scoringProfile,
+    freshnessSource,
+    protocolPatterns,
+    protocolsPath: protocolPatterns ? rootDir : path.resolve(options.path),
+    docsPath: isExplicitOption(command, 'docsPath')
+      ? path.resolve(options.docsPath)
+      : path.resolve(rootDir, config.output.directory || options.docsPath),
+    waivers: loadWaivers(options.waivers
+      ? path.resolve(options.waivers)
+      : path.resolve(rootDir, config.waivers.path || DEFAULT_WAIVERS_PATH))
+  };
+}
+
+/**
+ * Resolve `check --format`; the global --json flag means `json` unless --format is given.
+ * @throws {ConfigError} On an unknown format
+ */
+function resolveCheckFormat(options, command) {
+  const format = isExplicitOption(command, 'format')
+    ? options.format
+    : (program.opts().json ? 'json' : 'text');
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new ConfigError('Invalid report format', [{
+      path: 'format',
+      message: `--format must be one of ${REPORT_FORMATS.join(', ')} (received "${format}")`
+    }]);
+  }
+  return format;
+}
+
+/**
+ * Resolve `check --baseline` settings. Baseline mode is on when --baseline or
+ * --update-baseline is given or config sets `baseline.path`.
+ * @returns {{path: string, scoreTolerance: number}|null}
+ * @throws {ConfigError} On an invalid --score-tolerance
+ */
+function resolveBaselineOptions(options, config, rootDir) {
+  if (typeof options.baseline === 'undefined' && !options.updateBaseline && !config.baseline.path) {
+    return null;
+  }
+  const scoreTolerance = typeof options.scoreTolerance === 'undefined'
+    ? config.baseline.scoreTolerance
+    : Number(options.scoreTolerance);
+  if (!Number.isFinite(scoreTolerance) || scoreTolerance < 0) {
+    throw new ConfigError('Invalid score tolerance', [{
+      path: 'baseline.scoreTolerance',
+      message: `--score-tolerance must be a number >= 0 (received "${options.scoreTolerance}")`
+    }]);
+  }
+  return {
+    path: typeof options.baseline === 'string'
+      ? path.resolve(options.baseline)
+      : path.resolve(rootDir, config.baseline.path || DEFAULT_BASELINE_PATH),
+    scoreTolerance
+  };
+}
+
+/**
+ * Resolve `check` contract drift settings. --drift-ref (or `drift.ref`)
+ * compares with a git ref; --drift (or `drift.path`) with a state file.
+ * @returns {{ref: string}|{path: string}|null}
+ */
+function resolveDriftOptions(options, config, rootDir) {
+  const ref = options.driftRef || config.drift.ref;
+  if (ref) {
+    return { ref };
+  }
+  if (typeof options.drift === 'undefined' && !config.drift.path) {
+    return null;
+  }
+  return {
+    path: typeof options.drift === 'string'
+      ? path.resolve(options.drift)
+      : path.resolve(rootDir, config.drift.path || DEFAULT_DRIFT_STATE_PATH)
+  };
+}
+
+/**
+ * Options shared by commands that analyze protocols (`check`, `report`).
+ */
+function addAnalysisOptions(command) {
+  return command
+    .option('-p, --path <path>', 'Path to protocol manifests', './src')
+    .option('--profile <name>', 'Scoring profile from config scoring.profiles (default: scoring.profile)')
+    .option(
+      '--freshness-source <source>',
+      'Where freshness timestamps come from: manifest or git (default: freshness.source)',
+      'manifest'
+    )
+    .option('--docs-path <path>', 'Generated docs directory used by --freshness-source git', './docs')
+    .option('--waivers <path>', `Waivers file (default: waivers.path or ${DEFAULT_WAIVERS_PATH})`);
+}
+
+function handleAnalysisError(error, message) {
+  if (error instanceof ConfigError) {
+    console.error(chalk.red(formatConfigError(error)));
+    process.exit(2);
+  }
+  console.error(chalk.red(message), error.message);
+  if (program.opts().verbose) {
+    console.error(error.stack);
+  }
+  process.exit(2);
+}
+
+/**
+ * Load and analyze protocols. With `previous` (a prior run's per-protocol
+ * results keyed by manifest path), only protocols whose manifest or source
+ * path is in `changedPaths` are re-analyzed; the rest are reused.
+ * @returns {Promise<{loadResults: Object, analysisResults: Object, healthScore: Object,
+ *   protocolResults: Map<string, Object>}>}
+ */
+async function runHealthCheck(context, { previous = null, changedPaths = [] } = {}) {
+  const { config, rootDir, scoringProfile } = context;
+  const loadResults = await loadProtocols(context.protocolsPath, {
+    patterns: context.protocolPatterns
+  });
+
+  if (loadResults.errors.length > 0) {
+    console.error(chalk.yellow(`⚠️  Warning: ${loadResults.errors.length} protocol(s) failed to load`));
+    if (program.opts().verbose) {
+      loadResults.errors.forEach(err => {
+        console.error(chalk.gray(`  - ${err.path}: ${err.message}`));
+      });
+    }
+  }
+
+  if (loadResults.protocols.length === 0) {
+    return { loadResults, analysisResults: null, healthScore: null, protocolResults: new Map() };
+  }
+
+  const isAffected = entry => !previous?.has(entry.path)
+    || isAffectedBy(entry, changedPaths, rootDir);
+  const affected = loadResults.protocols.filter(isAffected);
+
+  // Create protocol registry for URN validation
+  const protocolInstances = loadResults.protocols.map(p => p.protocol);
+  const registry = createProtocolRegistry(protocolInstances);
+  
+  // Extract and validate URNs across all protocols
+  const allURNs = [];
+  const urnsByPath = new Map();
+  loadResults.protocols.forEach(p => {
+    const protocolType = p.type;
+    const urns = extractURNsFromManifest(p.protocol.manifest(), protocolType);
+    urnsByPath.set(p.path, urns);
+    allURNs.push(...urns);
+  });
+  
+  const urnValidation = validateURNs(allURNs, registry);
+  
+  // Prefer commit dates over hand-maintained manifest timestamps when requested
+  let gitTimestamps = [];
+  if (context.freshnessSource === 'git' && affected.length > 0) {
+    const gitResult = await resolveGitTimestamps(affected, {
+      rootDir,
+      docsPath: context.docsPath,
+      format: config.output.format
+    });
+    if (!gitResult.available) {
+      console.error(
+        chalk.yellow(`⚠️  Git freshness unavailable (${gitResult.reason}); using manifest timestamps`)
+      );
+    }
+    gitTimestamps = gitResult.timestamps;
+  }
+
+  // Analyze affected protocols, reusing earlier results for the rest
+  const protocolResults = new Map();
+  loadResults.protocols.forEach(entry => {
+    const affectedIndex = affected.indexOf(entry);
+    protocolResults.set(entry.path, affectedIndex === -1
+      ? previous.get(entry.path)
+      : {
+        ...analyzeProtocol(entry.protocol.manifest(), entry.type, {
+          thresholdDays: config.thresholds.maxStaleDays,
+          scoringProfile,
+          quality: config.quality,
+          lifecycle: config.lifecycle,
+          gitTimestamps: gitTimestamps[affectedIndex]
+        }),
+        path: entry.path,
+        urns: urnsByPath.get(entry.path),
+        validation: runProtocolValidators(entry, config.validators)
+      });
+  });
+  // Waived issues are listed separately and left out of scoring
+  const waived = applyWaivers(Array.from(protocolResults.values()), urnValidation, context.waivers);
+  waived.results.forEach(result => protocolResults.set(result.path, result));
+  const analysisResults = summarizeProtocolResults(waived.results);
+  
+  // Add URN validation results to analysis
+  analysisResults.urnValidation = waived.urnValidation;
+  if (context.waivers.length > 0) {
+    analysisResults.waivers = waived.summary;
+  }
+  
+  // Calculate health score
+  const healthScore = calculateHealthScore(analysisResults, { profile: scoringProfile });
+
+  return { loadResults, analysisResults, healthScore, protocolResults };
+}
+
+async function writeCheckToDashboard(run, options, config) {
+  const dbPathOverride =
+    typeof options.writeDb === 'string' && options.writeDb.trim().length > 0
+      ? options.writeDb.trim()
+      : config.dashboard.dbPath;
+  try {
+    const writeResult = await writeToDashboard({
+      healthScore: run.healthScore,
+      analysisResults: run.analysisResults,
+      protocolSources: run.loadResults.protocols,
+      dbPath: dbPathOverride,
+      dashboardRoot: config.dashboard.root || defaultDashboardRoot,
+      logger: {
+        info: message => console.log(chalk.gray(`↳ ${message}`)),
+        warn: message => console.warn(chalk.yellow(message)),
+        error: message => console.error(chalk.red(message))
+      }
+    });
+    console.log(
+      chalk.green(
+        `\n💾 Dashboard updated (run #${writeResult.runId}, ${writeResult.protocolsCount} protocols)`
+      )
+    );
+    console.log(chalk.gray(`   Path: ${writeResult.dbPath}`));
+  } catch (dashboardError) {
+    if (dashboardError instanceof DashboardWriterError) {
+      console.warn(chalk.yellow(`\n⚠️  Dashboard write skipped: ${dashboardError.message}`));
+    } else {
+      console.warn(chalk.yellow('\n⚠️  Failed to write to dashboard database'));
+      if (program.opts().verbose && dashboardError.stack) {
+        console.error(dashboardError.stack);
+      } else if (dashboardError?.message) {
+        console.warn(chalk.yellow(dashboardError.message));
+      }
+    }
+  }
+}
+
+/**
+ * Record the baseline on first use, otherwise compare against it (and ratchet
+ * it with --update-baseline).
+ * @returns {Object} - `{recorded: true, ...}` or a compareWithBaseline() result
+ *   with `path` and `updated`
+ */
+function applyBaseline(run, context, options) {
+  const { path: baselinePath, scoreTolerance } = context.baseline;
+  const report = generateJSONReport(run.healthScore, run.analysisResults, { includeDetails: true });
+  const baseline = loadBaseline(baselinePath);
+
+  if (!baseline) {
+    const recorded = createBaseline(report);
+    saveBaseline(baselinePath, recorded);
+    return {
+      recorded: true,
+      passed: true,
+      path: baselinePath,
+      score: recorded.score,
+      issues: recorded.issues.length
+    };
+  }
+
+  const comparison = compareWithBaseline(baseline, report, { scoreTolerance });
+  let updated = false;
+  if (options.updateBaseline) {
+    const ratchet = ratchetBaseline(baseline, comparison);
+    if (ratchet.changed) {
+      saveBaseline(baselinePath, ratchet.baseline);
+      updated = true;
+    }
+  }
+  return { ...comparison, path: baselinePath, updated };
+}
+
+/**
+ * Compare manifests with their previous revisions (git ref or state file).
+ * The state file is recorded on first use and updated on every run.
+ * @returns {Promise<Object>} - `{recorded: true, ...}` or a detectContractDrift()
+ *   result (without `state`) with `ref` or `path`
+ */
+async function applyContractDrift(run, context) {
+  const docsOptions = {
+    rootDir: context.rootDir,
+    docsPath: context.docsPath,
+    format: context.config.output.format
+  };
+  const current = [];
+  for (const entry of run.loadResults.protocols) {
+    current.push({
+      key: path.relative(context.rootDir, entry.path),
+      id: run.protocolResults.get(entry.path)?.id,
+      type: entry.type,
+      manifest: entry.protocol.manifest(),
+      docsHash: await fingerprintDocs(entry, docsOptions)
+    });
+  }
+
+  if (context.drift.ref) {
+    const previous = await loadManifestsAtRef(run.loadResults.protocols, {
+      ...docsOptions,
+      ref: context.drift.ref
+    });
+    const { undocumented, protocols } = detectContractDrift(current, previous);
+    return { ref: context.drift.ref, undocumented, protocols };
+  }
+
+  const statePath = context.drift.path;
+  const previousState = loadDriftState(statePath);
+  const { state, ...drift } = detectContractDrift(current, previousState?.protocols);
+  saveDriftState(statePath, state);
+  return previousState
+    ? { path: statePath, ...drift }
+    : { recorded: true, path: statePath, manifests: current.length };
+}
+
+function printDriftResult(result, log) {
+  if (result.recorded) {
+    const relative = path.relative(process.cwd(), result.path);
+    log(chalk.blue(`\n📌 Contract drift state recorded at ${relative} (${result.manifests} manifest(s))`));
+    return;
+  }
+
+  const since = result.ref ? `since ${result.ref}` : 'since the last check';
+  log(chalk.bold(`\nContract Drift (${since}):`));
+  if (result.protocols.length === 0) {
+    log(chalk.green('  ✓ No breaking or significant manifest changes'));
+  }
+  result.protocols.forEach(protocol => {
+    const subject = `${protocol.type}:${protocol.protocolId}`;
+    protocol.undocumented.forEach(change => {
+      log(chalk.red(`  ✗ ${subject} ${change.reason} at ${change.path} ` +
+        `(docs not updated since ${change.detectedAt.slice(0, 10)})`));
+    });
+    protocol.documented.forEach(change => {
+      log(chalk.green(`  ✓ ${subject} ${change.reason} at ${change.path} (docs updated)`));
+    });
+    protocol.significant.forEach(change => {
+      log(chalk.gray(`  • ${subject} ${change.reason} at ${change.path}`));
+    });
+  });
+}
+
+function printBaselineResult(result, log) {
+  const relative = path.relative(process.cwd(), result.path);
+  if (result.recorded) {
+    log(chalk.blue(
+      `\n📌 Baseline recorded at ${relative} (${result.issues} issue(s), score ${result.score})`
+    ));
+    return;
+  }
+
+  const { score } = result;
+  log(chalk.bold('\nBaseline:'));
+  log(`  Known issues: ${result.knownIssues.length}, new: ${result.newIssues.length}, ` +
+    `resolved: ${result.resolvedIssues.length}`);
+  const scoreColor = score.regressed ? chalk.red : chalk.green;
+  log(`  Score: ${scoreColor(score.current)} (baseline ${score.baseline}, tolerance ${score.tolerance})`);
+  result.newIssues.forEach(issue => {
+    log(chalk.red(`  ✗ new ${issue.id}: ${issue.description}`));
+  });
+  result.resolvedIssues.forEach(issue => {
+    log(chalk.green(`  ✓ resolved ${issue.id}`));
+  });
+  if (result.updated) {
+    log(chalk.blue(`  📌 Baseline updated at ${relative}`));
+  } else if (result.resolvedIssues.length > 0) {
+    log(chalk.gray('  Run with --update-baseline to drop resolved issues from the baseline'));
+  }
+}
+
+function printPolicyResult(result, log) {
+  log(chalk.bold('\nPolicies:'));
+  result.policies.forEach(policy => {
+    const icon = policy.violations === 0 ? chalk.green('✓') : policy.severity === 'error'
+      ? chalk.red('✗')
+      : chalk.yellow('⚠');
+    log(`  ${icon} ${policy.name} (${policy.matched} protocol(s), ${policy.violations} violation(s))`);
+  });
+  result.violations.forEach(violation => {
+    const color = violation.severity === 'error' ? chalk.red : chalk.yellow;
+    log(color(`  ${violation.policy}: ${violation.type}:${violation.protocolId} ${violation.message}`));
+  });
+  result.waived.forEach(entry => {
+    log(chalk.gray(`  ${entry.policy}: ${entry.type}:${entry.protocolId} ${entry.message} ` +
+      `(waived: ${describeWaiver(entry.waiver)})`));
+  });
+}
+
+function formatCheckReport(run, context) {
+  switch (context.format) {
+    case 'json':
+      return JSON.stringify({
+        ...generateJSONReport(run.healthScore, run.analysisResults, { includeDetails: true }),
+        ...(run.baseline ? { baseline: run.baseline } : {}),
+        ...(run.policies ? { policies: run.policies } : {}),
+        ...(run.drift ? { drift: run.drift } : {})
+      }, null, 2);
+    case 'sarif':
+      return JSON.stringify(generateSARIFReport(run.healthScore, run.analysisResults, {
+        rootDir: context.rootDir
+      }), null, 2);
+    case 'junit':
+      return generateJUnitReport(run.healthScore, run.analysisResults, {
+        rootDir: context.rootDir
+      });
+    default:
+      return generateCLIReport(run.healthScore, run.analysisResults, {
+        showDetails: true,
+        color: !context.outputPath && program.opts().color !== false
+      });
+  }
+}
+
+function printCheckReport(run, context) {
+  const report = formatCheckReport(run, context);
+  if (context.outputPath) {
+    writeReportFile(context.outputPath, `${report}\n`);
+  } else {
+    console.log(report);
+  }
+}
+
+function writeReportFile(outputPath, content) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  console.log(chalk.gray(`📝 Report written to ${path.relative(process.cwd(), outputPath)}`));
+}
+
+function summarizeScores(run) {
+  const protocols = new Map();
+  run.protocolResults.forEach((result, filePath) => {
+    protocols.set(filePath, {
+      id: result.id,
+      type: result.type,
+      score: result.combined.healthScore
+    });
+  });
+  return { overallScore: run.healthScore?.overallScore ?? 0, protocols };
+}
+
+function printScoreChanges(changes, changedPaths, context, log = console.log) {
+  const relative = file => path.relative(context.rootDir, file) || file;
+  const color = changes.delta > 0 ? chalk.green : changes.delta < 0 ? chalk.red : chalk.gray;
+  log(chalk.blue(`\n↻ ${new Date().toLocaleTimeString()} ${changedPaths.map(relative).join(', ')}`));
+  log(`  Health score: ${changes.before} → ${color(`${changes.after} (${formatDelta(changes.delta)})`)}`);
+  changes.protocols.forEach(change => {
+    if (change.status === 'added') {
+      log(chalk.green(`  + ${change.id}: ${change.after} (new)`));
+    } else if (change.status === 'removed') {
+      log(chalk.gray(`  - ${change.id}: removed`));
+    } else {
+      const protocolColor = change.delta > 0 ? chalk.green : chalk.red;
+      log(protocolColor(
+        `  ${change.id}: ${change.before} → ${change.after} (${formatDelta(change.delta)})`
+      ));
+    }
+  });
+  if (!changes.protocols.length) {
+    log(chalk.gray('  No protocol scores changed'));
+  }
+}
+
+/**
+ * Apply the baseline, contract drift and policy gates to a run and work out
+ * its exit code. A baseline replaces the threshold and strict checks, and a
+ * failing error policy overrides both with its own exit code.
+ * @returns {Promise<number>}
+ */
+async function applyCheckGates(run, context, options) {
+  if (context.baseline) {
+    run.baseline = applyBaseline(run, context, options);
+  }
+  if (context.drift) {
+    run.drift = await applyContractDrift(run, context);
+  }
+  if (context.config.policies.length > 0) {
+    run.policies = evaluatePolicies(context.config.policies, {
+      protocols: run.loadResults.protocols,
+      results: run.protocolResults,
+      urnValidation: run.analysisResults.urnValidation
+    });
+  }
+
+  const baseExitCode = run.baseline
+    ? (run.baseline.passed ? 0 : 1)
+    : getExitCode(run.healthScore, {
+      threshold: parseInt(resolveOption(program, 'threshold', context.config.thresholds.healthScore)),
+      strict: options.strict
+    });
+  return run.policies?.exitCode || baseExitCode;
+}
+
+function printGateResults(run, context, log) {
+  // JSON output already carries `baseline`, `policies` and `drift`
+  if (context.format === 'json') return;
+  if (run.baseline) {
+    printBaselineResult(run.baseline, log);
+  }
+  if (run.policies) {
+    printPolicyResult(run.policies, log);
+  }
+  if (run.drift) {
+    printDriftResult(run.drift, log);
+  }
+}
+
+/**
+ * Keep re-running the health check, with its baseline, drift and policy
+ * gates, as manifests and source paths change. Source paths of protocols
+ * added while watching are watched from the next run on. Resolves only when
+ * the process is interrupted.
+ * @param {function(...*): void} log - Text output; stderr when stdout carries a SARIF or JUnit report
+ */
+async function watchHealthCheck(context, options, initialRun, log) {
+  let lastRun = initialRun;
+
+  const resolveTargets = run => resolveWatchTargets({
+    protocolsPath: context.protocolsPath,
+    patterns: context.protocolPatterns,
+    rootDir: context.rootDir,
+    sourcePaths: run.loadResults.protocols.map(getSourcePath).filter(Boolean)
+  });
+  const targets = resolveTargets(initialRun);
+
+  const watcher = createChangeWatcher(targets, {
+    onChange: async changedPaths => {
+      const run = await runHealthCheck(context, {
+        previous: lastRun.protocolResults,
+        changedPaths
+      });
+      watcher.add(resolveTargets(run));
+      if (!run.healthScore) {
+        console.error(chalk.red('❌ No protocols found or loaded successfully'));
+        return;
+      }
+      const exitCode = await applyCheckGates(run, context, options);
+      const changes = diffScores(summarizeScores(lastRun), summarizeScores(run));
+      lastRun = run;
+
+      if (context.format === 'json') {
+        const jsonReport = generateJSONReport(run.healthScore, run.analysisResults);
+        console.log(JSON.stringify({
+          ...jsonReport,
+          ...(run.baseline ? { baseline: run.baseline } : {}),
+          ...(run.policies ? { policies: run.policies } : {}),
+          ...(run.drift ? { drift: run.drift } : {}),
+          changes,
+          exitCode
+        }));
+      } else {
+        printScoreChanges(changes, changedPaths, context, log);
+        printGateResults(run, context, log);
+        if (exitCode !== 0) {
+          console.error(chalk.red(`  ❌ Health check failing (exit code: ${exitCode})`));
+        }
+      }
+      if (typeof options.writeDb !== 'undefined') {
+        await writeCheckToDashboard(run, options, context.config);
+      }
+    },
+    onError: error => console.error(chalk.red('Watch error:'), error.message),
+    ignore: [path.join(context.rootDir, '.dochealth')]
+  });
+
+  if (context.format !== 'json') {
+    log(chalk.gray(
+      `\n👀 Watching ${targets.map(target => path.relative(context.rootDir, target.path) || '.').join(', ')}` +
+      ' for changes (Ctrl+C to stop)'
+    ));
+  }
+
+  await new Promise(resolve => {
+    process.once('SIGINT', () => {
+      watcher.close();
+      resolve();
+    });
+  });
+}
+
 // Check command - full implementation
-program
+addAnalysisOptions(program
   .command('check')
-  .description('Check documentation health across protocols')
-  .option('-p, --path <path>', 'Path to protocol manifests', './src')
+  .description('Check documentation health across protocols'))
   .option('--strict', 'Fail on any issues (exit code 1)')
   .option(
     '--write-db [path]',
     'Write results to the dashboard SQLite database (optional path override)'
   )
-  .action(async (options) => {
+  .option('--watch', 'Re-run when manifests or source paths change and print score changes')
+  .option('--format <format>', `Report format: ${REPORT_FORMATS.join(', ')}`, 'text')
+  .option('--output <file>', 'Write the report to a file instead of stdout')
+  .option(
+    '--baseline [path]',
+    `Fail only on issues missing from the baseline file (default: ${DEFAULT_BASELINE_PATH})`
+  )
+  .option('--update-baseline', 'Drop resolved issues from the baseline and raise its score')
+  .option(
+    '--score-tolerance <points>',
+    'Score drop below the baseline that still passes (default: baseline.scoreTolerance)'
+  )
+  .option(
+    '--drift [path]',
+    `Report breaking manifest changes since the last check (state file, default: ${DEFAULT_DRIFT_STATE_PATH})`
+  )
+  .option('--drift-ref <ref>', 'Report breaking manifest changes since a git ref (default: drift.ref)')
+  .action(async (options, command) => {
     try {
-      console.log(chalk.blue('🔍 Running documentation health check...\n'));
-      
-      // Load protocols from specified path
-      const loadResults = await loadProtocols(options.path);
-      
-      if (loadResults.errors.length > 0) {
-        console.error(chalk.yellow(`⚠️  Warning: ${loadResults.errors.length} protocol(s) failed to load`));
-        if (program.opts().verbose) {
-          loadResults.errors.forEach(err => {
-            console.error(chalk.gray(`  - ${err.path}: ${err.message}`));
-          });
-        }
-      }
+      const checkContext = resolveCheckContext(options, command);
+      const context = {
+        ...checkContext,
+        format: resolveCheckFormat(options, command),
+        outputPath: options.output ? path.resolve(options.output) : null,
+        baseline: resolveBaselineOptions(options, checkContext.config, checkContext.rootDir),
+        drift: resolveDriftOptions(options, checkContext.config, checkContext.rootDir)
+      };
+      // Keep stdout parseable when a SARIF or JUnit report is printed there
+      const log = ['sarif', 'junit'].includes(context.format) && !context.outputPath
+        ? console.error
+        : console.log;
+
+      log(chalk.blue('🔍 Running documentation health check...\n'));
 
-      if (loadResults.protocols.length === 0) {
+      const run = await runHealthCheck(context);
+
+      if (!run.healthScore) {
         console.error(chalk.red('❌ No protocols found or loaded successfully'));
         process.exit(2);
       }
 
-      // Extract manifests from loaded protocols
-      const manifests = loadResults.protocols.map(p => p.protocol.manifest());
-      const protocolTypes = loadResults.protocols.map(p => p.type);
-      
-      // Create protocol registry for URN validation
-      const protocolInstances = loadResults.protocols.map(p => p.protocol);
-      const registry = createProtocolRegistry(protocolInstances);
-      
-      // Extract and validate URNs across all protocols
-      const allURNs = [];
-      loadResults.protocols.forEach(p => {
-        const protocolType = p.type;
-        const urns = extractURNsFromManifest(p.protocol.manifest(), protocolType);
-        allURNs.push(...urns);
-      });
-      
-      const urnValidation = validateURNs(allURNs, registry);
-      
-      // Analyze all protocols
-      const analysisResults = analyzeMultipleProtocols(manifests, protocolTypes);
-      
-      // Add URN validation results to analysis
-      analysisResults.urnValidation = urnValidation;
-      
-      // Calculate health score
-      const healthScore = calculateHealthScore(analysisResults);
-      
-      // Generate report based on output format
-      const globalOpts = program.opts();
-      const reportOpts = {
-        showDetails: true,
-        color: globalOpts.color !== false
-      };
+      const exitCode = await applyCheckGates(run, context, options);
 
-      if (globalOpts.json) {
-        const jsonReport = generateJSONReport(healthScore, analysisResults, {
-          includeDetails: true
-        });
-        console.log(JSON.stringify(jsonReport, null, 2));
-      } else {
-        const cliReport = generateCLIReport(healthScore, analysisResults, reportOpts);
-        console.log(cliReport);
+      printCheckReport(run, context);
+
+      // The text report lists expired waivers itself
+      const expiredWaivers = run.analysisResults.waivers?.expired || [];
+      if (context.format !== 'text' && expiredWaivers.length > 0) {
+        console.error(chalk.yellow(`⚠️  ${expiredWaivers.length} waiver(s) expired: ` +
+          expiredWaivers.map(waiver => `${waiver.id || waiver.urn} (${waiver.expires})`).join(', ')));
       }
 
-      // Exit code handling
-      const exitCode = getExitCode(healthScore, {
-        threshold: parseInt(globalOpts.threshold),
-        strict: options.strict
-      });
+      printGateResults(run, context, log);
 
       const writeDbFlagProvided = typeof options.writeDb !== 'undefined';
       if (writeDbFlagProvided) {
-        const dbPathOverride =
-          typeof options.writeDb === 'string' && options.writeDb.trim().length > 0
-            ? options.writeDb.trim()
-            : undefined;
-        try {
-          const writeResult = await writeToDashboard({
-            healthScore,
-            analysisResults,
-            protocolSources: loadResults.protocols,
-            dbPath: dbPathOverride,
-            dashboardRoot: defaultDashboardRoot,
-            logger: {
-              info: message => console.log(chalk.gray(`↳ ${message}`)),
-              warn: message => console.warn(chalk.yellow(message)),
-              error: message => console.error(chalk.red(message))
-            }
-          });
-          console.log(
-            chalk.green(
-              `\n💾 Dashboard updated (run #${writeResult.runId}, ${writeResult.protocolsCount} protocols)`
-            )
-          );
-          console.log(chalk.gray(`   Path: ${writeResult.dbPath}`));
-        } catch (dashboardError) {
-          if (dashboardError instanceof DashboardWriterError) {
-            console.warn(chalk.yellow(`\n⚠️  Dashboard write skipped: ${dashboardError.message}`));
-          } else {
-            console.warn(chalk.yellow('\n⚠️  Failed to write to dashboard database'));
-            if (program.opts().verbose && dashboardError.stack) {
-              console.error(dashboardError.stack);
-            } else if (dashboardError?.message) {
-              console.warn(chalk.yellow(dashboardError.message));
-            }
-          }
-        }
+        await writeCheckToDashboard(run, options, context.config);
       }
-      
+
       if (exitCode === 0) {
-        console.log(chalk.green('\n✅ Health check passed'));
+        log(chalk.green('\n✅ Health check passed'));
       } else {
         console.error(chalk.red(`\n❌ Health check failed (exit code: ${exitCode})`));
       }
+
+      if (options.watch) {
+        await watchHealthCheck(context, options, run, log);
+        process.exit(0);
+      }
       
       process.exit(exitCode);
 
     } catch (error) {
-      console.error(chalk.red('Error running health check:'), error.message);
-      if (program.opts().verbose) {
-        console.error(error.stack);
+      handleAnalysisError(error, 'Error running health check:');
+    }
+  });
+
+// Report command - standalone HTML/Markdown export of a health check
+addAnalysisOptions(program
+  .command('report')
+  .description('Export the health check as a self-contained HTML or Markdown report'))
+  .option('--format <format>', 'Report format: html or md (default: from --output extension, else html)')
+  .option('--output <file>', 'Write the report to a file instead of stdout')
+  .option('--title <title>', 'Report title', 'Documentation Health Report')
+  .action(async (options, command) => {
+    try {
+      const context = resolveCheckContext(options, command);
+      const format = inferExportFormat(options.format, options.output);
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new ConfigError('Invalid report format', [{
+          path: 'format',
+          message: `--format must be one of ${EXPORT_FORMATS.join(', ')} (received "${format}")`
+        }]);
+      }
+      // The document itself goes to stdout unless --output is given
+      const log = options.output ? console.log : console.error;
+
+      log(chalk.blue('📄 Building documentation health report...\n'));
+
+      const run = await runHealthCheck(context);
+
+      if (!run.healthScore) {
+        console.error(chalk.red('❌ No protocols found or loaded successfully'));
+        process.exit(2);
       }
-      process.exit(2);
+
+      const document = generateReportDocument(run.healthScore, run.analysisResults, {
+        format,
+        rootDir: context.rootDir,
+        title: options.title
+      });
+      if (options.output) {
+        writeReportFile(path.resolve(options.output), document);
+      } else {
+        process.stdout.write(document);
+      }
+      process.exit(0);
+    } catch (error) {
+      handleAnalysisError(error, 'Error building report:');
     }
   });
 
@@ -195,18 +846,20 @@ program
   )
   .option('--mode <mode>', 'Override NODE_ENV (development|production)')
   .option('--strict-port', 'Fail if the preferred port is unavailable')
-  .action(async options => {
+  .action(async (options, command) => {
     try {
-      const parsedPort = Number.parseInt(options.port, 10);
+      const { config } = loadConfigFromProgram(program);
+      const port = resolveOption(command, 'port', config.dashboard.port);
+      const parsedPort = Number.parseInt(port, 10);
       if (!Number.isFinite(parsedPort) || parsedPort < 0) {
-        throw new Error(`Invalid port value: ${options.port}`);
+        throw new Error(`Invalid port value: ${port}`);
       }
 
       const runtime = await serveDashboard({
         port: parsedPort,
-        host: options.host,
-        dashboardRoot: options.dashboardRoot,
-        dbPath: options.db,
+        host: resolveOption(command, 'host', config.dashboard.host),
+        dashboardRoot: resolveOption(command, 'dashboardRoot', config.dashboard.root),
+        dbPath: resolveOption(command, 'db', config.dashboard.dbPath),
         mode: options.mode,
         strictPort: options.strictPort,
         logger: {
@@ -227,6 +880,10 @@ program
       console.log(chalk.green(`→ API base: ${runtime.url}/api/health`));
       console.log(chalk.gray('Press Ctrl+C to stop the server.\n'));
     } catch (error) {
+      if (error instanceof ConfigError) {
+        console.error(chalk.red(formatConfigError(error)));
+        process.exit(2);
+      }
       console.error(chalk.red('Failed to start DocHealth dashboard:'), error.message);
       if (program.opts().verbose && error.stack) {
         console.error(error.stack);
@@ -235,107 +892,14 @@ program
     }
   });
 
-// Diff command - stub
-program
-  .command('diff')
-  .description('Show differences between protocol and documentation')
-  .option('-p, --path <path>', 'Path to protocol manifests', './src')
-  .option('--docs-path <path>', 'Path to documentation', './docs')
-  .action(async (options) => {
-    try {
-      console.log(chalk.blue('📊 Showing protocol/documentation differences...'));
-      console.log(chalk.gray(`Protocol path: ${options.path}`));
-      console.log(chalk.gray(`Docs path: ${options.docsPath}`));
-      
-      // Placeholder - actual diff logic would go here
-      console.log(chalk.yellow('\n⚠️  Diff command is a stub - implementation pending'));
-      
-      if (program.opts().json) {
-        console.log(JSON.stringify({
-          path: options.path,
-          docsPath: options.docsPath,
-          status: 'stub',
-          message: 'Diff command not yet implemented'
-        }, null, 2));
-      }
-      
-      process.exit(0);
-    } catch (error) {
-      console.error(chalk.red('Error showing diff:'), error.message);
-      process.exit(2);
-    }
-  });
+// Diff command
+registerDiffCommand(program);
 
-// Init command - stub
-program
-  .command('init')
-  .description('Initialize dochealth configuration')
-  .option('-f, --force', 'Overwrite existing config')
-  .action(async (options) => {
-    try {
-      const configPath = program.opts().config;
-      
-      console.log(chalk.blue('⚙️  Initializing DocHealth configuration...'));
-      
-      // Check if config already exists
-      try {
-        await fs.access(configPath);
-        if (!options.force) {
-          console.error(chalk.red(`Config file already exists at ${configPath}`));
-          console.log(chalk.yellow('Use --force to overwrite'));
-          process.exit(1);
-        }
-      } catch {
-        // File doesn't exist, which is fine
-      }
-      
-      // Create default config
-      const defaultConfig = `module.exports = {
-  // Protocol manifest paths
-  protocols: {
-    api: './src/api_protocol_*.js',
-    data: './src/data_protocol_*.js',
-    workflow: './src/workflow_protocol_*.js',
-    documentation: './src/*documentation*protocol*.js',
-    semantic: './src/semantic_protocol_*.js'
-  },
-  
-  // Health check thresholds
-  thresholds: {
-    healthScore: 70,
-    maxStaleDays: 30
-  },
-  
-  // Output settings
-  output: {
-    format: 'markdown',
-    directory: './docs'
-  },
-  
-  // SME routing (future feature)
-  sme: {
-    autoRoute: false,
-    reviewers: []
-  }
-};`;
-      
-      await fs.writeFile(configPath, defaultConfig);
-      console.log(chalk.green(`✅ Created config file at ${configPath}`));
-      
-      if (program.opts().json) {
-        console.log(JSON.stringify({
-          configPath,
-          status: 'created',
-          message: 'Configuration file created successfully'
-        }, null, 2));
-      }
-      
-      process.exit(0);
-    } catch (error) {
-      console.error(chalk.red('Error initializing config:'), error.message);
-      process.exit(2);
-    }
-  });
+// Init command
+registerInitCommand(program);
+
+// Import commands (AsyncAPI, GraphQL)
+registerImportCommand(program);
 
 registerMergeDocsCommand(program);
 registerResolveCommand(program);
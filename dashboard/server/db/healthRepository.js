@@ -43,15 +43,15 @@ export class HealthRepository {
         `UPDATE protocol_definitions SET file_path = ? WHERE protocol_id = ?`,
       ),
       insertRun: this.db.prepare(
-        `INSERT INTO analysis_runs (run_timestamp, overall_health_score, total_protocols_analyzed)
-        VALUES (@runTimestamp, @overallHealthScore, @totalProtocolsAnalyzed)`,
+        `INSERT INTO analysis_runs (run_timestamp, overall_health_score, total_protocols_analyzed, scoring_profile)
+        VALUES (@runTimestamp, @overallHealthScore, @totalProtocolsAnalyzed, @scoringProfile)`,
       ),
       insertSnapshot: this.db.prepare(
         `INSERT INTO protocol_snapshots (run_id, protocol_id, health_score, raw_analysis_output)
         VALUES (@runId, @protocolId, @healthScore, @rawAnalysisOutput)`,
       ),
       selectLatestRun: this.db.prepare(
-        `SELECT run_id, run_timestamp, overall_health_score, total_protocols_analyzed
+        `SELECT run_id, run_timestamp, overall_health_score, total_protocols_analyzed, scoring_profile
         FROM analysis_runs
         ORDER BY run_timestamp DESC
         LIMIT 1`,
@@ -64,7 +64,7 @@ export class HealthRepository {
         ORDER BY pd.protocol_name ASC`,
       ),
       selectHistory: this.db.prepare(
-        `SELECT run_id, run_timestamp, overall_health_score, total_protocols_analyzed
+        `SELECT run_id, run_timestamp, overall_health_score, total_protocols_analyzed, scoring_profile
         FROM analysis_runs
         WHERE run_timestamp >= @threshold
         ORDER BY run_timestamp DESC`,
@@ -104,12 +104,14 @@ export class HealthRepository {
     const overallHealthScore = Number.isFinite(parsedScore) ? parsedScore : 0
     const totalProtocolsAnalyzed =
       input.totalProtocolsAnalyzed ?? input.protocols.length
+    const scoringProfile = input.scoringProfile ? JSON.stringify(input.scoringProfile) : null
 
     const insertTransaction = this.db.transaction((payload) => {
       const runResult = this.statements.insertRun.run({
         runTimestamp,
         overallHealthScore,
         totalProtocolsAnalyzed,
+        scoringProfile,
       })
       const runId = Number(runResult.lastInsertRowid)
 
@@ -140,6 +142,7 @@ export class HealthRepository {
 
     return {
       ...run,
+      scoring_profile: parseJsonSafe(run.scoring_profile),
       snapshots: this.getSnapshotsForRun(run.run_id),
     }
   }
@@ -163,6 +166,7 @@ export class HealthRepository {
 
     return rows.map((row) => ({
       ...row,
+      scoring_profile: parseJsonSafe(row.scoring_profile),
       snapshots: this.getSnapshotsForRun(row.run_id),
     }))
   }
@@ -4,6 +4,7 @@ CREATE TABLE IF NOT EXISTS analysis_runs (
   run_timestamp INTEGER NOT NULL,
   overall_health_score REAL NOT NULL,
   total_protocols_analyzed INTEGER NOT NULL,
+  scoring_profile TEXT,
   created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
 );`
 
@@ -31,12 +32,27 @@ const INDEXES = [
   `CREATE INDEX IF NOT EXISTS idx_snapshot_trends ON protocol_snapshots (protocol_id, run_id);`,
 ]
 
+// Columns added after the initial schema; applied to existing databases.
+const COLUMN_MIGRATIONS = [
+  { table: 'analysis_runs', column: 'scoring_profile', definition: 'TEXT' },
+]
+
+const applyColumnMigrations = (db) => {
+  COLUMN_MIGRATIONS.forEach(({ table, column, definition }) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all()
+    if (!columns.some((entry) => entry.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+    }
+  })
+}
+
 export const applyMigrations = (db) => {
   db.exec('BEGIN')
   try {
     db.exec(CREATE_ANALYSIS_RUNS)
     db.exec(CREATE_PROTOCOL_DEFINITIONS)
     db.exec(CREATE_PROTOCOL_SNAPSHOTS)
+    applyColumnMigrations(db)
     INDEXES.forEach((statement) => db.exec(statement))
     db.exec('COMMIT')
   } catch (error) {
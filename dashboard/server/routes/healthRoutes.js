@@ -8,6 +8,7 @@ const formatRunPayload = (run) => ({
   runTimestamp: run.run_timestamp,
   overallHealthScore: run.overall_health_score,
   totalProtocols: run.total_protocols_analyzed,
+  scoringProfile: run.scoring_profile ?? null,
   protocols: run.snapshots.map((snapshot) => ({
     snapshotId: snapshot.snapshotId,
     protocolName: snapshot.protocolName,
@@ -40,6 +41,14 @@ const validateAnalysisPayload = (payload) => {
     errors.push('At least one protocol snapshot is required')
   }
 
+  if (
+    payload.scoringProfile !== undefined &&
+    payload.scoringProfile !== null &&
+    (typeof payload.scoringProfile !== 'object' || Array.isArray(payload.scoringProfile))
+  ) {
+    errors.push('scoringProfile must be an object when provided')
+  }
+
   payload.protocols?.forEach((protocol, index) => {
     if (!protocol?.protocolName) {
       errors.push(`protocols[${index}].protocolName is required`)
@@ -72,7 +72,7 @@ const HealthScoreDashboard = ({ data, loading, error, onRefresh }) => {
     )
   }
 
-  const { score, grade, status, metrics, updatedAt } = data
+  const { score, grade, status, metrics, updatedAt, scoringProfile } = data
   const metricEntries = [
     { label: 'Protocols', value: metrics?.totalProtocols },
     { label: 'Stale protocols', value: metrics?.staleProtocols },
@@ -88,7 +88,10 @@ const HealthScoreDashboard = ({ data, loading, error, onRefresh }) => {
           <span className="health-score__score">{score ?? '—'}</span>
           <div>
             <p className="health-score__label">Health Score</p>
-            <p className="subdued">Grade {grade}</p>
+            <p className="subdued">
+              Grade {grade}
+              {scoringProfile?.name ? ` · ${scoringProfile.name} profile` : ''}
+            </p>
           </div>
         </div>
         <StatusIndicator tone={status?.tone} label={status?.label} description={status?.description} />
@@ -0,0 +1,64 @@
+import EmptyState from '../common/EmptyState.jsx'
+
+const SUNSET_SEVERITY = {
+  past: 'critical',
+  upcoming: 'medium',
+  scheduled: 'low',
+  none: 'unknown',
+}
+
+const sunsetClass = (sunset) => `severity-badge severity-badge--${SUNSET_SEVERITY[sunset] ?? 'unknown'}`
+
+const describeSunset = (item) => {
+  if (!item.sunsetAt) return 'No sunset date'
+  if (item.sunset === 'past') return `${item.sunsetAt} (${-item.daysUntilSunset} days ago)`
+  return `${item.sunsetAt} (in ${item.daysUntilSunset} days)`
+}
+
+const DeprecationList = ({ items = [] }) => {
+  if (!items.length) {
+    return (
+      <EmptyState
+        title="No deprecated APIs"
+        description="No API services or endpoints were marked deprecated in the latest run."
+      />
+    )
+  }
+
+  return (
+    <div className="insights-table-wrapper" role="region" aria-label="Deprecated APIs">
+      <table className="insights-table">
+        <caption className="visually-hidden">Deprecated API services and endpoints</caption>
+        <thead>
+          <tr>
+            <th scope="col">Protocol</th>
+            <th scope="col">Item</th>
+            <th scope="col">Status</th>
+            <th scope="col">Sunset</th>
+            <th scope="col">Migration</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item) => (
+            <tr key={item.id}>
+              <td>
+                <p className="insights-table__primary">{item.protocolName}</p>
+              </td>
+              <td>
+                <p className="insights-table__primary">{item.name}</p>
+                <span className="insights-table__chip">{item.kind}</span>
+              </td>
+              <td>
+                <span className={sunsetClass(item.sunset)}>{item.sunset}</span>
+              </td>
+              <td>{describeSunset(item)}</td>
+              <td>{item.migration ?? 'Missing migration guidance'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default DeprecationList
@@ -6,6 +6,8 @@ const formatDateTime = (value) => {
   return Number.isNaN(date.getTime()) ? 'Unknown' : date.toLocaleString()
 }
 
+const formatSource = (source) => (source ? ` (${source})` : '')
+
 const StaleDocDetail = ({ item }) => {
   if (!item) {
     return (
@@ -38,11 +40,17 @@ const StaleDocDetail = ({ item }) => {
         </div>
         <div>
           <dt>Last code change</dt>
-          <dd>{formatDateTime(item.lastCodeChange)}</dd>
+          <dd>
+            {formatDateTime(item.lastCodeChange)}
+            {formatSource(item.timestampSources?.lastCodeChange)}
+          </dd>
         </div>
         <div>
           <dt>Last doc update</dt>
-          <dd>{formatDateTime(item.lastDocUpdate)}</dd>
+          <dd>
+            {formatDateTime(item.lastDocUpdate)}
+            {formatSource(item.timestampSources?.lastDocUpdate)}
+          </dd>
         </div>
         <div>
           <dt>Threshold</dt>
@@ -0,0 +1,57 @@
+import EmptyState from '../common/EmptyState.jsx'
+
+const LEVEL_SEVERITY = {
+  error: 'critical',
+  warning: 'medium',
+  info: 'low',
+}
+
+const levelClass = (level) => `severity-badge severity-badge--${LEVEL_SEVERITY[level] ?? 'unknown'}`
+
+const ValidationIssues = ({ items = [] }) => {
+  if (!items.length) {
+    return (
+      <EmptyState
+        title="No validator issues"
+        description="Every protocol passed its built-in validators in the latest run."
+      />
+    )
+  }
+
+  return (
+    <div className="insights-table-wrapper" role="region" aria-label="Validator issues">
+      <table className="insights-table">
+        <caption className="visually-hidden">Issues reported by protocol validators</caption>
+        <thead>
+          <tr>
+            <th scope="col">Protocol</th>
+            <th scope="col">Level</th>
+            <th scope="col">Validator</th>
+            <th scope="col">Path</th>
+            <th scope="col">Message</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.flatMap((item) =>
+            item.issues.map((issue, index) => (
+              <tr key={`${item.id}-${index}`}>
+                <td>
+                  <p className="insights-table__primary">{item.protocolName}</p>
+                  <span className="insights-table__chip">{item.typeLabel}</span>
+                </td>
+                <td>
+                  <span className={levelClass(issue.level)}>{issue.level}</span>
+                </td>
+                <td>{issue.validator ?? '—'}</td>
+                <td>{issue.path ?? '—'}</td>
+                <td>{issue.msg}</td>
+              </tr>
+            )),
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default ValidationIssues
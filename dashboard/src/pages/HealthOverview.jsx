@@ -3,8 +3,11 @@ import Card from '../components/common/Card.jsx'
 import TrendChart from '../components/charts/TrendChart.jsx'
 import ScoreBreakdown from '../components/charts/ScoreBreakdown.jsx'
 import HealthScoreDashboard from '../components/health/HealthScoreDashboard.jsx'
+import ValidationIssues from '../components/insights/ValidationIssues.jsx'
+import DeprecationList from '../components/insights/DeprecationList.jsx'
 import { useHealthScore } from '../hooks/useHealthScore.js'
 import { useHealthHistory } from '../hooks/useHealthHistory.js'
+import { buildLifecycleInsights, buildValidationInsights } from '../utils/insightsTransforms.js'
 
 const HealthOverview = () => {
   const healthScore = useHealthScore()
@@ -15,6 +18,16 @@ const HealthOverview = () => {
     return `Last ${days}-day window`
   }, [healthHistory.data])
 
+  const validation = useMemo(
+    () => buildValidationInsights(healthScore.data),
+    [healthScore.data],
+  )
+
+  const lifecycle = useMemo(
+    () => buildLifecycleInsights(healthScore.data),
+    [healthScore.data],
+  )
+
   const handleRefresh = () => {
     healthScore.refetch()
     healthHistory.refetch()
@@ -46,6 +59,24 @@ const HealthOverview = () => {
           />
         </Card>
       </div>
+
+      {validation.stats.validatedProtocols > 0 ? (
+        <Card
+          title="Validator Issues"
+          subtitle={`${validation.stats.errors} errors · ${validation.stats.warnings} warnings`}
+        >
+          <ValidationIssues items={validation.items} />
+        </Card>
+      ) : null}
+
+      {lifecycle.stats.deprecated > 0 ? (
+        <Card
+          title="Deprecations & Sunsets"
+          subtitle={`${lifecycle.stats.upcomingSunsets} upcoming · ${lifecycle.stats.pastSunsets} past · ${lifecycle.stats.missingMigration} without migration guidance`}
+        >
+          <DeprecationList items={lifecycle.items} />
+        </Card>
+      ) : null}
     </div>
   )
 }
@@ -30,8 +30,13 @@ export const normalizeTimestamp = (value) => {
   return parsed ? parsed.toISOString() : null
 }
 
-export const gradeFromScore = (score) => {
+export const gradeFromScore = (score, grades) => {
   if (!Number.isFinite(score)) return 'N/A'
+  if (grades && typeof grades === 'object' && Object.keys(grades).length) {
+    const bands = Object.entries(grades).sort((a, b) => b[1] - a[1])
+    const match = bands.find(([, min]) => score >= min)
+    return (match ?? bands[bands.length - 1])[0]
+  }
   if (score >= 90) return 'A'
   if (score >= 80) return 'B'
   if (score >= 70) return 'C'
@@ -180,7 +185,8 @@ const summarizeProtocols = (protocols = []) => {
 export const buildRunSummary = (run) => {
   if (!run) return null
   const score = clampScore(run.overallHealthScore ?? run.score ?? 0, 0)
-  const grade = gradeFromScore(score)
+  const scoringProfile = run.scoringProfile ?? null
+  const grade = gradeFromScore(score, scoringProfile?.grades)
   const status = statusFromScore(score)
   const updatedAt = normalizeTimestamp(run.runTimestamp)
   const breakdown =
@@ -198,6 +204,7 @@ export const buildRunSummary = (run) => {
     status,
     updatedAt,
     totalProtocols,
+    scoringProfile,
     protocols: run.protocols ?? [],
     breakdown,
     metrics: {
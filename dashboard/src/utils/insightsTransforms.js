@@ -7,6 +7,10 @@ const TYPE_LABELS = {
   docs: 'Docs',
   documentation: 'Docs',
   semantic: 'Semantic',
+  event: 'Event',
+  ui: 'UI',
+  agent: 'Agent',
+  identity: 'Identity',
   unknown: 'Unknown',
 }
 
@@ -92,6 +96,7 @@ const normalizeFreshnessEntry = (protocol, runDate) => {
     isStale: Boolean(freshness.isStale),
     lastCodeChange,
     lastDocUpdate,
+    timestampSources: freshness.timestampSources ?? {},
     daysSinceCodeChange: freshness.daysSinceCodeChange ?? null,
     daysSinceDocUpdate: freshness.daysSinceDocUpdate ?? null,
     thresholdDays: freshness.thresholdDays ?? null,
@@ -137,6 +142,16 @@ const gapTypeFromProtocol = (protocolType) => {
     case 'docs':
     case 'documentation':
       return 'docs-section'
+    case 'event':
+      return 'event-field'
+    case 'ui':
+      return 'ui-component'
+    case 'agent':
+      return 'agent-capability'
+    case 'identity':
+      return 'identity-role'
+    case 'semantic':
+      return 'semantic-binding'
     default:
       return 'artifact'
   }
@@ -188,7 +203,7 @@ const normalizeCoverageGap = (protocol, runDate) => {
   const severity = severityFromCoverage(percent ?? 0)
 
   return missingEntries.map((gap, index) => {
-    const gapId = `${protocolId}-${gap.fieldName ?? gap.stepId ?? gap.path ?? index}`
+    const gapId = `${protocolId}-${gap.fieldName ?? gap.stepId ?? gap.path ?? gap.reference ?? index}`
     const missingFields = Array.isArray(gap.missingFields) ? gap.missingFields : []
     const reference = formatReference(type, gap)
     const issue =
@@ -238,6 +253,87 @@ export const buildCoverageGapInsights = (run) => {
   }
 }
 
+const VALIDATION_LEVEL_ORDER = ['error', 'warning', 'info']
+
+const normalizeValidationEntry = (protocol) => {
+  const raw = protocol?.rawAnalysisOutput ?? {}
+  const validation = raw.validation
+  const issues = Array.isArray(validation?.issues) ? validation.issues : []
+  if (!issues.length) {
+    return null
+  }
+
+  const protocolId = raw.id ?? protocol?.protocolName ?? protocol?.snapshotId ?? 'unknown'
+  const type = normalizeProtocolType(raw.type, protocol?.protocolName)
+  const sortedIssues = [...issues].sort(
+    (a, b) => VALIDATION_LEVEL_ORDER.indexOf(a.level) - VALIDATION_LEVEL_ORDER.indexOf(b.level),
+  )
+
+  return {
+    id: protocolId,
+    protocolName: protocol?.protocolName ?? protocolId,
+    filePath: protocol?.filePath ?? null,
+    type,
+    typeLabel: TYPE_LABELS[type] ?? TYPE_LABELS.unknown,
+    ok: validation.ok !== false,
+    issues: sortedIssues,
+    errorCount: issues.filter((issue) => issue.level === 'error').length,
+    warningCount: issues.filter((issue) => issue.level === 'warning').length,
+  }
+}
+
+export const buildValidationInsights = (run) => {
+  const protocols = Array.isArray(run?.protocols) ? run.protocols : []
+  const items = protocols.map(normalizeValidationEntry).filter(Boolean)
+  items.sort((a, b) => b.errorCount - a.errorCount || b.warningCount - a.warningCount)
+
+  return {
+    items,
+    stats: {
+      validatedProtocols: protocols.filter((protocol) => protocol?.rawAnalysisOutput?.validation)
+        .length,
+      errors: items.reduce((sum, item) => sum + item.errorCount, 0),
+      warnings: items.reduce((sum, item) => sum + item.warningCount, 0),
+    },
+  }
+}
+
+const SUNSET_ORDER = ['past', 'upcoming', 'scheduled', 'none']
+
+export const buildLifecycleInsights = (run) => {
+  const protocols = Array.isArray(run?.protocols) ? run.protocols : []
+  const items = protocols.flatMap((protocol) => {
+    const raw = protocol?.rawAnalysisOutput ?? {}
+    const entries = Array.isArray(raw.lifecycle?.items) ? raw.lifecycle.items : []
+    const protocolId = raw.id ?? protocol?.protocolName ?? protocol?.snapshotId ?? 'unknown'
+    return entries.map((entry, index) => ({
+      id: `${protocolId}-${index}`,
+      protocolName: protocol?.protocolName ?? protocolId,
+      kind: entry.kind,
+      name: entry.name,
+      sunset: entry.sunset ?? 'none',
+      sunsetAt: entry.sunsetAt ?? null,
+      daysUntilSunset: entry.daysUntilSunset ?? null,
+      migration: entry.migration ?? null,
+    }))
+  })
+  items.sort(
+    (a, b) =>
+      SUNSET_ORDER.indexOf(a.sunset) - SUNSET_ORDER.indexOf(b.sunset) ||
+      (a.daysUntilSunset ?? Infinity) - (b.daysUntilSunset ?? Infinity),
+  )
+
+  return {
+    items,
+    stats: {
+      deprecated: items.length,
+      upcomingSunsets: items.filter((item) => item.sunset === 'upcoming').length,
+      pastSunsets: items.filter((item) => item.sunset === 'past').length,
+      missingMigration: items.filter((item) => !item.migration).length,
+    },
+  }
+}
+
 export const buildFilterOptions = (typeCounts = {}, total = 0) => {
   const entries = Object.entries(typeCounts)
     .sort((a, b) => a[0].localeCompare(b[0]))
@@ -0,0 +1,43 @@
+import { describe, expect, test } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import DeprecationList from '../../src/components/insights/DeprecationList.jsx'
+
+const sampleItems = [
+  {
+    id: 'orders-0',
+    protocolName: 'orders',
+    kind: 'endpoint',
+    name: 'GET /orders',
+    sunset: 'past',
+    sunsetAt: '2025-01-01',
+    daysUntilSunset: -12,
+    migration: null,
+  },
+  {
+    id: 'orders-1',
+    protocolName: 'orders',
+    kind: 'service',
+    name: 'orders',
+    sunset: 'upcoming',
+    sunsetAt: '2025-03-01',
+    daysUntilSunset: 30,
+    migration: 'Replaced by orders-v2',
+  },
+]
+
+describe('DeprecationList', () => {
+  test('renders sunset status and migration guidance per item', () => {
+    render(<DeprecationList items={sampleItems} />)
+
+    expect(screen.getByText('GET /orders')).toBeInTheDocument()
+    expect(screen.getByText('past')).toHaveClass('severity-badge--critical')
+    expect(screen.getByText('2025-01-01 (12 days ago)')).toBeInTheDocument()
+    expect(screen.getByText('Missing migration guidance')).toBeInTheDocument()
+    expect(screen.getByText('Replaced by orders-v2')).toBeInTheDocument()
+  })
+
+  test('shows empty message when nothing is deprecated', () => {
+    render(<DeprecationList items={[]} />)
+    expect(screen.getByText(/No deprecated APIs/i)).toBeInTheDocument()
+  })
+})
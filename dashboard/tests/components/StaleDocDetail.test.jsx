@@ -26,6 +26,16 @@ describe('StaleDocDetail', () => {
     expect(screen.getByText('Update docs')).toBeInTheDocument()
   })
 
+  test('labels where each timestamp came from', () => {
+    render(
+      <StaleDocDetail
+        item={{ ...sampleItem, timestampSources: { lastCodeChange: 'git', lastDocUpdate: 'manifest' } }}
+      />
+    )
+    expect(screen.getByText(/\(git\)/)).toBeInTheDocument()
+    expect(screen.getByText(/\(manifest\)/)).toBeInTheDocument()
+  })
+
   test('shows placeholder when no item is selected', () => {
     render(<StaleDocDetail item={null} />)
     expect(screen.getByText(/Select a protocol/i)).toBeInTheDocument()
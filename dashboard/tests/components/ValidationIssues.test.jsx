@@ -0,0 +1,31 @@
+import { describe, expect, test } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import ValidationIssues from '../../src/components/insights/ValidationIssues.jsx'
+
+const sampleItems = [
+  {
+    id: 'orders',
+    protocolName: 'orders',
+    typeLabel: 'Data',
+    issues: [
+      { validator: 'schema.keys', path: 'keys.primary_key', level: 'error', msg: 'unknown field' },
+      { validator: 'core.shape', path: null, level: 'warning', msg: 'missing owner' },
+    ],
+  },
+]
+
+describe('ValidationIssues', () => {
+  test('renders one row per issue with its path and level', () => {
+    render(<ValidationIssues items={sampleItems} />)
+
+    expect(screen.getByText('keys.primary_key')).toBeInTheDocument()
+    expect(screen.getByText('unknown field')).toBeInTheDocument()
+    expect(screen.getByText('error')).toHaveClass('severity-badge--critical')
+    expect(screen.getByText('warning')).toHaveClass('severity-badge--medium')
+  })
+
+  test('shows empty message when every validator passed', () => {
+    render(<ValidationIssues items={[]} />)
+    expect(screen.getByText(/No validator issues/i)).toBeInTheDocument()
+  })
+})
@@ -88,6 +88,48 @@ describe('health API routes', () => {
     expect(response.body.result.protocols[0]).toHaveProperty('rawAnalysisOutput')
   })
 
+  test('GET /api/health/current returns the scoring profile stored with the run', async () => {
+    const scoringProfile = {
+      name: 'strict',
+      source: 'config',
+      weights: { freshness: 0.5, coverage: 0.3, validation: 0.2 },
+      grades: { A: 95, B: 85, C: 75, F: 0 },
+    }
+    await request(app)
+      .post('/api/health/analyze')
+      .send({
+        overallHealthScore: 88,
+        scoringProfile,
+        protocols: [{ protocolName: 'api', filePath: 'src/api.js', healthScore: 88 }],
+      })
+      .expect(201)
+
+    const response = await request(app).get('/api/health/current').expect(200)
+
+    expect(response.body.result.scoringProfile).toEqual(scoringProfile)
+  })
+
+  test('applyMigrations adds the scoring_profile column to existing databases', () => {
+    const legacy = new Database(':memory:')
+    legacy.exec(`CREATE TABLE analysis_runs (
+      run_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_timestamp INTEGER NOT NULL,
+      overall_health_score REAL NOT NULL,
+      total_protocols_analyzed INTEGER NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
+    )`)
+    legacy.exec(`INSERT INTO analysis_runs (run_timestamp, overall_health_score, total_protocols_analyzed)
+      VALUES (1738368000, 70, 1)`)
+
+    applyMigrations(legacy)
+    applyMigrations(legacy)
+
+    const columns = legacy.prepare('PRAGMA table_info(analysis_runs)').all().map((column) => column.name)
+    expect(columns).toContain('scoring_profile')
+    expect(new HealthRepository(legacy).getLatestRun().scoring_profile).toBeNull()
+    legacy.close()
+  })
+
   test('GET /api/health/history filters by day window', async () => {
     repository.recordAnalysisRun({
       runTimestamp: Date.now(),
@@ -119,4 +161,13 @@ describe('health API routes', () => {
 
     expect(response.body.details).toContain('At least one protocol snapshot is required')
   })
+
+  test('POST /api/health/analyze rejects a non-object scoring profile', async () => {
+    const response = await request(app)
+      .post('/api/health/analyze')
+      .send({ scoringProfile: 'strict', protocols: [{ protocolName: 'api' }] })
+      .expect(400)
+
+    expect(response.body.details).toContain('scoringProfile must be an object when provided')
+  })
 })
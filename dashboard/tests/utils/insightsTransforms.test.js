@@ -3,6 +3,8 @@ import {
   buildCoverageGapInsights,
   buildFilterOptions,
   buildStaleDocInsights,
+  buildValidationInsights,
+  buildLifecycleInsights,
   severityRank,
 } from '../../src/utils/insightsTransforms.js'
 import { createSampleRun } from '../fixtures/runSamples.js'
@@ -44,6 +46,95 @@ describe('insightsTransforms', () => {
     expect(apiGap.recommendations).toContain('Document 5 endpoints')
   })
 
+  test('buildCoverageGapInsights labels gaps from newer protocol types', () => {
+    const run = {
+      runTimestamp: '2025-01-01T00:00:00Z',
+      protocols: [
+        {
+          protocolName: 'Checkout Button',
+          rawAnalysisOutput: {
+            id: 'Button',
+            type: 'ui',
+            coverage: {
+              coveragePercentage: 0.5,
+              totalItems: 2,
+              documentedItems: 1,
+              missingDocumentation: [
+                { kind: 'prop', name: 'variant', reference: 'prop variant', missingFields: ['description'] },
+              ],
+            },
+          },
+        },
+      ],
+    }
+    const [gap] = buildCoverageGapInsights(run).gaps
+
+    expect(gap.id).toBe('Button-prop variant')
+    expect(gap.reference).toBe('prop variant')
+    expect(gap.typeLabel).toBe('UI')
+    expect(gap.gapType).toBe('ui-component')
+    expect(gap.issue).toBe('Missing: description')
+  })
+
+  test('buildValidationInsights lists validator issues per protocol, errors first', () => {
+    const run = {
+      protocols: [
+        {
+          protocolName: 'orders',
+          rawAnalysisOutput: {
+            id: 'orders',
+            type: 'data',
+            validation: {
+              ok: false,
+              validators: [{ name: 'schema.keys', ok: false }],
+              issues: [
+                { validator: 'core.shape', path: 'dataset', level: 'warning', msg: 'missing owner' },
+                { validator: 'schema.keys', path: 'keys.primary_key', level: 'error', msg: 'unknown field' },
+              ],
+            },
+          },
+        },
+        {
+          protocolName: 'billing',
+          rawAnalysisOutput: { id: 'billing', type: 'api', validation: { ok: true, validators: [], issues: [] } },
+        },
+        { protocolName: 'legacy', rawAnalysisOutput: { id: 'legacy', type: 'api' } },
+      ],
+    }
+    const result = buildValidationInsights(run)
+
+    expect(result.stats).toEqual({ validatedProtocols: 2, errors: 1, warnings: 1 })
+    expect(result.items).toHaveLength(1)
+    expect(result.items[0]).toMatchObject({ protocolName: 'orders', typeLabel: 'Data', ok: false })
+    expect(result.items[0].issues.map((issue) => issue.level)).toEqual(['error', 'warning'])
+  })
+
+  test('buildLifecycleInsights lists deprecated items, past sunsets first', () => {
+    const run = {
+      protocols: [
+        {
+          protocolName: 'orders',
+          rawAnalysisOutput: {
+            id: 'orders',
+            type: 'api',
+            lifecycle: {
+              items: [
+                { kind: 'endpoint', name: 'GET /orders', sunset: 'upcoming', sunsetAt: '2025-03-01', daysUntilSunset: 30, migration: 'Use /v2/orders instead' },
+                { kind: 'endpoint', name: 'POST /orders', sunset: 'past', sunsetAt: '2025-01-01', daysUntilSunset: -12, migration: null },
+              ],
+            },
+          },
+        },
+        { protocolName: 'billing', rawAnalysisOutput: { id: 'billing', type: 'api' } },
+      ],
+    }
+    const result = buildLifecycleInsights(run)
+
+    expect(result.stats).toEqual({ deprecated: 2, upcomingSunsets: 1, pastSunsets: 1, missingMigration: 1 })
+    expect(result.items.map((item) => item.name)).toEqual(['POST /orders', 'GET /orders'])
+    expect(result.items[0]).toMatchObject({ protocolName: 'orders', kind: 'endpoint', migration: null })
+  })
+
   test('buildFilterOptions injects all option entries', () => {
     const options = buildFilterOptions({ api: 2, data: 1 }, 3)
     expect(options).toHaveLength(3)
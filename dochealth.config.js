@@ -5,16 +5,16 @@ module.exports = {
     data: './src/data_protocol_*.js',
     workflow: './src/workflow_protocol_*.js',
     documentation: './src/*documentation*protocol*.js',
-    semantic: './src/semantic_protocol_*.js'
+    semantic: './src/*semantic*protocol*.js'
   },
   
-  // Health check thresholds
+  // Health check thresholds (--threshold overrides healthScore)
   thresholds: {
     healthScore: 70,
     maxStaleDays: 30
   },
   
-  // Output settings
+  // Generator output settings (--format / --output override these)
   output: {
     format: 'markdown',
     directory: './docs'
@@ -2,19 +2,34 @@
  * Freshness Analyzer - Detect stale documentation by comparing code vs doc timestamps
  */
 
+const { getProtocolWeights } = require('./scoring');
+const { findWaiver } = require('./waivers');
+const { analyzeContentQuality, isDocumentationText } = require('./content-quality');
+const { analyzeLifecycle } = require('./lifecycle');
+
 /**
  * Extract timestamps from protocol manifest
  * @param {Object} manifest - Protocol manifest object
- * @returns {Object} - { lastCodeChange, lastDocUpdate, hasTimestamps }
+ * @param {Object} [gitTimestamps] - Git-derived timestamps (from git-freshness), preferred
+ *   over the manifest values when present
+ * @returns {Object} - { lastCodeChange, lastDocUpdate, hasTimestamps, sources }
  */
-function extractTimestamps(manifest) {
-  const lastCodeChange = manifest?.maintenance?.freshness_check?.last_code_change_at;
-  const lastDocUpdate = manifest?.lifecycle?.updated_at;
+function extractTimestamps(manifest, gitTimestamps = {}) {
+  const manifestCodeChange = manifest?.maintenance?.freshness_check?.last_code_change_at;
+  const manifestDocUpdate = manifest?.lifecycle?.updated_at;
+  const lastCodeChange = gitTimestamps.lastCodeChange || manifestCodeChange;
+  const lastDocUpdate = gitTimestamps.lastDocUpdate || manifestDocUpdate;
+  const sourceOf = (gitValue, manifestValue) =>
+    (gitValue ? 'git' : manifestValue ? 'manifest' : null);
   
   return {
     lastCodeChange,
     lastDocUpdate,
-    hasTimestamps: !!(lastCodeChange && lastDocUpdate)
+    hasTimestamps: !!(lastCodeChange && lastDocUpdate),
+    sources: {
+      lastCodeChange: sourceOf(gitTimestamps.lastCodeChange, manifestCodeChange),
+      lastDocUpdate: sourceOf(gitTimestamps.lastDocUpdate, manifestDocUpdate)
+    }
   };
 }
 
@@ -36,11 +51,17 @@ function daysBetween(date1, date2) {
  * @param {Object} manifest - Protocol manifest object
  * @param {Object} options - Options
  * @param {number} options.thresholdDays - Days threshold for staleness (default: 7)
+ * @param {Object} options.gitTimestamps - Git-derived timestamps for this manifest
  * @returns {Object} - Staleness analysis
  */
 function checkStaleness(manifest, options = {}) {
   const { thresholdDays = 7 } = options;
-  const { lastCodeChange, lastDocUpdate, hasTimestamps } = extractTimestamps(manifest);
+  const {
+    lastCodeChange,
+    lastDocUpdate,
+    hasTimestamps,
+    sources: timestampSources
+  } = extractTimestamps(manifest, options.gitTimestamps);
   
   // Check if freshness checking is enabled
   const freshnessEnabled = manifest?.maintenance?.freshness_check?.enabled !== false;
@@ -52,7 +73,8 @@ function checkStaleness(manifest, options = {}) {
       enabled: false,
       hasTimestamps,
       lastCodeChange,
-      lastDocUpdate
+      lastDocUpdate,
+      timestampSources
     };
   }
   
@@ -64,7 +86,8 @@ function checkStaleness(manifest, options = {}) {
       enabled: true,
       hasTimestamps: false,
       lastCodeChange,
-      lastDocUpdate
+      lastDocUpdate,
+      timestampSources
     };
   }
   
@@ -82,7 +105,8 @@ function checkStaleness(manifest, options = {}) {
       enabled: true,
       hasTimestamps: true,
       lastCodeChange,
-      lastDocUpdate
+      lastDocUpdate,
+      timestampSources
     };
   }
   
@@ -99,7 +123,8 @@ function checkStaleness(manifest, options = {}) {
     enabled: true,
     hasTimestamps: true,
     lastCodeChange,
-    lastDocUpdate
+    lastDocUpdate,
+    timestampSources
   };
 }
 
@@ -183,47 +208,95 @@ function analyzeFreshness(manifest, options = {}) {
     hasTimestamps: staleness.hasTimestamps,
     lastCodeChange: staleness.lastCodeChange,
     lastDocUpdate: staleness.lastDocUpdate,
+    timestampSources: staleness.timestampSources,
     recommendations,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Best-effort identifier for a manifest of any protocol type
+ * @param {Object} manifest - Protocol manifest
+ * @returns {string}
+ */
+function getManifestId(manifest) {
+  return manifest?.documentation?.id || manifest?.service?.name || manifest?.dataset?.name
+    || manifest?.workflow?.id || manifest?.event?.name || manifest?.component?.name
+    || manifest?.agent?.name || manifest?.identity?.id || manifest?.id || 'unknown';
+}
+
+/**
+ * Analyze a single protocol manifest (freshness, coverage and combined score)
+ * @param {Object} manifest - Protocol manifest
+ * @param {string} protocolType - Loader protocol type
+ * @param {Object} options - Same options as analyzeMultipleProtocols(), with
+ *   `gitTimestamps` holding this manifest's git timestamps
+ * @returns {Object} - Per-protocol result ({id, type, freshness, coverage, combined}),
+ *   plus `lifecycle` for API protocols
+ */
+function analyzeProtocol(manifest, protocolType = 'unknown', options = {}) {
+  const freshnessAnalysis = analyzeFreshness(manifest, options);
+  const coverageAnalysis = analyzeCoverage(manifest, protocolType, { quality: options.quality });
+  const combinedAnalysis = calculateCombinedHealthScore(
+    freshnessAnalysis,
+    coverageAnalysis,
+    getProtocolWeights(options.scoringProfile, protocolType)
+  );
+  const lifecycleAnalysis = analyzeLifecycle(manifest, protocolType, options.lifecycle);
+
+  return {
+    id: getManifestId(manifest),
+    type: protocolType,
+    freshness: freshnessAnalysis,
+    coverage: coverageAnalysis,
+    combined: combinedAnalysis,
+    ...(lifecycleAnalysis ? { lifecycle: lifecycleAnalysis } : {})
+  };
+}
+
 /**
  * Analyze multiple protocols and return aggregated results
  * @param {Array} manifests - Array of protocol manifests
  * @param {Array} protocolTypes - Array of protocol types corresponding to manifests
  * @param {Object} options - Analysis options
+ * @param {number} options.thresholdDays - Days before docs are considered stale
+ * @param {Object} options.scoringProfile - Result from scoring.resolveScoringProfile()
+ * @param {Object} options.quality - config.quality for content quality linting
+ * @param {Object} options.lifecycle - config.lifecycle for API deprecations and sunsets
+ * @param {Array<Object>} options.gitTimestamps - Per-manifest git timestamps (same order as manifests)
  * @returns {Object} - Aggregated analysis results
  */
 function analyzeMultipleProtocols(manifests, protocolTypes = [], options = {}) {
-  const results = manifests.map((manifest, index) => {
-    const protocolType = protocolTypes[index] || 'unknown';
-    const freshnessAnalysis = analyzeFreshness(manifest, options);
-    const coverageAnalysis = analyzeCoverage(manifest, protocolType);
-    const combinedAnalysis = calculateCombinedHealthScore(freshnessAnalysis, coverageAnalysis);
-    
-    return {
-      id: manifest?.documentation?.id || manifest?.service?.name || manifest?.dataset?.name || manifest?.workflow?.id || 'unknown',
-      type: protocolType,
-      freshness: freshnessAnalysis,
-      coverage: coverageAnalysis,
-      combined: combinedAnalysis
-    };
-  });
-  
+  const results = manifests.map((manifest, index) => analyzeProtocol(
+    manifest,
+    protocolTypes[index] || 'unknown',
+    { ...options, gitTimestamps: options.gitTimestamps?.[index] }
+  ));
+
+  return summarizeProtocolResults(results);
+}
+
+/**
+ * Aggregate per-protocol results from analyzeProtocol()
+ * @param {Array<Object>} results - Per-protocol analysis results
+ * @returns {Object} - Aggregated analysis results
+ */
+function summarizeProtocolResults(results) {
   const total = results.length;
-  const staleCount = results.filter(r => r.freshness.isStale).length;
+  // Waived freshness/coverage issues (see waivers.applyWaivers) are left out of scoring
+  const freshnessScored = results.filter(r => !findWaiver(r, 'freshness', 'timestamp'));
+  const coverageScored = results.filter(r => !findWaiver(r, 'coverage'));
+  const staleCount = freshnessScored.filter(r => r.freshness.isStale).length;
   const enabledCount = results.filter(r => r.freshness.enabled).length;
   const hasTimestampsCount = results.filter(r => r.freshness.hasTimestamps).length;
   
-  // Calculate average scores
-  const avgFreshnessScore = total > 0
-    ? results.reduce((sum, r) => sum + r.freshness.freshnessScore, 0) / total
-    : 0;
-  
-  const avgCoverageScore = total > 0
-    ? results.reduce((sum, r) => sum + r.coverage.coverageScore, 0) / total
-    : 0;
+  // Calculate average scores; fully waived categories count as perfect
+  const average = (scored, score) => {
+    if (total === 0) return 0;
+    return scored.length > 0 ? scored.reduce((sum, r) => sum + score(r), 0) / scored.length : 1;
+  };
+  const avgFreshnessScore = average(freshnessScored, r => r.freshness.freshnessScore);
+  const avgCoverageScore = average(coverageScored, r => r.coverage.coverageScore);
   
   const avgCombinedScore = total > 0
     ? results.reduce((sum, r) => sum + r.combined.combinedScore, 0) / total
@@ -236,9 +309,22 @@ function analyzeMultipleProtocols(manifests, protocolTypes = [], options = {}) {
   }, {});
   
   // Coverage-specific aggregations
-  const totalItems = results.reduce((sum, r) => sum + (r.coverage.totalItems || 0), 0);
-  const documentedItems = results.reduce((sum, r) => sum + (r.coverage.documentedItems || 0), 0);
+  const sumCoverage = key => coverageScored.reduce((sum, r) => sum + (r.coverage[key] || 0), 0);
+  const sumQuality = key =>
+    coverageScored.reduce((sum, r) => sum + (r.coverage.quality?.[key] || 0), 0);
+  const totalItems = sumCoverage('totalItems');
+  const documentedItems = sumCoverage('documentedItems');
   const overallCoveragePercentage = totalItems > 0 ? documentedItems / totalItems : 0;
+  const checkedTexts = sumQuality('checkedItems');
+  const flaggedTexts = sumQuality('flaggedItems');
+
+  // Validator checks (see validation.runProtocolValidators), folded into the validation score
+  const validated = results.filter(r => r.validation);
+  const validatorChecks = validated.flatMap(r => r.validation.validators);
+  const validatorIssues = validated.flatMap(r => r.validation.issues);
+
+  // API deprecations and sunsets (see lifecycle.analyzeLifecycle)
+  const sumLifecycle = key => results.reduce((sum, r) => sum + (r.lifecycle?.[key] || 0), 0);
   
   return {
     total,
@@ -253,12 +339,34 @@ function analyzeMultipleProtocols(manifests, protocolTypes = [], options = {}) {
     protocols: results,
     summary: {
       overallStatus: staleCount === 0 ? 'healthy' : staleCount > total / 2 ? 'critical' : 'warning',
-      needsAttention: results.filter(r => r.freshness.isStale || !r.freshness.hasTimestamps || r.coverage.coveragePercentage < 0.5)
+      needsAttention: results.filter(r => (!findWaiver(r, 'freshness', 'timestamp')
+        && (r.freshness.isStale || !r.freshness.hasTimestamps))
+        || (!findWaiver(r, 'coverage') && r.coverage.coveragePercentage < 0.5))
     },
     coverageSummary: {
       totalItems,
       documentedItems,
       coveragePercentage: Math.round(overallCoveragePercentage * 100)
+    },
+    qualitySummary: {
+      checkedItems: checkedTexts,
+      flaggedItems: flaggedTexts,
+      qualityPercentage: checkedTexts > 0
+        ? Math.round(((checkedTexts - flaggedTexts) / checkedTexts) * 100)
+        : 100
+    },
+    validationSummary: {
+      protocols: validated.length,
+      checks: validatorChecks.length,
+      passed: validatorChecks.filter(check => check.ok).length,
+      errors: validatorIssues.filter(issue => issue.level === 'error').length,
+      warnings: validatorIssues.filter(issue => issue.level === 'warning').length
+    },
+    lifecycleSummary: {
+      deprecated: sumLifecycle('deprecated'),
+      upcomingSunsets: sumLifecycle('upcomingSunsets'),
+      pastSunsets: sumLifecycle('pastSunsets'),
+      missingMigration: sumLifecycle('missingMigration')
     }
   };
 }
@@ -266,9 +374,10 @@ function analyzeMultipleProtocols(manifests, protocolTypes = [], options = {}) {
 /**
  * Calculate coverage score for API protocol endpoints
  * @param {Object} manifest - API protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
  * @returns {Object} - Coverage analysis for API endpoints
  */
-function analyzeAPICoverage(manifest) {
+function analyzeAPICoverage(manifest, quality = {}) {
   const endpoints = manifest?.interface?.endpoints || [];
   const totalEndpoints = endpoints.length;
   
@@ -288,8 +397,8 @@ function analyzeAPICoverage(manifest) {
   const missingDocs = [];
   
   endpoints.forEach((endpoint, index) => {
-    const hasSummary = !!endpoint.summary;
-    const hasDescription = !!endpoint.description;
+    const hasSummary = isDocumentationText(endpoint.summary, quality);
+    const hasDescription = isDocumentationText(endpoint.description, quality);
     const hasParams = Array.isArray(endpoint.params) && endpoint.params.length > 0;
     const hasResponses = Array.isArray(endpoint.responses) && endpoint.responses.length > 0;
     
@@ -342,9 +451,10 @@ function analyzeAPICoverage(manifest) {
 /**
  * Calculate coverage score for Data protocol fields
  * @param {Object} manifest - Data protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
  * @returns {Object} - Coverage analysis for data fields
  */
-function analyzeDataCoverage(manifest) {
+function analyzeDataCoverage(manifest, quality = {}) {
   const fields = manifest?.schema?.fields || {};
   const fieldNames = Object.keys(fields);
   const totalFields = fieldNames.length;
@@ -366,7 +476,7 @@ function analyzeDataCoverage(manifest) {
   
   fieldNames.forEach(fieldName => {
     const field = fields[fieldName];
-    const hasDescription = !!field?.description;
+    const hasDescription = isDocumentationText(field?.description, quality);
     
     // Consider field documented if it has description
     if (hasDescription) {
@@ -407,9 +517,10 @@ function analyzeDataCoverage(manifest) {
 /**
  * Calculate coverage score for Workflow protocol steps
  * @param {Object} manifest - Workflow protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
  * @returns {Object} - Coverage analysis for workflow steps
  */
-function analyzeWorkflowCoverage(manifest) {
+function analyzeWorkflowCoverage(manifest, quality = {}) {
   const steps = manifest?.steps || [];
   const totalSteps = steps.length;
   
@@ -429,7 +540,7 @@ function analyzeWorkflowCoverage(manifest) {
   const missingDocs = [];
   
   steps.forEach((step, index) => {
-    const hasDescription = !!step.description;
+    const hasDescription = isDocumentationText(step.description, quality);
     const hasId = !!step.id;
     const hasType = !!step.type;
     
@@ -477,13 +588,275 @@ function analyzeWorkflowCoverage(manifest) {
   };
 }
 
+/**
+ * Summarize per-item documentation checks into the coverage result shape
+ * shared by every analyzer. Items with no missing fields count as documented.
+ * @param {Array<{kind: string, name: string, missingFields: string[]}>} items
+ * @param {Object} labels
+ * @param {string} labels.noun - Plural noun for recommendations (e.g. "payload fields")
+ * @param {string} labels.empty - Recommendation when there is nothing to check
+ * @returns {Object} - Coverage analysis with a per-kind breakdown
+ */
+function summarizeCoverage(items, labels) {
+  if (items.length === 0) {
+    return {
+      coverageScore: 0,
+      totalItems: 0,
+      documentedItems: 0,
+      coveragePercentage: 0,
+      breakdown: {},
+      missingDocumentation: [],
+      recommendations: [labels.empty]
+    };
+  }
+
+  const breakdown = {};
+  const missingDocs = [];
+
+  items.forEach(item => {
+    const counts = breakdown[item.kind] || (breakdown[item.kind] = { total: 0, documented: 0 });
+    counts.total++;
+    if (item.missingFields.length === 0) {
+      counts.documented++;
+    } else {
+      missingDocs.push({
+        kind: item.kind,
+        name: item.name,
+        reference: `${item.kind} ${item.name}`,
+        missingFields: item.missingFields
+      });
+    }
+  });
+
+  const totalItems = items.length;
+  const documentedCount = totalItems - missingDocs.length;
+  const coveragePercentage = documentedCount / totalItems;
+
+  const recommendations = [];
+  if (documentedCount === 0) {
+    recommendations.push(`No ${labels.noun} are documented`);
+  } else if (documentedCount < totalItems) {
+    recommendations.push(`${totalItems - documentedCount} ${labels.noun} need documentation`);
+  }
+  if (missingDocs.length > 0) {
+    const example = missingDocs[0];
+    recommendations.push(`Example: ${example.reference} missing: ${example.missingFields.join(', ')}`);
+  }
+
+  return {
+    coverageScore: coveragePercentage,
+    totalItems,
+    documentedItems: documentedCount,
+    coveragePercentage,
+    breakdown,
+    missingDocumentation: missingDocs,
+    recommendations
+  };
+}
+
+/**
+ * Calculate coverage score for Event protocol payload fields
+ * @param {Object} manifest - Event protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
+ * @returns {Object} - Coverage analysis for payload fields
+ */
+function analyzeEventCoverage(manifest, quality = {}) {
+  // Prefer the flat field list; fall back to the JSON Schema payload
+  const fields = Array.isArray(manifest?.schema?.fields) && manifest.schema.fields.length > 0
+    ? manifest.schema.fields
+    : Object.entries(manifest?.schema?.payload?.properties || {})
+      .map(([name, schema]) => ({ name, description: schema?.description }));
+
+  const items = fields.map((field, index) => ({
+    kind: 'field',
+    name: field.name || `field_${index}`,
+    missingFields: isDocumentationText(field.description, quality) ? [] : ['description']
+  }));
+
+  return summarizeCoverage(items, {
+    noun: 'payload fields',
+    empty: 'No payload fields found in event schema'
+  });
+}
+
+/**
+ * Calculate coverage score for UI component props and states
+ * @param {Object} manifest - UI component protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
+ * @returns {Object} - Coverage analysis for props and states
+ */
+function analyzeUICoverage(manifest, quality = {}) {
+  const props = manifest?.data?.props || [];
+  const states = manifest?.behavior?.states || {};
+
+  const items = [
+    ...props.map((prop, index) => ({
+      kind: 'prop',
+      name: prop.name || `prop_${index}`,
+      missingFields: isDocumentationText(prop.description, quality) ? [] : ['description']
+    })),
+    ...Object.entries(states).map(([name, state]) => ({
+      kind: 'state',
+      name,
+      missingFields: isDocumentationText(state?.description, quality) ? [] : ['description']
+    }))
+  ];
+
+  return summarizeCoverage(items, {
+    noun: 'props and states',
+    empty: 'No props or states found in UI component'
+  });
+}
+
+/**
+ * Calculate coverage score for Agent protocol tools, resources and prompts
+ * @param {Object} manifest - Agent protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
+ * @returns {Object} - Coverage analysis for agent capabilities
+ */
+function analyzeAgentCoverage(manifest, quality = {}) {
+  const capabilities = manifest?.capabilities || {};
+
+  const items = [
+    ...(capabilities.tools || []).map((tool, index) => ({
+      kind: 'tool',
+      name: tool.name || `tool_${index}`,
+      missingFields: isDocumentationText(tool.description, quality) ? [] : ['description']
+    })),
+    // Resources have no description field; a name and MIME type are what clients display
+    ...(capabilities.resources || []).map((resource, index) => {
+      const missing = [];
+      if (!resource.name) missing.push('name');
+      if (!resource.mimeType) missing.push('mimeType');
+      return {
+        kind: 'resource',
+        name: resource.uri || resource.name || `resource_${index}`,
+        missingFields: missing
+      };
+    }),
+    ...(capabilities.prompts || []).map((prompt, index) => ({
+      kind: 'prompt',
+      name: prompt.name || `prompt_${index}`,
+      missingFields: isDocumentationText(prompt.description, quality) ? [] : ['description']
+    }))
+  ];
+
+  return summarizeCoverage(items, {
+    noun: 'tools, resources and prompts',
+    empty: 'No tools, resources or prompts found in agent capabilities'
+  });
+}
+
+/**
+ * Calculate coverage score for Identity protocol roles. A role is documented
+ * when it resolves to at least one permission, directly or via inheritance.
+ * @param {Object} manifest - Identity & Access protocol manifest
+ * @returns {Object} - Coverage analysis for roles
+ */
+function analyzeIdentityCoverage(manifest) {
+  const authz = manifest?.authz || {};
+  const permissions = authz.permissions || {};
+  const inherits = authz.roles_graph?.inherits || {};
+
+  const roles = new Set([
+    ...(authz.roles || []),
+    ...Object.keys(permissions),
+    ...Object.keys(inherits)
+  ]);
+
+  const hasPermissions = (role, seen = new Set()) => {
+    if (seen.has(role)) return false;
+    seen.add(role);
+    if (Array.isArray(permissions[role]) && permissions[role].length > 0) return true;
+    return (inherits[role] || []).some(parent => hasPermissions(parent, seen));
+  };
+
+  const items = Array.from(roles).map(role => ({
+    kind: 'role',
+    name: role,
+    missingFields: hasPermissions(role) ? [] : ['permissions']
+  }));
+
+  return summarizeCoverage(items, {
+    noun: 'roles',
+    empty: 'No roles found in identity authz'
+  });
+}
+
+/**
+ * Calculate coverage score for Semantic protocol bindings
+ * @param {Object} manifest - Semantic protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
+ * @returns {Object} - Coverage analysis for protocol bindings
+ */
+function analyzeSemanticCoverage(manifest, quality = {}) {
+  const bindings = manifest?.context?.protocolBindings || {};
+
+  const items = Object.entries(bindings).flatMap(([bindingType, entries]) =>
+    (Array.isArray(entries) ? entries : []).map((binding, index) => ({
+      kind: `${bindingType} binding`,
+      name: binding.urn || `${bindingType}_${index}`,
+      missingFields: isDocumentationText(binding.purpose, quality) ? [] : ['purpose']
+    }))
+  );
+
+  return summarizeCoverage(items, {
+    noun: 'protocol bindings',
+    empty: 'No protocol bindings found in semantic context'
+  });
+}
+
+/**
+ * Calculate coverage score for Documentation protocol navigation. Each
+ * navigation entry should have a section (or content page) behind it, which
+ * is the per-entry form of the docs protocol's own analyzeCoverage().
+ * @param {Object} manifest - Documentation protocol manifest
+ * @param {Object} [quality] - config.quality; placeholder text is not documentation
+ * @returns {Object} - Coverage analysis for navigation entries
+ */
+function analyzeDocsCoverage(manifest, quality = {}) {
+  const structure = manifest?.structure || {};
+  const sections = structure.sections || [];
+  const pages = manifest?.content?.pages || {};
+
+  const flatten = nodes => (nodes || []).flatMap(node => [node, ...flatten(node.children)]);
+  const navigation = flatten(structure.navigation);
+
+  const targets = new Set([
+    ...sections.map(section => section.id),
+    ...Object.keys(pages)
+  ]);
+  const hasTarget = node => targets.has(node.id)
+    || (typeof node.href === 'string' && targets.has(node.href.replace(/^[#/]+/, '')));
+
+  // Without navigation, fall back to checking that declared sections have content
+  const items = navigation.length > 0
+    ? navigation.map((node, index) => ({
+      kind: 'navigation',
+      name: node.id || node.title || `nav_${index}`,
+      missingFields: hasTarget(node) ? [] : ['section']
+    }))
+    : sections.map((section, index) => ({
+      kind: 'section',
+      name: section.id || `section_${index}`,
+      missingFields: isDocumentationText(section.body, quality) ? [] : ['body']
+    }));
+
+  return summarizeCoverage(items, {
+    noun: navigation.length > 0 ? 'navigation entries' : 'sections',
+    empty: 'No navigation or sections found in documentation structure'
+  });
+}
+
 /**
  * Analyze coverage for a protocol manifest based on its type
  * @param {Object} manifest - Protocol manifest object
  * @param {string} protocolType - Type of protocol (api, data, workflow, etc.)
- * @returns {Object} - Coverage analysis results
+ * @param {Object} [options]
+ * @param {Object} [options.quality] - config.quality, see content-quality.analyzeContentQuality()
+ * @returns {Object} - Coverage analysis results, with the content `quality` sub-score
  */
-function analyzeCoverage(manifest, protocolType) {
+function analyzeCoverage(manifest, protocolType, options = {}) {
   let coverageResult = {
     coverageScore: 0,
     coveragePercentage: 0,
@@ -495,21 +868,54 @@ function analyzeCoverage(manifest, protocolType) {
   
   switch (protocolType) {
     case 'api':
-      coverageResult = analyzeAPICoverage(manifest);
+      coverageResult = analyzeAPICoverage(manifest, options.quality);
       break;
     case 'data':
-      coverageResult = analyzeDataCoverage(manifest);
+      coverageResult = analyzeDataCoverage(manifest, options.quality);
       break;
     case 'workflow':
-      coverageResult = analyzeWorkflowCoverage(manifest);
+      coverageResult = analyzeWorkflowCoverage(manifest, options.quality);
+      break;
+    case 'event':
+      coverageResult = analyzeEventCoverage(manifest, options.quality);
+      break;
+    case 'ui':
+      coverageResult = analyzeUICoverage(manifest, options.quality);
+      break;
+    case 'agent':
+      coverageResult = analyzeAgentCoverage(manifest, options.quality);
+      break;
+    case 'identity':
+      coverageResult = analyzeIdentityCoverage(manifest);
+      break;
+    case 'semantic':
+      coverageResult = analyzeSemanticCoverage(manifest, options.quality);
+      break;
+    case 'docs':
+    case 'documentation':
+      coverageResult = analyzeDocsCoverage(manifest, options.quality);
       break;
     default:
       // For other protocol types, return basic structure
       coverageResult.recommendations = [`Coverage analysis not implemented for ${protocolType} protocols`];
   }
   
+  // Report totals under common keys so summaries can aggregate every type
+  const totalItems = coverageResult.totalItems ?? coverageResult.totalEndpoints
+    ?? coverageResult.totalFields ?? coverageResult.totalSteps ?? 0;
+  const documentedItems = coverageResult.documentedItems ?? coverageResult.documentedEndpoints
+    ?? coverageResult.documentedFields ?? coverageResult.documentedSteps ?? 0;
+
+  // Present text can still be a placeholder or too thin to help readers
+  const quality = analyzeContentQuality(manifest, protocolType, options.quality);
+
   return {
     ...coverageResult,
+    recommendations: [...coverageResult.recommendations, ...quality.recommendations],
+    totalItems,
+    documentedItems,
+    qualityScore: quality.qualityScore,
+    quality,
     protocolType,
     timestamp: new Date().toISOString()
   };
@@ -560,11 +966,19 @@ module.exports = {
   calculateFreshnessScore,
   extractTimestamps,
   assignSeverity,
+  analyzeProtocol,
   analyzeMultipleProtocols,
+  summarizeProtocolResults,
   daysBetween,
   analyzeCoverage,
   analyzeAPICoverage,
   analyzeDataCoverage,
   analyzeWorkflowCoverage,
+  analyzeEventCoverage,
+  analyzeUICoverage,
+  analyzeAgentCoverage,
+  analyzeIdentityCoverage,
+  analyzeSemanticCoverage,
+  analyzeDocsCoverage,
   calculateCombinedHealthScore
 };
@@ -0,0 +1,143 @@
+/**
+ * Baseline - Ratchet `check` against recorded issues
+ *
+ * A baseline file records the issues (as health-delta issue IDs such as
+ * `coverage:orders`) and the score of an accepted run. Later runs fail only on
+ * issues that are not in the baseline or on a score drop beyond a tolerance,
+ * so a legacy repository can adopt DocHealth without fixing everything first.
+ * Updating the baseline only ever tightens it: fixed issues are dropped and
+ * the score is raised, but new issues are never adopted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractIssues, diffIssues } = require('./github/health-delta');
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE_PATH = '.dochealth/baseline.json';
+const DEFAULT_SCORE_TOLERANCE = 2;
+
+class BaselineError extends Error {
+  constructor(message, code = 'BASELINE_INVALID') {
+    super(message);
+    this.name = 'BaselineError';
+    this.code = code;
+  }
+}
+
+function toBaselineIssue({ id, protocolId, type, severity, description }) {
+  return { id, protocolId, type, severity, description };
+}
+
+function sortIssues(issues) {
+  return [...issues].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Record a baseline from a JSON report.
+ * @param {Object} report - generateJSONReport() output with details
+ * @returns {{version: number, updatedAt: string, score: number, issues: Object[]}}
+ */
+function createBaseline(report) {
+  return {
+    version: BASELINE_VERSION,
+    updatedAt: new Date().toISOString(),
+    score: Number(report?.health?.score ?? 0),
+    issues: sortIssues(extractIssues(report).map(toBaselineIssue))
+  };
+}
+
+/**
+ * Read a baseline file.
+ * @param {string} filePath
+ * @returns {Object|null} - null when the file does not exist yet
+ * @throws {BaselineError} When the file is not a valid baseline
+ */
+function loadBaseline(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new BaselineError(`Cannot read baseline ${filePath}: ${error.message}`, 'BASELINE_UNREADABLE');
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(raw);
+  } catch (error) {
+    throw new BaselineError(`Invalid baseline ${filePath}: ${error.message}`);
+  }
+  if (!baseline || typeof baseline.score !== 'number' || !Array.isArray(baseline.issues)) {
+    throw new BaselineError(`Invalid baseline ${filePath}: expected "score" and "issues"`);
+  }
+  return baseline;
+}
+
+function saveBaseline(filePath, baseline) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Compare a run with its baseline.
+ * @param {Object} baseline - From loadBaseline()/createBaseline()
+ * @param {Object} report - generateJSONReport() output with details
+ * @param {Object} options
+ * @param {number} [options.scoreTolerance] - Points the score may drop below the baseline
+ * @returns {{passed: boolean, score: {baseline: number, current: number, drop: number,
+ *   tolerance: number, regressed: boolean}, newIssues: Object[], resolvedIssues: Object[],
+ *   knownIssues: Object[]}}
+ */
+function compareWithBaseline(baseline, report, options = {}) {
+  const { scoreTolerance = DEFAULT_SCORE_TOLERANCE } = options;
+  const currentIssues = extractIssues(report).map(toBaselineIssue);
+  const { newIssues, resolvedIssues } = diffIssues(baseline.issues, currentIssues);
+  const newIds = new Set(newIssues.map(issue => issue.id));
+
+  const current = Number(report?.health?.score ?? 0);
+  const drop = baseline.score - current;
+  const regressed = drop > scoreTolerance;
+
+  return {
+    passed: newIssues.length === 0 && !regressed,
+    score: { baseline: baseline.score, current, drop, tolerance: scoreTolerance, regressed },
+    newIssues: sortIssues(newIssues),
+    resolvedIssues: sortIssues(resolvedIssues),
+    knownIssues: sortIssues(currentIssues.filter(issue => !newIds.has(issue.id)))
+  };
+}
+
+/**
+ * Tighten a baseline after a run: drop resolved issues and raise the score.
+ * @param {Object} baseline
+ * @param {Object} comparison - From compareWithBaseline()
+ * @returns {{baseline: Object, changed: boolean}}
+ */
+function ratchetBaseline(baseline, comparison) {
+  const score = Math.max(baseline.score, comparison.score.current);
+  const changed = comparison.resolvedIssues.length > 0 || score !== baseline.score;
+  if (!changed) {
+    return { baseline, changed };
+  }
+  return {
+    baseline: {
+      version: BASELINE_VERSION,
+      updatedAt: new Date().toISOString(),
+      score,
+      issues: comparison.knownIssues
+    },
+    changed
+  };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_PATH,
+  DEFAULT_SCORE_TOLERANCE,
+  BaselineError,
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline,
+  ratchetBaseline
+};
@@ -0,0 +1,510 @@
+/**
+ * Config Resolver - Load, validate and apply dochealth.config.* files
+ *
+ * Supports JS (CommonJS or default export), JSON and YAML config files.
+ * Values are validated against CONFIG_SCHEMA and merged over DEFAULT_CONFIG;
+ * commands then let explicit CLI flags win over config values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { PROTOCOL_FACTORIES } = require('./loader');
+
+const DEFAULT_CONFIG_FILE = 'dochealth.config.js';
+
+const DEFAULT_CONFIG = {
+  protocols: null,
+  thresholds: {
+    healthScore: 70,
+    maxStaleDays: 7
+  },
+  output: {
+    format: 'markdown',
+    directory: './docs',
+    storybook: false
+  },
+  freshness: {
+    source: 'manifest'
+  },
+  quality: {
+    minWords: 3,
+    placeholders: []
+  },
+  lifecycle: {
+    sunsetWindowDays: 90
+  },
+  baseline: {
+    scoreTolerance: 2
+  },
+  drift: {},
+  policies: [],
+  waivers: {},
+  validators: {},
+  dashboard: {},
+  github: {},
+  scoring: {},
+  sme: {
+    autoRoute: false,
+    reviewers: []
+  }
+};
+
+// `documentation` is accepted as an alias of the loader's `docs` type
+const PROTOCOL_KEYS = [...Object.keys(PROTOCOL_FACTORIES), 'documentation'];
+
+const WEIGHT_SCHEMA = { type: 'number', min: 0 };
+const PERCENT_SCHEMA = { type: 'number', min: 0, max: 100 };
+const PROTOCOL_WEIGHTS_SCHEMA = {
+  type: 'object',
+  properties: { freshness: WEIGHT_SCHEMA, coverage: WEIGHT_SCHEMA }
+};
+
+/**
+ * Declarative schema used by validateConfig(). Each node describes the
+ * accepted type(s) plus optional enum/min/max/pattern constraints.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    protocols: {
+      type: ['string', 'array', 'object'],
+      items: { type: 'string' },
+      values: { type: ['string', 'array'], items: { type: 'string' } },
+      keys: PROTOCOL_KEYS
+    },
+    thresholds: {
+      type: 'object',
+      properties: {
+        healthScore: { type: 'number', min: 0, max: 100 },
+        maxStaleDays: { type: 'number', min: 0 }
+      }
+    },
+    output: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['markdown', 'docusaurus', 'mkdocs'] },
+        directory: { type: 'string' },
+        storybook: { type: 'boolean' }
+      }
+    },
+    freshness: {
+      type: 'object',
+      properties: {
+        source: { type: 'string', enum: ['manifest', 'git'] }
+      }
+    },
+    quality: {
+      type: 'object',
+      properties: {
+        minWords: { type: 'number', min: 1 },
+        placeholders: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    lifecycle: {
+      type: 'object',
+      properties: {
+        sunsetWindowDays: { type: 'number', min: 0 }
+      }
+    },
+    baseline: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        scoreTolerance: { type: 'number', min: 0 }
+      }
+    },
+    drift: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        ref: { type: 'string' }
+      }
+    },
+    validators: {
+      type: ['object', 'boolean'],
+      values: { type: ['array', 'boolean'], items: { type: 'string' } },
+      keys: PROTOCOL_KEYS
+    },
+    waivers: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' }
+      }
+    },
+    policies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          select: {
+            type: 'object',
+            properties: {
+              type: {
+                type: ['string', 'array'],
+                enum: PROTOCOL_KEYS,
+                items: { type: 'string', enum: PROTOCOL_KEYS }
+              },
+              match: { type: ['string', 'array'], items: { type: 'string' } }
+            }
+          },
+          require: {
+            type: 'object',
+            properties: {
+              minCoverage: PERCENT_SCHEMA,
+              minScore: PERCENT_SCHEMA,
+              maxStaleDays: { type: 'number', min: 0 },
+              maxBrokenUrns: { type: 'number', min: 0 },
+              timestamps: { type: 'boolean' }
+            }
+          },
+          severity: { type: 'string', enum: ['error', 'warning'] },
+          exitCode: { type: 'number', min: 3, max: 125 }
+        }
+      }
+    },
+    dashboard: {
+      type: 'object',
+      properties: {
+        root: { type: 'string' },
+        dbPath: { type: 'string' },
+        host: { type: 'string' },
+        port: { type: 'number', min: 0, max: 65535 }
+      }
+    },
+    github: {
+      type: 'object',
+      properties: {
+        repo: { type: 'string', pattern: /^[^/\s]+\/[^/\s]+$/, hint: 'owner/repo' },
+        identifier: { type: 'string' },
+        appId: { type: ['string', 'number'] },
+        installationId: { type: ['string', 'number'] },
+        privateKeyPath: { type: 'string' }
+      }
+    },
+    scoring: {
+      type: 'object',
+      properties: {
+        profile: { type: 'string' },
+        profiles: {
+          type: 'object',
+          values: {
+            type: 'object',
+            properties: {
+              description: { type: 'string' },
+              weights: {
+                type: 'object',
+                properties: {
+                  freshness: WEIGHT_SCHEMA,
+                  coverage: WEIGHT_SCHEMA,
+                  validation: WEIGHT_SCHEMA
+                }
+              },
+              protocolWeights: PROTOCOL_WEIGHTS_SCHEMA,
+              protocolTypes: {
+                type: 'object',
+                values: PROTOCOL_WEIGHTS_SCHEMA,
+                keys: PROTOCOL_KEYS
+              },
+              grades: {
+                type: 'object',
+                values: { type: 'number', min: 0, max: 100 }
+              }
+            }
+          }
+        }
+      }
+    },
+    sme: {
+      type: 'object',
+      properties: {
+        autoRoute: { type: 'boolean' },
+        reviewers: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(message, issues = [], code = 'CONFIG_INVALID') {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code;
+    this.issues = issues;
+  }
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function formatReceived(value) {
+  const serialized = JSON.stringify(value);
+  if (serialized === undefined) return String(value);
+  return serialized.length > 40 ? `${serialized.slice(0, 37)}...` : serialized;
+}
+
+function validateNode(value, schema, keyPath, issues) {
+  const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actualType = describeType(value);
+
+  if (!allowedTypes.includes(actualType)) {
+    issues.push({
+      path: keyPath,
+      message: `${keyPath} must be of type ${allowedTypes.join(' or ')} (received ${actualType} ${formatReceived(value)})`
+    });
+    return;
+  }
+
+  if (actualType === 'number') {
+    if (!Number.isFinite(value)) {
+      issues.push({ path: keyPath, message: `${keyPath} must be a finite number` });
+    } else if (schema.min !== undefined && value < schema.min) {
+      issues.push({ path: keyPath, message: `${keyPath} must be >= ${schema.min} (received ${value})` });
+    } else if (schema.max !== undefined && value > schema.max) {
+      issues.push({ path: keyPath, message: `${keyPath} must be <= ${schema.max} (received ${value})` });
+    }
+  }
+
+  if (actualType === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) {
+      issues.push({
+        path: keyPath,
+        message: `${keyPath} must be one of ${schema.enum.join(', ')} (received ${formatReceived(value)})`
+      });
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      issues.push({
+        path: keyPath,
+        message: `${keyPath} must match ${schema.hint || schema.pattern} (received ${formatReceived(value)})`
+      });
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${keyPath}[${index}]`, issues));
+  }
+
+  if (actualType === 'object') {
+    if (schema.properties) {
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        const childSchema = schema.properties[key];
+        if (!childSchema) {
+          issues.push({
+            path: childPath,
+            message: `Unknown config key '${childPath}'. Expected one of: ${Object.keys(schema.properties).join(', ')}`
+          });
+          return;
+        }
+        if (child === undefined) return;
+        validateNode(child, childSchema, childPath, issues);
+      });
+    } else if (schema.values) {
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = `${keyPath}.${key}`;
+        if (schema.keys && !schema.keys.includes(key)) {
+          issues.push({
+            path: childPath,
+            message: `Unknown protocol type '${key}' in ${keyPath}. Expected one of: ${schema.keys.join(', ')}`
+          });
+          return;
+        }
+        validateNode(child, schema.values, childPath, issues);
+      });
+    }
+  }
+}
+
+/**
+ * Validate a raw config object against CONFIG_SCHEMA
+ * @param {Object} config - Raw config object
+ * @returns {{valid: boolean, issues: Array<{path: string, message: string}>}}
+ */
+function validateConfig(config) {
+  const issues = [];
+  if (describeType(config) !== 'object') {
+    issues.push({
+      path: '',
+      message: `Config must export an object (received ${describeType(config)})`
+    });
+  } else {
+    validateNode(config, CONFIG_SCHEMA, '', issues);
+  }
+  return { valid: issues.length === 0, issues };
+}
+
+function isPlainObject(value) {
+  return describeType(value) === 'object';
+}
+
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+function readConfigFile(resolvedPath) {
+  const extension = path.extname(resolvedPath).toLowerCase();
+
+  // Configs are loaded synchronously with require(), so ESM-only .mjs files are not supported
+  if (extension === '.js' || extension === '.cjs') {
+    delete require.cache[require.resolve(resolvedPath)];
+    const loaded = require(resolvedPath);
+    const isNamespace = loaded && Object.keys(loaded).every(key => key === 'default' || key === '__esModule');
+    return isNamespace && loaded.default ? loaded.default : loaded;
+  }
+
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return yaml.load(content, { filename: resolvedPath });
+  }
+
+  throw new ConfigError(
+    `Unsupported config file extension '${extension}'. Use .js, .cjs, .json, .yaml or .yml.`,
+    [],
+    'CONFIG_UNSUPPORTED'
+  );
+}
+
+/**
+ * Load and validate a DocHealth config file
+ * @param {string} configPath - Path to the config file
+ * @param {Object} options - Loading options
+ * @param {boolean} options.required - Throw when the file is missing (explicit --config)
+ * @param {string} options.cwd - Base directory for relative paths (default: process.cwd())
+ * @returns {{config: Object, path: string|null, rootDir: string, source: string}}
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_FILE, options = {}) {
+  const { required = false, cwd = process.cwd() } = options;
+  const resolvedPath = path.resolve(cwd, configPath || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(resolvedPath)) {
+    if (required) {
+      throw new ConfigError(`Config file not found: ${resolvedPath}`, [], 'CONFIG_NOT_FOUND');
+    }
+    return {
+      config: mergeConfig(DEFAULT_CONFIG, {}),
+      path: null,
+      rootDir: path.resolve(cwd),
+      source: 'defaults'
+    };
+  }
+
+  let raw;
+  try {
+    raw = readConfigFile(resolvedPath);
+  } catch (error) {
+    if (error instanceof ConfigError) throw error;
+    throw new ConfigError(
+      `Unable to read config file ${resolvedPath}: ${error.message}`,
+      [],
+      'CONFIG_LOAD_FAILED'
+    );
+  }
+
+  const { valid, issues } = validateConfig(raw);
+  if (!valid) {
+    throw new ConfigError(`Invalid configuration in ${resolvedPath}`, issues);
+  }
+
+  return {
+    config: mergeConfig(DEFAULT_CONFIG, raw),
+    path: resolvedPath,
+    rootDir: path.dirname(resolvedPath),
+    source: 'file'
+  };
+}
+
+/**
+ * Turn the `protocols` config value into a list of glob patterns. Patterns
+ * under a type key of the map are returned as `{pattern, type}` so the
+ * loader only keeps manifests of that type; strings and arrays are untyped.
+ * @param {Object} config - Resolved config
+ * @returns {Array<string|{pattern: string, type: string}>|null} - Patterns or null when not configured
+ */
+function resolveProtocolPatterns(config) {
+  const protocols = config?.protocols;
+  if (!protocols) return null;
+  if (typeof protocols === 'string') return [protocols];
+  if (Array.isArray(protocols)) return protocols.length ? protocols : null;
+  const patterns = Object.entries(protocols).flatMap(([key, value]) => {
+    const type = key === 'documentation' ? 'docs' : key;
+    return (Array.isArray(value) ? value : [value]).map(pattern => ({ pattern, type }));
+  });
+  return patterns.length ? patterns : null;
+}
+
+/**
+ * Load the config referenced by the program's global --config option
+ * @param {import('commander').Command} program - Root commander program
+ * @returns {{config: Object, path: string|null, rootDir: string, source: string}}
+ */
+function loadConfigFromProgram(program) {
+  const explicit = program.getOptionValueSource('config') === 'cli';
+  return loadConfig(program.opts().config, { required: explicit });
+}
+
+/**
+ * Pick an option value, preferring explicit CLI flags over config values
+ * @param {import('commander').Command} command - Command owning the option
+ * @param {string} key - Option attribute name (camelCase)
+ * @param {*} configValue - Value from config (undefined when unset)
+ * @returns {*}
+ */
+function resolveOption(command, key, configValue) {
+  const source = command.getOptionValueSource(key);
+  if (source && source !== 'default') {
+    return command.opts()[key];
+  }
+  return configValue !== undefined && configValue !== null ? configValue : command.opts()[key];
+}
+
+/**
+ * Whether an option was explicitly supplied on the command line
+ * @param {import('commander').Command} command
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isExplicitOption(command, key) {
+  const source = command.getOptionValueSource(key);
+  return Boolean(source && source !== 'default');
+}
+
+/**
+ * Format a ConfigError (and its issues) for CLI output
+ * @param {Error} error
+ * @returns {string}
+ */
+function formatConfigError(error) {
+  const lines = [error.message];
+  (error.issues || []).forEach(issue => lines.push(`  - ${issue.message}`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadConfig,
+  loadConfigFromProgram,
+  validateConfig,
+  resolveProtocolPatterns,
+  resolveOption,
+  isExplicitOption,
+  formatConfigError,
+  ConfigError,
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG,
+  DEFAULT_CONFIG_FILE
+};
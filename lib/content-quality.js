@@ -0,0 +1,209 @@
+/**
+ * Content Quality - Lint documentation text that coverage counts as present
+ *
+ * Coverage only skips placeholder text (isDocumentationText()), so a
+ * one-word description still counts as documented. This analyzer flags:
+ *
+ *   placeholder  - `TBD`, `TODO`, `Describe usage…` stubs from generateProtocolStubs()
+ *   too-short    - fewer than `minWords` words
+ *   same-as-name - text that only repeats the item name (`user_id` → "User ID")
+ *   duplicate    - the same summary or description on several items
+ *
+ * The quality score is the share of checked texts without issues.
+ */
+
+const DEFAULT_MIN_WORDS = 3;
+
+// Whole-text placeholders, compared case-insensitively without trailing punctuation
+const PLACEHOLDER_TEXTS = new Set([
+  'tbd', 'tba', 'todo', 'fixme', 'xxx', 'n/a', 'na', 'none', 'placeholder',
+  'description', 'summary', 'add description', '-', '?', '...', '…'
+]);
+// Markers anywhere in the text, and stub openings
+const PLACEHOLDER_MARKERS = /\b(TBD|TODO|FIXME)\b/;
+const PLACEHOLDER_PREFIXES = /^(describe usage|lorem ipsum|description goes here)/i;
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function countWords(text) {
+  return String(text).trim().split(/\s+/).filter(Boolean).length;
+}
+
+function textEntry(kind, name, field, text) {
+  return typeof text === 'string' && text.trim() !== '' ? [{ kind, name, field, text: text.trim() }] : [];
+}
+
+/**
+ * Documentation texts of a manifest, for the items analyzeCoverage() checks.
+ * @param {Object} manifest
+ * @param {string} protocolType - Loader protocol type
+ * @returns {Array<{kind: string, name: string, field: string, text: string}>}
+ */
+function collectDocumentationTexts(manifest, protocolType) {
+  switch (protocolType) {
+    case 'api':
+      return (manifest?.interface?.endpoints || []).flatMap((endpoint, index) => {
+        const name = `${endpoint.method || 'UNKNOWN'} ${endpoint.path || `endpoint_${index}`}`;
+        return [
+          ...textEntry('endpoint', name, 'summary', endpoint.summary),
+          ...textEntry('endpoint', name, 'description', endpoint.description)
+        ];
+      });
+    case 'data':
+      return Object.entries(manifest?.schema?.fields || {}).flatMap(([name, field]) =>
+        textEntry('field', name, 'description', field?.description)
+      );
+    case 'workflow':
+      return (manifest?.steps || []).flatMap((step, index) =>
+        textEntry('step', step.id || `step_${index}`, 'description', step.description)
+      );
+    case 'event': {
+      const fields = Array.isArray(manifest?.schema?.fields) && manifest.schema.fields.length > 0
+        ? manifest.schema.fields
+        : Object.entries(manifest?.schema?.payload?.properties || {})
+          .map(([name, schema]) => ({ name, description: schema?.description }));
+      return fields.flatMap((field, index) =>
+        textEntry('field', field.name || `field_${index}`, 'description', field.description)
+      );
+    }
+    case 'ui':
+      return [
+        ...(manifest?.data?.props || []).flatMap((prop, index) =>
+          textEntry('prop', prop.name || `prop_${index}`, 'description', prop.description)
+        ),
+        ...Object.entries(manifest?.behavior?.states || {}).flatMap(([name, state]) =>
+          textEntry('state', name, 'description', state?.description)
+        )
+      ];
+    case 'agent': {
+      const capabilities = manifest?.capabilities || {};
+      return [
+        ...(capabilities.tools || []).flatMap((tool, index) =>
+          textEntry('tool', tool.name || `tool_${index}`, 'description', tool.description)
+        ),
+        ...(capabilities.prompts || []).flatMap((prompt, index) =>
+          textEntry('prompt', prompt.name || `prompt_${index}`, 'description', prompt.description)
+        )
+      ];
+    }
+    case 'semantic':
+      return Object.entries(manifest?.context?.protocolBindings || {}).flatMap(([type, entries]) =>
+        (Array.isArray(entries) ? entries : []).flatMap((binding, index) =>
+          textEntry(`${type} binding`, binding.urn || `${type}_${index}`, 'purpose', binding.purpose)
+        )
+      );
+    case 'docs':
+    case 'documentation':
+      return (manifest?.structure?.sections || []).flatMap((section, index) =>
+        textEntry('section', section.id || `section_${index}`, 'body', section.body)
+      );
+    default:
+      return [];
+  }
+}
+
+function isPlaceholder(text, extraPlaceholders) {
+  const lower = text.toLowerCase();
+  return PLACEHOLDER_TEXTS.has(lower.replace(/[.:!]+$/, ''))
+    || PLACEHOLDER_MARKERS.test(text)
+    || PLACEHOLDER_PREFIXES.test(text)
+    || extraPlaceholders.some(phrase => lower.includes(phrase.toLowerCase()));
+}
+
+/**
+ * Whether a documentation text counts toward coverage: present and not a
+ * placeholder. Short text still counts and is only flagged by lintText().
+ * @param {*} text
+ * @param {Object} [options] - config.quality (`placeholders`)
+ * @returns {boolean}
+ */
+function isDocumentationText(text, options = {}) {
+  const { placeholders = [] } = options;
+  if (typeof text !== 'string' || text.trim() === '') return false;
+  return !isPlaceholder(text.trim(), placeholders);
+}
+
+/**
+ * Lint one documentation text.
+ * @param {{kind: string, name: string, field: string, text: string}} entry
+ * @param {Object} [options]
+ * @param {number} [options.minWords=3]
+ * @param {string[]} [options.placeholders] - Extra placeholder phrases (case-insensitive)
+ * @returns {Array<{rule: string, message: string}>}
+ */
+function lintText(entry, options = {}) {
+  const { minWords = DEFAULT_MIN_WORDS, placeholders = [] } = options;
+  if (isPlaceholder(entry.text, placeholders)) {
+    return [{ rule: 'placeholder', message: `${entry.field} is placeholder text` }];
+  }
+
+  const issues = [];
+  const name = entry.name.split(' ').pop();
+  if (normalize(entry.text) === normalize(name)) {
+    issues.push({ rule: 'same-as-name', message: `${entry.field} only repeats the name` });
+  } else if (countWords(entry.text) < minWords) {
+    issues.push({ rule: 'too-short', message: `${entry.field} is shorter than ${minWords} words` });
+  }
+  return issues;
+}
+
+/**
+ * Analyze the quality of a manifest's documentation texts.
+ * @param {Object} manifest
+ * @param {string} protocolType - Loader protocol type
+ * @param {Object} [options] - config.quality (`minWords`, `placeholders`)
+ * @returns {{qualityScore: number, checkedItems: number, flaggedItems: number,
+ *   issues: Array<{kind: string, name: string, field: string, rule: string, text: string, message: string}>,
+ *   recommendations: string[]}} - `qualityScore` is 0-1, and 1 when there is no text to check
+ */
+function analyzeContentQuality(manifest, protocolType, options = {}) {
+  const texts = collectDocumentationTexts(manifest, protocolType);
+  const issues = [];
+  const flagged = new Set();
+  const firstByText = new Map();
+
+  texts.forEach((entry, index) => {
+    const found = lintText(entry, options);
+    // Duplicates only matter for real text; placeholders are already flagged
+    const key = `${entry.field}:${normalize(entry.text)}`;
+    const original = firstByText.get(key);
+    if (found.length === 0 && original && original.name !== entry.name) {
+      found.push({ rule: 'duplicate', message: `${entry.field} duplicates ${original.kind} ${original.name}` });
+    } else if (!original) {
+      firstByText.set(key, entry);
+    }
+
+    found.forEach(issue => {
+      flagged.add(index);
+      const { kind, name, field, text } = entry;
+      issues.push({ kind, name, field, text, ...issue });
+    });
+  });
+
+  const checkedItems = texts.length;
+  const flaggedItems = flagged.size;
+  const recommendations = [];
+  if (flaggedItems > 0) {
+    const example = issues[0];
+    recommendations.push(`${flaggedItems} of ${checkedItems} descriptions need better content`);
+    recommendations.push(`Example: ${example.kind} ${example.name} ${example.message}`);
+  }
+
+  return {
+    qualityScore: checkedItems > 0 ? (checkedItems - flaggedItems) / checkedItems : 1,
+    checkedItems,
+    flaggedItems,
+    issues,
+    recommendations
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_WORDS,
+  collectDocumentationTexts,
+  isDocumentationText,
+  lintText,
+  analyzeContentQuality
+};
@@ -0,0 +1,251 @@
+/**
+ * Contract Drift - Breaking manifest changes whose docs were not updated
+ *
+ * Each protocol module's `diff()` reports `breaking` and `significant`
+ * changes between two manifest revisions. `check` compares every manifest
+ * with its previous revision, either the one recorded in a state file
+ * (`.dochealth/manifests.json`, updated on every run) or the one at a git ref.
+ *
+ * A breaking change counts as documented once the protocol's generated docs
+ * differ from what they were before the change (regenerated or edited by
+ * hand). With a state file, undocumented changes are carried over between
+ * runs until that happens.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createProtocolFromManifest, parseManifestContent } = require('./loader');
+const { planDocumentPaths } = require('./generator-pipeline');
+const { readFileAtRef, resolveCommit } = require('./git-freshness');
+
+const DRIFT_STATE_VERSION = 1;
+const DEFAULT_DRIFT_STATE_PATH = '.dochealth/manifests.json';
+
+class ContractDriftError extends Error {
+  constructor(message, code = 'DRIFT_STATE_INVALID') {
+    super(message);
+    this.name = 'ContractDriftError';
+    this.code = code;
+  }
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    // undefined values do not survive the JSON state file
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function toChange(change, fallbackReason) {
+  return {
+    path: change.path || '*',
+    reason: change.reason || fallbackReason,
+    ...(change.from !== undefined ? { from: change.from } : {}),
+    ...(change.to !== undefined ? { to: change.to } : {})
+  };
+}
+
+/**
+ * Breaking and significant changes from one manifest revision to the next,
+ * using the protocol module's own diff().
+ * @param {string} type - Protocol type
+ * @param {Object} previousManifest
+ * @param {Object} currentManifest
+ * @returns {{breaking: Object[], significant: Object[], error?: string}}
+ *   Changes are `{path, reason, from?, to?}`
+ */
+function diffManifests(type, previousManifest, currentManifest) {
+  try {
+    const previous = createProtocolFromManifest(previousManifest, type);
+    if (typeof previous.diff !== 'function') {
+      return { breaking: [], significant: [] };
+    }
+    const result = previous.diff(currentManifest) || {};
+    return {
+      breaking: (result.breaking || []).map(change => toChange(change, 'breaking change')),
+      significant: (result.significant || []).map(change => toChange(change, 'significant change'))
+    };
+  } catch (error) {
+    return { breaking: [], significant: [], error: error.message };
+  }
+}
+
+/**
+ * Fingerprint of a protocol's generated docs, read from disk or from a git ref.
+ * @param {Object} entry - Loader entry ({protocol, type, path})
+ * @param {Object} options
+ * @param {string} options.rootDir - Project root (git commands run here)
+ * @param {string} options.docsPath - Generated docs directory
+ * @param {string} [options.format] - Generator output format
+ * @param {string} [options.ref] - Read the docs at this git ref instead of the work tree
+ * @returns {Promise<string|null>} - null when the type has no generated docs
+ */
+async function fingerprintDocs(entry, { rootDir, docsPath, format = 'markdown', ref = null }) {
+  let relativePaths = [];
+  try {
+    relativePaths = await planDocumentPaths(entry, { outputDir: docsPath, format });
+  } catch {
+    // Manifests the generators cannot handle have no generated docs
+  }
+  if (relativePaths.length === 0) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for (const relativePath of relativePaths.sort()) {
+    const filePath = path.join(docsPath, relativePath);
+    const content = ref
+      ? await readFileAtRef(ref, filePath, { cwd: rootDir })
+      : fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    hash.update(`${relativePath}\0${content ?? '\0missing'}\0`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Compare current manifests with their previous revisions.
+ * @param {Array<{key: string, id: string, type: string, manifest: Object, docsHash: string|null}>} current
+ *   `key` is the manifest path relative to the project root
+ * @param {Object<string, {type: string, manifest: Object, docsHash: string|null, pending?: Object[]}>} [previous]
+ *   Previous revisions by key (a state file's `protocols`, or manifests read at a git ref)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{undocumented: number, protocols: Array<{protocolId: string, type: string, path: string,
+ *   undocumented: Object[], documented: Object[], significant: Object[]}>, state: Object}}
+ *   `undocumented` changes carry `detectedAt`; `state` is the next state file content
+ */
+function detectContractDrift(current, previous = {}, options = {}) {
+  const detectedAt = (options.now || new Date()).toISOString();
+  const protocols = [];
+  const stateProtocols = {};
+
+  current.forEach(entry => {
+    const before = previous[entry.key];
+    // Earlier undocumented changes stay pending until the docs change
+    const earlier = before?.pending || [];
+    const carried = earlier.filter(change => change.docsHash === entry.docsHash);
+    const resolved = earlier.filter(change => change.docsHash !== entry.docsHash);
+
+    let changes = { breaking: [], significant: [] };
+    const changed = before && canonical(before.manifest) !== canonical(entry.manifest);
+    if (changed && before.type === entry.type) {
+      changes = diffManifests(entry.type, before.manifest, entry.manifest);
+    }
+    const breaking = changes.breaking
+      .map(change => ({ ...change, detectedAt, docsHash: before.docsHash }));
+    const docsChanged = before && before.docsHash !== entry.docsHash;
+    const pending = [...carried, ...(docsChanged ? [] : breaking)];
+    const documented = [...resolved, ...(docsChanged ? breaking : [])];
+
+    stateProtocols[entry.key] = {
+      type: entry.type,
+      manifest: entry.manifest,
+      docsHash: entry.docsHash,
+      ...(pending.length > 0 ? { pending } : {})
+    };
+
+    if (pending.length > 0 || documented.length > 0 || changes.significant.length > 0) {
+      // docsHash is bookkeeping for the state file
+      const strip = change => {
+        const reported = { ...change };
+        delete reported.docsHash;
+        return reported;
+      };
+      protocols.push({
+        protocolId: entry.id,
+        type: entry.type,
+        path: entry.key,
+        undocumented: pending.map(strip),
+        documented: documented.map(strip),
+        significant: changes.significant
+      });
+    }
+  });
+
+  return {
+    undocumented: protocols.reduce((sum, protocol) => sum + protocol.undocumented.length, 0),
+    protocols,
+    state: { version: DRIFT_STATE_VERSION, updatedAt: detectedAt, protocols: stateProtocols }
+  };
+}
+
+/**
+ * Read a drift state file.
+ * @param {string} filePath
+ * @returns {Object|null} - null when the file does not exist yet
+ * @throws {ContractDriftError} When the file is not a valid state file
+ */
+function loadDriftState(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new ContractDriftError(`Cannot read drift state ${filePath}: ${error.message}`, 'DRIFT_STATE_UNREADABLE');
+  }
+
+  let state;
+  try {
+    state = JSON.parse(raw);
+  } catch (error) {
+    throw new ContractDriftError(`Invalid drift state ${filePath}: ${error.message}`);
+  }
+  if (!state || typeof state.protocols !== 'object' || Array.isArray(state.protocols)) {
+    throw new ContractDriftError(`Invalid drift state ${filePath}: expected "protocols"`);
+  }
+  return state;
+}
+
+function saveDriftState(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+/**
+ * Previous manifest revisions at a git ref, in the shape detectContractDrift() expects.
+ * JS protocol modules and manifests that do not exist at the ref are skipped.
+ * @param {Array<Object>} entries - Loader entries ({protocol, type, path})
+ * @param {Object} options - fingerprintDocs() options plus `ref`
+ * @returns {Promise<Object<string, {type: string, manifest: Object, docsHash: string|null}>>}
+ * @throws {ContractDriftError} When the ref does not name a commit
+ */
+async function loadManifestsAtRef(entries, options) {
+  const { rootDir, ref } = options;
+  if (!(await resolveCommit(ref, { cwd: rootDir }))) {
+    throw new ContractDriftError(`Unknown git ref "${ref}" for contract drift`, 'DRIFT_REF_UNKNOWN');
+  }
+  const previous = {};
+  for (const entry of entries) {
+    if (!/\.(json|ya?ml)$/i.test(entry.path)) continue;
+    const content = await readFileAtRef(ref, entry.path, { cwd: rootDir });
+    if (content === null) continue;
+    let manifest;
+    try {
+      manifest = parseManifestContent(content, entry.path);
+    } catch {
+      continue;
+    }
+    delete manifest.kind;
+    previous[path.relative(rootDir, entry.path)] = {
+      type: entry.type,
+      manifest,
+      docsHash: await fingerprintDocs(entry, options)
+    };
+  }
+  return previous;
+}
+
+module.exports = {
+  DEFAULT_DRIFT_STATE_PATH,
+  ContractDriftError,
+  diffManifests,
+  fingerprintDocs,
+  detectContractDrift,
+  loadDriftState,
+  saveDriftState,
+  loadManifestsAtRef
+};
@@ -76,7 +76,9 @@ function buildProtocolSnapshots(analysisProtocols = [], protocolSources = []) {
           type: protocol.type || source?.type || 'unknown',
           freshness: protocol.freshness,
           coverage: protocol.coverage,
-          combined: protocol.combined
+          combined: protocol.combined,
+          ...(protocol.validation ? { validation: protocol.validation } : {}),
+          ...(protocol.lifecycle ? { lifecycle: protocol.lifecycle } : {})
         }
       };
 
@@ -153,6 +155,7 @@ async function writeToDashboard({
     runTimestamp,
     overallHealthScore: Number.isFinite(parsedScore) ? parsedScore : 0,
     totalProtocolsAnalyzed: analysisResults.total ?? snapshots.length,
+    scoringProfile: healthScore?.profile ?? null,
     protocols: snapshots
   };
 
@@ -0,0 +1,199 @@
+/**
+ * Docs Diff - Compare regenerated documentation with the Markdown on disk
+ *
+ * Each `:::generated-section` is classified by comparing three versions of
+ * the section: the on-disk copy (local), the regenerated copy (remote) and
+ * the BASE snapshot written by the last `generate`/`merge-docs` run.
+ *
+ *   in-sync      local matches the regenerated section
+ *   missing      the generator emits the section but the file/section is absent
+ *   outdated     local still matches BASE but the generator output moved on
+ *                (also used when no BASE snapshot exists)
+ *   hand-edited  local differs from BASE, i.e. someone edited generated content
+ *   orphaned     the generator no longer emits a section still present locally
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const {
+  createProcessors,
+  parseDocument,
+  extractSections,
+  getSectionOrder,
+  stringifyNode
+} = require('./merge/ast-merger');
+const { readBase } = require('./merge/base-storage');
+const { createUnifiedDiff } = require('./merge/unified-diff');
+
+const SECTION_STATUS = {
+  IN_SYNC: 'in-sync',
+  MISSING: 'missing',
+  OUTDATED: 'outdated',
+  HAND_EDITED: 'hand-edited',
+  ORPHANED: 'orphaned'
+};
+
+const DRIFT_STATUSES = [
+  SECTION_STATUS.MISSING,
+  SECTION_STATUS.OUTDATED,
+  SECTION_STATUS.HAND_EDITED,
+  SECTION_STATUS.ORPHANED
+];
+
+async function readFileIfExists(target) {
+  try {
+    return await fs.readFile(target, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function toSectionTexts(processors, content) {
+  if (content == null) return { order: [], texts: new Map() };
+  const tree = parseDocument(processors.parser, content);
+  const sections = extractSections(tree);
+  const texts = new Map();
+  sections.forEach((node, id) => texts.set(id, stringifyNode(processors.stringifier, node)));
+  return { order: getSectionOrder(tree), texts };
+}
+
+function classifySection({ localText, remoteText, baseText }) {
+  if (localText == null) return SECTION_STATUS.MISSING;
+  if (remoteText == null) return SECTION_STATUS.ORPHANED;
+  if (localText === remoteText) return SECTION_STATUS.IN_SYNC;
+  if (baseText == null || localText === baseText) return SECTION_STATUS.OUTDATED;
+  return SECTION_STATUS.HAND_EDITED;
+}
+
+/**
+ * Compare one generated document with its on-disk counterpart.
+ * @param {Object} args
+ * @param {string} args.relativePath - Path relative to the docs directory (used in diff labels)
+ * @param {string|null} args.localContent - On-disk Markdown (null when the file is missing)
+ * @param {string} args.remoteContent - Freshly generated Markdown
+ * @param {string|null} args.baseContent - BASE snapshot, if any
+ * @param {number} args.context - Unified diff context lines
+ * @returns {Promise<{path: string, status: string, hasBase: boolean, sections: Array<Object>}>}
+ */
+async function diffDocument({
+  relativePath,
+  localContent = null,
+  remoteContent = '',
+  baseContent = null,
+  context
+}) {
+  const processors = await createProcessors();
+  const local = toSectionTexts(processors, localContent);
+  const remote = toSectionTexts(processors, remoteContent);
+  const base = toSectionTexts(processors, baseContent);
+  const label = relativePath.split(path.sep).join('/');
+
+  const orphanedIds = local.order.filter(id => !remote.texts.has(id) && base.texts.has(id));
+  const sections = [...remote.order, ...orphanedIds].map(id => {
+    const localText = local.texts.get(id);
+    const remoteText = remote.texts.get(id);
+    const baseText = base.texts.get(id);
+    const status = classifySection({ localText, remoteText, baseText });
+    const section = { id, status };
+
+    if (status === SECTION_STATUS.HAND_EDITED) {
+      section.generatorChanged = remoteText !== baseText;
+    }
+    if (status !== SECTION_STATUS.IN_SYNC) {
+      section.diff = createUnifiedDiff(localText || '', remoteText || '', {
+        fromFile: `a/${label}#${id}`,
+        toFile: `b/${label}#${id}`,
+        context
+      });
+    }
+    return section;
+  });
+
+  let status = SECTION_STATUS.IN_SYNC;
+  if (localContent == null) {
+    status = SECTION_STATUS.MISSING;
+  } else if (sections.some(section => DRIFT_STATUSES.includes(section.status))) {
+    status = 'drifted';
+  }
+
+  return {
+    path: label,
+    status,
+    hasBase: baseContent != null,
+    sections
+  };
+}
+
+function summarizeFiles(files) {
+  const summary = {
+    files: files.length,
+    filesMissing: 0,
+    filesDrifted: 0,
+    sections: 0,
+    inSync: 0,
+    missing: 0,
+    outdated: 0,
+    handEdited: 0,
+    orphaned: 0
+  };
+  const keys = {
+    [SECTION_STATUS.IN_SYNC]: 'inSync',
+    [SECTION_STATUS.MISSING]: 'missing',
+    [SECTION_STATUS.OUTDATED]: 'outdated',
+    [SECTION_STATUS.HAND_EDITED]: 'handEdited',
+    [SECTION_STATUS.ORPHANED]: 'orphaned'
+  };
+
+  files.forEach(file => {
+    if (file.status === SECTION_STATUS.MISSING) summary.filesMissing++;
+    if (file.status === 'drifted') summary.filesDrifted++;
+    file.sections.forEach(section => {
+      summary.sections++;
+      summary[keys[section.status]]++;
+    });
+  });
+
+  summary.drift = summary.missing + summary.outdated + summary.handEdited + summary.orphaned;
+  return summary;
+}
+
+/**
+ * Diff a set of generated documents (from generateDocuments) against the docs directory.
+ * @param {Object} args
+ * @param {Array<{relativePath: string, content: string}>} args.documents - Generated documents
+ * @param {string} args.outputDir - Docs directory the documents would be written to
+ * @param {Object} args.stateOptions - `.dochealth` state options ({root, stateDir}) for BASE lookups
+ * @param {number} args.context - Unified diff context lines
+ * @returns {Promise<{files: Array<Object>, summary: Object}>}
+ */
+async function diffGeneratedDocs({ documents = [], outputDir, stateOptions = {}, context } = {}) {
+  const resolvedOutput = path.resolve(outputDir);
+  const files = [];
+
+  for (const descriptor of documents) {
+    const absolutePath = path.join(resolvedOutput, descriptor.relativePath);
+    const localContent = await readFileIfExists(absolutePath);
+    const baseContent = localContent == null ? null : await readBase(absolutePath, stateOptions);
+    files.push(
+      await diffDocument({
+        relativePath: descriptor.relativePath,
+        localContent,
+        remoteContent: descriptor.content,
+        baseContent,
+        context
+      })
+    );
+  }
+
+  return { files, summary: summarizeFiles(files) };
+}
+
+module.exports = {
+  diffDocument,
+  diffGeneratedDocs,
+  classifySection,
+  SECTION_STATUS,
+  DRIFT_STATUSES
+};
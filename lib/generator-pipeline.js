@@ -1,10 +1,12 @@
 /**
  * Generator Pipeline
  * ------------------
- * Loads protocol manifests, runs the appropriate generator (API/Data/Workflow),
- * and writes Markdown outputs with optional merge protection using the AST
- * merge utilities. File writes happen in bounded concurrent batches (default 200)
- * to satisfy the R3.1 performance guidance.
+ * Loads protocol manifests, runs the appropriate generator (API/Data/Workflow/
+ * Event/UI/Agent),
+ * adapts the output to the requested format (see generators/output-formats)
+ * and writes it with optional merge protection using the AST merge utilities.
+ * File writes happen in bounded concurrent batches (default 200) to satisfy
+ * the R3.1 performance guidance.
  */
 
 const fs = require('fs').promises;
@@ -14,6 +16,10 @@ const { loadProtocols } = require('./loader');
 const { generateAPIReferences } = require('./generators/api-generator');
 const { generateDataCatalogDocs } = require('./generators/data-generator');
 const { generateWorkflowDocs } = require('./generators/workflow-generator');
+const { generateEventDocs } = require('./generators/event-generator');
+const { generateComponentDocs } = require('./generators/ui-generator');
+const { generateAgentDocs } = require('./generators/agent-generator');
+const { renderDocument, buildSiteFiles, resolveOutputFormat } = require('./generators/output-formats');
 const { mergeDocuments } = require('./merge/ast-merger');
 const {
   readBase,
@@ -24,8 +30,9 @@ const {
   clearConflictRecord
 } = require('./merge/conflict-detector');
 
-const DEFAULT_TYPES = ['api', 'data', 'workflow'];
+const DEFAULT_TYPES = ['api', 'data', 'workflow', 'event', 'ui', 'agent'];
 const DEFAULT_CONCURRENCY = 200;
+const TYPE_ALIASES = { workflows: 'workflow', events: 'event', agents: 'agent' };
 
 const GENERATOR_DEFINITIONS = {
   api: {
@@ -42,6 +49,8 @@ const GENERATOR_DEFINITIONS = {
           service: generation.service,
           serviceSlug: generation.serviceSlug,
           fileName: doc.fileName,
+          method: doc.frontmatter.method,
+          path: doc.frontmatter.path,
           performance: generation.performance
         }
       }));
@@ -119,9 +128,259 @@ const GENERATOR_DEFINITIONS = {
         }
       };
     }
+  },
+  event: {
+    label: 'Event',
+    async collect(protocolEntry, context) {
+      const manifest = protocolEntry.protocol.manifest();
+      const generation = await generateEventDocs(manifest, {
+        ...context.generatorOptions,
+        protocol: protocolEntry.protocol,
+        workflows: context.workflows || []
+      });
+      const { document } = generation;
+      const documents = [
+        {
+          type: 'event',
+          displayName: `${generation.event} event`,
+          relativePath: path.join('events', document.fileName),
+          content: document.content,
+          meta: {
+            event: generation.event,
+            fileName: document.fileName,
+            performance: generation.performance
+          }
+        }
+      ];
+
+      return {
+        documents,
+        summary: {
+          name: generation.event,
+          files: documents.length,
+          outputDir: path.join(context.outputDir, 'events'),
+          performance: generation.performance
+        }
+      };
+    }
+  },
+  ui: {
+    label: 'UI',
+    async collect(protocolEntry, context) {
+      const manifest = protocolEntry.protocol.manifest();
+      const generation = await generateComponentDocs(manifest, {
+        ...context.generatorOptions,
+        protocol: protocolEntry.protocol
+      });
+      const { document, story } = generation;
+      const meta = {
+        component: generation.component,
+        fileName: document.fileName,
+        performance: generation.performance
+      };
+      const documents = [
+        {
+          type: 'ui',
+          displayName: `${generation.component} component`,
+          relativePath: path.join('components', document.fileName),
+          content: document.content,
+          meta
+        }
+      ];
+      if (story) {
+        // Stories are source files: written as generated, never merged or adapted
+        documents.push({
+          type: 'ui',
+          displayName: `${generation.component} stories`,
+          relativePath: path.join('components', story.fileName),
+          content: story.content,
+          raw: true,
+          meta: { ...meta, fileName: story.fileName }
+        });
+      }
+
+      return {
+        documents,
+        summary: {
+          name: generation.component,
+          files: documents.length,
+          outputDir: path.join(context.outputDir, 'components'),
+          performance: generation.performance
+        }
+      };
+    }
+  },
+  agent: {
+    label: 'Agent',
+    async collect(protocolEntry, context) {
+      const manifest = protocolEntry.protocol.manifest();
+      const generation = await generateAgentDocs(manifest, {
+        ...context.generatorOptions,
+        protocol: protocolEntry.protocol,
+        links: context.links || []
+      });
+      const { document } = generation;
+      const documents = [
+        {
+          type: 'agent',
+          displayName: `${generation.agent} agent`,
+          relativePath: path.join('agents', document.fileName),
+          content: document.content,
+          meta: {
+            agent: generation.agent,
+            fileName: document.fileName,
+            performance: generation.performance
+          }
+        }
+      ];
+
+      return {
+        documents,
+        summary: {
+          name: generation.agent,
+          files: documents.length,
+          outputDir: path.join(context.outputDir, 'agents'),
+          performance: generation.performance
+        }
+      };
+    }
   }
 };
 
+/**
+ * Workflow manifests of a load, which the event generator reads for the
+ * services producing and consuming each event.
+ */
+function collectWorkflowManifests(loadResults) {
+  return loadResults.protocols
+    .filter(entry => entry.type === 'workflow')
+    .map(entry => entry.protocol.manifest());
+}
+
+/**
+ * Run a protocol's generator once per pipeline run. Link targets, the
+ * requested generators and site files all read the same cached result.
+ * @returns {Promise<Object>} - Result of the generator definition's collect()
+ */
+function collectProtocol(entry, context) {
+  let pending = context.collectCache.get(entry.path);
+  if (!pending) {
+    pending = GENERATOR_DEFINITIONS[entry.type].collect(entry, context);
+    context.collectCache.set(entry.path, pending);
+  }
+  return pending;
+}
+
+/**
+ * collectProtocol() for protocols that were not requested. Manifests the
+ * generators reject are recorded in `context.collectErrors` and left out of
+ * link targets and site files instead of failing the run.
+ * @returns {Promise<Object|null>}
+ */
+async function collectSupporting(entry, context) {
+  try {
+    return await collectProtocol(entry, context);
+  } catch (error) {
+    if (!context.collectErrors.some(item => item.path === entry.path)) {
+      context.collectErrors.push({ path: entry.path, type: entry.type, message: error.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Pages of the loaded API and workflow protocols, which agent relationships
+ * link to. Only collected when agents are generated.
+ * @returns {Promise<Array<Object>>} - Link targets ({type, names, title, group?, relativePath, endpoint?})
+ */
+async function collectLinkTargets(loadResults, context, requestedTypes) {
+  const needed = requestedTypes.includes('agent')
+    && loadResults.protocols.some(entry => entry.type === 'agent');
+  if (!needed) return [];
+
+  const links = [];
+  for (const entry of loadResults.protocols) {
+    if (entry.type !== 'api' && entry.type !== 'workflow') continue;
+    const result = await collectSupporting(entry, context);
+    if (!result) continue;
+    const manifest = entry.protocol.manifest();
+    for (const descriptor of result.documents) {
+      if (entry.type === 'workflow') {
+        links.push({
+          type: 'workflow',
+          names: [manifest.workflow?.id, manifest.workflow?.name].filter(Boolean),
+          title: manifest.workflow?.name || manifest.workflow?.id,
+          relativePath: descriptor.relativePath
+        });
+        continue;
+      }
+      const { method, path: endpointPath } = descriptor.meta;
+      links.push({
+        type: 'api',
+        names: [descriptor.meta.service],
+        title: `${method} ${endpointPath}`,
+        group: descriptor.meta.service,
+        relativePath: descriptor.relativePath,
+        endpoint: { method, path: endpointPath }
+      });
+    }
+  }
+  return links;
+}
+
+/**
+ * Run a generator for one protocol and adapt its documents to the output
+ * format. Raw descriptors (e.g. Storybook stories) are not Markdown and are
+ * left as they are.
+ */
+async function collectDocuments(protocolEntry, context) {
+  const result = await collectProtocol(protocolEntry, context);
+  const documents = [];
+  for (const descriptor of result.documents) {
+    documents.push(descriptor.raw
+      ? descriptor
+      : await renderDocument(descriptor, context.generatorOptions.format));
+  }
+  return { ...result, documents };
+}
+
+/**
+ * Write the output format's site files (e.g. Docusaurus sidebars). They cover
+ * every generated document, so protocols that were not regenerated in this run
+ * (other types, or unchanged manifests in watch mode) are collected as well.
+ * Formats without site files return before collecting anything. Site files
+ * are always overwritten.
+ */
+async function writeSiteFiles(format, loadResults, rendered, context) {
+  if (!resolveOutputFormat(format).siteFiles) {
+    return [];
+  }
+
+  const documents = [];
+  for (const entry of loadResults.protocols) {
+    if (!GENERATOR_DEFINITIONS[entry.type]) continue;
+    if (rendered.has(entry.path)) {
+      documents.push(...rendered.get(entry.path));
+      continue;
+    }
+    const result = await collectSupporting(entry, context);
+    if (result) {
+      documents.push(...result.documents);
+    }
+  }
+
+  const siteFiles = buildSiteFiles(format, documents.filter(descriptor => !descriptor.raw));
+  for (const file of siteFiles) {
+    const targetPath = path.join(context.outputDir, file.relativePath);
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, file.content, 'utf8');
+  }
+  return siteFiles.map(file => ({
+    relativePath: file.relativePath,
+    targetPath: path.join(context.outputDir, file.relativePath)
+  }));
+}
+
 async function pathExists(target) {
   try {
     await fs.access(target);
@@ -161,6 +420,11 @@ async function writeDocument(descriptor, options) {
   await fs.mkdir(directory, { recursive: true });
   const exists = await pathExists(absolutePath);
 
+  if (descriptor.raw) {
+    await fs.writeFile(absolutePath, descriptor.content, 'utf8');
+    return { action: exists ? 'overwritten' : 'created', conflicts: 0, targetPath: absolutePath };
+  }
+
   if (!exists) {
     await fs.writeFile(absolutePath, descriptor.content, 'utf8');
     if (options.merge.enabled) {
@@ -190,7 +454,8 @@ async function writeDocument(descriptor, options) {
     localContent,
     remoteContent: descriptor.content,
     humanReferenceContent: baseFromSnapshot ? baseContent : descriptor.content,
-    filePath: absolutePath
+    filePath: absolutePath,
+    format: options.format
   });
 
   await fs.writeFile(absolutePath, mergeResult.mergedContent, 'utf8');
@@ -245,7 +510,7 @@ function mapRequestedTypes(types) {
   if (!types || !types.length) return DEFAULT_TYPES;
   return types
     .map(value => String(value || '').toLowerCase())
-    .map(value => (value === 'workflows' ? 'workflow' : value))
+    .map(value => TYPE_ALIASES[value] || value)
     .filter(value => DEFAULT_TYPES.includes(value));
 }
 
@@ -253,19 +518,23 @@ async function runGeneratorPipeline(options = {}) {
   const {
     types = DEFAULT_TYPES,
     protocolsPath = './src',
+    patterns = null,
     outputDir = './docs',
     format = 'markdown',
+    storybook = false,
     merge = true,
     concurrency = DEFAULT_CONCURRENCY,
     mergeRoot = process.cwd(),
-    stateDir = null
+    stateDir = null,
+    onlyPaths = null
   } = options;
 
+  const outputFormat = resolveOutputFormat(format).name;
   const resolvedOutput = path.resolve(outputDir);
   const resolvedProtocolsPath = path.resolve(protocolsPath);
   await fs.mkdir(resolvedOutput, { recursive: true });
 
-  const loadResults = await loadProtocols(resolvedProtocolsPath);
+  const loadResults = await loadProtocols(resolvedProtocolsPath, { patterns });
   const mergeOptions = {
     enabled: Boolean(merge),
     root: mergeRoot ? path.resolve(mergeRoot) : process.cwd(),
@@ -274,6 +543,15 @@ async function runGeneratorPipeline(options = {}) {
 
   const requestedTypes = mapRequestedTypes(types);
   const summaries = {};
+  const context = {
+    outputDir: resolvedOutput,
+    generatorOptions: { format: outputFormat, storybook: Boolean(storybook) },
+    workflows: collectWorkflowManifests(loadResults),
+    collectCache: new Map(),
+    collectErrors: []
+  };
+  context.links = await collectLinkTargets(loadResults, context, requestedTypes);
+  const rendered = new Map();
 
   for (const type of requestedTypes) {
     const definition = GENERATOR_DEFINITIONS[type];
@@ -284,20 +562,18 @@ async function runGeneratorPipeline(options = {}) {
       continue;
     }
 
-    const protocolEntries = loadResults.protocols.filter(entry => entry.type === type);
+    const protocolEntries = loadResults.protocols.filter(entry =>
+      entry.type === type && (!onlyPaths || onlyPaths.has(entry.path))
+    );
     if (!protocolEntries.length) {
       continue;
     }
 
-    const context = {
-      outputDir: resolvedOutput,
-      generatorOptions: { format }
-    };
-
     const descriptors = [];
 
     for (const entry of protocolEntries) {
-      const result = await definition.collect(entry, context);
+      const result = await collectDocuments(entry, context);
+      rendered.set(entry.path, result.documents);
       summary.protocolSummaries.push(result.summary);
       if (result.summary?.outputDir) {
         summary.outputDirs.add(result.summary.outputDir);
@@ -315,7 +591,11 @@ async function runGeneratorPipeline(options = {}) {
     const writeResults = await processWithConcurrency(
       descriptors,
       concurrency,
-      descriptor => writeDocument(descriptor, { outputDir: resolvedOutput, merge: mergeOptions })
+      descriptor => writeDocument(descriptor, {
+        outputDir: resolvedOutput,
+        format: outputFormat,
+        merge: mergeOptions
+      })
     );
 
     summary.documents = descriptors.map((descriptor, index) => ({
@@ -335,9 +615,14 @@ async function runGeneratorPipeline(options = {}) {
     summary.outputDirs = Array.from(summary.outputDirs);
   }
 
+  const siteFiles = await writeSiteFiles(outputFormat, loadResults, rendered, context);
+
   return {
     outputDir: resolvedOutput,
+    format: outputFormat,
+    siteFiles,
     loadResults,
+    collectErrors: context.collectErrors,
     summaries: Object.fromEntries(
       Object.entries(summaries).map(([type, summary]) => {
         if (summary.outputDirs instanceof Set) {
@@ -350,6 +635,77 @@ async function runGeneratorPipeline(options = {}) {
   };
 }
 
+/**
+ * Run the generators in memory without touching the output directory.
+ * Used by `dochealth diff` to compare regenerated docs with what is on disk.
+ * @param {Object} options - Same protocol/type/format/storybook options as runGeneratorPipeline
+ * @returns {Promise<{outputDir: string, loadResults: Object, documents: Array<Object>}>}
+ */
+async function generateDocuments(options = {}) {
+  const {
+    types = DEFAULT_TYPES,
+    protocolsPath = './src',
+    patterns = null,
+    outputDir = './docs',
+    format = 'markdown',
+    storybook = false
+  } = options;
+
+  const resolvedOutput = path.resolve(outputDir);
+  const loadResults = await loadProtocols(path.resolve(protocolsPath), { patterns });
+  const requestedTypes = mapRequestedTypes(types);
+  const context = {
+    outputDir: resolvedOutput,
+    generatorOptions: { format: resolveOutputFormat(format).name, storybook: Boolean(storybook) },
+    workflows: collectWorkflowManifests(loadResults),
+    collectCache: new Map(),
+    collectErrors: []
+  };
+  context.links = await collectLinkTargets(loadResults, context, requestedTypes);
+  const documents = [];
+
+  for (const type of requestedTypes) {
+    const protocolEntries = loadResults.protocols.filter(entry => entry.type === type);
+    for (const entry of protocolEntries) {
+      const result = await collectDocuments(entry, context);
+      // Only Markdown documents have generated sections to compare
+      documents.push(...result.documents.filter(descriptor => !descriptor.raw));
+    }
+  }
+
+  return {
+    outputDir: resolvedOutput,
+    loadResults,
+    documents
+  };
+}
+
+/**
+ * Relative paths of the documents the generators produce for one loaded
+ * protocol, without writing anything. Types without a generator return [].
+ * @param {Object} protocolEntry - Entry from loadProtocols() ({protocol, type, path})
+ * @param {Object} options
+ * @param {string} options.outputDir - Docs directory the documents would be written to
+ * @param {string} options.format - Output format
+ * @returns {Promise<string[]>}
+ */
+async function planDocumentPaths(protocolEntry, { outputDir = './docs', format = 'markdown' } = {}) {
+  const definition = GENERATOR_DEFINITIONS[protocolEntry.type];
+  if (!definition) {
+    return [];
+  }
+
+  const result = await definition.collect(protocolEntry, {
+    outputDir: path.resolve(outputDir),
+    generatorOptions: { format }
+  });
+  return result.documents
+    .filter(descriptor => !descriptor.raw)
+    .map(descriptor => descriptor.relativePath);
+}
+
 module.exports = {
-  runGeneratorPipeline
+  runGeneratorPipeline,
+  generateDocuments,
+  planDocumentPaths
 };
@@ -0,0 +1,435 @@
+/**
+ * Agent catalog generator (Stage 1 + Stage 2 pipeline).
+ *
+ * One page per agent protocol: tool signatures and input schemas, resources,
+ * prompts, communication channels, authorization and delegation rules, and
+ * the APIs and workflows in `relationships`, linked to their generated pages
+ * when those protocols are loaded alongside the agent.
+ */
+
+const path = require('path');
+const { performance } = require('node:perf_hooks');
+const { createProtocolFromManifest } = require('../loader');
+const { parseURN } = require('../urn-resolver');
+const {
+  createSlug,
+  wrapGeneratedSection,
+  formatCallout,
+  jsonToMarkdownTable
+} = require('./helpers');
+const { createFrontmatterPlugin } = require('./frontmatter-plugin');
+
+// Agent pages are written to agents/<slug>.md; link targets are relative to the docs root
+const AGENT_DIRECTORY = 'agents';
+const OTHER_RELATIONSHIPS = [['models', 'Models'], ['targets', 'Targets']];
+let remarkStackPromise = null;
+
+async function loadRemarkStack() {
+  if (!remarkStackPromise) {
+    remarkStackPromise = (async () => {
+      const [
+        { unified },
+        remarkParseModule,
+        remarkStringifyModule,
+        remarkFrontmatterModule,
+        remarkDirectiveModule
+      ] = await Promise.all([
+        import('unified'),
+        import('remark-parse'),
+        import('remark-stringify'),
+        import('remark-frontmatter'),
+        import('remark-directive')
+      ]);
+
+      return {
+        unified,
+        remarkParse: remarkParseModule.default || remarkParseModule,
+        remarkStringify: remarkStringifyModule.default || remarkStringifyModule,
+        remarkFrontmatter: remarkFrontmatterModule.default || remarkFrontmatterModule,
+        remarkDirective: remarkDirectiveModule.default || remarkDirectiveModule
+      };
+    })();
+  }
+  return remarkStackPromise;
+}
+
+function createSemanticIds(agentSlug) {
+  const base = `agent-${agentSlug}`;
+  return {
+    base,
+    overview: `${base}-overview`,
+    tools: `${base}-tools`,
+    resources: `${base}-resources`,
+    prompts: `${base}-prompts`,
+    communication: `${base}-communication`,
+    authorization: `${base}-authorization`,
+    relationships: `${base}-relationships`
+  };
+}
+
+function formatSchemaType(schema = {}) {
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+  if (schema.type === 'array') {
+    return `${formatSchemaType(schema.items || {})}[]`;
+  }
+  return schema.type || 'any';
+}
+
+/**
+ * One-line call signature of a tool, e.g. `list(customer_id: string, limit?: integer) → object`.
+ * @param {Object} tool - Entry of capabilities.tools
+ * @returns {string}
+ */
+function formatToolSignature(tool = {}) {
+  const properties = tool.inputSchema?.properties || {};
+  const required = tool.inputSchema?.required || [];
+  const params = Object.entries(properties).map(([name, schema]) =>
+    `${name}${required.includes(name) ? '' : '?'}: ${formatSchemaType(schema)}`);
+  const output = tool.outputSchema ? tool.outputSchema.title || formatSchemaType(tool.outputSchema) : 'void';
+  return `${tool.name}(${params.join(', ')}) → ${output}`;
+}
+
+function formatToolParameters(inputSchema = {}) {
+  const required = inputSchema.required || [];
+  const rows = Object.entries(inputSchema.properties || {})
+    .map(([name, schema]) => ({ name, schema }));
+  if (!rows.length) return '_No input parameters_';
+  return jsonToMarkdownTable(rows, [
+    { header: 'Parameter', accessor: 'name' },
+    {
+      header: 'Type',
+      accessor: ({ schema }) => (Array.isArray(schema.enum) && schema.enum.length
+        ? `enum (${schema.enum.map(value => JSON.stringify(value)).join(', ')})`
+        : formatSchemaType(schema))
+    },
+    { header: 'Required', accessor: row => (required.includes(row.name) ? 'Yes' : 'No') },
+    { header: 'Description', accessor: row => row.schema.description || '—' }
+  ]);
+}
+
+function formatTools(tools = [], links) {
+  if (!tools.length) return '_No tools declared_';
+  return tools.map(tool => {
+    const lines = [
+      `### ${tool.name}`,
+      tool.description || 'No description provided.',
+      '',
+      `\`${formatToolSignature(tool)}\``,
+      '',
+      formatToolParameters(tool.inputSchema)
+    ];
+    if (tool.inputSchema) {
+      lines.push('', '```json', JSON.stringify(tool.inputSchema, null, 2), '```');
+    }
+    if (tool.urn) {
+      lines.push('', `Implemented by ${formatUrnLinks(tool.urn, links)}.`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function formatResources(resources = []) {
+  if (!resources.length) return '_No resources declared_';
+  return jsonToMarkdownTable(resources, [
+    { header: 'Name', accessor: resource => resource.name || '—' },
+    { header: 'URI', accessor: resource => `\`${resource.uri}\`` },
+    { header: 'MIME Type', accessor: resource => resource.mimeType || '—' }
+  ]);
+}
+
+function formatPrompts(prompts = []) {
+  if (!prompts.length) return '_No prompts declared_';
+  return jsonToMarkdownTable(prompts, [
+    { header: 'Prompt', accessor: 'name' },
+    {
+      header: 'Arguments',
+      accessor: prompt => (prompt.arguments || [])
+        .map(arg => `\`${arg.name}${arg.required ? '' : '?'}\``).join(', ') || '—'
+    },
+    { header: 'Description', accessor: prompt => prompt.description || '—' }
+  ]);
+}
+
+function formatCommunication(communication = {}, discoveryUri) {
+  const transport = communication.transport || {};
+  const lines = [
+    `- **Protocols:** ${(communication.supported || []).map(name => `\`${name}\``).join(', ') || 'Not specified'}`,
+    `- **Transport:** ${transport.primary || 'Not specified'}`,
+    `- **Streaming:** ${transport.streaming || 'none'}`,
+    `- **Fallback:** ${transport.fallback || 'none'}`,
+    discoveryUri ? `- **Discovery:** ${discoveryUri}` : null
+  ].filter(Boolean);
+
+  const endpoints = Object.entries(communication.endpoints || {})
+    .map(([protocolName, url]) => ({ protocolName, url }));
+  const sections = [lines.join('\n')];
+  if (endpoints.length) {
+    sections.push('', jsonToMarkdownTable(endpoints, [
+      { header: 'Channel', accessor: 'protocolName' },
+      { header: 'Endpoint', accessor: endpoint => `\`${endpoint.url}\`` }
+    ]));
+  }
+  return sections.join('\n');
+}
+
+function formatAuthorization(manifest, issues = [], format) {
+  const authorization = manifest?.authorization || {};
+  const roles = manifest?.relationships?.roles || [];
+  const rule = authorization.delegation_supported
+    ? 'Other agents may delegate tasks to this agent. Delegated requests must be signed'
+      + (authorization.signature_algorithm ? ` with \`${authorization.signature_algorithm}\`.` : '.')
+    : 'This agent does not accept delegated requests.';
+  const lines = [
+    `- **Delegation:** ${authorization.delegation_supported ? 'Supported' : 'Not supported'}`,
+    `- **Signature Algorithm:** ${authorization.signature_algorithm || '—'}`,
+    `- **Roles:** ${roles.map(urn => `\`${urn}\``).join(', ') || 'None declared'}`
+  ];
+
+  const sections = [rule, '', lines.join('\n')];
+  if (issues.length) {
+    const body = issues.map(issue => `- \`${issue.path}\` ${issue.msg}`).join('\n');
+    sections.push('', formatCallout('warning', 'Delegation policy', body, format));
+  }
+  return sections.join('\n');
+}
+
+/**
+ * Documentation pages a relationship URN points to. Namespace and identifier
+ * must match a link target (identifiers compare as slugs, versions are
+ * ignored since the loaded protocols are the current ones). An API URN with
+ * an endpoint anchor (`#GET-v2-invoices`) resolves to that endpoint's page,
+ * without an anchor to every endpoint page of the service.
+ * @param {string} urn - Relationship URN, e.g. `urn:proto:api:billing-api@2.1.0`
+ * @param {Array<Object>} links - Link targets ({type, names, title, group?, relativePath, endpoint?})
+ * @returns {Array<Object>} - Matching link targets, empty when unresolved
+ */
+function resolveRelationship(urn, links = []) {
+  const parsed = parseURN(urn);
+  if (!parsed) return [];
+  const identifier = createSlug(parsed.identifier);
+  const candidates = links.filter(link => link.type === parsed.namespace
+    && (link.names || []).some(name => createSlug(name) === identifier));
+  if (parsed.namespace !== 'api' || !parsed.anchor) return candidates;
+
+  const anchor = createSlug(parsed.anchor);
+  return candidates.filter(link => link.endpoint
+    && createSlug(`${link.endpoint.method} ${link.endpoint.path}`) === anchor);
+}
+
+function linkFromAgentPage(relativePath) {
+  const target = relativePath.split(path.sep).join('/');
+  return path.posix.relative(AGENT_DIRECTORY, target);
+}
+
+// Linked page titles for a URN, followed by the URN itself
+function formatUrnLinks(urn, links) {
+  const targets = resolveRelationship(urn, links);
+  if (!targets.length) {
+    return `\`${urn}\` — not found in the loaded protocols`;
+  }
+  const anchors = targets.map(target => `[${target.title}](${linkFromAgentPage(target.relativePath)})`);
+  const group = targets[0].group ? `${targets[0].group}: ` : '';
+  return `${group}${anchors.join(', ')} (\`${urn}\`)`;
+}
+
+function formatRelationshipList(urns = [], links) {
+  if (!urns.length) return '_None declared_';
+  return urns.map(urn => `- ${formatUrnLinks(urn, links)}`).join('\n');
+}
+
+function formatRelationships(relationships = {}, links) {
+  const others = OTHER_RELATIONSHIPS
+    .filter(([key]) => (relationships[key] || []).length)
+    .map(([key, label]) => `- **${label}:** ${relationships[key].map(urn => `\`${urn}\``).join(', ')}`);
+
+  const sections = [
+    '### APIs',
+    formatRelationshipList(relationships.apis, links),
+    '',
+    '### Workflows',
+    formatRelationshipList(relationships.workflows, links)
+  ];
+  if (others.length) {
+    sections.push('', '### Other Links', others.join('\n'));
+  }
+  return sections.join('\n');
+}
+
+function countUnresolvedLinks(manifest, links) {
+  const relationships = manifest?.relationships || {};
+  const urns = [...(relationships.apis || []), ...(relationships.workflows || [])];
+  return urns.filter(urn => resolveRelationship(urn, links).length === 0).length;
+}
+
+function renderAgentMarkdown({ manifest, agentSlug, semanticIds, protocol, links = [], format = 'markdown' }) {
+  const agent = manifest?.agent || {};
+  const metadata = manifest?.metadata || {};
+  const capabilities = manifest?.capabilities || {};
+  const modalities = capabilities.modalities || {};
+  const issues = (protocol.validate(['authorization.delegation_min']).results[0]?.issues) || [];
+
+  const overviewBullets = [
+    `- **Agent ID:** \`${agent.id || agentSlug}\``,
+    `- **Version:** ${agent.version || 'n/a'}`,
+    `- **Status:** ${agent.lifecycle?.status || 'defined'}`,
+    metadata.owner ? `- **Owner:** ${metadata.owner}` : null,
+    Array.isArray(metadata.tags) && metadata.tags.length ? `- **Tags:** ${metadata.tags.join(', ')}` : null,
+    modalities.input?.length ? `- **Input Modalities:** ${modalities.input.join(', ')}` : null,
+    modalities.output?.length ? `- **Output Modalities:** ${modalities.output.join(', ')}` : null
+  ].filter(Boolean);
+
+  const sections = [];
+  if (agent.lifecycle?.status === 'deprecated') {
+    sections.push(formatCallout('warning', 'Deprecated', 'This agent is deprecated.', format), '');
+  }
+
+  sections.push(
+    `## Overview {#${semanticIds.overview}}`,
+    agent.description || 'No description provided.',
+    '',
+    overviewBullets.join('\n'),
+    '',
+    `## Tools {#${semanticIds.tools}}`,
+    formatTools(capabilities.tools, links),
+    '',
+    `## Resources {#${semanticIds.resources}}`,
+    formatResources(capabilities.resources),
+    '',
+    `## Prompts {#${semanticIds.prompts}}`,
+    formatPrompts(capabilities.prompts),
+    '',
+    `## Communication {#${semanticIds.communication}}`,
+    formatCommunication(manifest?.communication, agent.discovery_uri),
+    '',
+    `## Authorization & Delegation {#${semanticIds.authorization}}`,
+    formatAuthorization(manifest, issues, format),
+    '',
+    `## Relationships {#${semanticIds.relationships}}`,
+    formatRelationships(manifest?.relationships, links)
+  );
+
+  const generatedContent = sections.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  const directive = wrapGeneratedSection(generatedContent, {
+    id: semanticIds.base,
+    attributes: {
+      'data-agent': agent.id,
+      'data-version': agent.version,
+      'data-tools': (capabilities.tools || []).length
+    }
+  });
+
+  return `# Agent: ${agent.name || agentSlug}\n\n${directive}`.trimEnd() + '\n';
+}
+
+function buildAgentFrontmatter({ manifest, agentSlug, semanticIds, links = [] }) {
+  const agent = manifest?.agent || {};
+  const metadata = manifest?.metadata || {};
+
+  return {
+    title: agent.name || agentSlug,
+    slug: `/agents/${agentSlug}`,
+    agent: agent.id || agentSlug,
+    agentVersion: agent.version,
+    agentStatus: agent.lifecycle?.status || 'defined',
+    protocols: manifest?.communication?.supported || [],
+    delegation: Boolean(manifest?.authorization?.delegation_supported),
+    owner: metadata.owner,
+    tags: metadata.tags || [],
+    semanticId: semanticIds.base,
+    toolCount: (manifest?.capabilities?.tools || []).length,
+    unresolvedLinks: countUnresolvedLinks(manifest, links),
+    ...(agent.lifecycle?.status === 'deprecated' ? { deprecated: true } : {}),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+async function transformMarkdown(markdown, frontmatter) {
+  const stack = await loadRemarkStack();
+  const processor = stack
+    .unified()
+    .use(stack.remarkParse)
+    .use(stack.remarkDirective)
+    .use(stack.remarkFrontmatter, ['yaml'])
+    .use(createFrontmatterPlugin(frontmatter))
+    .use(stack.remarkStringify, {
+      fences: true,
+      bullet: '-',
+      rule: '-'
+    });
+
+  const file = await processor.process(markdown);
+  file.data = file.data || {};
+  file.data.frontmatter = frontmatter;
+  return file;
+}
+
+function benchmarkStageOne(renderStageOne) {
+  const targetIterations = 100;
+  const start = performance.now();
+  for (let i = 0; i < targetIterations; i++) {
+    renderStageOne();
+  }
+  const durationMs = performance.now() - start;
+  return {
+    sampleSize: targetIterations,
+    durationMs: Number(durationMs.toFixed(2)),
+    perDocMs: Number((durationMs / targetIterations).toFixed(4)),
+    targetMs: 200,
+    metTarget: durationMs <= 200
+  };
+}
+
+/**
+ * Generate the catalog page of one agent.
+ * @param {Object} manifest - Agent manifest
+ * @param {Object} [options]
+ * @param {Object} [options.protocol] - Loaded agent protocol; created from the manifest when missing
+ * @param {Array<Object>} [options.links] - Generated API/workflow pages relationships resolve to
+ * @param {string} [options.format='markdown'] - Output format
+ * @returns {Promise<Object>}
+ */
+async function generateAgentDocs(manifest, options = {}) {
+  if (!manifest?.agent?.name && !manifest?.agent?.id) {
+    throw new Error('Agent manifest must include agent.name or agent.id');
+  }
+
+  const { links = [], format = 'markdown' } = options;
+  const protocol = typeof options.protocol?.generateAgentCard === 'function'
+    ? options.protocol
+    : createProtocolFromManifest(manifest, 'agent');
+  const agentName = manifest.agent.name || manifest.agent.id;
+  const agentSlug = createSlug(agentName);
+  const semanticIds = createSemanticIds(agentSlug);
+  const renderArgs = { manifest, agentSlug, semanticIds, protocol, links, format };
+
+  const markdown = renderAgentMarkdown(renderArgs);
+  const frontmatter = buildAgentFrontmatter(renderArgs);
+  const file = await transformMarkdown(markdown, frontmatter);
+  const fileName = `${agentSlug || 'agent'}.md`;
+  const performanceStats = benchmarkStageOne(() => renderAgentMarkdown(renderArgs));
+
+  return {
+    agent: agentName,
+    agentSlug,
+    document: {
+      semanticId: semanticIds.base,
+      slug: frontmatter.slug,
+      fileName,
+      frontmatter,
+      vfile: file,
+      content: String(file)
+    },
+    performance: performanceStats,
+    options
+  };
+}
+
+module.exports = {
+  generateAgentDocs,
+  renderAgentMarkdown,
+  buildAgentFrontmatter,
+  formatToolSignature,
+  resolveRelationship
+};
@@ -18,9 +18,11 @@ const {
   formatPaginationDetails,
   formatLongRunningDetails,
   formatAuthenticationSummary,
-  wrapGeneratedSection
+  wrapGeneratedSection,
+  formatDeprecationCallout
 } = require('./helpers');
 const { createFrontmatterPlugin } = require('./frontmatter-plugin');
+const { describeDeprecation } = require('../lifecycle');
 
 let remarkStackPromise = null;
 
@@ -69,6 +71,12 @@ function buildHealthSection(health = {}) {
   return `## Health\n${rows.join('\n')}`;
 }
 
+function buildDeprecationBanner(deprecation, format = 'markdown') {
+  if (!deprecation) return '';
+  const subject = deprecation.scope === 'service' ? 'This API' : 'This endpoint';
+  return formatDeprecationCallout(subject, deprecation, format);
+}
+
 /**
  * Stage 1: Render endpoint content using template literals only.
  * @param {Object} args
@@ -80,7 +88,8 @@ function renderEndpointMarkdown({
   serviceName,
   serviceSlug,
   semanticId,
-  health
+  health,
+  format = 'markdown'
 }) {
   const method = endpoint.method || 'GET';
   const pathName = endpoint.path || '/';
@@ -102,7 +111,9 @@ function renderEndpointMarkdown({
     tags.length ? `- **Tags:** ${tags.join(', ')}` : null
   ].filter(Boolean);
 
+  const deprecationBanner = buildDeprecationBanner(describeDeprecation(manifest, endpoint), format);
   const sections = [
+    ...(deprecationBanner ? [deprecationBanner, ''] : []),
     '## Summary',
     summary,
     '',
@@ -172,6 +183,7 @@ function buildEndpointFrontmatter({
     ].filter(Boolean))
   );
   const coveragePercent = Math.round((health.coverage.coveragePercentage || 0) * 100);
+  const deprecation = describeDeprecation(manifest, endpoint);
 
   return {
     title: endpoint.summary || `${method} ${pathName}`,
@@ -187,6 +199,8 @@ function buildEndpointFrontmatter({
     coveragePercentage: Number.isFinite(coveragePercent) ? coveragePercent : 0,
     severity: health.freshness.severity,
     semanticId,
+    ...(deprecation ? { deprecated: true } : {}),
+    ...(deprecation?.sunsetAt ? { sunsetAt: deprecation.sunsetAt } : {}),
     generatedAt: new Date().toISOString()
   };
 }
@@ -270,7 +284,8 @@ async function generateAPIReferences(manifest, options = {}) {
       serviceName,
       serviceSlug,
       semanticId,
-      health
+      health,
+      format: options.format
     });
 
     const frontmatter = buildEndpointFrontmatter({
@@ -302,7 +317,8 @@ async function generateAPIReferences(manifest, options = {}) {
       serviceName,
       serviceSlug,
       semanticId: createSemanticId(endpoint, serviceSlug),
-      health
+      health,
+      format: options.format
     })
   );
 
@@ -0,0 +1,447 @@
+/**
+ * Event catalog generator (Stage 1 + Stage 2 pipeline).
+ *
+ * One page per event protocol: payload fields, delivery contract, PII
+ * governance, producers and consumers, compatibility notes from the
+ * protocol's checkCompatibility() and an example consumer from
+ * generateConsumerSkeleton().
+ */
+
+const { performance } = require('node:perf_hooks');
+const { createProtocolFromManifest } = require('../loader');
+const { describeDeprecation } = require('../lifecycle');
+const {
+  createSlug,
+  wrapGeneratedSection,
+  formatCallout,
+  formatDeprecationCallout,
+  formatDataFieldsTable,
+  formatGovernanceSummary,
+  jsonToMarkdownTable
+} = require('./helpers');
+const { createFrontmatterPlugin } = require('./frontmatter-plugin');
+
+const NO_DATA = '_No data available_';
+// AsyncAPI 3 `send` and AsyncAPI 2 `subscribe` describe an application that publishes
+const PRODUCER_ACTIONS = ['send', 'subscribe'];
+const CONSUMER_ACTIONS = ['receive', 'publish'];
+let remarkStackPromise = null;
+
+async function loadRemarkStack() {
+  if (!remarkStackPromise) {
+    remarkStackPromise = (async () => {
+      const [
+        { unified },
+        remarkParseModule,
+        remarkStringifyModule,
+        remarkFrontmatterModule,
+        remarkDirectiveModule
+      ] = await Promise.all([
+        import('unified'),
+        import('remark-parse'),
+        import('remark-stringify'),
+        import('remark-frontmatter'),
+        import('remark-directive')
+      ]);
+
+      return {
+        unified,
+        remarkParse: remarkParseModule.default || remarkParseModule,
+        remarkStringify: remarkStringifyModule.default || remarkStringifyModule,
+        remarkFrontmatter: remarkFrontmatterModule.default || remarkFrontmatterModule,
+        remarkDirective: remarkDirectiveModule.default || remarkDirectiveModule
+      };
+    })();
+  }
+  return remarkStackPromise;
+}
+
+function createSemanticIds(eventSlug) {
+  const base = `event-${eventSlug}`;
+  return {
+    base,
+    overview: `${base}-overview`,
+    payload: `${base}-payload`,
+    delivery: `${base}-delivery`,
+    governance: `${base}-governance`,
+    participants: `${base}-participants`,
+    compatibility: `${base}-compatibility`,
+    consumer: `${base}-consumer`
+  };
+}
+
+/**
+ * Payload fields keyed by name, from `schema.fields` or the JSON Schema
+ * payload. Nested object properties are listed with dotted names.
+ * @param {Object} schema - Event manifest schema
+ * @returns {Object<string, {type: string, required: boolean, pii: boolean, description: string}>}
+ */
+function collectPayloadFields(schema = {}) {
+  if (Array.isArray(schema.fields) && schema.fields.length) {
+    return Object.fromEntries(schema.fields
+      .filter(field => field?.name)
+      .map(field => [field.name, {
+        type: field.type,
+        required: Boolean(field.required),
+        pii: Boolean(field.pii),
+        description: field.description
+      }]));
+  }
+
+  const fields = {};
+  const walk = (node, prefix) => {
+    const required = new Set(node?.required || []);
+    Object.entries(node?.properties || {}).forEach(([name, property = {}]) => {
+      const fieldName = prefix ? `${prefix}.${name}` : name;
+      const type = Array.isArray(property.type) ? property.type.join(' | ') : property.type;
+      fields[fieldName] = {
+        type: property.format ? `${type || 'string'} (${property.format})` : type,
+        required: required.has(name),
+        pii: property['x-pii'] === true,
+        description: property.description
+      };
+      if (property.properties) {
+        walk(property, fieldName);
+      }
+    });
+  };
+  walk(schema.payload, '');
+  return fields;
+}
+
+function describeOrdering(delivery = {}) {
+  const contract = delivery.contract || {};
+  const bindings = delivery.bindings || {};
+  if (contract.ordering) {
+    return String(contract.ordering);
+  }
+  if (contract.transport === 'kafka') {
+    return bindings.message?.kafka?.key
+      ? 'Per partition, keyed by the Kafka message key'
+      : 'Per partition';
+  }
+  if (bindings.channel?.sqs?.queue?.fifoQueue === true) {
+    return 'FIFO queue';
+  }
+  return 'Not guaranteed';
+}
+
+function describeRetries(contract = {}) {
+  if (!contract.retry_policy) return 'Not specified';
+  if (contract.retry_policy === 'none') return 'No retries';
+  return `${contract.retry_policy} backoff`;
+}
+
+function formatDeliveryContract(delivery = {}) {
+  const contract = delivery.contract || {};
+  const lines = [
+    `- **Transport:** ${contract.transport || 'Not specified'}`,
+    `- **Topic:** ${contract.topic ? `\`${contract.topic}\`` : 'Not specified'}`,
+    `- **Guarantees:** ${contract.guarantees || 'Not specified'}`,
+    `- **Ordering:** ${describeOrdering(delivery)}`,
+    `- **Retries:** ${describeRetries(contract)}`,
+    `- **Dead-letter Queue:** ${contract.dlq ? `\`${contract.dlq}\`` : 'None declared'}`
+  ];
+  return lines.join('\n');
+}
+
+function formatPiiGovernance({ manifest, fields, issues, format }) {
+  const piiFields = Object.keys(fields).filter(name => fields[name].pii);
+  const summary = formatGovernanceSummary(manifest.governance);
+  const sections = [
+    ...(summary === NO_DATA ? [] : [summary]),
+    `- **PII Fields:** ${piiFields.length ? piiFields.map(name => `\`${name}\``).join(', ') : 'None detected'}`
+  ];
+  if (issues.length) {
+    const body = issues.map(issue => `- ${issue.msg} (\`${issue.path}\`)`).join('\n');
+    sections.push('', formatCallout('warning', 'PII policy', body, format));
+  }
+  return sections.join('\n');
+}
+
+/**
+ * Services producing and consuming an event: the manifest owner (by the
+ * AsyncAPI operation actions it was imported from) and workflow steps that
+ * declare `produces` / `consumes`.
+ * @param {Object} manifest - Event manifest
+ * @param {Array<Object>} workflows - Workflow manifests
+ * @returns {{producers: string[], consumers: string[]}}
+ */
+function collectParticipants(manifest, workflows = []) {
+  const eventName = manifest?.event?.name;
+  const producers = new Set();
+  const consumers = new Set();
+  const owner = manifest?.metadata?.owner;
+  const actions = manifest?.metadata?.source?.actions || [];
+  if (owner && actions.some(action => PRODUCER_ACTIONS.includes(action))) producers.add(owner);
+  if (owner && actions.some(action => CONSUMER_ACTIONS.includes(action))) consumers.add(owner);
+
+  workflows.forEach(workflow => {
+    const workflowName = workflow?.workflow?.name || workflow?.workflow?.id;
+    (workflow?.steps || []).forEach(step => {
+      const participant = step.service || (workflowName ? `${workflowName} → ${step.id}` : step.id);
+      if (!participant) return;
+      const produces = Array.isArray(step.produces) ? step.produces : [step.produces];
+      const consumes = Array.isArray(step.consumes) ? step.consumes : [step.consumes];
+      if (produces.includes(eventName)) producers.add(participant);
+      if (consumes.includes(eventName)) consumers.add(participant);
+    });
+  });
+
+  return {
+    producers: Array.from(producers).sort(),
+    consumers: Array.from(consumers).sort()
+  };
+}
+
+function formatParticipantList(entries) {
+  return entries.length ? entries.map(entry => `- ${entry}`).join('\n') : '_None recorded_';
+}
+
+/**
+ * checkCompatibility() results for the current version and the versions the
+ * manifest lists as compatible.
+ * @param {Object} manifest - Event manifest
+ * @param {Object} protocol - Event protocol instance
+ * @returns {Array<{version: string, compatible: boolean, reason: string}>}
+ */
+function checkConsumerVersions(manifest, protocol) {
+  const current = manifest?.event?.version || '1.0.0';
+  const listed = manifest?.schema?.compatibility?.compatible_versions || [];
+  const versions = Array.from(new Set([current, ...listed].map(String)));
+  return versions.map(version => ({
+    version,
+    ...protocol.checkCompatibility({ eventName: manifest.event.name, version })
+  }));
+}
+
+/**
+ * Readable note for a checkCompatibility() result, whose reasons are terse
+ * expressions such as `consumer<=producer? (1.1.0<=1.1.0)`.
+ */
+function describeCompatibilityCheck(check, policy) {
+  if (check.reason === 'explicitly listed version') {
+    return 'Compatible: listed in compatible versions';
+  }
+  switch (policy) {
+    case 'backward':
+      return check.compatible
+        ? 'Compatible: consumer version ≤ producer version'
+        : 'Not compatible: consumer version > producer version';
+    case 'forward':
+      return check.compatible
+        ? 'Compatible: consumer version ≥ producer version'
+        : 'Not compatible: consumer version < producer version';
+    case 'full':
+      return 'Compatible: full compatibility policy';
+    case 'none':
+      return 'Not compatible: the policy only accepts listed versions';
+    default:
+      return check.compatible ? 'Compatible' : `Not compatible: unknown policy "${policy}"`;
+  }
+}
+
+function formatCompatibility(manifest, checks) {
+  const compatibility = manifest?.schema?.compatibility || {};
+  const listed = compatibility.compatible_versions || [];
+  const policy = compatibility.policy || 'backward';
+  const table = jsonToMarkdownTable(checks, [
+    { header: 'Consumer Version', accessor: 'version' },
+    { header: 'Compatible', accessor: row => (row.compatible ? '✅ Yes' : '❌ No') },
+    { header: 'Notes', accessor: row => describeCompatibilityCheck(row, policy) }
+  ]);
+  return [
+    `- **Policy:** ${policy}${compatibility.policy ? '' : ' (default)'}`,
+    `- **Compatible Versions:** ${listed.length ? listed.join(', ') : 'None listed'}`,
+    '',
+    table
+  ].join('\n');
+}
+
+function buildDeprecationBanner(manifest, format) {
+  // event.lifecycle has the same shape as an endpoint lifecycle
+  const deprecation = describeDeprecation({}, manifest?.event || {});
+  return deprecation ? formatDeprecationCallout('This event', deprecation, format) : '';
+}
+
+function renderEventMarkdown({ manifest, eventSlug, semanticIds, protocol, workflows = [], format = 'markdown' }) {
+  const event = manifest?.event || {};
+  const schema = manifest?.schema || {};
+  const delivery = manifest?.delivery || {};
+  const metadata = manifest?.metadata || {};
+  const fields = collectPayloadFields(schema);
+  const piiFieldCount = Object.values(fields).filter(field => field.pii).length;
+  const participants = collectParticipants(manifest, workflows);
+  const issues = (protocol.validate(['governance.pii_policy']).results[0]?.issues) || [];
+
+  const overviewBullets = [
+    `- **Version:** ${event.version || 'n/a'}`,
+    `- **Status:** ${event.lifecycle?.status || 'active'}`,
+    metadata.owner ? `- **Owner:** ${metadata.owner}` : null,
+    Array.isArray(metadata.tags) && metadata.tags.length ? `- **Tags:** ${metadata.tags.join(', ')}` : null,
+    `- **PII Fields:** ${piiFieldCount > 0 ? `${piiFieldCount} 🔐` : 'None detected'}`
+  ].filter(Boolean);
+
+  const sections = [];
+  const banner = buildDeprecationBanner(manifest, format);
+  if (banner) {
+    sections.push(banner, '');
+  }
+
+  sections.push(
+    `## Overview {#${semanticIds.overview}}`,
+    manifest?.semantics?.purpose || 'No description provided.',
+    '',
+    overviewBullets.join('\n'),
+    '',
+    `## Payload {#${semanticIds.payload}}`,
+    `Schema format: ${schema.format || 'json-schema'}`,
+    '',
+    formatDataFieldsTable(fields),
+    '',
+    `## Delivery Contract {#${semanticIds.delivery}}`,
+    formatDeliveryContract(delivery),
+    '',
+    `## PII Governance {#${semanticIds.governance}}`,
+    formatPiiGovernance({ manifest, fields, issues, format }),
+    '',
+    `## Producers and Consumers {#${semanticIds.participants}}`,
+    '### Producers',
+    formatParticipantList(participants.producers),
+    '',
+    '### Consumers',
+    formatParticipantList(participants.consumers),
+    '',
+    `## Compatibility {#${semanticIds.compatibility}}`,
+    formatCompatibility(manifest, checkConsumerVersions(manifest, protocol)),
+    '',
+    `## Example Consumer {#${semanticIds.consumer}}`,
+    '```javascript',
+    protocol.generateConsumerSkeleton('javascript') || NO_DATA,
+    '```'
+  );
+
+  const generatedContent = sections.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  const directive = wrapGeneratedSection(generatedContent, {
+    id: semanticIds.base,
+    attributes: {
+      'data-event': event.name,
+      'data-version': event.version,
+      'data-transport': delivery.contract?.transport,
+      'data-pii': piiFieldCount > 0 ? 'true' : 'false'
+    }
+  });
+
+  return `# Event: ${event.name || eventSlug}\n\n${directive}`.trimEnd() + '\n';
+}
+
+function buildEventFrontmatter({ manifest, eventSlug, semanticIds }) {
+  const event = manifest?.event || {};
+  const metadata = manifest?.metadata || {};
+  const piiFieldCount = Object.values(collectPayloadFields(manifest?.schema))
+    .filter(field => field.pii).length;
+  const deprecation = describeDeprecation({}, event);
+
+  return {
+    title: event.name || eventSlug,
+    slug: `/events/${eventSlug}`,
+    event: event.name || eventSlug,
+    eventVersion: event.version,
+    transport: manifest?.delivery?.contract?.transport,
+    owner: metadata.owner,
+    tags: metadata.tags || [],
+    semanticId: semanticIds.base,
+    piiFieldCount,
+    ...(deprecation ? { deprecated: true } : {}),
+    ...(deprecation?.sunsetAt ? { sunsetAt: deprecation.sunsetAt } : {}),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+async function transformMarkdown(markdown, frontmatter) {
+  const stack = await loadRemarkStack();
+  const processor = stack
+    .unified()
+    .use(stack.remarkParse)
+    .use(stack.remarkDirective)
+    .use(stack.remarkFrontmatter, ['yaml'])
+    .use(createFrontmatterPlugin(frontmatter))
+    .use(stack.remarkStringify, {
+      fences: true,
+      bullet: '-',
+      rule: '-'
+    });
+
+  const file = await processor.process(markdown);
+  file.data = file.data || {};
+  file.data.frontmatter = frontmatter;
+  return file;
+}
+
+function benchmarkStageOne(renderStageOne) {
+  const targetIterations = 100;
+  const start = performance.now();
+  for (let i = 0; i < targetIterations; i++) {
+    renderStageOne();
+  }
+  const durationMs = performance.now() - start;
+  return {
+    sampleSize: targetIterations,
+    durationMs: Number(durationMs.toFixed(2)),
+    perDocMs: Number((durationMs / targetIterations).toFixed(4)),
+    targetMs: 200,
+    metTarget: durationMs <= 200
+  };
+}
+
+/**
+ * Generate the catalog page of one event.
+ * @param {Object} manifest - Event manifest
+ * @param {Object} [options]
+ * @param {Object} [options.protocol] - Loaded event protocol; created from the manifest when missing
+ * @param {Array<Object>} [options.workflows] - Workflow manifests that produce or consume events
+ * @param {string} [options.format='markdown'] - Output format
+ * @returns {Promise<Object>}
+ */
+async function generateEventDocs(manifest, options = {}) {
+  if (!manifest?.event?.name) {
+    throw new Error('Event manifest must include event.name');
+  }
+
+  const { workflows = [], format = 'markdown' } = options;
+  const protocol = typeof options.protocol?.checkCompatibility === 'function'
+    ? options.protocol
+    : createProtocolFromManifest(manifest, 'event');
+  const eventSlug = createSlug(manifest.event.name);
+  const semanticIds = createSemanticIds(eventSlug);
+  const renderArgs = { manifest, eventSlug, semanticIds, protocol, workflows, format };
+
+  const markdown = renderEventMarkdown(renderArgs);
+  const frontmatter = buildEventFrontmatter(renderArgs);
+  const file = await transformMarkdown(markdown, frontmatter);
+  const fileName = `${eventSlug || 'event'}.md`;
+  const performanceStats = benchmarkStageOne(() => renderEventMarkdown(renderArgs));
+
+  return {
+    event: manifest.event.name,
+    eventSlug,
+    document: {
+      semanticId: semanticIds.base,
+      slug: frontmatter.slug,
+      fileName,
+      frontmatter,
+      vfile: file,
+      content: String(file)
+    },
+    performance: performanceStats,
+    options
+  };
+}
+
+module.exports = {
+  generateEventDocs,
+  renderEventMarkdown,
+  buildEventFrontmatter,
+  collectPayloadFields,
+  collectParticipants
+};
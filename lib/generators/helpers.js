@@ -5,6 +5,8 @@
 const crypto = require('crypto');
 
 const NO_DATA = '_No data available_';
+// Output formats rendered for a documentation site rather than plain Markdown
+const SITE_FORMATS = ['docusaurus', 'mkdocs'];
 
 /**
  * Convert a string to a filesystem-safe slug.
@@ -240,7 +242,55 @@ function wrapGeneratedSection(content, { id, attributes = {} } = {}) {
   });
   const attrBlock = attrParts.length ? `{${attrParts.join(' ')}}` : '';
   const trimmed = (content || '').trim();
-  return `:::generated-section${attrBlock}\n${trimmed}\n:::\n`;
+  // The fence must be longer than any container nested in the content
+  const innerFences = trimmed.match(/^ {0,3}:{3,}/gm) || [];
+  const fence = ':'.repeat(Math.max(3, ...innerFences.map(value => value.trim().length + 1)));
+  return `${fence}generated-section${attrBlock}\n${trimmed}\n${fence}\n`;
+}
+
+/**
+ * Render an admonition in the syntax of an output format. Site formats use
+ * the `:::type[Title]` directive label, which MkDocs output turns into a
+ * `!!! type "Title"` block.
+ * @param {string} type - Admonition type (note, warning, danger, ...)
+ * @param {string} title
+ * @param {string} body - Markdown body
+ * @param {string} [format='markdown'] - Output format
+ * @returns {string}
+ */
+function formatAdmonition(type, title, body, format = 'markdown') {
+  const heading = SITE_FORMATS.includes(format) ? `:::${type}[${title}]` : `:::${type} ${title}`;
+  return [heading, String(body || '').trim(), ':::'].join('\n');
+}
+
+/**
+ * Render a callout: an admonition for site formats, and a blockquote for
+ * plain Markdown, which has no admonition syntax that survives remark.
+ * @param {string} type - Admonition type (note, warning, danger, ...)
+ * @param {string} title
+ * @param {string} body - Markdown body
+ * @param {string} [format='markdown'] - Output format
+ * @returns {string}
+ */
+function formatCallout(type, title, body, format = 'markdown') {
+  if (SITE_FORMATS.includes(format)) {
+    return formatAdmonition(type, title, body, format);
+  }
+  const lines = String(body || '').trim().split('\n');
+  return [`**${title}:**`, '', ...lines].map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Render the deprecation callout at the top of a generated page.
+ * @param {string} subject - What is deprecated ("This endpoint", "This event")
+ * @param {Object} deprecation - Result from lifecycle.describeDeprecation()
+ * @param {string} [format='markdown'] - Output format
+ * @returns {string}
+ */
+function formatDeprecationCallout(subject, deprecation, format = 'markdown') {
+  const sunset = deprecation.sunsetAt ? ` and will be removed on ${deprecation.sunsetAt}` : '';
+  const migration = deprecation.migration ? `\n\n**Migration:** ${deprecation.migration}` : '';
+  return formatCallout('warning', 'Deprecated', `${subject} is deprecated${sunset}.${migration}`, format);
 }
 
 /**
@@ -367,6 +417,7 @@ function escapeMermaidLabel(value) {
 }
 
 module.exports = {
+  SITE_FORMATS,
   createSlug,
   createSemanticId,
   describeSchema,
@@ -379,6 +430,9 @@ module.exports = {
   formatLongRunningDetails,
   formatAuthenticationSummary,
   wrapGeneratedSection,
+  formatAdmonition,
+  formatCallout,
+  formatDeprecationCallout,
   formatDataFieldsTable,
   formatLineageList,
   formatCatalogMetadata,
@@ -0,0 +1,303 @@
+/**
+ * Output Formats - Adapt generated Markdown to documentation site generators
+ *
+ * Generators always produce Markdown with `:::generated-section` directives.
+ * An output format post-processes each document (frontmatter, section
+ * markers, escaping) and may add site files built from every generated
+ * document, such as Docusaurus `sidebars.js` and `_category_.json` files.
+ *
+ *   markdown    - unchanged generator output
+ *   docusaurus  - MDX-safe pages with comment section markers, sidebar_label
+ *                 frontmatter, sidebars.js and _category_.json files
+ *   mkdocs      - MkDocs Material pages with comment section markers,
+ *                 `!!!` admonitions, `status` frontmatter and a nav fragment
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { createProcessors, parseDocument } = require('../merge/ast-merger');
+const { directivesToComments, finishDocument } = require('../merge/section-markers');
+
+const SIDEBAR_ID = 'dochealth';
+const MKDOCS_NAV_FILE = 'mkdocs.nav.yml';
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---/;
+const SECTION_LABELS = {
+  api: 'APIs',
+  data: 'Datasets',
+  workflow: 'Workflows',
+  event: 'Events',
+  ui: 'Components',
+  agent: 'Agents'
+};
+// Site sections after the API services, with the directory their pages are written to
+const SECTION_DIRECTORIES = [
+  ['data', 'data'],
+  ['workflow', 'workflows'],
+  ['event', 'events'],
+  ['ui', 'components'],
+  ['agent', 'agents']
+];
+
+class OutputFormatError extends Error {
+  constructor(message, code = 'OUTPUT_FORMAT_UNKNOWN') {
+    super(message);
+    this.name = 'OutputFormatError';
+    this.code = code;
+  }
+}
+
+function toSitePath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+function toDocId(relativePath) {
+  return toSitePath(relativePath).replace(/\.mdx?$/, '');
+}
+
+function readFrontmatter(content) {
+  const match = FRONTMATTER.exec(content || '');
+  return match ? yaml.load(match[1], { schema: yaml.CORE_SCHEMA }) || {} : {};
+}
+
+// Navigation label of a page: `METHOD /path` for endpoints, the title otherwise
+function pageLabel(frontmatter, type) {
+  const label = type === 'api' && frontmatter.method && frontmatter.path
+    ? `${frontmatter.method} ${frontmatter.path}`
+    : frontmatter.title;
+  return label ? String(label) : null;
+}
+
+/**
+ * Documents by site section: API services (by output directory), datasets,
+ * workflows, events, UI components and agents, each sorted by path.
+ */
+function groupDocuments(documents) {
+  const byPath = (a, b) => a.relativePath.localeCompare(b.relativePath);
+  const services = new Map();
+  documents.filter(doc => doc.type === 'api').sort(byPath).forEach(doc => {
+    const directory = path.dirname(doc.relativePath);
+    if (!services.has(directory)) {
+      services.set(directory, { directory, label: doc.meta?.service || directory, documents: [] });
+    }
+    services.get(directory).documents.push(doc);
+  });
+  return {
+    services: Array.from(services.values()),
+    data: documents.filter(doc => doc.type === 'data').sort(byPath),
+    workflow: documents.filter(doc => doc.type === 'workflow').sort(byPath),
+    event: documents.filter(doc => doc.type === 'event').sort(byPath),
+    ui: documents.filter(doc => doc.type === 'ui').sort(byPath),
+    agent: documents.filter(doc => doc.type === 'agent').sort(byPath)
+  };
+}
+
+/**
+ * Inline HTML from manifest descriptions (`Order <id>`) is JSX to MDX; turn it
+ * into text so it is escaped. Top-level HTML such as section markers stays.
+ */
+function escapeInlineHtml(node) {
+  (node.children || []).forEach((child, index) => {
+    if (child.type === 'html' && node.type !== 'root') {
+      node.children[index] = { type: 'text', value: child.value };
+      return;
+    }
+    escapeInlineHtml(child);
+  });
+}
+
+function docusaurusFrontmatter(frontmatter, descriptor) {
+  const sidebarLabel = pageLabel(frontmatter, descriptor.type);
+  return {
+    ...frontmatter,
+    ...(sidebarLabel ? { sidebar_label: sidebarLabel } : {})
+  };
+}
+
+function categoryFile(directory, label, position) {
+  return {
+    relativePath: path.join(directory, '_category_.json'),
+    content: `${JSON.stringify({ label, position, link: { type: 'generated-index' } }, null, 2)}\n`
+  };
+}
+
+/**
+ * sidebars.js and one _category_.json per generated directory: API services
+ * (one category each, under "APIs"), then datasets, workflows, events,
+ * components and agents.
+ */
+function docusaurusSiteFiles(documents) {
+  const groups = groupDocuments(documents);
+  const sidebar = [];
+  const files = [];
+  if (groups.services.length > 0) {
+    sidebar.push({
+      type: 'category',
+      label: SECTION_LABELS.api,
+      items: groups.services.map((service, index) => {
+        files.push(categoryFile(service.directory, service.label, index + 1));
+        return {
+          type: 'category',
+          label: service.label,
+          link: { type: 'generated-index' },
+          items: service.documents.map(doc => toDocId(doc.relativePath))
+        };
+      })
+    });
+  }
+
+  SECTION_DIRECTORIES.forEach(([type, directory]) => {
+    const items = groups[type].map(doc => toDocId(doc.relativePath));
+    if (items.length === 0) return;
+    files.push(categoryFile(directory, SECTION_LABELS[type], files.length + 1));
+    sidebar.push({
+      type: 'category',
+      label: SECTION_LABELS[type],
+      link: { type: 'generated-index' },
+      items
+    });
+  });
+
+  if (sidebar.length === 0) {
+    return [];
+  }
+
+  const sidebars = [
+    '// Generated by `dochealth generate --format docusaurus`; changes are overwritten.',
+    "/** @type {import('@docusaurus/plugin-content-docs').SidebarsConfig} */",
+    `module.exports = ${JSON.stringify({ [SIDEBAR_ID]: sidebar }, null, 2)};`,
+    ''
+  ].join('\n');
+  return [{ relativePath: 'sidebars.js', content: sidebars }, ...files];
+}
+
+function mkdocsFrontmatter(frontmatter) {
+  // Material shows `status: deprecated` pages with the icon configured in extra.status
+  return {
+    ...frontmatter,
+    ...(frontmatter.deprecated ? { status: 'deprecated' } : {})
+  };
+}
+
+/**
+ * A `nav` fragment for mkdocs.yml: APIs by service, then datasets,
+ * workflows, events, components and agents. Paths are relative to the output
+ * directory.
+ */
+function mkdocsSiteFiles(documents) {
+  const groups = groupDocuments(documents);
+  const page = doc => ({
+    [pageLabel(readFrontmatter(doc.content), doc.type) || toDocId(doc.relativePath)]:
+      toSitePath(doc.relativePath)
+  });
+
+  const nav = [];
+  if (groups.services.length > 0) {
+    nav.push({
+      [SECTION_LABELS.api]: groups.services.map(service => ({
+        [service.label]: service.documents.map(page)
+      }))
+    });
+  }
+  SECTION_DIRECTORIES.forEach(([type]) => {
+    if (groups[type].length > 0) {
+      nav.push({ [SECTION_LABELS[type]]: groups[type].map(page) });
+    }
+  });
+
+  if (nav.length === 0) {
+    return [];
+  }
+
+  const content = [
+    '# Generated by `dochealth generate --format mkdocs`; changes are overwritten.',
+    '# Add these entries to `nav` in mkdocs.yml; paths are relative to the generated docs directory.',
+    yaml.dump({ nav }, { lineWidth: -1 })
+  ].join('\n');
+  return [{ relativePath: MKDOCS_NAV_FILE, content }];
+}
+
+const OUTPUT_FORMATS = {
+  markdown: {
+    label: 'Markdown'
+  },
+  docusaurus: {
+    label: 'Docusaurus',
+    frontmatter: docusaurusFrontmatter,
+    transform: escapeInlineHtml,
+    siteFiles: docusaurusSiteFiles
+  },
+  mkdocs: {
+    label: 'MkDocs',
+    frontmatter: mkdocsFrontmatter,
+    siteFiles: mkdocsSiteFiles
+  }
+};
+
+/**
+ * Look up an output format.
+ * @param {string} [format='markdown']
+ * @returns {Object} - Format definition with `name`
+ * @throws {OutputFormatError} When the format is not supported
+ */
+function resolveOutputFormat(format = 'markdown') {
+  const name = String(format || 'markdown').toLowerCase();
+  const definition = OUTPUT_FORMATS[name];
+  if (!definition) {
+    throw new OutputFormatError(
+      `Unknown output format "${format}" (supported: ${Object.keys(OUTPUT_FORMATS).join(', ')})`
+    );
+  }
+  return { name, ...definition };
+}
+
+/**
+ * Rewrite one generated document for an output format.
+ * @param {Object} descriptor - Document from a generator definition's collect()
+ * @param {string} format - Output format
+ * @returns {Promise<Object>} - Descriptor with the rendered content
+ */
+async function renderDocument(descriptor, format) {
+  const definition = resolveOutputFormat(format);
+  if (definition.name === 'markdown' || !definition.frontmatter) {
+    return descriptor;
+  }
+
+  const { parser, stringifier } = await createProcessors(definition.name);
+  const tree = parseDocument(parser, descriptor.content);
+  const yamlNode = tree.children.find(node => node.type === 'yaml');
+  if (yamlNode) {
+    // CORE_SCHEMA keeps generatedAt a string instead of a Date
+    const current = yaml.load(yamlNode.value, { schema: yaml.CORE_SCHEMA }) || {};
+    const frontmatter = definition.frontmatter(current, descriptor);
+    yamlNode.value = yaml.dump(frontmatter, { skipInvalid: true }).trimEnd();
+  }
+  if (definition.transform) {
+    definition.transform(tree);
+  }
+  directivesToComments(tree, definition.name);
+
+  return {
+    ...descriptor,
+    content: finishDocument(stringifier.stringify(tree), definition.name)
+  };
+}
+
+/**
+ * Site files for an output format, built from every generated document.
+ * @param {string} format - Output format
+ * @param {Array<Object>} documents - Document descriptors ({type, relativePath, meta})
+ * @returns {Array<{relativePath: string, content: string}>}
+ */
+function buildSiteFiles(format, documents = []) {
+  const definition = resolveOutputFormat(format);
+  return definition.siteFiles ? definition.siteFiles(documents) : [];
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  OutputFormatError,
+  resolveOutputFormat,
+  renderDocument,
+  buildSiteFiles
+};
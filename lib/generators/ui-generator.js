@@ -0,0 +1,386 @@
+/**
+ * UI component documentation generator (Stage 1 + Stage 2 pipeline).
+ *
+ * One page per UI component protocol: props, a mermaid state machine built
+ * from behavior.states, user flows and data fetching, the accessibility
+ * contract and data-fetching states. With `storybook` enabled, the
+ * protocol's generateStorybook() output is returned as a story file to
+ * write next to the page.
+ */
+
+const { performance } = require('node:perf_hooks');
+const { createProtocolFromManifest } = require('../loader');
+const {
+  createSlug,
+  wrapGeneratedSection,
+  formatCallout,
+  jsonToMarkdownTable
+} = require('./helpers');
+const { createFrontmatterPlugin } = require('./frontmatter-plugin');
+
+const NO_DATA = '_No data available_';
+let remarkStackPromise = null;
+
+async function loadRemarkStack() {
+  if (!remarkStackPromise) {
+    remarkStackPromise = (async () => {
+      const [
+        { unified },
+        remarkParseModule,
+        remarkStringifyModule,
+        remarkFrontmatterModule,
+        remarkDirectiveModule
+      ] = await Promise.all([
+        import('unified'),
+        import('remark-parse'),
+        import('remark-stringify'),
+        import('remark-frontmatter'),
+        import('remark-directive')
+      ]);
+
+      return {
+        unified,
+        remarkParse: remarkParseModule.default || remarkParseModule,
+        remarkStringify: remarkStringifyModule.default || remarkStringifyModule,
+        remarkFrontmatter: remarkFrontmatterModule.default || remarkFrontmatterModule,
+        remarkDirective: remarkDirectiveModule.default || remarkDirectiveModule
+      };
+    })();
+  }
+  return remarkStackPromise;
+}
+
+function createSemanticIds(componentSlug) {
+  const base = `component-${componentSlug}`;
+  return {
+    base,
+    overview: `${base}-overview`,
+    props: `${base}-props`,
+    states: `${base}-states`,
+    flows: `${base}-flows`,
+    accessibility: `${base}-accessibility`,
+    fetching: `${base}-fetching`,
+    storybook: `${base}-storybook`
+  };
+}
+
+function formatPropType(prop = {}) {
+  if (prop.type === 'enum' && Array.isArray(prop.options) && prop.options.length) {
+    return `enum (${prop.options.map(option => JSON.stringify(option)).join(', ')})`;
+  }
+  return prop.type || '—';
+}
+
+function formatPropsTable(props = []) {
+  return jsonToMarkdownTable(props, [
+    { header: 'Prop', accessor: 'name' },
+    { header: 'Type', accessor: prop => formatPropType(prop) },
+    { header: 'Required', accessor: prop => (prop.required ? 'Yes' : 'No') },
+    { header: 'Default', accessor: prop => (prop.default !== undefined ? `\`${JSON.stringify(prop.default)}\`` : '—') },
+    { header: 'Description', accessor: prop => prop.description || '—' }
+  ]);
+}
+
+// The state a component starts in: `idle` when defined, else the first state
+function initialState(states) {
+  const names = Object.keys(states || {});
+  return names.includes('idle') ? 'idle' : names[0];
+}
+
+/**
+ * State transitions: data fetching from the initial state, then each user
+ * flow step from the state the previous step ended in. Duplicates are dropped.
+ * @param {Object} manifest - UI manifest
+ * @returns {Array<{from: string, to: string, label: string}>}
+ */
+function collectTransitions(manifest) {
+  const states = manifest?.behavior?.states || {};
+  const start = initialState(states);
+  const transitions = [];
+  const add = (from, to, label) => {
+    if (!from || !to) return;
+    if (!transitions.some(item => item.from === from && item.to === to && item.label === label)) {
+      transitions.push({ from, to, label });
+    }
+  };
+
+  const fetching = manifest?.data?.fetching;
+  if (fetching) {
+    const loading = fetching.on_loading_state;
+    const source = loading || start;
+    if (loading && loading !== start) add(start, loading, `fetch ${fetching.endpoint || 'data'}`);
+    add(source, fetching.on_success_state, 'fetch succeeded');
+    add(source, fetching.on_error_state, 'fetch failed');
+  }
+
+  (manifest?.behavior?.user_flows || []).forEach(flow => {
+    let current = start;
+    (flow.steps || []).forEach(step => {
+      if (!step.outcome) return;
+      add(current, step.outcome, [step.interaction, step.target].filter(Boolean).join(' '));
+      current = step.outcome;
+    });
+  });
+
+  return transitions;
+}
+
+function mermaidStateId(name) {
+  return String(name).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function mermaidText(value) {
+  return String(value ?? '').replace(/[\n:;]/g, ' ').trim();
+}
+
+function buildStateDiagram(manifest) {
+  const states = manifest?.behavior?.states || {};
+  const names = Object.keys(states);
+  if (!names.length) return NO_DATA;
+
+  const lines = ['```mermaid', 'stateDiagram-v2'];
+  names.forEach(name => {
+    const id = mermaidStateId(name);
+    if (id !== name) {
+      lines.push(`    state "${mermaidText(name)}" as ${id}`);
+    }
+    if (states[name]?.description) {
+      lines.push(`    ${id} : ${mermaidText(states[name].description)}`);
+    }
+  });
+  lines.push(`    [*] --> ${mermaidStateId(initialState(states))}`);
+  collectTransitions(manifest).forEach(({ from, to, label }) => {
+    const suffix = label ? ` : ${mermaidText(label)}` : '';
+    lines.push(`    ${mermaidStateId(from)} --> ${mermaidStateId(to)}${suffix}`);
+  });
+  lines.push('```');
+  return lines.join('\n');
+}
+
+function formatStatesTable(states = {}) {
+  const rows = Object.entries(states).map(([name, state = {}]) => ({
+    name,
+    description: state.description || '—',
+    props: (state.associated_props || []).join(', ') || '—'
+  }));
+  return jsonToMarkdownTable(rows, [
+    { header: 'State', accessor: 'name' },
+    { header: 'Description', accessor: 'description' },
+    { header: 'Props', accessor: 'props' }
+  ]);
+}
+
+function formatUserFlows(flows = []) {
+  if (!flows.length) return '_None recorded_';
+  return flows.map(flow => {
+    const steps = (flow.steps || []).map((step, index) =>
+      `${index + 1}. ${step.interaction || 'interact'} \`${step.target || 'component'}\` → ${step.outcome || 'n/a'}`);
+    return [`### ${flow.name || 'Flow'}`, steps.join('\n') || NO_DATA].join('\n');
+  }).join('\n\n');
+}
+
+function formatAccessibility(a11y = {}, issues = [], format) {
+  const contract = a11y.contract || {};
+  const keys = contract.keyboard_support || [];
+  const lines = [
+    contract.role ? `- **Role:** \`${contract.role}\`` : null,
+    contract.label_prop ? `- **Accessible Name:** \`${contract.label_prop}\` prop` : null,
+    contract.describedby_prop ? `- **Description:** \`${contract.describedby_prop}\` prop` : null,
+    keys.length ? `- **Keyboard Support:** ${keys.map(key => `\`${key}\``).join(', ')}` : null
+  ].filter(Boolean);
+
+  const sections = [lines.length ? lines.join('\n') : '_No accessibility contract declared_'];
+  if (issues.length) {
+    const body = issues.map(issue => `- ${issue.msg} (\`${issue.path}\`)`).join('\n');
+    sections.push('', formatCallout('warning', 'Accessibility contract', body, format));
+  }
+  return sections.join('\n');
+}
+
+function formatFetching(fetching) {
+  if (!fetching) return 'This component does not fetch data.';
+  return [
+    `- **Endpoint:** ${fetching.endpoint ? `\`${fetching.endpoint}\`` : 'Not specified'}`,
+    `- **Loading State:** ${fetching.on_loading_state || '—'}`,
+    `- **Success State:** ${fetching.on_success_state || '—'}`,
+    `- **Error State:** ${fetching.on_error_state || '—'}`
+  ].join('\n');
+}
+
+function renderComponentMarkdown({ manifest, componentSlug, semanticIds, protocol, storyFile, format = 'markdown' }) {
+  const component = manifest?.component || {};
+  const metadata = manifest?.metadata || {};
+  const props = manifest?.data?.props || [];
+  const issues = (protocol.validate(['a11y.basic']).results[0]?.issues) || [];
+
+  const overviewBullets = [
+    `- **Type:** ${component.type || 'component'}`,
+    `- **Framework:** ${component.framework || 'react'}`,
+    component.version ? `- **Version:** ${component.version}` : null,
+    metadata.owner ? `- **Owner:** ${metadata.owner}` : null,
+    Array.isArray(metadata.tags) && metadata.tags.length ? `- **Tags:** ${metadata.tags.join(', ')}` : null,
+    manifest?.design?.figma_url ? `- **Design:** [Figma](${manifest.design.figma_url})` : null
+  ].filter(Boolean);
+
+  const sections = [
+    `## Overview {#${semanticIds.overview}}`,
+    component.description || 'No description provided.',
+    '',
+    overviewBullets.join('\n'),
+    '',
+    `## Props {#${semanticIds.props}}`,
+    formatPropsTable(props),
+    '',
+    `## States {#${semanticIds.states}}`,
+    buildStateDiagram(manifest),
+    '',
+    formatStatesTable(manifest?.behavior?.states),
+    '',
+    `## User Flows {#${semanticIds.flows}}`,
+    formatUserFlows(manifest?.behavior?.user_flows),
+    '',
+    `## Accessibility {#${semanticIds.accessibility}}`,
+    formatAccessibility(manifest?.a11y, issues, format),
+    '',
+    `## Data Fetching {#${semanticIds.fetching}}`,
+    formatFetching(manifest?.data?.fetching)
+  ];
+
+  if (storyFile) {
+    sections.push(
+      '',
+      `## Storybook {#${semanticIds.storybook}}`,
+      `Stories for every state are generated in \`${storyFile}\`.`
+    );
+  }
+
+  const generatedContent = sections.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  const directive = wrapGeneratedSection(generatedContent, {
+    id: semanticIds.base,
+    attributes: {
+      'data-component': component.id,
+      'data-framework': component.framework,
+      'data-states': Object.keys(manifest?.behavior?.states || {}).length
+    }
+  });
+
+  return `# Component: ${component.name || componentSlug}\n\n${directive}`.trimEnd() + '\n';
+}
+
+function buildComponentFrontmatter({ manifest, componentSlug, semanticIds, storyFile }) {
+  const component = manifest?.component || {};
+  const metadata = manifest?.metadata || {};
+
+  return {
+    title: component.name || componentSlug,
+    slug: `/components/${componentSlug}`,
+    component: component.id || componentSlug,
+    componentType: component.type || 'component',
+    framework: component.framework || 'react',
+    version: component.version,
+    owner: metadata.owner,
+    tags: metadata.tags || [],
+    semanticId: semanticIds.base,
+    ...(storyFile ? { storybook: storyFile } : {}),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+async function transformMarkdown(markdown, frontmatter) {
+  const stack = await loadRemarkStack();
+  const processor = stack
+    .unified()
+    .use(stack.remarkParse)
+    .use(stack.remarkDirective)
+    .use(stack.remarkFrontmatter, ['yaml'])
+    .use(createFrontmatterPlugin(frontmatter))
+    .use(stack.remarkStringify, {
+      fences: true,
+      bullet: '-',
+      rule: '-'
+    });
+
+  const file = await processor.process(markdown);
+  file.data = file.data || {};
+  file.data.frontmatter = frontmatter;
+  return file;
+}
+
+function benchmarkStageOne(renderStageOne) {
+  const targetIterations = 100;
+  const start = performance.now();
+  for (let i = 0; i < targetIterations; i++) {
+    renderStageOne();
+  }
+  const durationMs = performance.now() - start;
+  return {
+    sampleSize: targetIterations,
+    durationMs: Number(durationMs.toFixed(2)),
+    perDocMs: Number((durationMs / targetIterations).toFixed(4)),
+    targetMs: 200,
+    metTarget: durationMs <= 200
+  };
+}
+
+/**
+ * Generate the documentation page (and optionally the Storybook stories) of
+ * one UI component.
+ * @param {Object} manifest - UI component manifest
+ * @param {Object} [options]
+ * @param {Object} [options.protocol] - Loaded UI protocol; created from the manifest when missing
+ * @param {boolean} [options.storybook=false] - Also return a `<slug>.stories.jsx` file
+ * @param {string} [options.format='markdown'] - Output format
+ * @returns {Promise<Object>} - `story` is null unless `storybook` is set
+ */
+async function generateComponentDocs(manifest, options = {}) {
+  if (!manifest?.component?.name) {
+    throw new Error('UI component manifest must include component.name');
+  }
+
+  const { storybook = false, format = 'markdown' } = options;
+  const protocol = typeof options.protocol?.generateStorybook === 'function'
+    ? options.protocol
+    : createProtocolFromManifest(manifest, 'ui');
+  const componentSlug = createSlug(manifest.component.name);
+  const semanticIds = createSemanticIds(componentSlug);
+  const story = storybook
+    ? { fileName: `${componentSlug}.stories.jsx`, content: `${protocol.generateStorybook()}\n` }
+    : null;
+  const renderArgs = {
+    manifest,
+    componentSlug,
+    semanticIds,
+    protocol,
+    storyFile: story?.fileName,
+    format
+  };
+
+  const markdown = renderComponentMarkdown(renderArgs);
+  const frontmatter = buildComponentFrontmatter(renderArgs);
+  const file = await transformMarkdown(markdown, frontmatter);
+  const fileName = `${componentSlug || 'component'}.md`;
+  const performanceStats = benchmarkStageOne(() => renderComponentMarkdown(renderArgs));
+
+  return {
+    component: manifest.component.name,
+    componentSlug,
+    document: {
+      semanticId: semanticIds.base,
+      slug: frontmatter.slug,
+      fileName,
+      frontmatter,
+      vfile: file,
+      content: String(file)
+    },
+    story,
+    performance: performanceStats,
+    options
+  };
+}
+
+module.exports = {
+  generateComponentDocs,
+  renderComponentMarkdown,
+  buildComponentFrontmatter,
+  collectTransitions
+};
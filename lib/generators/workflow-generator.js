@@ -7,6 +7,7 @@ const { validateWorkflowDag } = require('./dag-validator');
 const {
   createSlug,
   wrapGeneratedSection,
+  formatAdmonition,
   escapeMermaidLabel
 } = require('./helpers');
 const { createFrontmatterPlugin } = require('./frontmatter-plugin');
@@ -77,15 +78,16 @@ function groupStepsByPhase(steps = []) {
   return groups;
 }
 
-function buildMermaidDiagram({ steps, validation }) {
+function buildMermaidDiagram({ steps, validation, format }) {
   if (validation.hasCycle) {
     return {
       type: 'error',
-      content: [
-        ':::danger Cycle detected',
+      content: formatAdmonition(
+        'danger',
+        'Cycle detected',
         `Workflow contains a cycle involving: ${validation.cycleNodes.join(', ')}`,
-        ':::' 
-      ].join('\n')
+        format
+      )
     };
   }
 
@@ -95,17 +97,21 @@ function buildMermaidDiagram({ steps, validation }) {
       .join('\n');
     return {
       type: 'error',
-      content: [
-        ':::danger Invalid workflow',
-        'The following dependencies reference unknown steps:',
-        details,
-        ':::'
-      ].join('\n')
+      content: formatAdmonition(
+        'danger',
+        'Invalid workflow',
+        `The following dependencies reference unknown steps:\n${details}`,
+        format
+      )
     };
   }
 
   const configBlock = `%%{init: {"layout": "elk", "elk": {"nodePlacementStrategy": "NETWORK_SIMPLEX", "mergeEdges": true}}}%%`;
-  const lines = ['```mermaid', configBlock, 'graph TD'];
+  // Material for MkDocs bundles its own Mermaid without the ELK layout, and
+  // superfences renders the fence as-is, so the init directive is left out
+  const lines = format === 'mkdocs'
+    ? ['```mermaid', 'graph TD']
+    : ['```mermaid', configBlock, 'graph TD'];
   lines.push(...buildClassDefinitions());
 
   steps.forEach(step => {
@@ -138,7 +144,7 @@ function buildMermaidDiagram({ steps, validation }) {
   };
 }
 
-function buildWorkflowSections({ manifest, diagram, semanticIds, validation }) {
+function buildWorkflowSections({ manifest, diagram, semanticIds, validation, format }) {
   const workflow = manifest.workflow || {};
   const metadata = manifest.metadata || {};
   const sla = manifest.sla || {};
@@ -164,13 +170,14 @@ function buildWorkflowSections({ manifest, diagram, semanticIds, validation }) {
   ];
 
   if (!diagram || diagram.type === 'error') {
-    sections.push(
-      `:::note Validation state`,
+    sections.push(formatAdmonition(
+      'note',
+      'Validation state',
       validation.hasCycle
         ? 'Cycle detection failed; resolve cycles before rendering.'
         : 'Resolve missing dependencies and re-run the generator.',
-      ':::'
-    );
+      format
+    ));
   }
 
   if (manifest.monitoring?.metrics?.length) {
@@ -198,17 +205,19 @@ function buildWorkflowSections({ manifest, diagram, semanticIds, validation }) {
   return sections.join('\n').trim();
 }
 
-function renderWorkflowMarkdown({ manifest, semanticIds, validation }) {
+function renderWorkflowMarkdown({ manifest, semanticIds, validation, format = 'markdown' }) {
   const diagram = buildMermaidDiagram({
     steps: manifest.steps || [],
-    validation
+    validation,
+    format
   });
 
   const sections = buildWorkflowSections({
     manifest,
     diagram,
     semanticIds,
-    validation
+    validation,
+    format
   });
 
   const workflow = manifest.workflow || {};
@@ -294,13 +303,14 @@ async function generateWorkflowDocs(manifest, options = {}) {
   };
 
   const validation = validateWorkflowDag(manifest.steps || []);
-  const markdown = renderWorkflowMarkdown({ manifest, semanticIds, validation });
+  const { format } = options;
+  const markdown = renderWorkflowMarkdown({ manifest, semanticIds, validation, format });
   const frontmatter = buildWorkflowFrontmatter({ manifest, semanticIds });
   const vfile = await transformMarkdown(markdown, frontmatter);
   const fileName = `${workflowSlug || 'workflow'}.md`;
 
   const performanceStats = benchmarkStageOne(() =>
-    renderWorkflowMarkdown({ manifest, semanticIds, validation })
+    renderWorkflowMarkdown({ manifest, semanticIds, validation, format })
   );
 
   return {
@@ -0,0 +1,150 @@
+/**
+ * Git Freshness - Derive freshness timestamps from local git history
+ *
+ * For each protocol the last commit touching
+ * `maintenance.freshness_check.source_code_path` becomes the code timestamp,
+ * and the last commit touching the protocol's generated docs becomes the doc
+ * timestamp. Anything git cannot answer (no repository, path never
+ * committed, no generator for the type) is left undefined so the analyzer
+ * falls back to the manifest values.
+ */
+
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { planDocumentPaths } = require('./generator-pipeline');
+
+const execFileAsync = promisify(execFile);
+
+const FRESHNESS_SOURCES = ['manifest', 'git'];
+
+async function runGit(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 1024 * 1024 });
+  return stdout.trim();
+}
+
+/**
+ * Top-level directory of the git work tree containing `cwd`.
+ * @param {string} cwd
+ * @returns {Promise<string|null>} - null when git is missing or cwd is not in a repository
+ */
+async function findGitRoot(cwd) {
+  try {
+    return await runGit(['rev-parse', '--show-toplevel'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Committer date of the most recent commit touching any of `paths`.
+ * @param {string[]} paths - Files or directories (absolute or relative to cwd)
+ * @param {Object} options
+ * @param {string} options.cwd - Directory inside the repository
+ * @returns {Promise<string|null>} - ISO timestamp, or null when no commit touches the paths
+ */
+async function getLastCommitDate(paths, { cwd }) {
+  if (!paths.length) {
+    return null;
+  }
+  try {
+    const output = await runGit(['log', '-1', '--format=%cI', '--', ...paths], cwd);
+    return output ? new Date(output).toISOString() : null;
+  } catch {
+    // Paths outside the work tree make git log fail; treat them as unknown
+    return null;
+  }
+}
+
+/**
+ * Commit a git ref points to.
+ * @param {string} ref - Commit, branch or tag
+ * @param {Object} options
+ * @param {string} options.cwd - Directory inside the repository
+ * @returns {Promise<string|null>} - Commit SHA, or null when the ref does not exist
+ */
+async function resolveCommit(ref, { cwd }) {
+  try {
+    return await runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Contents of a file at a git ref.
+ * @param {string} ref - Commit, branch or tag
+ * @param {string} filePath - File path (absolute or relative to cwd)
+ * @param {Object} options
+ * @param {string} options.cwd - Directory inside the repository
+ * @returns {Promise<string|null>} - null when the file does not exist at the ref
+ */
+async function readFileAtRef(ref, filePath, { cwd }) {
+  const relative = path.relative(cwd, path.resolve(cwd, filePath)).split(path.sep).join('/');
+  try {
+    const { stdout } = await execFileAsync('git', ['show', `${ref}:./${relative}`], {
+      cwd,
+      maxBuffer: 16 * 1024 * 1024
+    });
+    return stdout;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve git-derived freshness timestamps for loaded protocols.
+ * @param {Array<Object>} protocols - Entries from loadProtocols() ({protocol, type, path})
+ * @param {Object} options
+ * @param {string} options.rootDir - Project root; source_code_path is resolved from here
+ * @param {string} options.docsPath - Directory generated docs are written to
+ * @param {string} [options.format] - Generator output format
+ * @returns {Promise<{available: boolean, reason?: string,
+ *   timestamps: Array<{lastCodeChange?: string, lastDocUpdate?: string}>}>}
+ *   One timestamps entry per protocol, in input order
+ */
+async function resolveGitTimestamps(protocols, { rootDir, docsPath, format = 'markdown' }) {
+  const gitRoot = await findGitRoot(rootDir);
+  if (!gitRoot) {
+    return {
+      available: false,
+      reason: `${rootDir} is not inside a git repository`,
+      timestamps: protocols.map(() => ({}))
+    };
+  }
+
+  const timestamps = [];
+  for (const entry of protocols) {
+    const manifest = entry.protocol.manifest();
+    const sourcePath = manifest?.maintenance?.freshness_check?.source_code_path;
+
+    let docPaths = [];
+    try {
+      docPaths = (await planDocumentPaths(entry, { outputDir: docsPath, format }))
+        .map(relativePath => path.join(docsPath, relativePath));
+    } catch {
+      // Manifests the generators cannot handle keep their manifest doc timestamp
+    }
+
+    const lastCodeChange = sourcePath
+      ? await getLastCommitDate([path.resolve(rootDir, sourcePath)], { cwd: rootDir })
+      : null;
+    const lastDocUpdate = await getLastCommitDate(docPaths, { cwd: rootDir });
+
+    timestamps.push({
+      ...(lastCodeChange ? { lastCodeChange } : {}),
+      ...(lastDocUpdate ? { lastDocUpdate } : {})
+    });
+  }
+
+  return { available: true, timestamps };
+}
+
+module.exports = {
+  FRESHNESS_SOURCES,
+  findGitRoot,
+  getLastCommitDate,
+  readFileAtRef,
+  resolveCommit,
+  resolveGitTimestamps
+};
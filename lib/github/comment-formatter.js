@@ -76,6 +76,23 @@ function formatPRComment(delta, options = {}) {
     }
   }
 
+  if (delta.drift?.protocols?.length) {
+    const changes = delta.drift.protocols.flatMap(protocol => [
+      ...protocol.undocumented.map(change => ({ protocol, change, documented: false })),
+      ...protocol.documented.map(change => ({ protocol, change, documented: true }))
+    ]);
+    if (changes.length) {
+      body += '\n**Contract Drift**\n';
+      changes.slice(0, 5).forEach(({ protocol, change, documented }) => {
+        const status = documented ? '✅ docs updated' : '💥 docs not updated';
+        body += `- ${status} · **${protocol.protocolId}** · ${change.reason} at \`${change.path}\`\n`;
+      });
+      if (changes.length > 5) {
+        body += `- … ${changes.length - 5} more\n`;
+      }
+    }
+  }
+
   const remainingIssues = delta.issues.remaining.slice(0, 5);
 
   body += '\n<details>\n<summary>Detailed Health Report</summary>\n\n';
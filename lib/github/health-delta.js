@@ -16,50 +16,66 @@ function issueId(protocolId, type) {
   return `${type}:${protocolId}`;
 }
 
-function extractIssues(report) {
-  const protocols = report?.details?.protocols || [];
+/**
+ * Issues for one protocol of a JSON report's `details.protocols`
+ * (coverage as a percentage), whether or not they are waived.
+ * @param {Object} protocol
+ * @returns {Object[]} - `{id, protocolId, type, severity, description}` per issue
+ */
+function extractProtocolIssues(protocol) {
+  const protocolId = protocol.id || 'unknown';
   const issues = [];
 
-  protocols.forEach(protocol => {
-    const protocolId = protocol.id || 'unknown';
-
-    if (protocol.freshness?.isStale) {
+  if (protocol.freshness?.isStale) {
+    issues.push({
+      id: issueId(protocolId, 'freshness'),
+      protocolId,
+      type: 'freshness',
+      severity: normalizeSeverity(protocol.freshness.severity),
+      description: `${protocol.freshness.daysStale || 0} days stale`
+    });
+  }
+
+  if (protocol.freshness && protocol.freshness.hasTimestamps === false) {
+    issues.push({
+      id: issueId(protocolId, 'timestamp'),
+      protocolId,
+      type: 'timestamp',
+      severity: 'medium',
+      description: 'Missing timestamps'
+    });
+  }
+
+  const coveragePercentage = protocol.coverage?.coveragePercentage;
+  if (typeof coveragePercentage === 'number') {
+    const severity = getCoverageSeverity(coveragePercentage);
+    if (severity) {
+      const missingCount = Math.max(0, (protocol.coverage.totalItems || 0) - (protocol.coverage.documentedItems || 0));
       issues.push({
-        id: issueId(protocolId, 'freshness'),
+        id: issueId(protocolId, 'coverage'),
         protocolId,
-        type: 'freshness',
-        severity: normalizeSeverity(protocol.freshness.severity),
-        description: `${protocol.freshness.daysStale || 0} days stale`
+        type: 'coverage',
+        severity,
+        description: `${coveragePercentage}% coverage (${missingCount} item(s) missing)`
       });
     }
+  }
 
-    if (protocol.freshness && protocol.freshness.hasTimestamps === false) {
-      issues.push({
-        id: issueId(protocolId, 'timestamp'),
-        protocolId,
-        type: 'timestamp',
-        severity: 'medium',
-        description: 'Missing timestamps'
-      });
-    }
+  return issues;
+}
 
-    const coveragePercentage = protocol.coverage?.coveragePercentage;
-    if (typeof coveragePercentage === 'number') {
-      const severity = getCoverageSeverity(coveragePercentage);
-      if (severity) {
-        const missingCount = Math.max(0, (protocol.coverage.totalItems || 0) - (protocol.coverage.documentedItems || 0));
-        issues.push({
-          id: issueId(protocolId, 'coverage'),
-          protocolId,
-          type: 'coverage',
-          severity,
-          description: `${coveragePercentage}% coverage (${missingCount} item(s) missing)`
-        });
-      }
-    }
+/**
+ * Issues across a JSON report, skipping those covered by an active waiver
+ * (`details.protocols[].waivers`).
+ * @param {Object} report - generateJSONReport() output with details
+ * @returns {Object[]}
+ */
+function extractIssues(report) {
+  const protocols = report?.details?.protocols || [];
+  return protocols.flatMap(protocol => {
+    const waived = new Set((protocol.waivers || []).map(waiver => waiver.id));
+    return extractProtocolIssues(protocol).filter(issue => !waived.has(issue.id));
   });
-
-  return issues;
 }
 
 function summarizeSeverity(issues) {
@@ -131,6 +147,8 @@ function calculateHealthDelta(beforeReport = {}, afterReport = {}, context = {})
     headSha: context.headSha || null,
     beforeTimestamp: beforeReport?.timestamp || null,
     afterTimestamp: afterReport?.timestamp || null,
+    // Contract drift of the head report (check --drift/--drift-ref), if any
+    drift: afterReport?.drift && !afterReport.drift.recorded ? afterReport.drift : null,
     issues: {
       beforeTotal: beforeIssues.length,
       afterTotal: afterIssues.length,
@@ -145,6 +163,7 @@ function calculateHealthDelta(beforeReport = {}, afterReport = {}, context = {})
 module.exports = {
   calculateHealthDelta,
   extractIssues,
+  extractProtocolIssues,
   summarizeSeverity,
   diffIssues
 };
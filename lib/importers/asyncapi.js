@@ -0,0 +1,466 @@
+/**
+ * AsyncAPI Importer - Map AsyncAPI 2.x/3.x documents onto EventManifests
+ * (see src/event_protocol_v_1_1_1.js), one manifest per channel message.
+ *
+ * PII hints are written the way the `governance.pii_policy` validator reads
+ * them: payload properties carry `x-pii: true` and the manifest declares
+ * `governance.policy.classification = 'pii'`. Explicit markers (`x-pii`,
+ * `x-sensitive`, `x-classification: pii`) are always honoured; well-known
+ * personal-data field names and formats are inferred unless disabled.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { ImportError, readStructuredFile } = require('./manifest-writer');
+const { escapePointer, pointer, resolvePointer } = require('./spec-utils');
+
+const TRANSPORTS = {
+  kafka: 'kafka',
+  'kafka-secure': 'kafka',
+  sns: 'sns',
+  sqs: 'sqs',
+  ws: 'ws',
+  wss: 'ws',
+  http: 'webhook',
+  https: 'webhook',
+  sse: 'sse'
+};
+const GUARANTEES = ['at-least-once', 'exactly-once', 'best-effort'];
+const RETRY_POLICIES = ['exponential', 'linear', 'none'];
+const COMPATIBILITY_POLICIES = ['backward', 'forward', 'full', 'none'];
+const LEGAL_BASES = ['gdpr', 'ccpa', 'hipaa', 'other'];
+const CLASSIFICATIONS = ['internal', 'confidential', 'pii'];
+const PII_CLASSIFICATION_MARKERS = ['pii', 'personal', 'sensitive'];
+const PII_FORMATS = ['email', 'idn-email', 'ipv4', 'ipv6'];
+const PII_NAME_PATTERN = new RegExp(
+  '^(e?mail|emailaddress|phone|phonenumber|mobile|msisdn|ssn|socialsecuritynumber|' +
+    'dob|dateofbirth|birthdate|birthday|firstname|lastname|fullname|givenname|surname|' +
+    'address|streetaddress|street|postalcode|postcode|zip|zipcode|ipaddress|passport|' +
+    'passportnumber|nationalid|taxid|creditcard|cardnumber|iban)$'
+);
+const JSON_SCHEMA_FORMAT = /^application\/(schema\+json|schema\+yaml|vnd\.aai\.asyncapi)/;
+
+/**
+ * Inline local `$ref`s, keeping circular and unresolvable refs verbatim.
+ */
+function inlineRefs(value, location, context, stack = []) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => inlineRefs(item, `${location}/${index}`, context, stack));
+  }
+  if (!value || typeof value !== 'object') return value;
+
+  if (typeof value.$ref === 'string') {
+    const ref = value.$ref;
+    if (stack.includes(ref)) {
+      context.lossy(location, `Circular $ref '${ref}' kept as a reference`);
+      return { $ref: ref };
+    }
+    const target = resolvePointer(context.spec, ref);
+    if (target === undefined) {
+      context.lossy(location, `External or unresolvable $ref '${ref}' kept verbatim`);
+      return { $ref: ref };
+    }
+    return inlineRefs(target, location, context, [...stack, ref]);
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, child]) => {
+    copy[key] = inlineRefs(child, `${location}/${escapePointer(key)}`, context, stack);
+  });
+  return copy;
+}
+
+function refName(raw, prefix) {
+  const ref = raw?.$ref;
+  if (typeof ref !== 'string' || !ref.startsWith(prefix)) return null;
+  return ref.slice(prefix.length).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function explicitPII(schema) {
+  if (schema['x-pii'] === true || schema['x-sensitive'] === true) return true;
+  const classification = String(schema['x-classification'] || schema['x-data-classification'] || '');
+  return PII_CLASSIFICATION_MARKERS.includes(classification.toLowerCase());
+}
+
+/**
+ * Walk payload properties, tagging PII fields with `x-pii: true`.
+ * @returns {Array<{field: string, source: 'explicit'|'inferred', reason: string}>}
+ */
+function tagPIIFields(schema, options, prefix = '') {
+  const findings = [];
+  if (!schema || typeof schema !== 'object') return findings;
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    if (!property || typeof property !== 'object') return;
+    const field = prefix ? `${prefix}.${name}` : name;
+
+    if (explicitPII(property)) {
+      property['x-pii'] = true;
+      findings.push({ field, source: 'explicit', reason: 'marked in the AsyncAPI schema' });
+    } else if (options.inferPII && property['x-pii'] !== false) {
+      const byName = PII_NAME_PATTERN.test(normalizeFieldName(name));
+      const byFormat = PII_FORMATS.includes(property.format);
+      if (byName || byFormat) {
+        property['x-pii'] = true;
+        findings.push({
+          field,
+          source: 'inferred',
+          reason: byFormat ? `format '${property.format}'` : 'field name'
+        });
+      }
+    }
+
+    findings.push(...tagPIIFields(property, options, field));
+    if (property.items) findings.push(...tagPIIFields(property.items, options, `${field}[]`));
+  });
+
+  return findings;
+}
+
+function pickExtension(sources, key, allowed, location, context) {
+  for (const source of sources) {
+    if (source?.[key] === undefined) continue;
+    const value = String(source[key]).toLowerCase();
+    if (!allowed || allowed.includes(value)) return value;
+    context.lossy(location, `${key} '${source[key]}' is not one of ${allowed.join(', ')}; dropped`);
+    return undefined;
+  }
+  return undefined;
+}
+
+function resolveTransport(serverProtocols, bindings, location, context) {
+  const candidates = Array.from(new Set(serverProtocols.map(value => String(value).toLowerCase())));
+  if (candidates.length > 1) {
+    context.lossy(location, `Channel is served over several protocols (${candidates.join(', ')}); using '${candidates[0]}'`);
+  }
+  const protocol = candidates[0] || Object.keys(bindings || {}).find(key => TRANSPORTS[key]);
+  if (!protocol) return undefined;
+  if (!TRANSPORTS[protocol]) {
+    context.lossy(location, `Transport '${protocol}' has no EventManifest equivalent; delivery.contract.transport omitted`);
+    return undefined;
+  }
+  return TRANSPORTS[protocol];
+}
+
+function mergeTraits(message, location, context) {
+  if (!Array.isArray(message.traits) || !message.traits.length) return message;
+  const merged = { ...message };
+  delete merged.traits;
+  message.traits.forEach((rawTrait, index) => {
+    const trait = inlineRefs(rawTrait, `${location}/traits/${index}`, context) || {};
+    Object.entries(trait).forEach(([key, value]) => {
+      if (merged[key] === undefined) merged[key] = value;
+    });
+  });
+  return merged;
+}
+
+function mapPayload(message, location, context) {
+  const raw = message.payload;
+  if (!raw) {
+    context.lossy(location, 'Message has no payload; schema.payload left empty');
+    return { format: 'json-schema' };
+  }
+
+  // AsyncAPI 3 multi-format schema objects wrap the actual schema
+  const wrapped = raw.schemaFormat && raw.schema !== undefined;
+  const schemaFormat = wrapped ? raw.schemaFormat : message.schemaFormat;
+  const schema = wrapped ? raw.schema : raw;
+  const payload = inlineRefs(schema, `${location}/payload`, context);
+
+  if (schemaFormat && !JSON_SCHEMA_FORMAT.test(schemaFormat)) {
+    context.lossy(`${location}/payload`, `Schema format '${schemaFormat}' kept as a custom schema`);
+    return { format: 'custom', payload };
+  }
+  return { format: 'json-schema', payload };
+}
+
+function buildManifest(entry, context) {
+  const { message, channel, operations } = entry;
+  const location = entry.location;
+  const info = context.spec.info || {};
+  const extensionSources = [message, ...operations.map(op => op.operation), channel, info];
+
+  const schema = mapPayload(message, location, context);
+  const piiFindings = schema.format === 'json-schema'
+    ? tagPIIFields(schema.payload, context.options)
+    : [];
+
+  const compatibility = pickExtension(
+    extensionSources, 'x-compatibility', COMPATIBILITY_POLICIES, `${location}/x-compatibility`, context
+  );
+  if (compatibility) schema.compatibility = { policy: compatibility };
+
+  const operationWithBindings = operations.find(op => op.operation.bindings);
+  const bindings = {};
+  if (channel.bindings) {
+    bindings.channel = inlineRefs(channel.bindings, `${entry.channelLocation}/bindings`, context);
+  }
+  if (operationWithBindings) {
+    bindings.operation = inlineRefs(operationWithBindings.operation.bindings, location, context);
+  }
+  if (message.bindings) {
+    bindings.message = inlineRefs(message.bindings, `${location}/bindings`, context);
+  }
+  const transport = resolveTransport(
+    entry.serverProtocols,
+    Object.assign({}, ...Object.values(bindings)),
+    entry.channelLocation,
+    context
+  );
+  const topic = bindings.channel?.kafka?.topic || entry.address;
+
+  const contract = {
+    ...(transport ? { transport } : {}),
+    ...(topic ? { topic } : {})
+  };
+  const guarantees = pickExtension(
+    extensionSources, 'x-delivery-guarantees', GUARANTEES, `${location}/x-delivery-guarantees`, context
+  );
+  const retryPolicy = pickExtension(
+    extensionSources, 'x-retry-policy', RETRY_POLICIES, `${location}/x-retry-policy`, context
+  );
+  const dlq = extensionSources.find(source => source?.['x-dlq'])?.['x-dlq'];
+  if (guarantees) contract.guarantees = guarantees;
+  if (retryPolicy) contract.retry_policy = retryPolicy;
+  if (dlq) contract.dlq = String(dlq);
+
+  const policy = {};
+  const legalBasis = pickExtension(extensionSources, 'x-legal-basis', LEGAL_BASES, `${location}/x-legal-basis`, context);
+  if (piiFindings.length) {
+    policy.classification = 'pii';
+  } else {
+    const classification = pickExtension(
+      [message, channel], 'x-classification', null, `${location}/x-classification`, context
+    );
+    if (CLASSIFICATIONS.includes(classification)) policy.classification = classification;
+  }
+  if (legalBasis && policy.classification) policy.legal_basis = legalBasis;
+
+  if (message.headers) context.lossy(`${location}/headers`, 'Message headers are not represented');
+  if (message.correlationId) context.lossy(`${location}/correlationId`, 'Correlation IDs are not represented');
+  if (message.examples) context.lossy(`${location}/examples`, 'Message examples are not represented');
+
+  const deprecated = [message, ...operations.map(op => op.operation)]
+    .some(source => source?.deprecated === true || source?.['x-deprecated'] === true);
+  const purpose = message.summary || message.description || channel.description;
+  const tags = Array.from(new Set([
+    ...(message.tags || []),
+    ...operations.flatMap(op => op.operation.tags || [])
+  ].map(tag => tag?.name).filter(Boolean)));
+
+  const actions = Array.from(new Set(operations.map(op => op.action).filter(Boolean)));
+  const freshness = { enabled: true, last_code_change_at: context.lastModified };
+
+  const manifest = {
+    version: 'v1.1',
+    event: {
+      name: entry.name,
+      ...(message['x-version'] || info.version ? { version: String(message['x-version'] || info.version) } : {}),
+      lifecycle: { status: deprecated ? 'deprecated' : 'active' }
+    },
+    ...(purpose ? { semantics: { purpose } } : {}),
+    schema,
+    delivery: {
+      contract,
+      ...(Object.keys(bindings).length ? { bindings } : {})
+    },
+    ...(Object.keys(policy).length ? { governance: { policy } } : {}),
+    metadata: {
+      ...(info.contact ? { owner: info.contact.name || info.contact.email } : {}),
+      ...(tags.length ? { tags } : {}),
+      source: {
+        format: 'asyncapi',
+        version: context.spec.asyncapi,
+        ...(context.sourcePath ? { file: context.sourcePath } : {}),
+        channel: entry.channelKey,
+        ...(actions.length ? { actions } : {})
+      }
+    },
+    ...(context.lastModified
+      ? { maintenance: { freshness_check: freshness } }
+      : {})
+  };
+
+  return { manifest, pii: piiFindings };
+}
+
+function serverProtocolsFor(spec, channel) {
+  const servers = spec.servers || {};
+  const names = Array.isArray(channel.servers) && channel.servers.length
+    ? channel.servers.map(server => (typeof server === 'string' ? server : refName(server, '#/servers/')))
+    : Object.keys(servers);
+  return names
+    .map(name => servers[name])
+    .map(server => resolvePointer(spec, server?.$ref) || server)
+    .map(server => server?.protocol)
+    .filter(Boolean);
+}
+
+function collectV2Entries(spec, context) {
+  const entries = new Map();
+
+  Object.entries(spec.channels || {}).forEach(([channelKey, rawChannel]) => {
+    const channelLocation = pointer('channels', channelKey);
+    const channel = inlineRefs(rawChannel, channelLocation, context) || {};
+    if (channel.parameters) {
+      context.lossy(`${channelLocation}/parameters`, 'Channel parameters are not represented');
+    }
+
+    ['publish', 'subscribe'].forEach(action => {
+      const operation = rawChannel?.[action];
+      if (!operation) return;
+      const operationLocation = `${channelLocation}/${action}`;
+      const rawMessage = operation.message;
+      const variants = Array.isArray(rawMessage?.oneOf) ? rawMessage.oneOf : [rawMessage];
+
+      variants.filter(Boolean).forEach((variant, index) => {
+        const messageLocation = Array.isArray(rawMessage?.oneOf)
+          ? `${operationLocation}/message/oneOf/${index}`
+          : `${operationLocation}/message`;
+        const message = mergeTraits(
+          inlineRefs(variant, messageLocation, context) || {},
+          messageLocation,
+          context
+        );
+        const messageKey = refName(variant, '#/components/messages/') || message.messageId || message.name;
+        const key = `${channelKey}::${messageKey || index}`;
+        const existing = entries.get(key);
+        if (existing) {
+          existing.operations.push({ action, operation });
+          return;
+        }
+        entries.set(key, {
+          name: message.name || messageKey || message.messageId || channelKey,
+          channelKey,
+          address: channelKey,
+          channel,
+          channelLocation,
+          message,
+          location: messageLocation,
+          operations: [{ action, operation }],
+          serverProtocols: serverProtocolsFor(spec, channel)
+        });
+      });
+    });
+  });
+
+  return Array.from(entries.values());
+}
+
+function collectV3Entries(spec, context) {
+  const entries = [];
+  const operations = Object.values(spec.operations || {});
+
+  Object.entries(spec.channels || {}).forEach(([channelKey, rawChannel]) => {
+    const channelLocation = pointer('channels', channelKey);
+    const channel = resolvePointer(spec, rawChannel?.$ref) || rawChannel || {};
+    if (channel.parameters) {
+      context.lossy(`${channelLocation}/parameters`, 'Channel parameters are not represented');
+    }
+    const channelRef = pointer('channels', channelKey);
+    const channelOperations = operations.filter(op => op?.channel?.$ref === channelRef);
+
+    Object.entries(channel.messages || {}).forEach(([messageKey, rawMessage]) => {
+      const messageLocation = `${channelLocation}/messages/${escapePointer(messageKey)}`;
+      const message = mergeTraits(
+        inlineRefs(rawMessage, messageLocation, context) || {},
+        messageLocation,
+        context
+      );
+      const messageRef = `${channelRef}/messages/${escapePointer(messageKey)}`;
+      const related = channelOperations.filter(op =>
+        !Array.isArray(op.messages) || !op.messages.length ||
+        op.messages.some(ref => ref?.$ref === messageRef)
+      );
+
+      entries.push({
+        name: message.name || refName(rawMessage, '#/components/messages/') || messageKey,
+        channelKey,
+        address: channel.address || channelKey,
+        channel,
+        channelLocation,
+        message,
+        location: messageLocation,
+        operations: related.map(operation => ({ action: operation.action, operation })),
+        serverProtocols: serverProtocolsFor(spec, channel)
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Convert a parsed AsyncAPI document into EventManifests.
+ * @param {Object} spec - Parsed AsyncAPI 2.x/3.x document
+ * @param {Object} options
+ * @param {string} options.sourcePath - Path of the spec (recorded in metadata.source)
+ * @param {string} options.lastModified - ISO timestamp used for freshness tracking
+ * @param {boolean} options.inferPII - Tag well-known personal-data fields (default: true)
+ * @returns {{manifests: Array<{name: string, manifest: Object, pii: Array<Object>}>, lossy: Array<{path: string, reason: string}>}}
+ * @throws {ImportError} When the document is not AsyncAPI 2.x/3.x
+ */
+function convertAsyncAPI(spec, options = {}) {
+  const { sourcePath = null, lastModified = null, inferPII = true } = options;
+
+  if (!spec || typeof spec !== 'object') {
+    throw new ImportError('AsyncAPI document must be an object', 'INVALID_SPEC');
+  }
+  const version = String(spec.asyncapi || '');
+  const major = version.split('.')[0];
+  if (major !== '2' && major !== '3') {
+    throw new ImportError(
+      `Unsupported AsyncAPI version '${spec.asyncapi || 'missing'}' (expected 2.x or 3.x)`,
+      'UNSUPPORTED_VERSION'
+    );
+  }
+
+  const lossy = [];
+  const context = {
+    spec,
+    sourcePath,
+    lastModified,
+    options: { inferPII },
+    lossy: (location, reason) => lossy.push({ path: location, reason })
+  };
+
+  const entries = major === '2' ? collectV2Entries(spec, context) : collectV3Entries(spec, context);
+  const manifests = entries.map(entry => {
+    const { manifest, pii } = buildManifest(entry, context);
+    return { name: manifest.event.name, manifest, pii };
+  });
+
+  return { manifests, lossy };
+}
+
+/**
+ * Read an AsyncAPI file (JSON or YAML) and convert it into EventManifests.
+ * @param {string} filePath - Absolute path to the spec
+ * @param {Object} options
+ * @param {string} options.cwd - Base directory used for the recorded source path
+ * @param {boolean} options.inferPII - Tag well-known personal-data fields (default: true)
+ * @returns {Promise<{manifests: Array<Object>, lossy: Array<Object>, source: string}>}
+ */
+async function importAsyncAPIFile(filePath, options = {}) {
+  const { cwd = process.cwd(), inferPII = true } = options;
+  const spec = await readStructuredFile(filePath);
+  const stats = await fs.stat(filePath);
+  const sourcePath = path.relative(cwd, filePath).split(path.sep).join('/');
+  const result = convertAsyncAPI(spec, {
+    sourcePath,
+    lastModified: stats.mtime.toISOString(),
+    inferPII
+  });
+  return { ...result, source: sourcePath };
+}
+
+module.exports = {
+  convertAsyncAPI,
+  importAsyncAPIFile
+};
@@ -0,0 +1,370 @@
+/**
+ * GraphQL Importer - Map GraphQL SDL onto the APIManifest shape documented in
+ * src/api_protocol_v_1_1_1.js.
+ *
+ * Every field of the query, mutation and subscription root types becomes an
+ * endpoint whose `method` is the operation type and whose `path` is the field
+ * name, so `QUERY user` and `MUTATION createUser` document like REST routes.
+ * Arguments become `in: 'argument'` params and the field type becomes the
+ * single response. Named types are emitted as JSON Schemas under
+ * `validation.schemas`.
+ *
+ * The SDL is parsed and validated by the `graphql` package, so unknown types,
+ * undeclared directives and extensions of undefined types are rejected.
+ *
+ * Lossy mappings use GraphQL schema coordinates (`User.posts`,
+ * `Query.user(id:)`, `@key`) as their path.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  GraphQLError,
+  Kind,
+  parse,
+  visit,
+  buildASTSchema,
+  validateSchema,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isScalarType,
+  isSpecifiedScalarType,
+  isUnionType
+} = require('graphql');
+
+const { ImportError } = require('./manifest-writer');
+
+const OPERATION_TYPES = ['query', 'mutation', 'subscription'];
+const EXECUTABLE_KINDS = [Kind.OPERATION_DEFINITION, Kind.FRAGMENT_DEFINITION];
+const BUILTIN_SCALARS = {
+  Int: { type: 'integer' },
+  Float: { type: 'number' },
+  String: { type: 'string' },
+  Boolean: { type: 'boolean' },
+  ID: { type: 'string' }
+};
+const KNOWN_SCALARS = {
+  DateTime: { type: 'string', format: 'date-time' },
+  Date: { type: 'string', format: 'date' },
+  Time: { type: 'string', format: 'time' },
+  URL: { type: 'string', format: 'uri' },
+  URI: { type: 'string', format: 'uri' },
+  UUID: { type: 'string', format: 'uuid' },
+  Email: { type: 'string', format: 'email' },
+  EmailAddress: { type: 'string', format: 'email' },
+  BigInt: { type: 'integer' },
+  Long: { type: 'integer' },
+  JSON: {}
+};
+const CURSOR_ARGS = ['after', 'cursor', 'pageToken', 'page_token'];
+const PAGE_ARGS = ['page', 'offset', 'skip'];
+const LIMIT_ARGS = ['first', 'limit', 'pageSize', 'page_size', 'perPage', 'per_page', 'take'];
+const SCHEMA_REF_PREFIX = '#/validation/schemas/';
+
+function toImportError(error, code) {
+  const [location] = error.locations || [];
+  const details = location ? { line: location.line, column: location.column } : {};
+  return new ImportError(error.message, code, details);
+}
+
+/**
+ * Parse SDL and build a validated schema; `extend` definitions are merged
+ * into the types they extend.
+ * @returns {{document: Object, schema: import('graphql').GraphQLSchema}}
+ * @throws {ImportError} PARSE_ERROR on syntax errors, INVALID_SPEC on invalid schemas
+ */
+function buildSchema(source) {
+  let document;
+  try {
+    document = parse(source);
+  } catch (error) {
+    throw toImportError(error, 'PARSE_ERROR');
+  }
+
+  const executable = document.definitions
+    .find(definition => EXECUTABLE_KINDS.includes(definition.kind));
+  if (executable) {
+    throw toImportError(new GraphQLError(
+      'Executable definitions (operations and fragments) are not allowed in a schema',
+      { nodes: executable }
+    ), 'INVALID_SPEC');
+  }
+
+  let schema;
+  try {
+    schema = buildASTSchema(document);
+  } catch (error) {
+    throw toImportError(error, 'INVALID_SPEC');
+  }
+  const [invalid] = validateSchema(schema);
+  if (invalid) {
+    throw toImportError(invalid, 'INVALID_SPEC');
+  }
+  return { document, schema };
+}
+
+function typeToSchema(type) {
+  if (isNonNullType(type)) return typeToSchema(type.ofType);
+  if (isListType(type)) return { type: 'array', items: typeToSchema(type.ofType) };
+  if (BUILTIN_SCALARS[type.name]) return { ...BUILTIN_SCALARS[type.name] };
+  return { $ref: `${SCHEMA_REF_PREFIX}${type.name}` };
+}
+
+function describeInputValue(value) {
+  const schema = typeToSchema(value.type);
+  if (value.defaultValue !== undefined) schema.default = value.defaultValue;
+  return schema;
+}
+
+function mapArguments(field, coordinate, context) {
+  return field.args.map(arg => {
+    const argCoordinate = `${coordinate}(${arg.name}:)`;
+    if (arg.deprecationReason) {
+      context.lossy(argCoordinate, 'Argument deprecation is not represented');
+    }
+    return {
+      name: arg.name,
+      in: 'argument',
+      required: isNonNullType(arg.type) && arg.defaultValue === undefined,
+      ...(arg.description ? { description: arg.description } : {}),
+      schema: describeInputValue(arg)
+    };
+  });
+}
+
+function inferPagination(params) {
+  const names = params.map(param => param.name);
+  const limit = LIMIT_ARGS.find(name => names.includes(name));
+  const cursor = CURSOR_ARGS.find(name => names.includes(name));
+  if (cursor) {
+    return { style: 'cursor', params: { cursor, ...(limit ? { limit } : {}) } };
+  }
+  const page = PAGE_ARGS.find(name => names.includes(name));
+  if (page) {
+    return { style: 'page', params: { page, ...(limit ? { limit } : {}) } };
+  }
+  return undefined;
+}
+
+function mapRootField(operation, rootType, field, context) {
+  const coordinate = `${rootType.name}.${field.name}`;
+  const params = mapArguments(field, coordinate, context);
+  const [summary, ...rest] = (field.description || '').split('\n');
+  const endpoint = {
+    method: operation.toUpperCase(),
+    path: field.name,
+    // No summary fallback: undocumented fields should count against coverage.
+    ...(summary.trim() ? { summary: summary.trim() } : {}),
+    operationId: field.name,
+    ...(rest.join('\n').trim() ? { description: rest.join('\n').trim() } : {}),
+    tags: [rootType.name],
+    params,
+    responses: [{
+      status: 200,
+      description: `Returns \`${field.type}\``,
+      schema: typeToSchema(field.type)
+    }],
+    errors: []
+  };
+
+  const pagination = inferPagination(params);
+  if (pagination) endpoint.pagination = pagination;
+
+  if (field.deprecationReason) {
+    endpoint.deprecated = true;
+    context.lossy(coordinate, `Deprecation reason '${field.deprecationReason}' is not represented`);
+  }
+  if (operation === 'subscription') {
+    context.lossy(coordinate, 'Subscription transport (WebSocket/SSE) is not represented');
+  }
+
+  return endpoint;
+}
+
+function mapObjectSchema(type, context) {
+  const properties = {};
+  const required = [];
+
+  Object.values(type.getFields()).forEach(field => {
+    const coordinate = `${type.name}.${field.name}`;
+    const schema = describeInputValue(field);
+    if (field.description) schema.description = field.description;
+    if (field.deprecationReason) schema.deprecated = true;
+    const args = field.args || [];
+    if (args.length) {
+      context.lossy(coordinate, `Field arguments (${args.map(arg => arg.name).join(', ')}) are not represented`);
+    }
+    properties[field.name] = schema;
+    if (isNonNullType(field.type) && field.defaultValue === undefined) required.push(field.name);
+  });
+
+  const interfaces = isInputObjectType(type) ? [] : type.getInterfaces();
+  if (interfaces.length) {
+    context.lossy(
+      type.name,
+      `Implemented interfaces (${interfaces.map(item => item.name).join(', ')}) are not represented`
+    );
+  }
+
+  return {
+    type: 'object',
+    ...(type.description ? { description: type.description } : {}),
+    properties,
+    ...(required.length ? { required } : {})
+  };
+}
+
+function mapNamedType(type, context) {
+  if (isObjectType(type) || isInterfaceType(type) || isInputObjectType(type)) {
+    return mapObjectSchema(type, context);
+  }
+  if (isUnionType(type)) {
+    return {
+      ...(type.description ? { description: type.description } : {}),
+      oneOf: type.getTypes().map(member => typeToSchema(member))
+    };
+  }
+  if (isEnumType(type)) {
+    type.getValues()
+      .filter(value => value.deprecationReason)
+      .forEach(value => context.lossy(`${type.name}.${value.name}`, 'Enum value deprecation is not represented'));
+    return {
+      type: 'string',
+      ...(type.description ? { description: type.description } : {}),
+      enum: type.getValues().map(value => value.name)
+    };
+  }
+  if (isScalarType(type)) {
+    const known = KNOWN_SCALARS[type.name];
+    if (!known) {
+      context.lossy(type.name, `Custom scalar '${type.name}' mapped to string`);
+    }
+    return {
+      ...(known || { type: 'string' }),
+      ...(type.description ? { description: type.description } : {})
+    };
+  }
+  return {};
+}
+
+/**
+ * Report custom directive usages once per directive; `@deprecated` is the
+ * only directive with a manifest equivalent.
+ */
+function reportDirectiveUsage(document, context) {
+  const usage = new Map();
+  visit(document, {
+    Directive(node) {
+      const name = node.name.value;
+      if (name !== 'deprecated') usage.set(name, (usage.get(name) || 0) + 1);
+    }
+  });
+
+  usage.forEach((total, name) => {
+    context.lossy(`@${name}`, `Directive used ${total} time(s) is not represented`);
+  });
+}
+
+/**
+ * Convert GraphQL SDL into an APIManifest.
+ * @param {string} source - GraphQL SDL text
+ * @param {Object} options
+ * @param {string} options.serviceName - Service name (defaults to the file name)
+ * @param {string} options.sourcePath - Path of the schema (recorded in metadata.source)
+ * @param {string} options.lastModified - ISO timestamp used for freshness tracking
+ * @returns {{manifest: Object, lossy: Array<{path: string, reason: string}>}}
+ * @throws {ImportError} On syntax errors, invalid schemas or schemas without root operation types
+ */
+function convertGraphQL(source, options = {}) {
+  const { serviceName = null, sourcePath = null, lastModified = null } = options;
+  const { document, schema } = buildSchema(source);
+  const roots = OPERATION_TYPES
+    .map(operation => ({ operation, type: schema.getRootType(operation) }))
+    .filter(root => root.type);
+
+  if (!roots.length) {
+    throw new ImportError(
+      'GraphQL schema does not define a Query, Mutation or Subscription root type',
+      'INVALID_SPEC'
+    );
+  }
+
+  const lossy = [];
+  const context = {
+    lossy: (location, reason) => lossy.push({ path: location, reason })
+  };
+
+  const endpoints = roots.flatMap(({ operation, type }) =>
+    Object.values(type.getFields()).map(field => mapRootField(operation, type, field, context))
+  );
+
+  const rootNames = new Set(roots.map(root => root.type.name));
+  const schemas = {};
+  Object.values(schema.getTypeMap())
+    .filter(type => !type.name.startsWith('__') && !isSpecifiedScalarType(type) && !rootNames.has(type.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(type => {
+      schemas[type.name] = mapNamedType(type, context);
+    });
+
+  reportDirectiveUsage(document, context);
+
+  const manifest = {
+    version: 'v1.1',
+    service: {
+      name: serviceName || (sourcePath ? path.basename(sourcePath, path.extname(sourcePath)) : 'graphql')
+    },
+    interface: {
+      authentication: { type: 'none' },
+      endpoints
+    },
+    ...(Object.keys(schemas).length ? { validation: { schemas } } : {}),
+    metadata: {
+      ...(schema.description ? { description: schema.description } : {}),
+      source: {
+        format: 'graphql',
+        ...(sourcePath ? { file: sourcePath } : {})
+      }
+    },
+    ...(lastModified
+      ? { maintenance: { freshness_check: { enabled: true, last_code_change_at: lastModified } } }
+      : {})
+  };
+
+  return { manifest, lossy };
+}
+
+/**
+ * Read a GraphQL SDL file and convert it into an APIManifest.
+ * @param {string} filePath - Absolute path to the schema
+ * @param {Object} options
+ * @param {string} options.cwd - Base directory used for the recorded source path
+ * @param {string} options.serviceName - Service name override
+ * @returns {Promise<{manifest: Object, lossy: Array<{path: string, reason: string}>, source: string}>}
+ */
+async function importGraphQLFile(filePath, options = {}) {
+  const { cwd = process.cwd(), serviceName = null } = options;
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ImportError(`Unable to read ${filePath}: ${error.message}`, 'READ_ERROR');
+  }
+  const stats = await fs.stat(filePath);
+  const sourcePath = path.relative(cwd, filePath).split(path.sep).join('/');
+  const result = convertGraphQL(content, {
+    serviceName,
+    sourcePath,
+    lastModified: stats.mtime.toISOString()
+  });
+  return { ...result, source: sourcePath };
+}
+
+module.exports = {
+  convertGraphQL,
+  importGraphQLFile
+};
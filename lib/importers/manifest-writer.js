@@ -0,0 +1,133 @@
+/**
+ * Shared helpers for importers that turn external specs (OpenAPI, AsyncAPI,
+ * GraphQL) into `*.protocol.json` manifests the loader can discover.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+
+const { createSlug } = require('../generators/helpers');
+const { parseManifestContent } = require('../loader');
+
+class ImportError extends Error {
+  constructor(message, code = 'IMPORT_FAILED', details = {}) {
+    super(message);
+    this.name = 'ImportError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Resolve a file path or glob into a sorted list of absolute spec paths.
+ * @param {string|Array<string>} input - File path(s) or glob pattern(s)
+ * @param {Object} options
+ * @param {string} options.cwd - Base directory for relative paths
+ * @returns {Array<string>}
+ */
+function resolveSpecFiles(input, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const patterns = (Array.isArray(input) ? input : [input]).filter(Boolean);
+  const files = new Set();
+
+  patterns.forEach(pattern => {
+    const normalized = path.isAbsolute(pattern) ? pattern : path.posix.normalize(pattern);
+    glob
+      .sync(normalized, { cwd, absolute: true, nodir: true })
+      .forEach(file => files.add(path.resolve(file)));
+  });
+
+  return Array.from(files).sort();
+}
+
+/**
+ * Read and parse a JSON or YAML spec file.
+ * @param {string} filePath - Absolute path to the spec
+ * @returns {Promise<Object>}
+ * @throws {ImportError} When the file cannot be read or parsed (line/column included)
+ */
+async function readStructuredFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ImportError(`Unable to read ${filePath}: ${error.message}`, 'READ_ERROR');
+  }
+
+  try {
+    return parseManifestContent(content, filePath);
+  } catch (error) {
+    throw new ImportError(error.message, error.code || 'PARSE_ERROR', {
+      line: error.line,
+      column: error.column
+    });
+  }
+}
+
+/**
+ * Build a `<slug>.protocol.json` filename that does not collide with names
+ * already used in this import run.
+ * @param {string} name - Human-readable manifest name
+ * @param {Set<string>} used - File names already assigned
+ * @returns {string}
+ */
+function uniqueManifestFileName(name, used) {
+  const slug = createSlug(name, 'manifest');
+  let candidate = `${slug}.protocol.json`;
+  let counter = 2;
+  while (used.has(candidate)) {
+    candidate = `${slug}-${counter}.protocol.json`;
+    counter++;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * Write imported manifests as JSON files carrying a `kind` hint for the loader.
+ * @param {Array<{name: string, kind: string, manifest: Object}>} entries
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory for manifest files
+ * @param {boolean} options.force - Overwrite existing manifest files
+ * @returns {Promise<Array<{name: string, path: string, status: 'written'|'skipped'}>>}
+ */
+async function writeManifestFiles(entries, options = {}) {
+  const { outputDir = './protocols', force = false } = options;
+  const resolvedDir = path.resolve(outputDir);
+  const used = new Set();
+  const results = [];
+
+  await fs.mkdir(resolvedDir, { recursive: true });
+
+  for (const entry of entries) {
+    const fileName = uniqueManifestFileName(entry.name, used);
+    const targetPath = path.join(resolvedDir, fileName);
+    let exists = false;
+    try {
+      await fs.access(targetPath);
+      exists = true;
+    } catch {
+      // File doesn't exist yet
+    }
+
+    if (exists && !force) {
+      results.push({ name: entry.name, path: targetPath, status: 'skipped' });
+      continue;
+    }
+
+    const document = { kind: entry.kind, ...entry.manifest };
+    await fs.writeFile(targetPath, `${JSON.stringify(document, null, 2)}\n`, 'utf8');
+    results.push({ name: entry.name, path: targetPath, status: 'written' });
+  }
+
+  return results;
+}
+
+module.exports = {
+  ImportError,
+  resolveSpecFiles,
+  readStructuredFile,
+  uniqueManifestFileName,
+  writeManifestFiles
+};
@@ -0,0 +1,464 @@
+/**
+ * OpenAPI Importer - Map OpenAPI 3.0/3.1 documents onto the APIManifest shape
+ * documented in src/api_protocol_v_1_1_1.js.
+ *
+ * The APIManifest surface is intentionally smaller than OpenAPI, so every
+ * construct that cannot be represented (or is approximated) is recorded as a
+ * lossy mapping: `{ path, reason }` where `path` is a JSON pointer-ish
+ * location in the source document.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { ImportError, readStructuredFile } = require('./manifest-writer');
+const { escapePointer, pointer, resolvePointer } = require('./spec-utils');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const RATE_LIMIT_SCOPES = ['tenant', 'user', 'ip', 'global'];
+const CURSOR_PARAMS = ['cursor', 'page_token', 'pageToken', 'next_token', 'starting_after', 'after'];
+const PAGE_PARAMS = ['page', 'page_number', 'pageNumber', 'offset'];
+const LIMIT_PARAMS = ['limit', 'page_size', 'pageSize', 'per_page', 'perPage', 'count'];
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+/**
+ * Rewrite schema references so they point at `validation.schemas` in the
+ * generated manifest. External references are kept verbatim and reported.
+ */
+function rewriteSchemaRefs(schema, location, context) {
+  if (Array.isArray(schema)) {
+    return schema.map((item, index) => rewriteSchemaRefs(item, `${location}/${index}`, context));
+  }
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const copy = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === '$ref' && typeof value === 'string') {
+      if (value.startsWith(SCHEMA_REF_PREFIX)) {
+        copy.$ref = `#/validation/schemas/${value.slice(SCHEMA_REF_PREFIX.length)}`;
+      } else {
+        copy.$ref = value;
+        context.lossy(location, `External or non-schema $ref '${value}' kept verbatim`);
+      }
+      return;
+    }
+    copy[key] = rewriteSchemaRefs(value, `${location}/${escapePointer(key)}`, context);
+  });
+  return copy;
+}
+
+/**
+ * Follow `$ref` for reusable components (parameters, request bodies,
+ * responses, security schemes). Returns undefined for unresolvable refs.
+ */
+function dereference(value, location, context, seen = new Set()) {
+  if (!value || typeof value !== 'object' || typeof value.$ref !== 'string') {
+    return value;
+  }
+  if (seen.has(value.$ref)) {
+    context.lossy(location, `Circular $ref '${value.$ref}' could not be resolved`);
+    return undefined;
+  }
+  const target = resolvePointer(context.spec, value.$ref);
+  if (target === undefined) {
+    context.lossy(location, `Unresolvable $ref '${value.$ref}' dropped`);
+    return undefined;
+  }
+  seen.add(value.$ref);
+  return dereference(target, location, context, seen);
+}
+
+function pickContent(content, location, context) {
+  const mediaTypes = Object.keys(content || {});
+  if (!mediaTypes.length) return null;
+  const contentType = mediaTypes.find(type => /json/i.test(type)) || mediaTypes[0];
+  if (mediaTypes.length > 1) {
+    context.lossy(
+      `${location}/content`,
+      `Only '${contentType}' kept; dropped ${mediaTypes.filter(type => type !== contentType).join(', ')}`
+    );
+  }
+  const media = content[contentType] || {};
+  if (media.examples || media.example !== undefined) {
+    context.lossy(`${location}/content/${escapePointer(contentType)}`, 'Examples are not represented');
+  }
+  return {
+    contentType,
+    schema: media.schema
+      ? rewriteSchemaRefs(media.schema, `${location}/content/${escapePointer(contentType)}/schema`, context)
+      : undefined
+  };
+}
+
+function mapParameters(pathItem, operation, location, context) {
+  const merged = new Map();
+  const collect = (list, listLocation) => {
+    (list || []).forEach((raw, index) => {
+      const paramLocation = `${listLocation}/${index}`;
+      const param = dereference(raw, paramLocation, context);
+      if (!param || !param.name) return;
+      merged.set(`${param.in}:${param.name}`, { param, paramLocation });
+    });
+  };
+  collect(pathItem.parameters, `${location.pathItem}/parameters`);
+  collect(operation.parameters, `${location.operation}/parameters`);
+
+  return Array.from(merged.values()).map(({ param, paramLocation }) => {
+    if (param.content) {
+      context.lossy(paramLocation, `Parameter '${param.name}' uses content; only the first media schema is kept`);
+    }
+    if (param.style || param.explode !== undefined) {
+      context.lossy(paramLocation, `Serialization style of parameter '${param.name}' is not represented`);
+    }
+    const schema = param.schema || Object.values(param.content || {})[0]?.schema;
+    return {
+      name: param.name,
+      in: param.in,
+      required: Boolean(param.required || param.in === 'path'),
+      ...(param.description ? { description: param.description } : {}),
+      ...(schema ? { schema: rewriteSchemaRefs(schema, `${paramLocation}/schema`, context) } : {})
+    };
+  });
+}
+
+function mapResponses(operation, location, context) {
+  const responses = [];
+  const errors = [];
+
+  Object.entries(operation.responses || {}).forEach(([statusKey, raw]) => {
+    const responseLocation = `${location}/responses/${escapePointer(statusKey)}`;
+    const response = dereference(raw, responseLocation, context);
+    if (!response) return;
+
+    const status = Number.parseInt(statusKey, 10);
+    if (!/^\d{3}$/.test(statusKey)) {
+      context.lossy(responseLocation, `Response key '${statusKey}' is not a concrete status code; dropped`);
+      return;
+    }
+    if (response.headers) {
+      context.lossy(`${responseLocation}/headers`, 'Response headers are not represented');
+    }
+    if (response.links) {
+      context.lossy(`${responseLocation}/links`, 'Response links are not represented');
+    }
+
+    const media = pickContent(response.content, responseLocation, context);
+    if (status >= 400) {
+      const schemaRef = Object.values(response.content || {})[0]?.schema?.$ref;
+      const title = media?.schema?.title || resolvePointer(context.spec, schemaRef)?.title;
+      errors.push({
+        code: title || `HTTP_${status}`,
+        http: status,
+        retriable: status === 429 || status === 503,
+        ...(response.description ? { docs: response.description } : {})
+      });
+      return;
+    }
+
+    responses.push({
+      status,
+      ...(response.description ? { description: response.description } : {}),
+      ...(media?.schema ? { schema: media.schema } : {})
+    });
+  });
+
+  return { responses, errors };
+}
+
+function inferPagination(params) {
+  const queryNames = params.filter(param => param.in === 'query').map(param => param.name);
+  const limit = LIMIT_PARAMS.find(name => queryNames.includes(name));
+  const cursor = CURSOR_PARAMS.find(name => queryNames.includes(name));
+  if (cursor) {
+    return { style: 'cursor', params: { cursor, ...(limit ? { limit } : {}) } };
+  }
+  const page = PAGE_PARAMS.find(name => queryNames.includes(name));
+  if (page) {
+    return { style: 'page', params: { page, ...(limit ? { limit } : {}) } };
+  }
+  return undefined;
+}
+
+function normalizeWindow(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return `${value}s`;
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Normalize an `x-ratelimit` extension. Accepts an object or an array of
+ * objects using limit|requests, window|period|interval, scope and burst.
+ */
+function mapRateLimits(extension, location, context, endpoint) {
+  if (extension === undefined) return [];
+  const entries = Array.isArray(extension) ? extension : [extension];
+  const limits = [];
+
+  entries.forEach((raw, index) => {
+    const entryLocation = Array.isArray(extension) ? `${location}/${index}` : location;
+    if (!raw || typeof raw !== 'object') {
+      context.lossy(entryLocation, 'x-ratelimit must be an object; dropped');
+      return;
+    }
+    const limit = Number(raw.limit ?? raw.requests);
+    const window = normalizeWindow(raw.window ?? raw.period ?? raw.interval);
+    if (!(limit > 0) || !window) {
+      context.lossy(entryLocation, 'x-ratelimit needs a positive limit and a window; dropped');
+      return;
+    }
+    let scope = raw.scope || 'global';
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      context.lossy(entryLocation, `Rate limit scope '${scope}' mapped to 'global'`);
+      scope = 'global';
+    }
+    limits.push({
+      scope,
+      limit,
+      window,
+      ...(raw.burst !== undefined ? { burst: Number(raw.burst) } : {}),
+      ...(endpoint ? { endpoint } : {})
+    });
+  });
+
+  return limits;
+}
+
+function mapSecurityScheme(name, requirementScopes, location, context) {
+  const scheme = dereference(
+    context.spec.components?.securitySchemes?.[name],
+    `#/components/securitySchemes/${escapePointer(name)}`,
+    context
+  );
+  if (!scheme) {
+    context.lossy(location, `Security scheme '${name}' is not defined`);
+    return null;
+  }
+
+  switch (scheme.type) {
+    case 'apiKey':
+      return { type: 'apiKey', in: scheme.in || 'header' };
+    case 'oauth2':
+    case 'openIdConnect': {
+      const declared = Object.values(scheme.flows || {})
+        .flatMap(flow => Object.keys(flow.scopes || {}));
+      const scopes = requirementScopes.length ? requirementScopes : declared;
+      if (scheme.type === 'openIdConnect') {
+        context.lossy(location, `OpenID Connect scheme '${name}' mapped to oauth2`);
+      }
+      return { type: 'oauth2', ...(scopes.length ? { scopes: Array.from(new Set(scopes)) } : {}) };
+    }
+    case 'http':
+      if (String(scheme.scheme).toLowerCase() === 'bearer') {
+        context.lossy(location, `HTTP bearer scheme '${name}' mapped to oauth2`);
+        return { type: 'oauth2' };
+      }
+      context.lossy(location, `HTTP ${scheme.scheme || 'auth'} scheme '${name}' mapped to apiKey in header`);
+      return { type: 'apiKey', in: 'header' };
+    default:
+      context.lossy(location, `Security scheme type '${scheme.type}' is not supported; treated as none`);
+      return { type: 'none' };
+  }
+}
+
+function mapSecurityRequirement(requirements, location, context) {
+  if (!Array.isArray(requirements)) return undefined;
+  if (!requirements.length) return { type: 'none' };
+  if (requirements.length > 1) {
+    context.lossy(location, 'Alternative security requirements collapsed to the first one');
+  }
+  const [first] = requirements;
+  const names = Object.keys(first || {});
+  if (!names.length) return { type: 'none' };
+  if (names.length > 1) {
+    context.lossy(location, `Combined schemes (${names.join(' + ')}) collapsed to '${names[0]}'`);
+  }
+  return mapSecurityScheme(names[0], first[names[0]] || [], `${location}/0`, context);
+}
+
+function sameAuth(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+function mapOperation(pathName, method, pathItem, operation, context) {
+  const location = {
+    pathItem: pointer('paths', pathName),
+    operation: pointer('paths', pathName, method)
+  };
+  const params = mapParameters(pathItem, operation, location, context);
+  const { responses, errors } = mapResponses(operation, location.operation, context);
+  const endpoint = {
+    method: method.toUpperCase(),
+    path: pathName,
+    summary: operation.summary || operation.operationId || `${method.toUpperCase()} ${pathName}`,
+    ...(operation.operationId ? { operationId: operation.operationId } : {}),
+    ...(operation.description ? { description: operation.description } : {}),
+    ...(operation.tags?.length ? { tags: operation.tags } : {}),
+    params,
+    responses,
+    errors
+  };
+
+  if (operation.requestBody) {
+    const bodyLocation = `${location.operation}/requestBody`;
+    const body = dereference(operation.requestBody, bodyLocation, context);
+    const media = body ? pickContent(body.content, bodyLocation, context) : null;
+    if (media) {
+      endpoint.request = {
+        contentType: media.contentType,
+        ...(media.schema ? { schema: media.schema } : {}),
+        ...(body.required ? { required: true } : {})
+      };
+    }
+  }
+
+  const pagination = inferPagination(params);
+  if (pagination) endpoint.pagination = pagination;
+
+  if (operation.deprecated) endpoint.deprecated = true;
+  if (operation.callbacks) {
+    context.lossy(`${location.operation}/callbacks`, 'Callbacks are not represented');
+  }
+  if (operation.servers) {
+    context.lossy(`${location.operation}/servers`, 'Operation-level servers are not represented');
+  }
+
+  const auth = mapSecurityRequirement(operation.security, `${location.operation}/security`, context);
+  if (auth && !sameAuth(auth, context.defaultAuth)) {
+    context.lossy(
+      `${location.operation}/security`,
+      `Operation security (${auth.type}) differs from the service default; APIManifest only supports one authentication block`
+    );
+  }
+
+  const rateLimits = mapRateLimits(
+    operation['x-ratelimit'],
+    `${location.operation}/x-ratelimit`,
+    context,
+    `${endpoint.method} ${pathName}`
+  );
+
+  return { endpoint, rateLimits };
+}
+
+/**
+ * Convert a parsed OpenAPI document into an APIManifest.
+ * @param {Object} spec - Parsed OpenAPI 3.0/3.1 document
+ * @param {Object} options
+ * @param {string} options.sourcePath - Path of the spec (recorded in metadata.source)
+ * @param {string} options.lastModified - ISO timestamp used for freshness tracking
+ * @returns {{manifest: Object, lossy: Array<{path: string, reason: string}>}}
+ * @throws {ImportError} When the document is not OpenAPI 3.x
+ */
+function convertOpenAPI(spec, options = {}) {
+  const { sourcePath = null, lastModified = null } = options;
+
+  if (!spec || typeof spec !== 'object') {
+    throw new ImportError('OpenAPI document must be an object', 'INVALID_SPEC');
+  }
+  if (spec.swagger) {
+    throw new ImportError(
+      `Swagger ${spec.swagger} documents are not supported; convert to OpenAPI 3.x first`,
+      'UNSUPPORTED_VERSION'
+    );
+  }
+  if (!/^3\.[01]\./.test(String(spec.openapi || ''))) {
+    throw new ImportError(
+      `Unsupported OpenAPI version '${spec.openapi || 'missing'}' (expected 3.0.x or 3.1.x)`,
+      'UNSUPPORTED_VERSION'
+    );
+  }
+
+  const lossy = [];
+  const context = {
+    spec,
+    lossy: (location, reason) => lossy.push({ path: location, reason })
+  };
+  context.defaultAuth = mapSecurityRequirement(spec.security, '#/security', context) || { type: 'none' };
+
+  const info = spec.info || {};
+  const endpoints = [];
+  const rateLimits = mapRateLimits(spec['x-ratelimit'], '#/x-ratelimit', context);
+
+  Object.entries(spec.paths || {}).forEach(([pathName, rawPathItem]) => {
+    const pathItem = dereference(rawPathItem, pointer('paths', pathName), context) || {};
+    Object.keys(pathItem)
+      .filter(key => !HTTP_METHODS.includes(key) && !['parameters', 'summary', 'description'].includes(key))
+      .filter(key => !key.startsWith('x-'))
+      .forEach(key => context.lossy(pointer('paths', pathName, key), `Path item field '${key}' is not represented`));
+
+    HTTP_METHODS.forEach(method => {
+      if (!pathItem[method]) return;
+      const mapped = mapOperation(pathName, method, pathItem, pathItem[method], context);
+      endpoints.push(mapped.endpoint);
+      rateLimits.push(...mapped.rateLimits);
+    });
+  });
+
+  if (spec.webhooks && Object.keys(spec.webhooks).length) {
+    context.lossy('#/webhooks', 'Webhooks are not represented; import them as events instead');
+  }
+  ['headers', 'examples', 'links', 'callbacks'].forEach(section => {
+    if (spec.components?.[section] && Object.keys(spec.components[section]).length) {
+      context.lossy(`#/components/${section}`, `Reusable ${section} are not represented`);
+    }
+  });
+
+  const schemas = spec.components?.schemas
+    ? rewriteSchemaRefs(spec.components.schemas, '#/components/schemas', context)
+    : undefined;
+
+  const manifest = {
+    version: 'v1.1',
+    service: {
+      name: info.title || (sourcePath ? path.basename(sourcePath, path.extname(sourcePath)) : 'api'),
+      ...(info.version ? { version: info.version } : {})
+    },
+    interface: {
+      authentication: context.defaultAuth,
+      endpoints
+    },
+    ...(rateLimits.length ? { operations: { rate_limits: rateLimits } } : {}),
+    ...(spec.servers?.length
+      ? { context: { servers: spec.servers.map(server => server.url).filter(Boolean) } }
+      : {}),
+    ...(schemas ? { validation: { schemas } } : {}),
+    metadata: {
+      ...(info.description ? { description: info.description } : {}),
+      ...(spec.tags?.length ? { tags: spec.tags.map(tag => tag.name).filter(Boolean) } : {}),
+      ...(info.contact ? { owner: info.contact.name || info.contact.email } : {}),
+      source: {
+        format: 'openapi',
+        version: spec.openapi,
+        ...(sourcePath ? { file: sourcePath } : {})
+      }
+    },
+    ...(lastModified
+      ? { maintenance: { freshness_check: { enabled: true, last_code_change_at: lastModified } } }
+      : {})
+  };
+
+  return { manifest, lossy };
+}
+
+/**
+ * Read an OpenAPI file (JSON or YAML) and convert it into an APIManifest.
+ * @param {string} filePath - Absolute path to the spec
+ * @param {Object} options
+ * @param {string} options.cwd - Base directory used for the recorded source path
+ * @returns {Promise<{manifest: Object, lossy: Array<{path: string, reason: string}>, source: string}>}
+ */
+async function importOpenAPIFile(filePath, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const spec = await readStructuredFile(filePath);
+  const stats = await fs.stat(filePath);
+  const sourcePath = path.relative(cwd, filePath).split(path.sep).join('/');
+  const result = convertOpenAPI(spec, {
+    sourcePath,
+    lastModified: stats.mtime.toISOString()
+  });
+  return { ...result, source: sourcePath };
+}
+
+module.exports = {
+  convertOpenAPI,
+  importOpenAPIFile
+};
@@ -0,0 +1,38 @@
+/**
+ * JSON pointer helpers shared by the spec importers. Lossy-mapping reports
+ * use `#/a/b~1c` style pointers into the source document.
+ */
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a JSON pointer from raw (unescaped) segments.
+ * @param {...string} segments
+ * @returns {string}
+ */
+function pointer(...segments) {
+  return `#/${segments.map(escapePointer).join('/')}`;
+}
+
+/**
+ * Resolve a local `#/...` reference against a document.
+ * @param {Object} spec - Source document
+ * @param {string} ref - Local JSON pointer
+ * @returns {*} - Target value, or undefined for external/unresolvable refs
+ */
+function resolvePointer(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return ref
+    .slice(2)
+    .split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((acc, segment) => (acc == null ? undefined : acc[segment]), spec);
+}
+
+module.exports = {
+  escapePointer,
+  pointer,
+  resolvePointer
+};
@@ -0,0 +1,193 @@
+/**
+ * JUnit Reporter - Emit `check` results as JUnit XML
+ *
+ * Each protocol is a <testsuite>; its freshness, coverage and URN checks are
+ * <testcase>s. Failure bodies hold the recommendations generateRecommendations()
+ * gives for that one check, so CI test dashboards show what to fix.
+ */
+
+const path = require('path');
+const { LOW_COVERAGE_THRESHOLD, generateRecommendations } = require('./reporter');
+const { findWaiver, describeWaiver } = require('./waivers');
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// Waived checks are reported as skipped rather than failed
+function applyWaiver(testCase, waiver) {
+  return waiver ? { name: testCase.name, skipped: `Waived: ${describeWaiver(waiver)}` } : testCase;
+}
+
+/**
+ * Evaluate one protocol's checks.
+ * @returns {Array<{name: string, failure?: {type: string, message: string, categories: string[]},
+ *   skipped?: string, scope?: Object}>}
+ */
+function buildTestCases(protocol, urnValidation) {
+  const { freshness, coverage } = protocol;
+  const cases = [];
+
+  if (freshness.enabled === false) {
+    cases.push({ name: 'freshness', skipped: 'Freshness checking is disabled' });
+  } else if (!freshness.hasTimestamps) {
+    cases.push(applyWaiver({
+      name: 'freshness',
+      failure: {
+        type: 'missing-timestamps',
+        message: 'Missing last_code_change_at and/or lifecycle.updated_at',
+        categories: ['freshness']
+      }
+    }, findWaiver(protocol, 'timestamp')));
+  } else if (freshness.isStale) {
+    cases.push(applyWaiver({
+      name: 'freshness',
+      failure: {
+        type: 'stale-docs',
+        message: `Documentation is ${freshness.daysStale} days stale ` +
+          `(threshold ${freshness.thresholdDays} days)`,
+        categories: ['freshness']
+      }
+    }, findWaiver(protocol, 'freshness')));
+  } else {
+    cases.push({ name: 'freshness' });
+  }
+
+  if (coverage.coveragePercentage < LOW_COVERAGE_THRESHOLD) {
+    cases.push(applyWaiver({
+      name: 'coverage',
+      failure: {
+        type: 'low-coverage',
+        message: `${Math.round(coverage.coveragePercentage * 100)}% documentation coverage ` +
+          `(${coverage.documentedItems}/${coverage.totalItems} items, minimum 80%)`,
+        categories: ['coverage']
+      }
+    }, findWaiver(protocol, 'coverage')));
+  } else {
+    cases.push({ name: 'coverage' });
+  }
+
+  const { broken = [], invalid = [], waived = [] } = urnValidation || {};
+  (protocol.urns || []).forEach(urn => {
+    const isBroken = broken.includes(urn);
+    const isInvalid = invalid.includes(urn);
+    const waiver = waived.find(entry => entry.urn === urn);
+    if (waiver) {
+      cases.push(applyWaiver({ name: `urn ${urn}` }, waiver));
+      return;
+    }
+    cases.push({
+      name: `urn ${urn}`,
+      ...(isBroken || isInvalid ? {
+        failure: {
+          type: isBroken ? 'broken-urn' : 'invalid-urn',
+          message: isBroken ? `Broken URN reference: ${urn}` : `Invalid URN format: ${urn}`,
+          categories: ['validation']
+        },
+        scope: { broken: isBroken ? [urn] : [], invalid: isInvalid ? [urn] : [] }
+      } : {})
+    });
+  });
+
+  return cases;
+}
+
+/**
+ * Build a JUnit XML report from `check` results.
+ * @param {Object} healthScore - Result from calculateHealthScore()
+ * @param {Object} analysisResults - Analyzer output; protocols may carry `path`
+ *   (manifest file) and `urns` (URNs the manifest references)
+ * @param {Object} options
+ * @param {string} [options.rootDir] - Project root; file attributes are relative to it
+ * @param {string} [options.timestamp] - ISO timestamp for the suites (default: now)
+ * @returns {string} - JUnit XML document
+ */
+function generateJUnitReport(healthScore, analysisResults, options = {}) {
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const timestamp = options.timestamp || new Date().toISOString().replace(/\.\d+Z$/, '');
+  const protocols = analysisResults?.protocols || [];
+  const totals = { tests: 0, failures: 0, skipped: 0 };
+
+  const suites = protocols.map(protocol => {
+    const cases = buildTestCases(protocol, analysisResults.urnValidation);
+    const file = protocol.path
+      ? path.relative(rootDir, protocol.path).split(path.sep).join('/')
+      : undefined;
+    const failures = cases.filter(testCase => testCase.failure).length;
+    const skipped = cases.filter(testCase => testCase.skipped).length;
+    totals.tests += cases.length;
+    totals.failures += failures;
+    totals.skipped += skipped;
+
+    const testCases = cases.map(testCase => {
+      const open = `    <testcase${attributes({
+        name: testCase.name,
+        classname: `dochealth.${protocol.type}.${protocol.id}`,
+        file,
+        time: 0
+      })}`;
+      if (testCase.skipped) {
+        return `${open}>\n      <skipped${attributes({ message: testCase.skipped })}/>\n    </testcase>`;
+      }
+      if (!testCase.failure) {
+        return `${open}/>`;
+      }
+
+      const { type, message, categories } = testCase.failure;
+      const recommendations = generateRecommendations(healthScore, {
+        protocols: testCase.scope ? [] : [protocol],
+        urnValidation: testCase.scope || { broken: [], invalid: [] }
+      }, { categories });
+      const body = recommendations.map(recommendation => `- ${recommendation}`).join('\n');
+      return `${open}>\n      <failure${attributes({ type, message })}>${escapeXml(body)}</failure>\n` +
+        '    </testcase>';
+    });
+
+    return [
+      `  <testsuite${attributes({
+        name: `${protocol.type}:${protocol.id}`,
+        tests: cases.length,
+        failures,
+        errors: 0,
+        skipped,
+        time: 0,
+        timestamp,
+        file
+      })}>`,
+      '    <properties>',
+      `      <property${attributes({ name: 'healthScore', value: protocol.combined?.healthScore })}/>`,
+      `      <property${attributes({ name: 'protocolType', value: protocol.type })}/>`,
+      '    </properties>',
+      ...testCases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attributes({
+      name: 'DocHealth',
+      tests: totals.tests,
+      failures: totals.failures,
+      errors: 0,
+      skipped: totals.skipped,
+      time: 0
+    })}>`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n');
+}
+
+module.exports = {
+  generateJUnitReport,
+  escapeXml
+};
@@ -0,0 +1,148 @@
+/**
+ * API Lifecycle - Deprecations, sunsets and migration guidance
+ *
+ * API manifests mark a whole service deprecated with `metadata.lifecycle`
+ * (`status: 'deprecated'`, `sunset_at`) and single endpoints with
+ * `deprecated: true` (set by the OpenAPI and GraphQL importers) or an
+ * endpoint-level `lifecycle` / `sunset_at`. Endpoints without their own
+ * sunset date inherit the service's.
+ *
+ * Migration guidance is a `migration` note or `replaced_by` reference on the
+ * item (or its service), or a description that points somewhere else
+ * ("use /v2/orders instead", "replaced by", "migrate to", ...).
+ */
+
+const DEFAULT_SUNSET_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIGRATION_TEXT = /\b(migrat\w*|instead|replaced by|superseded by|successor)\b/i;
+
+function parseSunset(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function findMigration(source = {}, texts = []) {
+  const lifecycle = source.lifecycle || {};
+  const note = source.migration || lifecycle.migration;
+  const replacement = source.replaced_by || lifecycle.replaced_by;
+  if (note) return String(note);
+  if (replacement) return `Replaced by ${replacement}`;
+  const text = texts.find(value => typeof value === 'string' && MIGRATION_TEXT.test(value));
+  return text ? text.trim() : null;
+}
+
+/**
+ * Deprecation details of an API service and endpoint, as shown in generated
+ * references. Null when neither is deprecated.
+ * @param {Object} manifest - API manifest
+ * @param {Object} [endpoint]
+ * @returns {{scope: 'service'|'endpoint', sunsetAt: string|null, migration: string|null}|null}
+ */
+function describeDeprecation(manifest, endpoint = null) {
+  const serviceLifecycle = manifest?.metadata?.lifecycle || {};
+  const serviceMigration = findMigration(serviceLifecycle, [manifest?.service?.description]);
+  const serviceSunset = parseSunset(serviceLifecycle.sunset_at);
+
+  if (endpoint) {
+    const endpointSunset = endpoint.sunset_at || endpoint.lifecycle?.sunset_at;
+    const deprecated = endpoint.deprecated === true
+      || endpoint.lifecycle?.status === 'deprecated'
+      || Boolean(endpointSunset);
+    if (deprecated) {
+      const sunset = parseSunset(endpointSunset) || serviceSunset;
+      return {
+        scope: 'endpoint',
+        sunsetAt: sunset ? sunset.toISOString().slice(0, 10) : null,
+        migration: findMigration(endpoint, [endpoint.description, endpoint.summary])
+          || serviceMigration
+      };
+    }
+  }
+
+  if (serviceLifecycle.status === 'deprecated' || serviceSunset) {
+    return {
+      scope: 'service',
+      sunsetAt: serviceSunset ? serviceSunset.toISOString().slice(0, 10) : null,
+      migration: serviceMigration
+    };
+  }
+  return null;
+}
+
+/**
+ * Deprecated services and endpoints of an API manifest with their sunset status.
+ * @param {Object} manifest
+ * @param {string} protocolType - Loader protocol type; only `api` has a lifecycle
+ * @param {Object} [options] - config.lifecycle
+ * @param {number} [options.sunsetWindowDays=90] - Sunsets within this many days are upcoming
+ * @param {Date} [options.now]
+ * @returns {{sunsetWindowDays: number, items: Array<{kind: string, name: string,
+ *   sunsetAt: string|null, daysUntilSunset: number|null, sunset: string, migration: string|null}>,
+ *   deprecated: number, upcomingSunsets: number, pastSunsets: number, missingMigration: number,
+ *   recommendations: string[]}|null} - `sunset` is `none`, `scheduled`, `upcoming` or `past`;
+ *   null for other protocol types
+ */
+function analyzeLifecycle(manifest, protocolType, options = {}) {
+  if (protocolType !== 'api') {
+    return null;
+  }
+  const { sunsetWindowDays = DEFAULT_SUNSET_WINDOW_DAYS, now = new Date() } = options;
+
+  const items = [];
+  const addItem = (kind, name, deprecation) => {
+    const sunset = parseSunset(deprecation.sunsetAt);
+    const daysUntilSunset = sunset ? Math.ceil((sunset.getTime() - now.getTime()) / DAY_MS) : null;
+    items.push({
+      kind,
+      name,
+      sunsetAt: deprecation.sunsetAt,
+      daysUntilSunset,
+      sunset: daysUntilSunset === null ? 'none'
+        : daysUntilSunset < 0 ? 'past'
+          : daysUntilSunset <= sunsetWindowDays ? 'upcoming' : 'scheduled',
+      migration: deprecation.migration
+    });
+  };
+
+  const service = describeDeprecation(manifest);
+  if (service) {
+    addItem('service', manifest?.service?.name || 'api-service', service);
+  }
+  (manifest?.interface?.endpoints || []).forEach((endpoint, index) => {
+    const deprecation = describeDeprecation(manifest, endpoint);
+    if (deprecation?.scope === 'endpoint') {
+      addItem('endpoint', `${endpoint.method || 'UNKNOWN'} ${endpoint.path || `endpoint_${index}`}`, deprecation);
+    }
+  });
+
+  const past = items.filter(item => item.sunset === 'past');
+  const upcoming = items.filter(item => item.sunset === 'upcoming');
+  const missingMigration = items.filter(item => !item.migration);
+  const recommendations = [];
+  if (past.length > 0) {
+    recommendations.push(`${past.length} deprecated item(s) are past their sunset date; ` +
+      'remove them or move sunset_at');
+  }
+  if (missingMigration.length > 0) {
+    recommendations.push(`${missingMigration.length} deprecated item(s) lack migration guidance; ` +
+      'add `migration` or `replaced_by`');
+  }
+
+  return {
+    sunsetWindowDays,
+    items,
+    deprecated: items.length,
+    upcomingSunsets: upcoming.length,
+    pastSunsets: past.length,
+    missingMigration: missingMigration.length,
+    recommendations
+  };
+}
+
+module.exports = {
+  DEFAULT_SUNSET_WINDOW_DAYS,
+  describeDeprecation,
+  analyzeLifecycle
+};
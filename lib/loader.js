@@ -3,11 +3,13 @@
  * 
  * Handles loading of protocol files from directory, validation,
  * type detection, and caching with file change invalidation.
+ * Supports both JS factory modules and JSON/YAML manifest data files.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const glob = require('glob');
+const yaml = require('js-yaml');
 
 // Cache for loaded protocols
 const protocolCache = new Map();
@@ -42,6 +44,55 @@ const PROTOCOL_FACTORIES = {
   agent: 'createAgentProtocol'
 };
 
+/**
+ * Protocol modules in src/ used to wrap JSON/YAML manifest data
+ */
+const PROTOCOL_MODULES = {
+  api: 'api_protocol_v_1_1_1.js',
+  data: 'data_protocol_v_1_1_1.js',
+  docs: 'Documentation Protocol — v1.1.1.js',
+  semantic: 'Semantic Protocol — v3.2.0.js',
+  workflow: 'workflow_protocol_v_1_1_1.js',
+  event: 'event_protocol_v_1_1_1.js',
+  identity: 'Identity & Access Protocol — v1.1.1.js',
+  ui: 'ui_component_protocol_v_1_1_1.js',
+  agent: 'agent_protocol_v_1_1_1.js'
+};
+
+const PROTOCOL_MODULES_DIR = path.join(__dirname, '..', 'src');
+
+/**
+ * Accepted `kind` values for manifest data files (besides the type names)
+ */
+const KIND_ALIASES = {
+  apiprotocol: 'api',
+  dataprotocol: 'data',
+  documentation: 'docs',
+  documentationprotocol: 'docs',
+  docsprotocol: 'docs',
+  semanticprotocol: 'semantic',
+  workflowprotocol: 'workflow',
+  eventprotocol: 'event',
+  identityprotocol: 'identity',
+  iam: 'identity',
+  uicomponent: 'ui',
+  uicomponentprotocol: 'ui',
+  component: 'ui',
+  agentprotocol: 'agent'
+};
+
+/**
+ * Default discovery globs: JS factory modules plus manifest data files
+ */
+const DEFAULT_SEARCH_PATTERNS = [
+  '**/*protocol*.js',
+  '**/*.protocol.json',
+  '**/*.protocol.yaml',
+  '**/*.protocol.yml'
+];
+
+const MANIFEST_EXTENSIONS = new Set(['.json', '.yaml', '.yml']);
+
 /**
  * Detect protocol type from filename
  * @param {string} filename - Name of the file
@@ -57,9 +108,180 @@ function detectProtocolType(filename) {
   return null;
 }
 
+/**
+ * Detect protocol type from manifest content (`kind` field or top-level shape)
+ * @param {Object} manifest - Parsed manifest data
+ * @returns {string|null} - Protocol type or null if unknown
+ */
+function detectManifestType(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return null;
+  }
+
+  if (manifest.kind) {
+    const kind = String(manifest.kind).toLowerCase().replace(/[^a-z]/g, '');
+    if (PROTOCOL_FACTORIES[kind]) return kind;
+    return KIND_ALIASES[kind] || null;
+  }
+
+  if (manifest.service && manifest.interface) return 'api';
+  if (manifest.dataset) return 'data';
+  if (manifest.documentation) return 'docs';
+  if (manifest.workflow) return 'workflow';
+  if (manifest.event) return 'event';
+  if (manifest.identity) return 'identity';
+  if (manifest.component) return 'ui';
+  if (manifest.agent) return 'agent';
+  if (manifest.urn && manifest.element) return 'semantic';
+  return null;
+}
+
+/**
+ * Convert a character offset into 1-based line/column numbers
+ * @param {string} content - Source text
+ * @param {number} position - Character offset
+ * @returns {{line: number, column: number}}
+ */
+function positionToLineColumn(content, position) {
+  const preceding = content.slice(0, Math.max(0, position));
+  const lines = preceding.split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+}
+
+/**
+ * Parse a JSON or YAML manifest, attaching line/column info to failures
+ * @param {string} content - Raw file content
+ * @param {string} filePath - Path used to select the parser
+ * @returns {Object} - Parsed manifest
+ */
+function parseManifestContent(content, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const parseError = new Error(`Invalid JSON: ${error.message}`);
+      parseError.code = 'PARSE_ERROR';
+      const lineMatch = error.message.match(/line (\d+) column (\d+)/);
+      const positionMatch = error.message.match(/position (\d+)/);
+      if (lineMatch) {
+        parseError.line = Number(lineMatch[1]);
+        parseError.column = Number(lineMatch[2]);
+      } else if (positionMatch) {
+        Object.assign(parseError, positionToLineColumn(content, Number(positionMatch[1])));
+      }
+      if (parseError.line) {
+        parseError.message = `Invalid JSON at line ${parseError.line}, column ${parseError.column}: ${error.message}`;
+      }
+      throw parseError;
+    }
+  }
+
+  try {
+    return yaml.load(content, { filename: filePath });
+  } catch (error) {
+    const parseError = new Error(`Invalid YAML: ${error.reason || error.message}`);
+    parseError.code = 'PARSE_ERROR';
+    if (error.mark) {
+      parseError.line = error.mark.line + 1;
+      parseError.column = error.mark.column + 1;
+      parseError.message =
+        `Invalid YAML at line ${parseError.line}, column ${parseError.column}: ${error.reason || error.message}`;
+    }
+    throw parseError;
+  }
+}
+
+/**
+ * Find the factory function exported by a protocol module
+ * @param {Object} module - Loaded protocol module
+ * @param {string} factoryName - Expected factory export name
+ * @returns {Function|null}
+ */
+function resolveFactory(module, factoryName) {
+  if (typeof module?.[factoryName] === 'function') return module[factoryName];
+  if (typeof module?.default === 'function') return module.default;
+  // Some modules use a shorter export name (e.g. createUIProtocol)
+  const fallback = Object.keys(module || {}).find(
+    key => /^create\w*Protocol$/.test(key) && typeof module[key] === 'function'
+  );
+  return fallback ? module[fallback] : null;
+}
+
+/**
+ * Create a protocol instance from JSON/YAML manifest data
+ * @param {string} filePath - Absolute path to manifest file
+ * @returns {Promise<Object>} - { protocol, type, manifestPath }
+ */
+async function instantiateManifestFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const manifest = parseManifestContent(content, filePath);
+
+  const type = detectManifestType(manifest);
+  if (!type) {
+    throw new Error(
+      `Unable to detect protocol type for: ${filePath} (add a 'kind' field such as 'api' or 'data')`
+    );
+  }
+
+  return { protocol: createProtocolFromManifest(manifest, type), type };
+}
+
+/**
+ * Wrap manifest data in the protocol module for its type
+ * @param {Object} manifest - Parsed manifest data
+ * @param {string} type - Protocol type (a PROTOCOL_FACTORIES key)
+ * @returns {Object} - Protocol instance
+ */
+function createProtocolFromManifest(manifest, type) {
+  const modulePath = path.join(PROTOCOL_MODULES_DIR, PROTOCOL_MODULES[type]);
+  const factory = resolveFactory(require(modulePath), PROTOCOL_FACTORIES[type]);
+  if (typeof factory !== 'function') {
+    throw new Error(`Factory function '${PROTOCOL_FACTORIES[type]}' not found in ${modulePath}`);
+  }
+
+  // `kind` is a loader hint, not part of the protocol manifest shape
+  const manifestData = { ...manifest };
+  delete manifestData.kind;
+  return factory(manifestData);
+}
+
+/**
+ * Create a protocol instance from a JS factory module
+ * @param {string} filePath - Absolute path to protocol module
+ * @returns {Object} - { protocol, type }
+ */
+function instantiateFactoryModule(filePath) {
+  // Load the module. Only reached on a protocolCache miss (new or modified
+  // file), so drop Node's module cache to pick up the current contents.
+  delete require.cache[require.resolve(filePath)];
+  const module = require(filePath);
+  
+  // Detect protocol type
+  const type = detectProtocolType(filePath);
+  if (!type) {
+    throw new Error(`Unable to detect protocol type for: ${filePath}`);
+  }
+  
+  // Get the appropriate factory function
+  const factoryName = PROTOCOL_FACTORIES[type];
+  const factory = resolveFactory(module, factoryName);
+  
+  if (typeof factory !== 'function') {
+    throw new Error(`Factory function '${factoryName}' not found in ${filePath}`);
+  }
+  
+  // Create protocol instance (pass empty manifest, protocols should have defaults)
+  return { protocol: factory({}), type };
+}
+
 /**
  * Load a single protocol from file path
- * @param {string} filePath - Absolute path to protocol file
+ * @param {string} filePath - Absolute path to protocol file (.js module or .json/.yaml manifest)
  * @returns {Promise<Object>} - Protocol instance or error object
  */
 async function loadProtocol(filePath) {
@@ -76,25 +298,10 @@ async function loadProtocol(filePath) {
       return { protocol: cached.protocol, type: cached.type };
     }
     
-    // Load the module
-    const module = require(filePath);
-    
-    // Detect protocol type
-    const type = detectProtocolType(filePath);
-    if (!type) {
-      throw new Error(`Unable to detect protocol type for: ${filePath}`);
-    }
-    
-    // Get the appropriate factory function
-    const factoryName = PROTOCOL_FACTORIES[type];
-    const factory = module[factoryName] || module.default;
-    
-    if (typeof factory !== 'function') {
-      throw new Error(`Factory function '${factoryName}' not found in ${filePath}`);
-    }
-    
-    // Create protocol instance (pass empty manifest, protocols should have defaults)
-    const protocol = factory({});
+    const isManifestFile = MANIFEST_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+    const { protocol, type } = isManifestFile
+      ? await instantiateManifestFile(filePath)
+      : instantiateFactoryModule(filePath);
     
     // Verify protocol has required methods
     if (typeof protocol.manifest !== 'function') {
@@ -112,13 +319,16 @@ async function loadProtocol(filePath) {
     return { protocol, type };
     
   } catch (error) {
-    return {
-      error: {
-        path: filePath,
-        message: error.message,
-        code: error.code
-      }
+    const details = {
+      path: filePath,
+      message: error.message,
+      code: error.code
     };
+    if (error.line) {
+      details.line = error.line;
+      details.column = error.column;
+    }
+    return { error: details };
   }
 }
 
@@ -126,7 +336,8 @@ async function loadProtocol(filePath) {
  * Load all protocols from a directory
  * @param {string} dirPath - Directory to search for protocols
  * @param {Object} options - Loading options
- * @param {Array} options.patterns - Custom glob patterns (optional)
+ * @param {string|Array} options.patterns - Custom glob patterns (optional); a
+ *   `{pattern, type}` entry only keeps the files it matches that load as `type`
  * @returns {Promise<Object>} - { protocols: Array, errors: Array, stats: Object }
  */
 async function loadProtocols(dirPath, options = {}) {
@@ -152,26 +363,39 @@ async function loadProtocols(dirPath, options = {}) {
       throw new Error(`Path is not a directory: ${dirPath}`);
     }
     
-    // Determine search patterns
+    // Determine search patterns (protocol modules plus *.protocol.json/yaml manifests)
     let searchPatterns;
     if (patterns) {
-      searchPatterns = patterns;
+      // glob v7 drops nocase matches for './'-prefixed patterns, so normalize them
+      searchPatterns = (Array.isArray(patterns) ? patterns : [patterns])
+        .map(entry => (typeof entry === 'string' ? { pattern: entry, type: null } : entry))
+        .map(({ pattern, type }) => ({
+          pattern: path.isAbsolute(pattern) ? pattern : path.posix.normalize(pattern),
+          type: type || null
+        }));
     } else {
-      // Use simplified glob patterns based on protocol naming conventions
-      searchPatterns = '**/*protocol*.js';
+      searchPatterns = DEFAULT_SEARCH_PATTERNS.map(pattern => ({ pattern, type: null }));
     }
     
-    // Find all protocol files (using sync version since glob v7 is callback-based)
-    const files = glob.sync(searchPatterns, {
-      cwd: dirPath,
-      absolute: true,
-      ignore: ['node_modules/**'],
-      nocase: true,
-      nodir: true
-    });
+    // Find all protocol files (using sync version since glob v7 is callback-based).
+    // Each file maps to the types it may load as; null means any type.
+    const fileTypes = new Map();
+    for (const { pattern, type } of searchPatterns) {
+      const files = glob.sync(pattern, {
+        cwd: dirPath,
+        absolute: true,
+        ignore: ['node_modules/**'],
+        nocase: true,
+        nodir: true
+      });
+      (Array.isArray(files) ? files : []).forEach(file => {
+        const filePath = path.normalize(file);
+        const allowed = fileTypes.has(filePath) ? fileTypes.get(filePath) : new Set();
+        fileTypes.set(filePath, allowed && type ? allowed.add(type) : null);
+      });
+    }
     
-    // Ensure files is an array
-    const fileList = Array.isArray(files) ? files : [];
+    const fileList = Array.from(fileTypes.keys()).sort();
     
     results.stats.total = fileList.length;
     
@@ -182,6 +406,9 @@ async function loadProtocols(dirPath, options = {}) {
       if (result.error) {
         results.errors.push(result.error);
         results.stats.failed++;
+      } else if (fileTypes.get(filePath) && !fileTypes.get(filePath).has(result.type)) {
+        // Matched only by globs for other protocol types
+        results.stats.total--;
       } else {
         results.protocols.push({
           protocol: result.protocol,
@@ -258,8 +485,12 @@ module.exports = {
   loadProtocol,
   validateProtocol,
   detectProtocolType,
+  detectManifestType,
+  parseManifestContent,
+  createProtocolFromManifest,
   clearCache,
   getCacheStats,
   PROTOCOL_PATTERNS,
-  PROTOCOL_FACTORIES
+  PROTOCOL_FACTORIES,
+  PROTOCOL_MODULES
 };
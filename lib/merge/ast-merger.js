@@ -1,5 +1,13 @@
 const path = require('path');
 const { CONFLICT_TYPES, detectSectionConflict } = require('./conflict-detector');
+const {
+  detectSectionFormat,
+  commentsToDirectives,
+  directivesToComments,
+  prepareForParse,
+  finishDocument,
+  stringifyOptionsFor
+} = require('./section-markers');
 
 let remarkStackPromise = null;
 
@@ -33,7 +41,7 @@ async function loadRemarkStack() {
   return remarkStackPromise;
 }
 
-async function createProcessors() {
+async function createProcessors(format = 'markdown') {
   const stack = await loadRemarkStack();
   const parser = stack.unified().use(stack.remarkParse).use(stack.remarkDirective).use(stack.remarkFrontmatter, ['yaml']);
   const stringifier = stack
@@ -43,11 +51,25 @@ async function createProcessors() {
     .use(stack.remarkStringify, {
       fences: true,
       bullet: '-',
-      rule: '-'
+      rule: '-',
+      ...stringifyOptionsFor(format)
     });
   return { parser, stringifier };
 }
 
+/**
+ * Parse a document, turning site-format section markers (and MkDocs
+ * admonitions) back into directives.
+ * @param {Object} parser - Parser from createProcessors()
+ * @param {string} content
+ * @returns {Object} - mdast root
+ */
+function parseDocument(parser, content) {
+  const tree = parser.parse(prepareForParse(content || ''));
+  commentsToDirectives(tree);
+  return tree;
+}
+
 function cloneNode(node) {
   return node ? JSON.parse(JSON.stringify(node)) : null;
 }
@@ -287,19 +309,25 @@ async function mergeDocuments({
   humanReferenceContent = null,
   filePath = '',
   resolutionMap = null,
-  autoAcceptTheirs = false
+  autoAcceptTheirs = false,
+  format = null
 } = {}) {
   const { parser, stringifier } = await createProcessors();
-  const baseTree = parser.parse(baseContent || '');
-  const localTree = parser.parse(localContent || '');
-  const remoteTree = parser.parse(remoteContent || '');
+  // Without an explicit format, write back the format the documents use
+  const outputFormat = format
+    || detectSectionFormat(remoteContent)
+    || detectSectionFormat(localContent)
+    || 'markdown';
+  const baseTree = parseDocument(parser, baseContent);
+  const localTree = parseDocument(parser, localContent);
+  const remoteTree = parseDocument(parser, remoteContent);
   let referenceTree;
   if (humanReferenceContent == null || humanReferenceContent === baseContent) {
     referenceTree = baseTree;
   } else if (humanReferenceContent === remoteContent) {
     referenceTree = remoteTree;
   } else {
-    referenceTree = parser.parse(humanReferenceContent);
+    referenceTree = parseDocument(parser, humanReferenceContent);
   }
 
   const baseSections = extractSections(baseTree);
@@ -416,8 +444,11 @@ async function mergeDocuments({
   }
 
   insertHumanContent(mergedTree, humanMap);
+  directivesToComments(mergedTree, outputFormat);
 
-  const mergedContent = stringifier.stringify(mergedTree).trim() + '\n';
+  const { stringifier: outputStringifier } = await createProcessors(outputFormat);
+  const stringified = outputStringifier.stringify(mergedTree);
+  const mergedContent = finishDocument(stringified, outputFormat).trim() + '\n';
 
   return {
     filePath: filePath ? path.resolve(filePath) : undefined,
@@ -428,5 +459,10 @@ async function mergeDocuments({
 
 module.exports = {
   mergeDocuments,
-  loadRemarkStack
+  loadRemarkStack,
+  createProcessors,
+  parseDocument,
+  extractSections,
+  getSectionOrder,
+  stringifyNode
 };
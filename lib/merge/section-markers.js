@@ -0,0 +1,262 @@
+/**
+ * Section Markers - Generated sections in documentation site formats
+ *
+ * Generators wrap their output in `:::generated-section{#id ...}` container
+ * directives, which is what the AST merger works on. Site generators do not
+ * know that directive (Docusaurus would treat it as an unknown admonition), so
+ * site formats write each section as a pair of HTML comments instead:
+ *
+ *   <!-- generated-section:docusaurus #api-get-user data-method="GET" -->
+ *   ...section content...
+ *   <!-- /generated-section -->
+ *
+ * The start marker carries the format, so merges of files on disk can tell
+ * which format to write back. commentsToDirectives() turns the markers back
+ * into directives right after parsing, so merging and diffing stay
+ * format-agnostic.
+ *
+ * MkDocs admonitions (`!!! warning "Title"` with an indented body) do not
+ * survive a remark round trip, so MkDocs documents are converted to and from
+ * `:::warning[Title]` container directives as text, around parsing and
+ * stringifying.
+ */
+
+const SECTION_NAME = 'generated-section';
+const MARKER_FORMATS = ['docusaurus', 'mkdocs'];
+
+const START_MARKER = /^<!--\s*generated-section:([\w-]+)((?:\s+[^\s].*?)?)\s*-->$/;
+const END_MARKER = /^<!--\s*\/generated-section\s*-->$/;
+const MARKER_ATTRIBUTE = /#([^\s"]+)|([\w-]+)="((?:[^"\\]|\\.)*)"/g;
+const START_MARKER_TEXT = /^<!--\s*generated-section:([\w-]+)/m;
+const CODE_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const DIRECTIVE_ADMONITION = /^(:{3,})([a-z][\w-]*)(?:\[(.*)\])?\s*$/;
+const MKDOCS_ADMONITION = /^!!! ([\w-]+)(?: +"(.*)")?\s*$/;
+const MKDOCS_INDENT = '    ';
+
+// MDX reads `{` as an expression and `<` as JSX; `{#id}` heading IDs stay as they are
+const MDX_UNSAFE = [
+  { character: '{', after: '[^#]', inConstruct: 'phrasing' },
+  { character: '<', inConstruct: 'phrasing' }
+];
+
+function parseMarkerAttributes(source = '') {
+  const attributes = {};
+  for (const match of source.matchAll(MARKER_ATTRIBUTE)) {
+    if (match[1]) {
+      attributes.id = match[1];
+    } else {
+      attributes[match[2]] = match[3].replace(/\\"/g, '"');
+    }
+  }
+  return attributes;
+}
+
+function formatMarkerAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => (key === 'id'
+      ? `#${value}`
+      : `${key}="${String(value).replace(/"/g, '\\"')}"`))
+    .join(' ');
+}
+
+/**
+ * Format named by the first start marker in a document.
+ * @param {string} content
+ * @returns {string|null} - null for plain Markdown (directives or no sections)
+ */
+function detectSectionFormat(content) {
+  const match = START_MARKER_TEXT.exec(content || '');
+  return match && MARKER_FORMATS.includes(match[1]) ? match[1] : null;
+}
+
+/**
+ * Replace comment marker pairs at the top level of a parsed document with
+ * `generated-section` container directives. Unclosed markers are left alone.
+ * @param {Object} tree - mdast root
+ * @returns {string|null} - Format of the first marker found
+ */
+function commentsToDirectives(tree) {
+  const children = tree?.children || [];
+  const nextChildren = [];
+  let format = null;
+
+  for (let index = 0; index < children.length; index++) {
+    const node = children[index];
+    const start = node.type === 'html' ? START_MARKER.exec(node.value.trim()) : null;
+    const endIndex = start
+      ? children.findIndex((candidate, position) =>
+        position > index && candidate.type === 'html' && END_MARKER.test(candidate.value.trim()))
+      : -1;
+
+    if (endIndex === -1) {
+      nextChildren.push(node);
+      continue;
+    }
+
+    format = format || start[1];
+    nextChildren.push({
+      type: 'containerDirective',
+      name: SECTION_NAME,
+      attributes: parseMarkerAttributes(start[2]),
+      children: children.slice(index + 1, endIndex)
+    });
+    index = endIndex;
+  }
+
+  if (tree?.children) {
+    tree.children = nextChildren;
+  }
+  return format;
+}
+
+/**
+ * Replace top-level `generated-section` directives with comment markers for
+ * a site format. Plain Markdown keeps the directives.
+ * @param {Object} tree - mdast root
+ * @param {string} format - Output format
+ * @returns {Object} - The same tree
+ */
+function directivesToComments(tree, format) {
+  if (!MARKER_FORMATS.includes(format) || !tree?.children) {
+    return tree;
+  }
+
+  tree.children = tree.children.flatMap(node => {
+    if (node.type !== 'containerDirective' || node.name !== SECTION_NAME) {
+      return [node];
+    }
+    const attributes = formatMarkerAttributes(node.attributes);
+    return [
+      { type: 'html', value: `<!-- ${SECTION_NAME}:${format}${attributes ? ` ${attributes}` : ''} -->` },
+      ...(node.children || []),
+      { type: 'html', value: `<!-- /${SECTION_NAME} -->` }
+    ];
+  });
+  return tree;
+}
+
+/**
+ * Apply `transform(lines, index)` to every line outside fenced code. The
+ * transform returns the lines it consumed and their replacement, or null.
+ */
+function rewriteOutsideCode(markdown, transform) {
+  const lines = markdown.split('\n');
+  const output = [];
+  let openFence = null;
+  for (let index = 0; index < lines.length; index++) {
+    const fence = CODE_FENCE.exec(lines[index]);
+    if (openFence) {
+      if (fence && fence[1][0] === openFence[0] && fence[1].length >= openFence.length) {
+        openFence = null;
+      }
+      output.push(lines[index]);
+      continue;
+    }
+    if (fence) {
+      openFence = fence[1];
+      output.push(lines[index]);
+      continue;
+    }
+    const rewrite = transform(lines, index);
+    if (rewrite) {
+      output.push(...rewrite.lines);
+      index += rewrite.consumed - 1;
+      continue;
+    }
+    output.push(lines[index]);
+  }
+  return output.join('\n');
+}
+
+/**
+ * Turn MkDocs `!!! type "Title"` admonitions into `:::type[Title]` container
+ * directives, so remark keeps their bodies.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function admonitionsToDirectives(markdown) {
+  return rewriteOutsideCode(markdown, (lines, index) => {
+    const match = MKDOCS_ADMONITION.exec(lines[index]);
+    if (!match) return null;
+    let end = index + 1;
+    const inBody = line => line.startsWith(MKDOCS_INDENT) || line.trim() === '';
+    while (end < lines.length && inBody(lines[end])) {
+      end += 1;
+    }
+    while (end > index + 1 && lines[end - 1].trim() === '') {
+      end -= 1;
+    }
+    const body = admonitionsToDirectives(lines.slice(index + 1, end)
+      .map(line => line.slice(MKDOCS_INDENT.length)).join('\n'));
+    // Nested admonitions need a shorter fence than their parent
+    const innerFences = body.match(/^:{3,}/gm) || [];
+    const fence = ':'.repeat(Math.max(3, ...innerFences.map(value => value.length + 1)));
+    const label = match[2] !== undefined ? `[${match[2]}]` : '';
+    return { consumed: end - index, lines: [`${fence}${match[1]}${label}`, body, fence] };
+  });
+}
+
+/**
+ * Turn `:::type[Title]` container directives back into MkDocs admonitions.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function directivesToAdmonitions(markdown) {
+  return rewriteOutsideCode(markdown, (lines, index) => {
+    const match = DIRECTIVE_ADMONITION.exec(lines[index]);
+    if (!match || match[2] === SECTION_NAME) return null;
+    const end = lines.findIndex((line, position) => position > index && line.trim() === match[1]);
+    if (end === -1) return null;
+    const body = directivesToAdmonitions(lines.slice(index + 1, end).join('\n'));
+    const title = match[3] !== undefined ? ` "${match[3].replace(/"/g, '\'')}"` : '';
+    return {
+      consumed: end - index + 1,
+      lines: [
+        `!!! ${match[2]}${title}`,
+        ...body.split('\n').map(line => (line.trim() ? `${MKDOCS_INDENT}${line}` : ''))
+      ]
+    };
+  });
+}
+
+/**
+ * Markdown a parser can read: MkDocs documents get their admonitions as
+ * directives. Other documents are returned unchanged.
+ * @param {string} content
+ * @returns {string}
+ */
+function prepareForParse(content) {
+  return detectSectionFormat(content) === 'mkdocs' ? admonitionsToDirectives(content) : content;
+}
+
+/**
+ * Final text of a stringified document in an output format.
+ * @param {string} markdown - remark-stringify output
+ * @param {string} format
+ * @returns {string}
+ */
+function finishDocument(markdown, format) {
+  return format === 'mkdocs' ? directivesToAdmonitions(markdown) : markdown;
+}
+
+/**
+ * remark-stringify options a format needs on top of the shared ones.
+ * @param {string} format
+ * @returns {Object}
+ */
+function stringifyOptionsFor(format) {
+  return format === 'docusaurus' ? { unsafe: MDX_UNSAFE } : {};
+}
+
+module.exports = {
+  MARKER_FORMATS,
+  detectSectionFormat,
+  commentsToDirectives,
+  directivesToComments,
+  admonitionsToDirectives,
+  directivesToAdmonitions,
+  prepareForParse,
+  finishDocument,
+  stringifyOptionsFor
+};
@@ -0,0 +1,160 @@
+/**
+ * Line-based unified diff used by `dochealth diff` to show how on-disk
+ * generated sections differ from freshly generated output.
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute an edit script between two line arrays (LCS over the region left
+ * after trimming the common prefix and suffix).
+ * @param {Array<string>} oldLines
+ * @param {Array<string>} newLines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+
+  return ops;
+}
+
+function formatRange(start, count) {
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Build unified diff hunks from an edit script.
+ * @param {Array<{type: string, line: string}>} ops
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: Array<string>}>}
+ */
+function buildHunks(ops, context = DEFAULT_CONTEXT) {
+  const changeIndexes = ops
+    .map((op, index) => (op.type === ' ' ? -1 : index))
+    .filter(index => index >= 0);
+  if (!changeIndexes.length) return [];
+
+  const ranges = [];
+  changeIndexes.forEach(index => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  // Line numbers (1-based) before each op index
+  const oldLineAt = [];
+  const newLineAt = [];
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach((op, index) => {
+    oldLineAt[index] = oldLine;
+    newLineAt[index] = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  return ranges.map(({ start, end }) => {
+    const slice = ops.slice(start, end + 1);
+    return {
+      oldStart: oldLineAt[start],
+      oldLines: slice.filter(op => op.type !== '+').length,
+      newStart: newLineAt[start],
+      newLines: slice.filter(op => op.type !== '-').length,
+      lines: slice.map(op => `${op.type}${op.line}`)
+    };
+  });
+}
+
+/**
+ * Create a unified diff between two texts.
+ * @param {string} oldText - Original text (e.g. on-disk section)
+ * @param {string} newText - Updated text (e.g. regenerated section)
+ * @param {Object} options
+ * @param {string} options.fromFile - Label for the original text
+ * @param {string} options.toFile - Label for the updated text
+ * @param {number} options.context - Context lines per hunk (default 3)
+ * @returns {string} - Unified diff, or an empty string when the texts match
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = DEFAULT_CONTEXT } = options;
+  const hunks = buildHunks(diffLines(splitLines(oldText), splitLines(newText)), context);
+  if (!hunks.length) return '';
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach(hunk => {
+    output.push(
+      `@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`
+    );
+    output.push(...hunk.lines);
+  });
+  return `${output.join('\n')}\n`;
+}
+
+module.exports = {
+  createUnifiedDiff,
+  diffLines,
+  buildHunks,
+  splitLines
+};
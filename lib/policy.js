@@ -0,0 +1,224 @@
+/**
+ * Policy Rules - Declarative per-protocol gates from config `policies`
+ *
+ * Each policy selects protocols by type and by the protocols' own `match()`
+ * query syntax (`path:op:value`, e.g. `metadata.tags:contains:critical`) and
+ * lists requirements the analyzer results must meet. Violations are named
+ * after their policy; error policies fail `check` with the policy's exit code.
+ * Active waivers apply: a coverage, staleness or timestamp requirement whose
+ * issue is waived is listed as waived instead of violated, and waived URNs
+ * are not broken. `minScore` has no matching issue and cannot be waived.
+ *
+ *   policies: [{
+ *     name: 'critical-api-coverage',
+ *     select: { type: 'api', match: 'metadata.tags:contains:critical' },
+ *     require: { minCoverage: 90 },
+ *     exitCode: 3
+ *   }]
+ */
+
+const { ConfigError } = require('./config');
+const { findWaiver } = require('./waivers');
+
+const DEFAULT_POLICY_EXIT_CODE = 3;
+// check itself exits with 1 (failing) and 2 (error)
+const MIN_POLICY_EXIT_CODE = 3;
+// Waiver issue type covering each requirement
+const WAIVED_BY = { minCoverage: 'coverage', maxStaleDays: 'freshness', timestamps: 'timestamp' };
+const POLICY_SEVERITIES = ['error', 'warning'];
+const TYPE_ALIASES = { documentation: 'docs' };
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check the parts of a policy the config schema cannot express.
+ * @param {Object[]} policies - config.policies
+ * @throws {ConfigError} On missing or duplicate names, policies without requirements
+ *   or exit codes check itself uses
+ */
+function validatePolicies(policies = []) {
+  const issues = [];
+  const seen = new Set();
+  policies.forEach((policy, index) => {
+    const keyPath = `policies[${index}]`;
+    if (!policy.name) {
+      issues.push({ path: `${keyPath}.name`, message: `${keyPath}.name is required` });
+    } else if (seen.has(policy.name)) {
+      issues.push({ path: `${keyPath}.name`, message: `Duplicate policy name '${policy.name}'` });
+    }
+    seen.add(policy.name);
+    if (!policy.require || Object.keys(policy.require).length === 0) {
+      issues.push({
+        path: `${keyPath}.require`,
+        message: `${keyPath}.require must list at least one requirement`
+      });
+    }
+    if (policy.exitCode !== undefined && policy.exitCode < MIN_POLICY_EXIT_CODE) {
+      issues.push({
+        path: `${keyPath}.exitCode`,
+        message: `${keyPath}.exitCode must be ${MIN_POLICY_EXIT_CODE} or more (1 and 2 are used by check)`
+      });
+    }
+  });
+  if (issues.length > 0) {
+    throw new ConfigError('Invalid policies', issues);
+  }
+}
+
+/**
+ * Whether a loaded protocol falls under a policy selector.
+ * @param {Object} [selector] - `{type, match}`; both accept a string or a list
+ * @param {{type: string, protocol: Object}} entry - Loader entry
+ * @returns {boolean}
+ */
+function matchesSelector(selector = {}, entry) {
+  const types = toList(selector.type).map(type => TYPE_ALIASES[type] || type);
+  if (types.length > 0 && !types.includes(entry.type)) {
+    return false;
+  }
+  // Every expression must match; protocols without match() never satisfy one
+  return toList(selector.match).every(expr =>
+    typeof entry.protocol.match === 'function' && entry.protocol.match(expr) === true
+  );
+}
+
+function checkRequirements(requirements, result, brokenUrns) {
+  const failures = [];
+  const { freshness, coverage, combined } = result;
+
+  if (requirements.minCoverage !== undefined) {
+    const percent = Math.round(coverage.coveragePercentage * 100);
+    if (percent < requirements.minCoverage) {
+      failures.push({
+        requirement: 'minCoverage',
+        expected: requirements.minCoverage,
+        actual: percent,
+        message: `coverage ${percent}% is below ${requirements.minCoverage}%`
+      });
+    }
+  }
+
+  if (requirements.maxStaleDays !== undefined && freshness.hasTimestamps
+    && freshness.daysStale > requirements.maxStaleDays) {
+    failures.push({
+      requirement: 'maxStaleDays',
+      expected: requirements.maxStaleDays,
+      actual: freshness.daysStale,
+      message: `documentation is ${freshness.daysStale} days stale (max ${requirements.maxStaleDays})`
+    });
+  }
+
+  if (requirements.timestamps === true && !freshness.hasTimestamps) {
+    failures.push({
+      requirement: 'timestamps',
+      expected: true,
+      actual: false,
+      message: 'freshness timestamps are missing'
+    });
+  }
+
+  if (requirements.minScore !== undefined && combined.healthScore < requirements.minScore) {
+    failures.push({
+      requirement: 'minScore',
+      expected: requirements.minScore,
+      actual: combined.healthScore,
+      message: `health score ${combined.healthScore} is below ${requirements.minScore}`
+    });
+  }
+
+  if (requirements.maxBrokenUrns !== undefined && brokenUrns.length > requirements.maxBrokenUrns) {
+    failures.push({
+      requirement: 'maxBrokenUrns',
+      expected: requirements.maxBrokenUrns,
+      actual: brokenUrns.length,
+      message: `${brokenUrns.length} broken URN reference(s): ${brokenUrns.join(', ')}`
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Evaluate config policies against a check run.
+ * @param {Object[]} policies - config.policies
+ * @param {Object} run
+ * @param {Array<{path: string, type: string, protocol: Object}>} run.protocols - Loader entries
+ * @param {Map<string, Object>} run.results - Analyzer results keyed by manifest path;
+ *   each may carry `urns` (referenced URNs) and `waivers` (from applyWaivers())
+ * @param {Object} [run.urnValidation] - `{broken: string[]}`, without waived URNs
+ * @returns {{passed: boolean, exitCode: number, violations: Object[], waived: Object[],
+ *   policies: Array<{name: string, severity: string, matched: number, violations: number,
+ *   waived: number}>}}
+ *   `exitCode` is that of the first failing error policy in config order, 0 otherwise;
+ *   `waived` lists failures covered by an active waiver, each with its `waiver`
+ */
+function evaluatePolicies(policies = [], { protocols = [], results, urnValidation = {} }) {
+  validatePolicies(policies);
+  const broken = new Set(urnValidation.broken || []);
+  const violations = [];
+  const waived = [];
+
+  const summaries = policies.map(policy => {
+    const severity = policy.severity || 'error';
+    const matched = protocols.filter(entry =>
+      results.has(entry.path) && matchesSelector(policy.select, entry)
+    );
+    let count = 0;
+    let waivedCount = 0;
+
+    matched.forEach(entry => {
+      const result = results.get(entry.path);
+      const brokenUrns = [...new Set(result.urns || [])].filter(urn => broken.has(urn));
+      checkRequirements(policy.require, result, brokenUrns).forEach(failure => {
+        const violation = {
+          policy: policy.name,
+          description: policy.description || null,
+          severity,
+          exitCode: severity === 'error' ? policy.exitCode || DEFAULT_POLICY_EXIT_CODE : 0,
+          protocolId: result.id,
+          type: result.type,
+          path: entry.path,
+          ...failure
+        };
+        const waiver = WAIVED_BY[failure.requirement]
+          && findWaiver(result, WAIVED_BY[failure.requirement]);
+        if (waiver) {
+          waivedCount += 1;
+          waived.push({ ...violation, exitCode: 0, waiver });
+        } else {
+          count += 1;
+          violations.push(violation);
+        }
+      });
+    });
+
+    return {
+      name: policy.name,
+      severity,
+      matched: matched.length,
+      violations: count,
+      waived: waivedCount
+    };
+  });
+
+  const firstError = violations.find(violation => violation.severity === 'error');
+  return {
+    passed: !firstError,
+    exitCode: firstError ? firstError.exitCode : 0,
+    violations,
+    waived,
+    policies: summaries
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY_EXIT_CODE,
+  MIN_POLICY_EXIT_CODE,
+  POLICY_SEVERITIES,
+  validatePolicies,
+  matchesSelector,
+  evaluatePolicies
+};
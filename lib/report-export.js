@@ -0,0 +1,341 @@
+/**
+ * Report Export - Render a `check` run as a standalone HTML or Markdown file
+ *
+ * The output is a single file with no external assets (styles are inlined),
+ * so it can be emailed, pasted into status docs or archived as a build artifact.
+ */
+
+const path = require('path');
+const {
+  generateGapAnalysis,
+  generateRecommendations
+} = require('./reporter');
+const { jsonToMarkdownTable } = require('./generators/helpers');
+
+const EXPORT_FORMATS = ['html', 'md'];
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'fresh', 'unknown'];
+const GAP_SECTIONS = [
+  { key: 'freshness', title: 'Freshness Gaps' },
+  { key: 'coverage', title: 'Coverage Gaps' },
+  { key: 'validation', title: 'URN Validation Gaps' }
+];
+
+// URN gaps are about the reference itself; the others name a protocol
+function describeGapSubject(gap) {
+  return gap.urn && gap.issue.includes('URN') ? gap.urn : `${gap.type}:${gap.protocolId}`;
+}
+
+// URN metrics may hold counts or the URN lists themselves
+function countOf(value) {
+  return Array.isArray(value) ? value.length : Number(value) || 0;
+}
+
+function describeStatus(score) {
+  if (score >= 80) return 'healthy';
+  if (score >= 60) return 'warning';
+  return 'critical';
+}
+
+/**
+ * Pick the export format from `--format`, falling back to the output file extension.
+ * @param {string} [format] - Explicit format
+ * @param {string} [outputPath] - Output file
+ * @returns {string} - `html` unless the format or extension says Markdown
+ */
+function inferExportFormat(format, outputPath) {
+  if (format) return format === 'markdown' ? 'md' : format;
+  return /\.(md|markdown)$/i.test(outputPath || '') ? 'md' : 'html';
+}
+
+/**
+ * Collect everything the renderers show, in display order.
+ * @param {Object} healthScore - Result from calculateHealthScore()
+ * @param {Object} analysisResults - Analyzer output; protocols may carry `path`
+ * @param {Object} options
+ * @param {string} [options.rootDir] - Project root; manifest paths are shown relative to it
+ * @param {string} [options.title]
+ * @param {string} [options.generatedAt] - ISO timestamp (default: now)
+ * @returns {Object}
+ */
+function buildReportModel(healthScore, analysisResults, options = {}) {
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const severityBreakdown = healthScore.metrics?.severityBreakdown || {};
+  const severities = [
+    ...SEVERITY_ORDER.filter(severity => severity in severityBreakdown),
+    ...Object.keys(severityBreakdown).filter(severity => !SEVERITY_ORDER.includes(severity))
+  ];
+  const gaps = generateGapAnalysis(healthScore, analysisResults);
+
+  return {
+    title: options.title || 'Documentation Health Report',
+    generatedAt: options.generatedAt || new Date().toISOString(),
+    score: healthScore.overallScore,
+    grade: healthScore.grade,
+    status: describeStatus(healthScore.overallScore),
+    profile: healthScore.profile ? healthScore.profile.name : null,
+    notes: healthScore.notes,
+    metrics: healthScore.metrics,
+    urns: {
+      valid: countOf(healthScore.metrics?.urns?.valid),
+      broken: countOf(healthScore.metrics?.urns?.broken),
+      invalid: countOf(healthScore.metrics?.urns?.invalid)
+    },
+    breakdown: Object.entries(healthScore.breakdown || {}).map(([component, data]) => ({
+      component,
+      score: data.score,
+      weight: Math.round(data.weight * 100),
+      contribution: data.contribution
+    })),
+    severities: severities.map(severity => ({ severity, count: severityBreakdown[severity] })),
+    gaps: GAP_SECTIONS.map(section => ({ ...section, items: gaps[section.key] })),
+    // Waived issues are left out of the gaps above; expired waivers are listed as warnings
+    waivers: analysisResults.waivers ? [
+      ...analysisResults.waivers.waived.map(waiver => ({ ...waiver, status: 'waived' })),
+      ...analysisResults.waivers.expired.map(waiver => ({ ...waiver, status: 'expired' }))
+    ].map(waiver => ({
+      subject: waiver.id || waiver.urn,
+      reason: waiver.reason,
+      owner: waiver.owner,
+      expires: waiver.expires,
+      status: waiver.status
+    })) : null,
+    protocols: (analysisResults.protocols || []).map(protocol => ({
+      id: protocol.id,
+      type: protocol.type,
+      file: protocol.path ? path.relative(rootDir, protocol.path).split(path.sep).join('/') : null,
+      healthScore: protocol.combined.healthScore,
+      freshness: protocol.freshness.enabled === false ? 'disabled'
+        : !protocol.freshness.hasTimestamps ? 'missing timestamps'
+          : protocol.freshness.isStale ? `${protocol.freshness.daysStale} days stale` : 'fresh',
+      coverage: Math.round(protocol.coverage.coveragePercentage * 100),
+      recommendations: protocol.combined.recommendations || []
+    })),
+    recommendations: generateRecommendations(healthScore, analysisResults)
+  };
+}
+
+function renderMarkdownReport(model) {
+  const { metrics } = model;
+  const lines = [
+    `# ${model.title}`,
+    '',
+    `Generated ${model.generatedAt}${model.profile ? ` · scoring profile \`${model.profile}\`` : ''}`,
+    '',
+    `**Overall health score: ${model.score}/100 (grade ${model.grade}, ${model.status})**`,
+    '',
+    `- Protocols: ${metrics.totalProtocols} (${metrics.staleProtocols} stale, ` +
+      `${metrics.protocolsWithTimestamps} with timestamps)`,
+    `- Coverage: ${metrics.coverage.overallCoveragePercentage}% ` +
+      `(${metrics.coverage.documentedItems}/${metrics.coverage.totalItems} items documented)`,
+    `- URNs: ${model.urns.valid} valid, ${model.urns.broken} broken, ${model.urns.invalid} invalid`,
+    '',
+    '## Score Breakdown',
+    '',
+    jsonToMarkdownTable(model.breakdown, [
+      { header: 'Component', accessor: 'component' },
+      { header: 'Score', accessor: 'score' },
+      { header: 'Weight', accessor: row => `${row.weight}%` },
+      { header: 'Contribution', accessor: 'contribution' }
+    ]),
+    '',
+    `_${model.notes}_`,
+    '',
+    '## Severity Distribution',
+    '',
+    jsonToMarkdownTable(model.severities, [
+      { header: 'Severity', accessor: 'severity' },
+      { header: 'Protocols', accessor: 'count' }
+    ]),
+    '',
+    '## Gap Analysis',
+    ''
+  ];
+
+  model.gaps.forEach(section => {
+    lines.push(`### ${section.title}`, '');
+    lines.push(section.items.length
+      ? jsonToMarkdownTable(section.items, [
+        { header: 'Subject', accessor: describeGapSubject },
+        { header: 'Severity', accessor: 'severity' },
+        { header: 'Issue', accessor: 'issue' },
+        { header: 'Recommendation', accessor: 'recommendation' }
+      ])
+      : '_No gaps._');
+    lines.push('');
+  });
+
+  if (model.waivers) {
+    lines.push('## Waivers', '');
+    lines.push(model.waivers.length
+      ? jsonToMarkdownTable(model.waivers, [
+        { header: 'Issue', accessor: 'subject' },
+        { header: 'Status', accessor: 'status' },
+        { header: 'Reason', accessor: 'reason' },
+        { header: 'Owner', accessor: 'owner' },
+        { header: 'Expires', accessor: 'expires' }
+      ])
+      : '_No waived issues._');
+    lines.push('');
+  }
+
+  lines.push('## Protocols', '');
+  model.protocols.forEach(protocol => {
+    lines.push(`### ${protocol.id} (${protocol.type})`, '');
+    if (protocol.file) lines.push(`Manifest: \`${protocol.file}\``, '');
+    lines.push(
+      `Health score ${protocol.healthScore}/100 · freshness: ${protocol.freshness} · ` +
+        `coverage: ${protocol.coverage}%`,
+      ''
+    );
+    protocol.recommendations.forEach(recommendation => lines.push(`- ${recommendation}`));
+    if (protocol.recommendations.length) lines.push('');
+  });
+
+  lines.push('## Recommendations', '');
+  model.recommendations.forEach(recommendation => lines.push(`- ${recommendation}`));
+
+  return `${lines.join('\n')}\n`;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function htmlTable(headers, rows) {
+  if (!rows.length) return '<p class="empty">None.</p>';
+  return [
+    '<table>',
+    `<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`),
+    '</tbody>',
+    '</table>'
+  ].join('\n');
+}
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2933;
+    max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #d9e2ec; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta, .empty, .notes { color: #627d98; }
+  .score { display: inline-block; font-size: 2.5rem; font-weight: 700; padding: 0.25rem 1rem;
+    border-radius: 8px; color: #fff; }
+  .healthy { background: #2f855a; } .warning { background: #b7791f; } .critical { background: #c53030; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+  th, td { border: 1px solid #d9e2ec; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f0f4f8; }
+  .bar { background: #f0f4f8; border-radius: 4px; height: 0.75rem; min-width: 120px; }
+  .bar span { display: block; height: 100%; border-radius: 4px; background: #486581; }
+  .sev-critical, .sev-high { color: #c53030; font-weight: 600; }
+  .sev-medium, .sev-low, .sev-expired { color: #b7791f; font-weight: 600; }
+  code { background: #f0f4f8; padding: 0 0.25rem; border-radius: 3px; }
+`;
+
+function renderHTMLReport(model) {
+  const { metrics } = model;
+  const severity = value => `<span class="sev-${escapeHtml(value)}">${escapeHtml(value)}</span>`;
+  const bar = percent => {
+    const width = Math.round(Math.max(0, Math.min(100, percent)));
+    return `<div class="bar"><span style="width: ${width}%"></span></div>`;
+  };
+  const maxSeverityCount = Math.max(1, ...model.severities.map(entry => entry.count));
+  const list = items => (items.length
+    ? `<ul>\n${items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>`
+    : '<p class="empty">None.</p>');
+
+  const sections = [
+    `<h1>${escapeHtml(model.title)}</h1>`,
+    `<p class="meta">Generated ${escapeHtml(model.generatedAt)}` +
+      `${model.profile ? ` · scoring profile <code>${escapeHtml(model.profile)}</code>` : ''}</p>`,
+    `<p><span class="score ${model.status}">${model.score}/100</span> ` +
+      `Grade ${escapeHtml(model.grade)} · ${model.status}</p>`,
+    '<ul>',
+    `<li>Protocols: ${metrics.totalProtocols} (${metrics.staleProtocols} stale, ` +
+      `${metrics.protocolsWithTimestamps} with timestamps)</li>`,
+    `<li>Coverage: ${metrics.coverage.overallCoveragePercentage}% ` +
+      `(${metrics.coverage.documentedItems}/${metrics.coverage.totalItems} items documented)</li>`,
+    `<li>URNs: ${model.urns.valid} valid, ${model.urns.broken} broken, ` +
+      `${model.urns.invalid} invalid</li>`,
+    '</ul>',
+    '<h2>Score Breakdown</h2>',
+    htmlTable(['Component', 'Score', '', 'Weight', 'Contribution'], model.breakdown.map(row => [
+      escapeHtml(row.component), row.score, bar(row.score), `${row.weight}%`, row.contribution
+    ])),
+    `<p class="notes">${escapeHtml(model.notes)}</p>`,
+    '<h2>Severity Distribution</h2>',
+    htmlTable(['Severity', 'Protocols', ''], model.severities.map(entry => [
+      severity(entry.severity), entry.count, bar((entry.count / maxSeverityCount) * 100)
+    ])),
+    '<h2>Gap Analysis</h2>',
+    ...model.gaps.flatMap(section => [
+      `<h3>${escapeHtml(section.title)}</h3>`,
+      htmlTable(['Subject', 'Severity', 'Issue', 'Recommendation'], section.items.map(gap => [
+        escapeHtml(describeGapSubject(gap)),
+        severity(gap.severity),
+        escapeHtml(gap.issue),
+        escapeHtml(gap.recommendation)
+      ]))
+    ]),
+    ...(model.waivers ? [
+      '<h2>Waivers</h2>',
+      htmlTable(['Issue', 'Status', 'Reason', 'Owner', 'Expires'], model.waivers.map(waiver => [
+        `<code>${escapeHtml(waiver.subject)}</code>`,
+        waiver.status === 'expired' ? severity('expired') : escapeHtml(waiver.status),
+        escapeHtml(waiver.reason),
+        escapeHtml(waiver.owner),
+        escapeHtml(waiver.expires)
+      ]))
+    ] : []),
+    '<h2>Protocols</h2>',
+    htmlTable(['Protocol', 'Score', 'Freshness', 'Coverage', 'Recommendations'], model.protocols.map(protocol => [
+      `<strong>${escapeHtml(protocol.id)}</strong> (${escapeHtml(protocol.type)})` +
+        (protocol.file ? `<br><code>${escapeHtml(protocol.file)}</code>` : ''),
+      protocol.healthScore,
+      escapeHtml(protocol.freshness),
+      `${protocol.coverage}%`,
+      list(protocol.recommendations)
+    ])),
+    '<h2>Recommendations</h2>',
+    list(model.recommendations)
+  ];
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(model.title)}</title>`,
+    `<style>${STYLES}</style>`,
+    '</head>',
+    '<body>',
+    ...sections,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a health report document.
+ * @param {Object} healthScore - Result from calculateHealthScore()
+ * @param {Object} analysisResults - Analyzer output
+ * @param {Object} options - buildReportModel() options plus `format` (`html` or `md`)
+ * @returns {string}
+ */
+function generateReportDocument(healthScore, analysisResults, options = {}) {
+  const model = buildReportModel(healthScore, analysisResults, options);
+  return options.format === 'md' ? renderMarkdownReport(model) : renderHTMLReport(model);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  inferExportFormat,
+  buildReportModel,
+  renderMarkdownReport,
+  renderHTMLReport,
+  generateReportDocument
+};
@@ -3,40 +3,59 @@
  */
 
 const chalk = require('chalk');
+const {
+  resolveScoringProfile,
+  assignGrade,
+  describeWeights
+} = require('./scoring');
+const { findWaiver, describeWaiver } = require('./waivers');
+
+// Coverage below this share is a gap (gap analysis, SARIF results and JUnit failures)
+const LOW_COVERAGE_THRESHOLD = 0.8;
 
 /**
  * Calculate overall health score from analysis results
  * @param {Object} analysisResults - Results from analyzer.analyzeMultipleProtocols()
+ * @param {Object} options - Scoring options
+ * @param {Object} options.profile - Result from scoring.resolveScoringProfile() (default profile when omitted)
  * @returns {Object} - Health score calculation with breakdown
  */
-function calculateHealthScore(analysisResults) {
+function calculateHealthScore(analysisResults, options = {}) {
+  const { profile = resolveScoringProfile() } = options;
+
   if (!analysisResults || analysisResults.total === 0) {
     return {
       overallScore: 0,
       maxPossibleScore: 100,
       breakdown: {},
+      profile,
       notes: 'No protocols analyzed'
     };
   }
 
-  // Mission M2.3: Enhanced scoring with validation (40% freshness, 40% coverage, 20% validation)
   const freshnessScore = analysisResults.avgFreshnessScore / 100;
   const coverageScore = analysisResults.avgCoverageScore / 100;
   
-  // Calculate validation score from URN validation results
+  // Calculate validation score from URN validation and protocol validator results
   const urnValidation = analysisResults.urnValidation || {};
-  const totalUrns = urnValidation.total || 0;
-  const validUrns = urnValidation.valid || 0;
-  const brokenUrns = urnValidation.broken || 0;
-  const invalidUrns = urnValidation.invalid || 0;
+  const count = value => (Array.isArray(value) ? value.length : value || 0);
+  const validUrns = count(urnValidation.valid);
+  const brokenUrns = count(urnValidation.broken);
+  const invalidUrns = count(urnValidation.invalid);
+  const totalUrns = urnValidation.total ?? validUrns + brokenUrns + invalidUrns;
+  const validators = analysisResults.validationSummary || { checks: 0, passed: 0 };
   
-  // Validation score: percentage of valid URNs (0-1 scale)
-  const validationScore = totalUrns > 0 ? validUrns / totalUrns : 1;
+  // Validation score: share of valid URNs and passing validator checks (0-1 scale)
+  const validationChecks = totalUrns + validators.checks;
+  const validationScore = validationChecks > 0
+    ? (validUrns + validators.passed) / validationChecks
+    : 1;
   
-  // Calculate weighted score with new weights
-  const freshnessWeight = 0.4;
-  const coverageWeight = 0.4;
-  const validationWeight = 0.2;
+  const {
+    freshness: freshnessWeight,
+    coverage: coverageWeight,
+    validation: validationWeight
+  } = profile.weights;
   
   const overallScore = Math.round(
     (freshnessScore * freshnessWeight +
@@ -44,13 +63,7 @@ function calculateHealthScore(analysisResults) {
      validationScore * validationWeight) * 100
   );
   
-  // Determine grade based on score thresholds
-  let grade;
-  if (overallScore >= 90) grade = 'A';
-  else if (overallScore >= 80) grade = 'B';
-  else if (overallScore >= 70) grade = 'C';
-  else if (overallScore >= 60) grade = 'D';
-  else grade = 'F';
+  const grade = assignGrade(overallScore, profile.grades);
 
   return {
     overallScore,
@@ -82,7 +95,8 @@ function calculateHealthScore(analysisResults) {
       coverage: {
         totalItems: analysisResults.coverageSummary?.totalItems || 0,
         documentedItems: analysisResults.coverageSummary?.documentedItems || 0,
-        overallCoveragePercentage: analysisResults.coverageSummary?.coveragePercentage || 0
+        overallCoveragePercentage: analysisResults.coverageSummary?.coveragePercentage || 0,
+        ...(analysisResults.qualitySummary ? { quality: analysisResults.qualitySummary } : {})
       },
       urns: {
         total: totalUrns,
@@ -91,12 +105,32 @@ function calculateHealthScore(analysisResults) {
         invalid: invalidUrns,
         validationScore: Math.round(validationScore * 100),
         validationFailures: brokenUrns + invalidUrns
-      }
+      },
+      ...(analysisResults.validationSummary
+        ? { validators: analysisResults.validationSummary }
+        : {}),
+      ...(analysisResults.lifecycleSummary
+        ? { lifecycle: analysisResults.lifecycleSummary }
+        : {})
     },
-    notes: 'Mission M2.3: Score based on 40% freshness, 40% coverage, 20% validation.'
+    profile,
+    notes: `Score based on ${describeWeights(profile.weights)} (profile: ${profile.name}).`
   };
 }
 
+/**
+ * Describe where a protocol's freshness timestamps came from, e.g.
+ * ` (code: git, docs: manifest)`. Empty when neither timestamp is known.
+ * @param {Object} sources - freshness.timestampSources from the analyzer
+ * @returns {string}
+ */
+function formatTimestampSources(sources = {}) {
+  const parts = [];
+  if (sources.lastCodeChange) parts.push(`code: ${sources.lastCodeChange}`);
+  if (sources.lastDocUpdate) parts.push(`docs: ${sources.lastDocUpdate}`);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
 /**
  * Generate color-coded CLI report
  * @param {Object} healthScore - Result from calculateHealthScore()
@@ -148,6 +182,12 @@ function generateCLIReport(healthScore, analysisResults, options = {}) {
             c.green(healthScore.metrics.staleProtocols)}\n`;
   report += `  Enabled Protocols: ${healthScore.metrics.enabledProtocols}\n`;
   report += `  With Timestamps: ${healthScore.metrics.protocolsWithTimestamps}\n`;
+  const gitBacked = (analysisResults.protocols || []).filter(p =>
+    Object.values(p.freshness.timestampSources || {}).includes('git')
+  ).length;
+  if (gitBacked > 0) {
+    report += `  Git Timestamps: ${gitBacked} protocol(s) use commit dates\n`;
+  }
   
   // Coverage metrics
   if (healthScore.metrics.coverage) {
@@ -156,6 +196,12 @@ function generateCLIReport(healthScore, analysisResults, options = {}) {
                          coverage.overallCoveragePercentage >= 60 ? c.yellow : c.red;
     report += `  Coverage: ${coverageColor(`${coverage.overallCoveragePercentage}%`)} ` +
               `(${coverage.documentedItems}/${coverage.totalItems} items documented)\n`;
+    if (coverage.quality?.checkedItems > 0) {
+      const { quality } = coverage;
+      const qualityColor = quality.flaggedItems === 0 ? c.green : c.yellow;
+      report += `  Content Quality: ${qualityColor(`${quality.qualityPercentage}%`)} ` +
+                `(${quality.flaggedItems}/${quality.checkedItems} texts flagged)\n`;
+    }
   }
   
   // URN validation metrics
@@ -164,26 +210,55 @@ function generateCLIReport(healthScore, analysisResults, options = {}) {
     const urnColor = urns.broken === 0 ? c.green : c.red;
     report += `  URNs: ${urnColor(`${urns.valid} valid, ${urns.broken} broken, ${urns.invalid} invalid`)}\n`;
   }
+  const validators = healthScore.metrics.validators;
+  if (validators && validators.checks > 0) {
+    const failed = validators.checks - validators.passed;
+    const validatorColor = failed === 0 ? c.green : c.red;
+    report += `  Validators: ${validatorColor(`${validators.passed}/${validators.checks} passed`)} ` +
+              `(${validators.errors} error(s), ${validators.warnings} warning(s))\n`;
+  }
+  const lifecycle = healthScore.metrics.lifecycle;
+  if (lifecycle && lifecycle.deprecated > 0) {
+    const lifecycleColor = lifecycle.pastSunsets > 0 ? c.red
+      : lifecycle.upcomingSunsets > 0 || lifecycle.missingMigration > 0 ? c.yellow : c.green;
+    report += `  Deprecations: ${lifecycleColor(`${lifecycle.deprecated} deprecated`)} ` +
+              `(${lifecycle.upcomingSunsets} sunsetting soon, ${lifecycle.pastSunsets} past sunset, ` +
+              `${lifecycle.missingMigration} without migration guidance)\n`;
+  }
   report += '\n';
 
   // Score Breakdown
   report += c.bold('Score Breakdown:\n');
   Object.entries(healthScore.breakdown).forEach(([component, data]) => {
-    const componentScore = Math.round(data.score * (data.weight || 1));
+    const componentScore = Math.round(data.score * (data.weight ?? 1));
     report += `  ${component}: ${componentScore}/100 (weight: ${(data.weight * 100).toFixed(0)}%)\n`;
   });
-  report += c.gray(`  ${healthScore.notes}\n\n`);
+  report += c.gray(`  ${healthScore.notes}\n`);
+  if (healthScore.profile) {
+    const grades = Object.entries(healthScore.profile.grades)
+      .map(([grade, min]) => `${grade}≥${min}`)
+      .join(' ');
+    const { name, source } = healthScore.profile;
+    report += c.gray(`  Scoring profile: ${name} (${source}); grades: ${grades}\n`);
+  }
+  report += '\n';
 
   // Detailed findings if requested
   if (showDetails && analysisResults.protocols) {
-    const staleProtocols = analysisResults.protocols.filter(p => p.freshness.isStale);
-    const noTimestampProtocols = analysisResults.protocols.filter(p => !p.freshness.hasTimestamps);
-    const lowCoverageProtocols = analysisResults.protocols.filter(p => p.coverage.coveragePercentage < 0.5);
+    const protocols = analysisResults.protocols;
+    const staleProtocols = protocols.filter(p => p.freshness.isStale && !findWaiver(p, 'freshness'));
+    const noTimestampProtocols = protocols.filter(p =>
+      !p.freshness.hasTimestamps && !findWaiver(p, 'timestamp')
+    );
+    const lowCoverageProtocols = protocols.filter(p =>
+      p.coverage.coveragePercentage < 0.5 && !findWaiver(p, 'coverage')
+    );
     
     if (staleProtocols.length > 0) {
       report += c.bold('Stale Documentation:\n');
       staleProtocols.forEach(p => {
-        report += c.yellow(`  ⚠️  ${p.id}: ${p.freshness.daysStale} days stale\n`);
+        const sources = formatTimestampSources(p.freshness.timestampSources);
+        report += c.yellow(`  ⚠️  ${p.id}: ${p.freshness.daysStale} days stale${sources}\n`);
       });
       report += '\n';
     }
@@ -219,6 +294,54 @@ function generateCLIReport(healthScore, analysisResults, options = {}) {
       }
     }
 
+    const validatedProtocols = protocols.filter(p => p.validation?.issues.length > 0);
+    if (validatedProtocols.length > 0) {
+      report += c.bold('Validator Issues:\n');
+      validatedProtocols.forEach(p => {
+        report += `  ${p.id} (${p.type}):\n`;
+        p.validation.issues.forEach(issue => {
+          const issueColor = issue.level === 'error' ? c.red : issue.level === 'warning' ? c.yellow : c.gray;
+          const where = issue.path ? ` ${issue.path}:` : '';
+          report += issueColor(`    ${issue.level} [${issue.validator}]${where} ${issue.msg}\n`);
+        });
+      });
+      report += '\n';
+    }
+
+    const qualityProtocols = protocols.filter(p =>
+      p.coverage.quality?.issues.length > 0 && !findWaiver(p, 'coverage')
+    );
+    if (qualityProtocols.length > 0) {
+      report += c.bold('Content Quality:\n');
+      qualityProtocols.forEach(p => {
+        report += `  ${p.id} (${p.type}):\n`;
+        p.coverage.quality.issues.forEach(issue => {
+          const excerpt = issue.text.length > 40 ? `${issue.text.slice(0, 37)}...` : issue.text;
+          report += c.yellow(`    ${issue.rule}: ${issue.kind} ${issue.name} ${issue.message} ("${excerpt}")\n`);
+        });
+      });
+      report += '\n';
+    }
+
+    const deprecatingProtocols = protocols.filter(p => p.lifecycle?.items.length > 0);
+    if (deprecatingProtocols.length > 0) {
+      report += c.bold('API Lifecycle:\n');
+      deprecatingProtocols.forEach(p => {
+        report += `  ${p.id} (${p.type}):\n`;
+        p.lifecycle.items.forEach(item => {
+          const sunsetColor = item.sunset === 'past' ? c.red : item.sunset === 'upcoming' ? c.yellow : c.gray;
+          const sunset = item.sunset === 'none'
+            ? 'no sunset date'
+            : item.sunset === 'past'
+              ? `sunset ${item.sunsetAt} passed ${-item.daysUntilSunset} day(s) ago`
+              : `sunset ${item.sunsetAt} in ${item.daysUntilSunset} day(s)`;
+          const migration = item.migration ? '' : c.yellow(', no migration guidance');
+          report += `    ${item.kind} ${item.name}: ${sunsetColor(sunset)}${migration}\n`;
+        });
+      });
+      report += '\n';
+    }
+
     if (lowCoverageProtocols.length > 0) {
       report += c.bold('Low Coverage:\n');
       lowCoverageProtocols.forEach(p => {
@@ -228,6 +351,26 @@ function generateCLIReport(healthScore, analysisResults, options = {}) {
       report += '\n';
     }
 
+    const { waived = [], expired = [] } = analysisResults.waivers || {};
+    if (waived.length > 0) {
+      report += c.bold('Waived Issues:\n');
+      waived.forEach(waiver => {
+        report += c.gray(`  ⏸  ${waiver.id || waiver.urn}: ${describeWaiver(waiver)}\n`);
+      });
+      report += '\n';
+    }
+
+    if (expired.length > 0) {
+      report += c.bold('Expired Waivers:\n');
+      expired.forEach(waiver => {
+        const status = waiver.matched ? 'issue counts again' : 'no matching issue, remove it';
+        report += c.yellow(
+          `  ⚠️  ${waiver.id || waiver.urn}: expired ${waiver.expires} (owner: ${waiver.owner}); ${status}\n`
+        );
+      });
+      report += '\n';
+    }
+
     // Severity breakdown
     report += c.bold('Severity Distribution:\n');
     Object.entries(healthScore.metrics.severityBreakdown).forEach(([severity, count]) => {
@@ -275,7 +418,8 @@ function generateJSONReport(healthScore, analysisResults, options = {}) {
       grade: healthScore.grade,
       status: healthScore.overallScore >= 80 ? 'healthy' :
               healthScore.overallScore >= 60 ? 'warning' : 'critical',
-      breakdown: healthScore.breakdown
+      breakdown: healthScore.breakdown,
+      ...(healthScore.profile ? { profile: healthScore.profile } : {})
     },
     metrics: healthScore.metrics,
     summary: {
@@ -299,21 +443,32 @@ function generateJSONReport(healthScore, analysisResults, options = {}) {
           severity: p.freshness.severity,
           daysStale: p.freshness.daysStale,
           hasTimestamps: p.freshness.hasTimestamps,
-          enabled: p.freshness.enabled
+          enabled: p.freshness.enabled,
+          lastCodeChange: p.freshness.lastCodeChange,
+          lastDocUpdate: p.freshness.lastDocUpdate,
+          timestampSources: p.freshness.timestampSources
         },
         coverage: {
           score: Math.round(p.coverage.coverageScore * 100),
           totalItems: p.coverage.totalItems,
           documentedItems: p.coverage.documentedItems,
           coveragePercentage: Math.round(p.coverage.coveragePercentage * 100),
-          missingDocumentation: p.coverage.missingDocumentation
+          missingDocumentation: p.coverage.missingDocumentation,
+          ...(p.coverage.quality ? { quality: p.coverage.quality } : {})
         },
-        recommendations: p.combined.recommendations
+        recommendations: p.combined.recommendations,
+        ...(p.validation ? { validation: p.validation } : {}),
+        ...(p.lifecycle ? { lifecycle: p.lifecycle } : {}),
+        ...(p.waivers?.length ? { waivers: p.waivers } : {})
       })),
       severityBreakdown: healthScore.metrics.severityBreakdown
     };
   }
 
+  if (analysisResults.waivers) {
+    report.waivers = analysisResults.waivers;
+  }
+
   report.recommendations = generateRecommendations(healthScore, analysisResults);
 
   return report;
@@ -339,7 +494,8 @@ function generateGapAnalysis(healthScore, analysisResults) {
 
   // Freshness gaps
   analysisResults.protocols.forEach(protocol => {
-    if (protocol.freshness.isStale || !protocol.freshness.hasTimestamps) {
+    const hasFreshnessGap = protocol.freshness.isStale || !protocol.freshness.hasTimestamps;
+    if (hasFreshnessGap && !findWaiver(protocol, 'freshness', 'timestamp')) {
       const severity = protocol.freshness.severity;
       const gap = {
         protocolId: protocol.id,
@@ -359,7 +515,7 @@ function generateGapAnalysis(healthScore, analysisResults) {
 
   // Coverage gaps
   analysisResults.protocols.forEach(protocol => {
-    if (protocol.coverage.coveragePercentage < 0.8) { // Below 80% coverage
+    if (protocol.coverage.coveragePercentage < LOW_COVERAGE_THRESHOLD && !findWaiver(protocol, 'coverage')) {
       const severity = protocol.coverage.coveragePercentage < 0.5 ? 'high' :
                       protocol.coverage.coveragePercentage < 0.7 ? 'medium' : 'low';
       const missingCount = protocol.coverage.totalItems - protocol.coverage.documentedItems;
@@ -489,67 +645,100 @@ function extractProtocolTypeFromUrn(urn) {
  * Generate actionable recommendations based on health analysis
  * @param {Object} healthScore - Health score result
  * @param {Object} analysisResults - Analysis results
+ * @param {Object} options
+ * @param {string[]} [options.categories] - Limit to gap categories (freshness, coverage,
+ *   validation); every matching gap is listed and score-based/general advice is left out
  * @returns {Array} - List of recommendation strings
  */
-function generateRecommendations(healthScore, analysisResults) {
+function generateRecommendations(healthScore, analysisResults, options = {}) {
+  const { categories = null } = options;
+  const includes = category => !categories || categories.includes(category);
   const recommendations = [];
   const gaps = generateGapAnalysis(healthScore, analysisResults);
 
-  // Score-based recommendations
-  if (healthScore.overallScore < 60) {
-    recommendations.push('Critical: Immediate documentation updates required');
-    recommendations.push('Run "dochealth generate api" to auto-generate API docs');
-    recommendations.push('Run "dochealth generate data" to auto-generate data catalog');
-    recommendations.push('Run "dochealth generate workflow" to auto-generate workflow docs');
-  } else if (healthScore.overallScore < 80) {
-    recommendations.push('Warning: Documentation needs attention');
-    recommendations.push('Review stale protocols and update documentation');
-    recommendations.push('Consider running "dochealth generate" commands for missing docs');
-  } else if (healthScore.overallScore < 90) {
-    recommendations.push('Good: Documentation is mostly healthy');
-    recommendations.push('Address remaining stale protocols to improve score');
-  } else {
-    recommendations.push('Excellent: Documentation is healthy');
-    recommendations.push('Maintain regular updates to keep score high');
+  // Score-based recommendations (left out of scoped recommendations)
+  if (!categories) {
+    if (healthScore.overallScore < 60) {
+      recommendations.push('Critical: Immediate documentation updates required');
+      recommendations.push('Run "dochealth generate api" to auto-generate API docs');
+      recommendations.push('Run "dochealth generate data" to auto-generate data catalog');
+      recommendations.push('Run "dochealth generate workflow" to auto-generate workflow docs');
+    } else if (healthScore.overallScore < 80) {
+      recommendations.push('Warning: Documentation needs attention');
+      recommendations.push('Review stale protocols and update documentation');
+      recommendations.push('Consider running "dochealth generate" commands for missing docs');
+    } else if (healthScore.overallScore < 90) {
+      recommendations.push('Good: Documentation is mostly healthy');
+      recommendations.push('Address remaining stale protocols to improve score');
+    } else {
+      recommendations.push('Excellent: Documentation is healthy');
+      recommendations.push('Maintain regular updates to keep score high');
+    }
   }
 
-  // Add top gap recommendations (up to 3)
-  const topGaps = [
-    ...gaps.freshness.slice(0, 2),
-    ...gaps.coverage.slice(0, 2),
-    ...gaps.validation.slice(0, 1)
-  ].sort((a, b) => {
-    const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-    return severityOrder[a.severity] - severityOrder[b.severity];
-  });
+  if (categories) {
+    categories.forEach(category => {
+      (gaps[category] || []).forEach(gap => recommendations.push(gap.recommendation));
+    });
+  } else {
+    // Add top gap recommendations (up to 3)
+    const topGaps = [
+      ...gaps.freshness.slice(0, 2),
+      ...gaps.coverage.slice(0, 2),
+      ...gaps.validation.slice(0, 1)
+    ].sort((a, b) => {
+      const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+      return severityOrder[a.severity] - severityOrder[b.severity];
+    });
 
-  topGaps.slice(0, 3).forEach(gap => {
-    recommendations.push(gap.recommendation);
-  });
+    topGaps.slice(0, 3).forEach(gap => {
+      recommendations.push(gap.recommendation);
+    });
+  }
 
   // Protocol-specific recommendations
   if (analysisResults.protocols) {
-    const noTimestamps = analysisResults.protocols.filter(p => !p.freshness.hasTimestamps);
-    if (noTimestamps.length > 0) {
-      recommendations.push(`Add timestamps to ${noTimestamps.length} protocol(s) for better tracking`);
-    }
+    if (includes('freshness')) {
+      const noTimestamps = analysisResults.protocols.filter(p =>
+        !p.freshness.hasTimestamps && !findWaiver(p, 'timestamp')
+      );
+      if (noTimestamps.length > 0) {
+        recommendations.push(`Add timestamps to ${noTimestamps.length} protocol(s) for better tracking`);
+      }
 
-    const disabled = analysisResults.protocols.filter(p => !p.freshness.enabled);
-    if (disabled.length > 0) {
-      recommendations.push(`Enable freshness checking for ${disabled.length} disabled protocol(s)`);
+      const disabled = analysisResults.protocols.filter(p => !p.freshness.enabled);
+      if (disabled.length > 0) {
+        recommendations.push(`Enable freshness checking for ${disabled.length} disabled protocol(s)`);
+      }
+
+      const critical = analysisResults.protocols.filter(p =>
+        p.freshness.severity === 'critical' && !findWaiver(p, 'freshness')
+      );
+      if (critical.length > 0) {
+        recommendations.push(`URGENT: ${critical.length} protocol(s) are critically stale (>30 days)`);
+      }
     }
 
-    const critical = analysisResults.protocols.filter(p => p.freshness.severity === 'critical');
-    if (critical.length > 0) {
-      recommendations.push(`URGENT: ${critical.length} protocol(s) are critically stale (>30 days)`);
+    if (includes('coverage')) {
+      const lowCoverage = analysisResults.protocols.filter(
+        p => p.coverage.coveragePercentage < 0.5 && !findWaiver(p, 'coverage')
+      );
+      if (lowCoverage.length > 0) {
+        recommendations.push(`${lowCoverage.length} protocol(s) have low coverage (<50%) - add missing documentation`);
+      }
     }
 
-    const lowCoverage = analysisResults.protocols.filter(p => p.coverage.coveragePercentage < 0.5);
-    if (lowCoverage.length > 0) {
-      recommendations.push(`${lowCoverage.length} protocol(s) have low coverage (<50%) - add missing documentation`);
+    if (!categories) {
+      analysisResults.protocols.forEach(p => {
+        (p.lifecycle?.recommendations || []).forEach(rec => recommendations.push(`${p.id}: ${rec}`));
+      });
     }
   }
 
+  if (categories) {
+    return recommendations;
+  }
+
   // Coverage-specific recommendations
   if (healthScore.metrics.coverage) {
     const coverage = healthScore.metrics.coverage;
@@ -590,9 +779,11 @@ function getExitCode(healthScore, options = {}) {
 }
 
 module.exports = {
+  LOW_COVERAGE_THRESHOLD,
   calculateHealthScore,
   generateCLIReport,
   generateJSONReport,
+  generateGapAnalysis,
   generateRecommendations,
   getExitCode
 };
\ No newline at end of file
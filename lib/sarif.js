@@ -0,0 +1,306 @@
+/**
+ * SARIF Reporter - Emit `check` findings as SARIF 2.1.0
+ *
+ * Each issue category is a rule; each finding points at the manifest file
+ * (and, when it can be found, the line of the relevant JSON path) so results
+ * show up in code-scanning UIs and editor SARIF viewers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const { findWaiver, describeWaiver } = require('./waivers');
+const { LOW_COVERAGE_THRESHOLD } = require('./reporter');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const INFORMATION_URI = 'https://github.com/kneelinghorse/DocHealth-CLI-Dashboard';
+
+const RULES = {
+  staleDocs: {
+    id: 'DH001',
+    name: 'StaleDocumentation',
+    shortDescription: 'Documentation is older than the code it describes',
+    fullDescription: 'The last documentation update predates the last code change by more than the staleness threshold.',
+    level: 'warning'
+  },
+  missingTimestamps: {
+    id: 'DH002',
+    name: 'MissingTimestamps',
+    shortDescription: 'Freshness timestamps are missing',
+    fullDescription: 'Freshness cannot be measured without maintenance.freshness_check.last_code_change_at and lifecycle.updated_at.',
+    level: 'warning'
+  },
+  lowCoverage: {
+    id: 'DH003',
+    name: 'LowCoverage',
+    shortDescription: 'Documentation coverage is below 80%',
+    fullDescription: 'Endpoints, fields, steps or other documentable items in the manifest lack descriptions.',
+    level: 'warning'
+  },
+  brokenUrn: {
+    id: 'DH004',
+    name: 'BrokenURN',
+    shortDescription: 'URN reference does not resolve',
+    fullDescription: 'A cross-protocol URN points at a protocol that is not in the checked set.',
+    level: 'error'
+  },
+  invalidUrn: {
+    id: 'DH005',
+    name: 'InvalidURN',
+    shortDescription: 'URN reference is malformed',
+    fullDescription: 'A cross-protocol reference does not follow the urn:proto:<type>:<id> format.',
+    level: 'warning'
+  },
+  validatorFailure: {
+    id: 'DH006',
+    name: 'ValidatorFailure',
+    shortDescription: 'Protocol validator reported an issue',
+    fullDescription: 'One of the protocol module\'s built-in validators rejected the manifest.',
+    level: 'error'
+  }
+};
+
+// Where each protocol type keeps its documentable items
+const COVERAGE_PATHS = {
+  api: 'interface.endpoints',
+  data: 'schema.fields',
+  workflow: 'steps',
+  event: 'schema',
+  ui: 'data.props',
+  agent: 'capabilities',
+  identity: 'authz',
+  semantic: 'context.protocolBindings',
+  docs: 'structure.navigation',
+  documentation: 'structure.navigation'
+};
+
+const STALE_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const VALIDATOR_LEVELS = { error: 'error', warn: 'warning', warning: 'warning', info: 'note' };
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Best-effort line number for a dotted JSON path in a JSON or YAML manifest.
+ * Keys are searched in order, each after the previous match; the deepest
+ * key found wins. Array indices are skipped.
+ * @param {string} content - Manifest file contents
+ * @param {string} jsonPath - e.g. `maintenance.freshness_check.last_code_change_at`
+ * @returns {number|null} - 1-based line, or null when no key is found
+ */
+function findJsonPathLine(content, jsonPath) {
+  const segments = String(jsonPath)
+    .split(/\.|\[(\d+)\]/)
+    .filter(segment => segment && !/^\d+$/.test(segment));
+  let offset = 0;
+  let found = -1;
+
+  for (const segment of segments) {
+    const pattern = new RegExp(`(^|[\\s{,])["']?${escapeRegExp(segment)}["']?\\s*:`, 'gm');
+    pattern.lastIndex = offset;
+    const match = pattern.exec(content);
+    if (!match) break;
+    found = match.index + match[1].length;
+    offset = found + segment.length;
+  }
+
+  return found === -1 ? null : content.slice(0, found).split('\n').length;
+}
+
+function createLocator(rootDir) {
+  const contents = new Map();
+  const read = filePath => {
+    if (!contents.has(filePath)) {
+      let content = null;
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+      } catch {
+        // Unreadable files still get a file-level location
+      }
+      contents.set(filePath, content);
+    }
+    return contents.get(filePath);
+  };
+
+  return {
+    read,
+    location(filePath, jsonPath, { line } = {}) {
+      const content = read(filePath);
+      const searchable = content && jsonPath && /\.(json|ya?ml)$/i.test(filePath);
+      const startLine = line || (searchable ? findJsonPathLine(content, jsonPath) : null);
+      return {
+        physicalLocation: {
+          artifactLocation: {
+            uri: path.relative(rootDir, filePath).split(path.sep).join('/'),
+            uriBaseId: '%SRCROOT%'
+          },
+          // GitHub code scanning expects a region on every location; use line 1 when unknown
+          region: { startLine: startLine || 1 }
+        },
+        ...(jsonPath ? { logicalLocations: [{ fullyQualifiedName: jsonPath, kind: 'member' }] } : {})
+      };
+    }
+  };
+}
+
+function lineOf(content, text) {
+  const index = content ? content.indexOf(text) : -1;
+  return index === -1 ? null : content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Build a SARIF 2.1.0 log from `check` results.
+ * @param {Object} healthScore - Result from calculateHealthScore()
+ * @param {Object} analysisResults - Analyzer output; protocols carry `path` (manifest file)
+ *   and optionally `validation.issues` ({validator, path, level, msg})
+ * @param {Object} options
+ * @param {string} options.rootDir - Project root; artifact URIs are relative to it
+ * @returns {Object} - SARIF log
+ */
+function generateSARIFReport(healthScore, analysisResults, options = {}) {
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const locator = createLocator(rootDir);
+  const protocols = analysisResults?.protocols || [];
+  const results = [];
+
+  const ruleIds = Object.keys(RULES);
+  const addResult = (ruleKey, protocol, message, locations, extra = {}) => {
+    results.push({
+      ruleId: RULES[ruleKey].id,
+      ruleIndex: ruleIds.indexOf(ruleKey),
+      level: extra.level || RULES[ruleKey].level,
+      message: { text: message },
+      locations,
+      partialFingerprints: {
+        'dochealth/v1': [RULES[ruleKey].id, protocol?.type, protocol?.id, extra.key]
+          .filter(Boolean)
+          .join(':')
+      },
+      ...(extra.waiver ? {
+        suppressions: [{
+          kind: 'external',
+          status: 'accepted',
+          justification: describeWaiver(extra.waiver)
+        }]
+      } : {}),
+      ...(protocol ? { properties: { protocolId: protocol.id, protocolType: protocol.type } } : {})
+    });
+  };
+
+  protocols.forEach(protocol => {
+    const filePath = protocol.path;
+    const where = jsonPath => (filePath ? [locator.location(filePath, jsonPath)] : []);
+    const { freshness, coverage } = protocol;
+
+    if (freshness.enabled !== false && !freshness.hasTimestamps) {
+      const missingPath = freshness.lastCodeChange
+        ? 'lifecycle.updated_at'
+        : 'maintenance.freshness_check.last_code_change_at';
+      addResult(
+        'missingTimestamps',
+        protocol,
+        `${protocol.id}: missing ${missingPath}; freshness cannot be measured.`,
+        where(missingPath),
+        { waiver: findWaiver(protocol, 'timestamp') }
+      );
+    } else if (freshness.isStale) {
+      addResult(
+        'staleDocs',
+        protocol,
+        `${protocol.id}: documentation is ${freshness.daysStale} days behind the last code change ` +
+          `(threshold ${freshness.thresholdDays} days).`,
+        where('lifecycle.updated_at'),
+        { level: STALE_LEVELS[freshness.severity], waiver: findWaiver(protocol, 'freshness') }
+      );
+    }
+
+    if (coverage.coveragePercentage < LOW_COVERAGE_THRESHOLD) {
+      const percent = Math.round(coverage.coveragePercentage * 100);
+      const missing = (coverage.missingDocumentation || []).slice(0, 3).map(gap =>
+        gap.reference || gap.fieldName || gap.stepId || (gap.path ? `${gap.method} ${gap.path}` : null)
+      ).filter(Boolean);
+      addResult(
+        'lowCoverage',
+        protocol,
+        `${protocol.id}: ${percent}% documentation coverage ` +
+          `(${coverage.documentedItems}/${coverage.totalItems} items)` +
+          (missing.length ? `; missing e.g. ${missing.join(', ')}.` : '.'),
+        where(COVERAGE_PATHS[protocol.type]),
+        { level: percent < 50 ? 'error' : 'warning', waiver: findWaiver(protocol, 'coverage') }
+      );
+    }
+
+    (protocol.validation?.issues || []).forEach(issue => {
+      const issuePath = issue.path || issue.p;
+      addResult(
+        'validatorFailure',
+        protocol,
+        `${protocol.id}: ${issue.validator ? `[${issue.validator}] ` : ''}${issue.msg || issue.message}`,
+        where(issuePath),
+        { level: VALIDATOR_LEVELS[issue.level] || 'warning', key: `${issue.validator}:${issuePath}` }
+      );
+    });
+  });
+
+  // URNs are reported where they are referenced; waived ones as suppressed results
+  const { broken = [], invalid = [], waived = [] } = analysisResults?.urnValidation || {};
+  const urnLocations = urn => protocols
+    .filter(protocol => protocol.path)
+    .map(protocol => ({ protocol, line: lineOf(locator.read(protocol.path), urn) }))
+    .filter(entry => entry.line);
+
+  const addUrnResult = (ruleKey, urn, waiver) => {
+    const referencing = urnLocations(urn);
+    addResult(
+      ruleKey,
+      referencing[0]?.protocol,
+      ruleKey === 'brokenUrn' ? `Broken URN reference: ${urn}` : `Invalid URN format: ${urn}`,
+      referencing.map(entry => locator.location(entry.protocol.path, null, { line: entry.line })),
+      { key: urn, waiver }
+    );
+  };
+  broken.forEach(urn => addUrnResult('brokenUrn', urn));
+  invalid.forEach(urn => addUrnResult('invalidUrn', urn));
+  waived.forEach(waiver => {
+    addUrnResult(waiver.status === 'broken' ? 'brokenUrn' : 'invalidUrn', waiver.urn, waiver);
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'DocHealth',
+            version,
+            informationUri: INFORMATION_URI,
+            rules: ruleIds.map(key => ({
+              id: RULES[key].id,
+              name: RULES[key].name,
+              shortDescription: { text: RULES[key].shortDescription },
+              fullDescription: { text: RULES[key].fullDescription },
+              defaultConfiguration: { level: RULES[key].level }
+            }))
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: `file://${rootDir.split(path.sep).join('/').replace(/\/?$/, '/')}` }
+        },
+        results,
+        properties: {
+          healthScore: healthScore?.overallScore,
+          ...(healthScore?.profile ? { scoringProfile: healthScore.profile.name } : {})
+        }
+      }
+    ]
+  };
+}
+
+module.exports = {
+  RULES,
+  generateSARIFReport,
+  findJsonPathLine
+};
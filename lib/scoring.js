@@ -0,0 +1,152 @@
+/**
+ * Scoring Profiles - Named weight and grade settings for health scores
+ *
+ * A profile controls two calculations:
+ * - `weights`: how the report-level score (calculateHealthScore) blends
+ *   average freshness, average coverage and URN validation
+ * - `protocolWeights`: how each protocol's combined score
+ *   (calculateCombinedHealthScore) blends freshness and coverage, optionally
+ *   overridden per protocol type through `protocolTypes`
+ *
+ * Config profiles are merged over the built-in `default` profile, so they
+ * only need to list the values they change. Weights are relative and are
+ * normalized to sum to 1.
+ */
+
+const { ConfigError } = require('./config');
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+const BUILTIN_PROFILES = {
+  [DEFAULT_PROFILE_NAME]: {
+    description: 'Balanced freshness and coverage with URN validation',
+    weights: { freshness: 0.4, coverage: 0.4, validation: 0.2 },
+    protocolWeights: { freshness: 0.6, coverage: 0.4 },
+    protocolTypes: {},
+    grades: { A: 90, B: 80, C: 70, D: 60, F: 0 }
+  }
+};
+
+function normalizeWeights(weights, profileName, keyPath) {
+  const total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+  if (!(total > 0)) {
+    throw new ConfigError(`Invalid scoring profile '${profileName}'`, [{
+      path: keyPath,
+      message: `${keyPath} must contain at least one weight greater than 0`
+    }]);
+  }
+  return Object.fromEntries(
+    Object.entries(weights).map(([key, value]) => [key, Math.round((value / total) * 1000) / 1000])
+  );
+}
+
+function normalizeGrades(grades) {
+  const bands = Object.entries(grades)
+    .map(([grade, min]) => ({ grade, min }))
+    .sort((a, b) => b.min - a.min);
+  // Scores below the lowest band fall into it rather than being ungraded.
+  bands[bands.length - 1] = { ...bands[bands.length - 1], min: 0 };
+  return Object.fromEntries(bands.map(band => [band.grade, band.min]));
+}
+
+/**
+ * Resolve the active scoring profile from the `scoring` config section.
+ * @param {Object} scoringConfig - `config.scoring` ({profile, profiles})
+ * @param {string} [profileName] - Explicit profile (e.g. `check --profile`), wins over config
+ * @returns {{name: string, source: 'builtin'|'config', description?: string,
+ *   weights: Object, protocolWeights: Object, protocolTypes: Object, grades: Object}}
+ * @throws {ConfigError} When the profile is unknown or its weights are all zero
+ */
+function resolveScoringProfile(scoringConfig = {}, profileName) {
+  const configured = scoringConfig?.profiles || {};
+  const name = profileName || scoringConfig?.profile || DEFAULT_PROFILE_NAME;
+  const custom = configured[name];
+  const builtin = BUILTIN_PROFILES[name];
+
+  if (!custom && !builtin) {
+    const available = Array.from(
+      new Set([...Object.keys(BUILTIN_PROFILES), ...Object.keys(configured)])
+    );
+    throw new ConfigError(`Unknown scoring profile '${name}'`, [{
+      path: 'scoring.profile',
+      message: `scoring.profile must be one of ${available.join(', ')} (received "${name}")`
+    }], 'CONFIG_INVALID');
+  }
+
+  const base = builtin || BUILTIN_PROFILES[DEFAULT_PROFILE_NAME];
+  const overrides = custom || {};
+  const description = overrides.description || (builtin ? builtin.description : undefined);
+
+  const protocolWeights = { ...base.protocolWeights, ...overrides.protocolWeights };
+  const protocolTypes = {};
+  const typeOverrides = { ...base.protocolTypes, ...overrides.protocolTypes };
+  Object.entries(typeOverrides).forEach(([type, weights]) => {
+    protocolTypes[type === 'documentation' ? 'docs' : type] = normalizeWeights(
+      { ...protocolWeights, ...weights },
+      name,
+      `scoring.profiles.${name}.protocolTypes.${type}`
+    );
+  });
+
+  return {
+    name,
+    source: custom ? 'config' : 'builtin',
+    ...(description ? { description } : {}),
+    weights: normalizeWeights(
+      { ...base.weights, ...overrides.weights },
+      name,
+      `scoring.profiles.${name}.weights`
+    ),
+    protocolWeights: normalizeWeights(protocolWeights, name, `scoring.profiles.${name}.protocolWeights`),
+    protocolTypes,
+    grades: normalizeGrades(
+      Object.keys(overrides.grades || {}).length ? overrides.grades : base.grades
+    )
+  };
+}
+
+/**
+ * Freshness/coverage weights for one protocol, in the option shape accepted
+ * by calculateCombinedHealthScore().
+ * @param {Object} profile - Result from resolveScoringProfile()
+ * @param {string} protocolType - Loader protocol type (api, data, ...)
+ * @returns {{freshnessWeight: number, coverageWeight: number}}
+ */
+function getProtocolWeights(profile, protocolType) {
+  const weights = profile?.protocolTypes?.[protocolType] || profile?.protocolWeights
+    || BUILTIN_PROFILES[DEFAULT_PROFILE_NAME].protocolWeights;
+  return { freshnessWeight: weights.freshness, coverageWeight: weights.coverage };
+}
+
+/**
+ * Map a 0-100 score onto the profile's grade bands.
+ * @param {number} score
+ * @param {Object} grades - Grade label → minimum score
+ * @returns {string}
+ */
+function assignGrade(score, grades = BUILTIN_PROFILES[DEFAULT_PROFILE_NAME].grades) {
+  const bands = Object.entries(grades).sort((a, b) => b[1] - a[1]);
+  const match = bands.find(([, min]) => score >= min);
+  return (match || bands[bands.length - 1])[0];
+}
+
+/**
+ * One-line summary of a profile's report weights, e.g.
+ * `40% freshness, 40% coverage, 20% validation`.
+ * @param {Object} weights
+ * @returns {string}
+ */
+function describeWeights(weights) {
+  return Object.entries(weights)
+    .map(([dimension, weight]) => `${Math.round(weight * 100)}% ${dimension}`)
+    .join(', ');
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  resolveScoringProfile,
+  getProtocolWeights,
+  assignGrade,
+  describeWeights
+};
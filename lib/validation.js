@@ -0,0 +1,85 @@
+/**
+ * Protocol Validation - Run each protocol's built-in validators during `check`
+ *
+ * Protocol modules register named validators (`core.shape`, `schema.keys`,
+ * `governance.pii_policy`, ...) and expose them through `protocol.validate()`.
+ * Config `validators` selects which ones run per protocol type:
+ *
+ *   validators: { api: ['core.shape', 'lifecycle'], semantic: false }
+ *
+ * Types that are not listed (or are `true`) run every registered validator;
+ * `false` or an empty list skips the type. Issues are normalized to
+ * `{validator, path, level, msg}` with level `error`, `warning` or `info`.
+ */
+
+const { validateProtocol } = require('./loader');
+
+const TYPE_ALIASES = { docs: 'documentation' };
+const LEVELS = { error: 'error', warn: 'warning', warning: 'warning', info: 'info', note: 'info' };
+
+/**
+ * Validator names to run for a protocol type.
+ * @param {Object|boolean} validators - config.validators
+ * @param {string} type - Loader protocol type
+ * @returns {string[]|null} - Empty for all validators, null to skip the type
+ */
+function resolveValidatorSelection(validators, type) {
+  if (validators === false) return null;
+  const selection = validators?.[type] ?? validators?.[TYPE_ALIASES[type]];
+  if (selection === undefined || selection === true) return [];
+  if (selection === false || selection.length === 0) return null;
+  return selection;
+}
+
+function normalizeIssue(issue, validator, failed) {
+  return {
+    validator,
+    path: issue.path ?? issue.p ?? null,
+    // Failing validators that do not set a level report errors
+    level: LEVELS[issue.level] || (failed ? 'error' : 'warning'),
+    msg: issue.msg ?? issue.message ?? 'Validation failed'
+  };
+}
+
+/**
+ * Run a loaded protocol's validators.
+ * @param {{type: string, protocol: Object}} entry - Loader entry
+ * @param {Object|boolean} [validators] - config.validators
+ * @returns {{ok: boolean, validators: Array<{name: string, ok: boolean}>,
+ *   issues: Array<{validator: string, path: string|null, level: string, msg: string}>}|null}
+ *   null when the type is skipped or the protocol has no validators. A validator
+ *   passes unless it reports an error-level issue.
+ */
+function runProtocolValidators(entry, validators = {}) {
+  const selected = resolveValidatorSelection(validators, entry.type);
+  if (selected === null || typeof entry.protocol?.validate !== 'function') {
+    return null;
+  }
+
+  const outcome = validateProtocol(entry.protocol, selected);
+  if (outcome.error) {
+    return {
+      ok: false,
+      validators: [],
+      issues: [{ validator: null, path: null, level: 'error', msg: outcome.error }]
+    };
+  }
+
+  const issues = [];
+  const results = (outcome.results || []).map(result => {
+    const failed = result.ok === false;
+    const reported = (result.issues || []).map(issue => normalizeIssue(issue, result.name, failed));
+    if (failed && reported.length === 0) {
+      reported.push(normalizeIssue({ msg: result.error || result.msg }, result.name, true));
+    }
+    issues.push(...reported);
+    return { name: result.name, ok: !reported.some(issue => issue.level === 'error') };
+  });
+
+  return { ok: results.every(result => result.ok), validators: results, issues };
+}
+
+module.exports = {
+  resolveValidatorSelection,
+  runProtocolValidators
+};
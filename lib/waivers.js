@@ -0,0 +1,215 @@
+/**
+ * Waivers - Accepted documentation debt with an owner and an expiry date
+ *
+ * `.dochealth/waivers.yaml` lists issue IDs (the health-delta `type:protocolId`
+ * form, e.g. `coverage:orders`) or URN patterns (`*` matches any characters):
+ *
+ *   waivers:
+ *     - id: coverage:orders
+ *       reason: Legacy dataset, replaced by orders_v2
+ *       owner: data-platform
+ *       expires: 2026-12-31
+ *     - urn: urn:proto:api:legacy-*
+ *       reason: Legacy APIs are not migrated yet
+ *       owner: api-guild
+ *       expires: 2026-09-30
+ *
+ * Waived issues are excluded from scoring and listed separately. A waiver is
+ * active through its expiry date; after that its issues count again and the
+ * waiver is reported as expired.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { extractProtocolIssues } = require('./github/health-delta');
+
+const DEFAULT_WAIVERS_PATH = '.dochealth/waivers.yaml';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class WaiverError extends Error {
+  constructor(message, code = 'WAIVERS_INVALID') {
+    super(message);
+    this.name = 'WaiverError';
+    this.code = code;
+  }
+}
+
+function toDateString(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  return typeof value === 'string' && DATE_PATTERN.test(value) ? value : null;
+}
+
+function normalizeWaiver(entry, index, filePath) {
+  const fail = message => {
+    throw new WaiverError(`Invalid waiver #${index + 1} in ${filePath}: ${message}`);
+  };
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    fail('expected an object');
+  }
+  if (Boolean(entry.id) === Boolean(entry.urn)) {
+    fail('set exactly one of "id" or "urn"');
+  }
+  if (entry.id && !/^[a-z]+:.+$/.test(entry.id)) {
+    fail(`"id" must be an issue ID like coverage:orders (received "${entry.id}")`);
+  }
+  ['reason', 'owner'].forEach(key => {
+    if (typeof entry[key] !== 'string' || entry[key].trim() === '') {
+      fail(`"${key}" is required`);
+    }
+  });
+  const expires = toDateString(entry.expires);
+  if (!expires) {
+    fail(`"expires" must be a date (YYYY-MM-DD), received "${entry.expires}"`);
+  }
+  return {
+    ...(entry.id ? { id: String(entry.id) } : { urn: String(entry.urn) }),
+    reason: entry.reason.trim(),
+    owner: entry.owner.trim(),
+    expires
+  };
+}
+
+/**
+ * Read a waivers file. The file holds a `waivers` list (or just the list).
+ * @param {string} filePath
+ * @returns {Array<{id?: string, urn?: string, reason: string, owner: string, expires: string}>}
+ *   Empty when the file does not exist
+ * @throws {WaiverError} When the file cannot be parsed or an entry is invalid
+ */
+function loadWaivers(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new WaiverError(`Cannot read waivers ${filePath}: ${error.message}`, 'WAIVERS_UNREADABLE');
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(raw, { filename: filePath });
+  } catch (error) {
+    throw new WaiverError(`Invalid waivers ${filePath}: ${error.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.waivers ?? [];
+  if (!Array.isArray(entries)) {
+    throw new WaiverError(`Invalid waivers ${filePath}: expected a "waivers" list`);
+  }
+  return entries.map((entry, index) => normalizeWaiver(entry, index, filePath));
+}
+
+/**
+ * Whether a URN matches a waiver pattern; `*` matches any run of characters.
+ * @param {string} pattern
+ * @param {string} urn
+ * @returns {boolean}
+ */
+function matchesUrnPattern(pattern, urn) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(urn);
+}
+
+/**
+ * The active waiver covering one of a protocol result's issue types, if any.
+ * @param {Object} result - Per-protocol result, after applyWaivers()
+ * @param {...string} types - Issue types (`freshness`, `timestamp`, `coverage`)
+ * @returns {Object|undefined}
+ */
+function findWaiver(result, ...types) {
+  return (result?.waivers || []).find(waiver => types.includes(waiver.type));
+}
+
+/**
+ * One-line description of a waiver, e.g. `Legacy dataset (owner: data, expires 2026-12-31)`.
+ * @param {Object} waiver
+ * @returns {string}
+ */
+function describeWaiver(waiver) {
+  return `${waiver.reason} (owner: ${waiver.owner}, expires ${waiver.expires})`;
+}
+
+function toIssueShape(result) {
+  return {
+    id: result.id,
+    freshness: result.freshness,
+    coverage: {
+      ...result.coverage,
+      coveragePercentage: Math.round(result.coverage.coveragePercentage * 100)
+    }
+  };
+}
+
+/**
+ * Apply waivers to per-protocol results and URN validation.
+ * @param {Object[]} results - Per-protocol results from analyzeProtocol()
+ * @param {Object} urnValidation - validateURNs() output
+ * @param {Object[]} waivers - From loadWaivers()
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference date for expiry (default: today)
+ * @returns {{results: Object[], urnValidation: Object, summary: {waived: Object[], expired: Object[]}}}
+ *   `results` are copies carrying the active `waivers` that cover one of their issues;
+ *   waived URNs move from `broken`/`invalid` to `urnValidation.waived`; `summary.expired`
+ *   lists expired waivers with `matched` telling whether their issue still exists
+ */
+function applyWaivers(results, urnValidation = {}, waivers = [], options = {}) {
+  const today = toDateString(options.now || new Date());
+  const isActive = waiver => waiver.expires >= today;
+  const waived = [];
+  const matchedIssues = new Set();
+
+  const waivedResults = results.map(result => {
+    const issues = extractProtocolIssues(toIssueShape(result));
+    issues.forEach(issue => matchedIssues.add(issue.id));
+    const covered = issues
+      .map(issue => ({ issue, waiver: waivers.find(w => isActive(w) && w.id === issue.id) }))
+      .filter(({ waiver }) => waiver)
+      .map(({ issue, waiver }) => ({ ...waiver, type: issue.type, protocolId: issue.protocolId }));
+    covered.forEach(waiver => waived.push({ ...waiver, protocolType: result.type }));
+    return { ...result, waivers: covered };
+  });
+
+  const { broken = [], invalid = [] } = urnValidation;
+  const waivedUrns = [];
+  const urnWaiver = urn => waivers.find(w => isActive(w) && w.urn && matchesUrnPattern(w.urn, urn));
+  const keepUnwaived = status => urn => {
+    const waiver = urnWaiver(urn);
+    if (!waiver) return true;
+    if (!waivedUrns.some(entry => entry.urn === urn)) {
+      waivedUrns.push({ ...waiver, urn, status, pattern: waiver.urn });
+    }
+    return false;
+  };
+  const unwaivedBroken = broken.filter(keepUnwaived('broken'));
+  const unwaivedInvalid = invalid.filter(keepUnwaived('invalid'));
+  waived.push(...waivedUrns);
+
+  const expired = waivers.filter(waiver => !isActive(waiver)).map(waiver => ({
+    ...waiver,
+    matched: waiver.id
+      ? matchedIssues.has(waiver.id)
+      : [...broken, ...invalid].some(urn => matchesUrnPattern(waiver.urn, urn))
+  }));
+
+  return {
+    results: waivedResults,
+    urnValidation: {
+      ...urnValidation,
+      broken: unwaivedBroken,
+      invalid: unwaivedInvalid,
+      waived: waivedUrns
+    },
+    summary: { waived, expired }
+  };
+}
+
+module.exports = {
+  DEFAULT_WAIVERS_PATH,
+  WaiverError,
+  loadWaivers,
+  matchesUrnPattern,
+  findWaiver,
+  describeWaiver,
+  applyWaivers
+};
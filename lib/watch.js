@@ -0,0 +1,291 @@
+/**
+ * Watch Mode - Re-run `check` / `generate` when manifests or source files change
+ *
+ * Built on fs.watch. Recursive targets watch each directory of the tree
+ * separately (recursive fs.watch is unavailable on Linux before Node 20), and
+ * directories created later are picked up as they appear. Bursts of events —
+ * editors often write a file several times per save — are debounced into one
+ * run, and runs never overlap: changes that arrive mid-run are queued for the
+ * next.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 200;
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '.dochealth'];
+const GLOB_CHARS = /[*?[\]{}()!]/;
+
+/**
+ * Whether `target` is `parent` itself or lies inside it.
+ * @param {string} target - Absolute path
+ * @param {string} parent - Absolute path
+ * @returns {boolean}
+ */
+function isWithin(target, parent) {
+  const relative = path.relative(parent, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * The `source_code_path` a loaded protocol's freshness check points at.
+ * @param {Object} entry - Entry from loadProtocols() ({protocol, type, path})
+ * @returns {string|undefined} - Relative to the project root
+ */
+function getSourcePath(entry) {
+  return entry.protocol.manifest()?.maintenance?.freshness_check?.source_code_path;
+}
+
+/**
+ * Whether a change to one of `changedPaths` affects a loaded protocol: its
+ * manifest changed, or a file inside its source path did.
+ * @param {Object} entry - Entry from loadProtocols()
+ * @param {string[]} changedPaths - Absolute paths
+ * @param {string} rootDir - Directory source paths are resolved from
+ * @returns {boolean}
+ */
+function isAffectedBy(entry, changedPaths, rootDir) {
+  const sourcePath = getSourcePath(entry);
+  return changedPaths.some(changed => changed === entry.path
+    || (sourcePath && isWithin(changed, path.resolve(rootDir, sourcePath))));
+}
+
+/**
+ * Static directory prefix of a glob pattern, e.g. `protocols/**\/*.json` → `protocols`.
+ * @param {string} pattern
+ * @param {string} rootDir - Directory relative patterns are resolved from
+ * @returns {string} - Absolute directory
+ */
+function globBase(pattern, rootDir) {
+  const segments = pattern.split(/[\\/]/);
+  const staticSegments = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (GLOB_CHARS.test(segment)) break;
+    staticSegments.push(segment);
+  }
+  // A fully static pattern names a file; watch its directory
+  const base = staticSegments.join('/') || '.';
+  return path.resolve(rootDir, base);
+}
+
+/**
+ * Work out which paths to watch for a set of protocols.
+ * @param {Object} options
+ * @param {string} options.protocolsPath - Manifest directory (used when no patterns)
+ * @param {Array<string|{pattern: string}>} [options.patterns] - Config protocol globs,
+ *   relative to rootDir
+ * @param {string} options.rootDir - Project root
+ * @param {string[]} [options.sourcePaths] - source_code_path values, relative to rootDir
+ * @returns {Array<{path: string, recursive: boolean}>}
+ */
+function resolveWatchTargets({ protocolsPath, patterns = null, rootDir, sourcePaths = [] }) {
+  const targets = [];
+  const manifestDirs = patterns
+    ? patterns.map(entry => globBase(typeof entry === 'string' ? entry : entry.pattern, rootDir))
+    : [path.resolve(protocolsPath)];
+  manifestDirs.forEach(dir => targets.push({ path: dir, recursive: true }));
+
+  sourcePaths.forEach(sourcePath => {
+    const absolute = path.resolve(rootDir, sourcePath);
+    let stats;
+    try {
+      stats = fs.statSync(absolute);
+    } catch {
+      return;
+    }
+    // Watch a file through its directory so atomic saves (rename over) are seen
+    targets.push(stats.isDirectory()
+      ? { path: absolute, recursive: true }
+      : { path: path.dirname(absolute), recursive: false });
+  });
+
+  // Drop targets already covered by a recursive watch on a parent directory
+  return targets.filter((target, index) => {
+    const duplicate = targets.findIndex(other =>
+      other.path === target.path && other.recursive === target.recursive
+    );
+    if (duplicate !== index) return false;
+    return !targets.some(other =>
+      other !== target && other.recursive && isWithin(target.path, other.path)
+      && (other.path !== target.path || !target.recursive)
+    );
+  });
+}
+
+/**
+ * Watch paths and call `onChange` with the batch of changed files.
+ * @param {Array<{path: string, recursive: boolean}>} targets - From resolveWatchTargets()
+ * @param {Object} options
+ * @param {function(string[]): Promise<void>|void} options.onChange - Receives absolute paths
+ * @param {function(Error): void} [options.onError] - Watcher errors (e.g. a deleted directory)
+ * @param {string[]} [options.ignore] - Absolute paths whose changes are ignored (e.g. docs output)
+ * @param {number} [options.debounceMs]
+ * @returns {{add: function(Array<Object>): void, close: function(): void, ready: function(): Promise<void>}}
+ *   `add()` watches more targets, and `ready()` resolves once the current (and any queued)
+ *   run has finished
+ */
+function createChangeWatcher(targets, options) {
+  const {
+    onChange,
+    onError = () => {},
+    ignore = [],
+    debounceMs = DEFAULT_DEBOUNCE_MS
+  } = options;
+
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+  let busy = false;
+
+  const isIgnored = file => ignore.some(ignored => isWithin(file, ignored))
+    || file.split(path.sep).some(segment => IGNORED_DIRECTORIES.includes(segment));
+  const watchers = new Map();
+
+  const flush = () => {
+    timer = null;
+    if (busy || pending.size === 0) return;
+    const batch = Array.from(pending).sort();
+    pending.clear();
+    busy = true;
+    running = Promise.resolve()
+      .then(() => onChange(batch))
+      .catch(onError)
+      .finally(() => {
+        busy = false;
+        if (pending.size > 0) schedule();
+      });
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const watchDirectory = (directory, recursive) => {
+    if (watchers.has(directory)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(directory, (event, filename) => {
+        if (!filename) return;
+        const file = path.resolve(directory, filename.toString());
+        if (isIgnored(file)) return;
+        if (recursive) watchTree(file);
+        pending.add(file);
+        schedule();
+      });
+    } catch (error) {
+      // The directory disappeared before it could be watched
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    watcher.on('error', onError);
+    watchers.set(directory, watcher);
+  };
+
+  // Watch a directory and every directory below it that is not ignored
+  const watchTree = directory => {
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    watchDirectory(directory, true);
+    entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(directory, entry.name))
+      .filter(child => !isIgnored(child))
+      .forEach(watchTree);
+  };
+
+  const watchTargets = list => list.forEach(target => {
+    if (target.recursive) {
+      watchTree(target.path);
+    } else {
+      watchDirectory(target.path, false);
+    }
+  });
+  watchTargets(targets);
+
+  return {
+    // Start watching targets resolved after startup; already watched directories are kept
+    add(moreTargets) {
+      watchTargets(moreTargets);
+    },
+    close() {
+      if (timer) clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    },
+    async ready() {
+      await running;
+    }
+  };
+}
+
+/**
+ * Compare two runs' health scores.
+ * @param {{overallScore: number, protocols: Map<string, {id: string, type: string, score: number}>}} previous
+ * @param {{overallScore: number, protocols: Map<string, {id: string, type: string, score: number}>}} current
+ *   Protocol maps are keyed by manifest path
+ * @returns {{before: number, after: number, delta: number,
+ *   protocols: Array<{path: string, id: string, type: string, status: 'added'|'removed'|'changed',
+ *   before: number|null, after: number|null, delta: number}>}}
+ *   Only protocols whose score changed (or that appeared/disappeared) are listed
+ */
+function diffScores(previous, current) {
+  const protocols = [];
+
+  current.protocols.forEach((entry, filePath) => {
+    const before = previous.protocols.get(filePath);
+    if (!before) {
+      protocols.push({
+        path: filePath, id: entry.id, type: entry.type, status: 'added',
+        before: null, after: entry.score, delta: entry.score
+      });
+    } else if (before.score !== entry.score) {
+      protocols.push({
+        path: filePath, id: entry.id, type: entry.type, status: 'changed',
+        before: before.score, after: entry.score, delta: entry.score - before.score
+      });
+    }
+  });
+
+  previous.protocols.forEach((entry, filePath) => {
+    if (!current.protocols.has(filePath)) {
+      protocols.push({
+        path: filePath, id: entry.id, type: entry.type, status: 'removed',
+        before: entry.score, after: null, delta: -entry.score
+      });
+    }
+  });
+
+  return {
+    before: previous.overallScore,
+    after: current.overallScore,
+    delta: current.overallScore - previous.overallScore,
+    protocols
+  };
+}
+
+/**
+ * Signed score delta for display, e.g. `+4`, `-2`, `±0`.
+ * @param {number} delta
+ * @returns {string}
+ */
+function formatDelta(delta) {
+  if (delta > 0) return `+${delta}`;
+  if (delta < 0) return String(delta);
+  return '±0';
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  resolveWatchTargets,
+  createChangeWatcher,
+  getSourcePath,
+  isAffectedBy,
+  diffScores,
+  formatDelta,
+  isWithin
+};
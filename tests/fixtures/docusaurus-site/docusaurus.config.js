@@ -0,0 +1,26 @@
+// Minimal Docusaurus site that consumes `dochealth generate all --format docusaurus -o docs`.
+// The generated docs/sidebars.js provides the `dochealth` sidebar.
+
+/** @type {import('@docusaurus/types').Config} */
+module.exports = {
+  title: 'Developer Portal',
+  url: 'https://docs.example.com',
+  baseUrl: '/',
+  markdown: {
+    mermaid: true
+  },
+  themes: ['@docusaurus/theme-mermaid'],
+  presets: [
+    [
+      'classic',
+      {
+        docs: {
+          path: 'docs',
+          routeBasePath: '/',
+          sidebarPath: require.resolve('./docs/sidebars.js')
+        },
+        blog: false
+      }
+    ]
+  ]
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createCheckRunner,
+  writeManifest,
+  parseReport
+} = require('./helpers/check-cli');
+
+const runCheck = createCheckRunner();
+
+test('dochealth check --baseline fails only on new issues and ratchets with --update-baseline', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-baseline-'));
+  const baselinePath = path.join(workspace, '.dochealth', 'baseline.json');
+  try {
+    await fs.mkdir(path.join(workspace, 'protocols'));
+    await writeManifest(workspace, 'orders', { documented: false });
+
+    // Legacy issues are recorded and accepted
+    const recorded = await runCheck(workspace, ['--baseline', '--threshold', '100']);
+    assert.equal(recorded.code, 0, recorded.stdout + recorded.stderr);
+    assert.match(recorded.stdout, /Baseline recorded at \.dochealth[\\/]baseline\.json \(3 issue/);
+    const baseline = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    assert.deepEqual(
+      baseline.issues.map(issue => issue.id),
+      ['coverage:orders', 'freshness:orders', 'timestamp:orders']
+    );
+
+    // A new undocumented protocol is not in the baseline
+    await writeManifest(workspace, 'refunds', { documented: false });
+    const failing = await runCheck(workspace, ['--baseline', '--score-tolerance', '100']);
+    assert.equal(failing.code, 1);
+    assert.match(failing.stdout, /✗ new coverage:refunds/);
+
+    // Fixing the legacy issue ratchets the baseline; the new issue is not adopted
+    await writeManifest(workspace, 'orders', { documented: true });
+    const ratcheted = await runCheck(workspace, [
+      '--baseline', '--update-baseline', '--score-tolerance', '100'
+    ]);
+    assert.equal(ratcheted.code, 1);
+    assert.match(ratcheted.stdout, /✓ resolved coverage:orders/);
+    assert.match(ratcheted.stdout, /Baseline updated/);
+    const updated = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    assert.deepEqual(
+      updated.issues.map(issue => issue.id),
+      ['freshness:orders', 'timestamp:orders']
+    );
+
+    // JSON reports carry the baseline result instead of printing it
+    const json = await runCheck(workspace, ['--baseline', '--format', 'json', '--score-tolerance', '100']);
+    const report = parseReport(json.stdout);
+    assert.ok(report.baseline.newIssues.some(issue => issue.id === 'coverage:refunds'));
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
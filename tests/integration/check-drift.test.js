@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createCheckRunner,
+  readFixtureManifest,
+  parseReport
+} = require('./helpers/check-cli');
+
+const runCheck = createCheckRunner({ args: ['--threshold', '0', '--drift'] });
+
+test('dochealth check --drift reports breaking manifest changes since the last check', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-drift-'));
+  const manifestPath = path.join(workspace, 'protocols', 'events.protocol.json');
+  try {
+    await fs.mkdir(path.join(workspace, 'protocols'));
+    const manifest = await readFixtureManifest();
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+    const recorded = await runCheck(workspace, []);
+    assert.equal(recorded.code, 0);
+    assert.match(recorded.stdout, /Contract drift state recorded at \.dochealth\/manifests\.json/);
+    const state = JSON.parse(await fs.readFile(path.join(workspace, '.dochealth', 'manifests.json'), 'utf8'));
+    assert.deepEqual(Object.keys(state.protocols), [path.join('protocols', 'events.protocol.json')]);
+
+    manifest.schema.fields.user_id.type = 'integer';
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+    const report = parseReport((await runCheck(workspace, ['--json'])).stdout);
+    assert.ok(report.drift.undocumented >= 1);
+    assert.ok(report.drift.protocols[0].undocumented.some(change =>
+      change.reason === 'column type changed' && change.path === 'schema.fields.user_id.type'));
+
+    const text = await runCheck(workspace, []);
+    assert.match(text.stdout, /Contract Drift \(since the last check\):/);
+    assert.match(text.stdout, /✗ data:\S+ column type changed at schema\.fields\.user_id\.type/);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createCheckRunner,
+  writeManifest,
+  parseReport
+} = require('./helpers/check-cli');
+
+const runCheck = createCheckRunner({
+  globalArgs: ['--config', 'dochealth.config.json'],
+  args: ['--threshold', '0']
+});
+
+test('dochealth check gates on config policies with their own exit codes', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-policies-'));
+  try {
+    await fs.mkdir(path.join(workspace, 'protocols'));
+    await writeManifest(workspace, 'orders', { documented: false });
+    await writeManifest(workspace, 'refunds', { documented: true });
+    await fs.writeFile(path.join(workspace, 'dochealth.config.json'), JSON.stringify({
+      policies: [
+        {
+          name: 'pii-coverage',
+          select: { type: 'data', match: 'catalog.tags:contains:pii' },
+          require: { minCoverage: 90 },
+          exitCode: 4
+        },
+        {
+          name: 'orders-timestamps',
+          select: { match: 'dataset.name:contains:orders' },
+          require: { timestamps: true },
+          severity: 'warning'
+        }
+      ]
+    }));
+
+    const failing = await runCheck(workspace, []);
+    assert.equal(failing.code, 4, failing.stdout + failing.stderr);
+    assert.match(failing.stdout, /✗ pii-coverage \(2 protocol\(s\), 1 violation\(s\)\)/);
+    assert.match(failing.stdout, /pii-coverage: data:orders coverage \d+% is below 90%/);
+    assert.match(failing.stdout, /orders-timestamps: data:orders freshness timestamps are missing/);
+    assert.doesNotMatch(failing.stdout, /data:refunds/);
+
+    const json = await runCheck(workspace, ['--format', 'json']);
+    assert.equal(json.code, 4);
+    const report = parseReport(json.stdout);
+    assert.equal(report.policies.passed, false);
+    assert.deepEqual(
+      report.policies.violations.map(violation => [violation.policy, violation.requirement]),
+      [['pii-coverage', 'minCoverage'], ['orders-timestamps', 'timestamps']]
+    );
+
+    // Warning policies alone never fail the check
+    await writeManifest(workspace, 'orders', { documented: true });
+    const passing = await runCheck(workspace, []);
+    assert.equal(passing.code, 0, passing.stdout + passing.stderr);
+    assert.match(passing.stdout, /⚠ orders-timestamps/);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('dochealth check does not fail policies on waived issues', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-policies-waived-'));
+  try {
+    await fs.mkdir(path.join(workspace, 'protocols'));
+    await fs.mkdir(path.join(workspace, '.dochealth'));
+    await writeManifest(workspace, 'orders', { documented: false });
+    await fs.writeFile(path.join(workspace, 'dochealth.config.json'), JSON.stringify({
+      policies: [{ name: 'data-coverage', select: { type: 'data' }, require: { minCoverage: 90 } }]
+    }));
+    await fs.writeFile(path.join(workspace, '.dochealth', 'waivers.yaml'), [
+      'waivers:',
+      '  - id: coverage:orders',
+      '    reason: Legacy dataset',
+      '    owner: data-platform',
+      '    expires: 2099-12-31'
+    ].join('\n'));
+
+    const result = await runCheck(workspace, []);
+    assert.equal(result.code, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /✓ data-coverage \(1 protocol\(s\), 0 violation\(s\)\)/);
+    assert.match(
+      result.stdout,
+      /data-coverage: data:orders coverage \d+% is below 90% \(waived: Legacy dataset/
+    );
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
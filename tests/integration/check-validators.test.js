@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createCheckRunner,
+  readFixtureManifest,
+  parseReport
+} = require('./helpers/check-cli');
+
+const runCheck = createCheckRunner({ args: ['--threshold', '0'] });
+
+test('dochealth check runs protocol validators and honours the validators config', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-validators-'));
+  try {
+    await fs.mkdir(path.join(workspace, 'protocols'));
+    const manifest = await readFixtureManifest();
+    manifest.dataset.name = 'orders';
+    manifest.schema.fields = {};
+    await fs.writeFile(
+      path.join(workspace, 'protocols', 'orders.protocol.json'),
+      JSON.stringify(manifest, null, 2)
+    );
+
+    const report = parseReport((await runCheck(workspace, ['--json'])).stdout);
+    const { validation } = report.details.protocols[0];
+    assert.equal(validation.ok, false);
+    assert.deepEqual(
+      validation.validators.find(validator => validator.name === 'core.shape'),
+      { name: 'core.shape', ok: false }
+    );
+    assert.deepEqual(validation.issues.find(issue => issue.validator === 'core.shape'), {
+      validator: 'core.shape',
+      path: 'schema.fields',
+      level: 'error',
+      msg: 'at least one field required'
+    });
+    assert.ok(report.health.breakdown.validation.score < 100);
+
+    const text = await runCheck(workspace, []);
+    assert.match(text.stdout, /Validators: \d+\/\d+ passed \(\d+ error\(s\), 0 warning\(s\)\)/);
+    assert.match(text.stdout, /Validator Issues:\n {2}orders \(data\):\n/);
+    assert.match(text.stdout, / {4}error \[core\.shape\] schema\.fields: at least one field/);
+
+    await fs.writeFile(
+      path.join(workspace, 'dochealth.config.json'),
+      JSON.stringify({ validators: { data: false } })
+    );
+    const skipped = parseReport(
+      (await runCheck(workspace, ['--json', '--config', 'dochealth.config.json'])).stdout
+    );
+    assert.equal(skipped.details.protocols[0].validation, undefined);
+    assert.ok(skipped.health.score > report.health.score);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
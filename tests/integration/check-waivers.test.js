@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createCheckRunner,
+  writeManifest,
+  parseReport
+} = require('./helpers/check-cli');
+
+const runCheck = createCheckRunner({ args: ['--threshold', '0'] });
+
+test('dochealth check excludes waived issues from scoring and flags expired waivers', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-waivers-'));
+  try {
+    await fs.mkdir(path.join(workspace, 'protocols'));
+    await writeManifest(workspace, 'orders', { documented: false });
+
+    const unwaived = parseReport((await runCheck(workspace, ['--json'])).stdout);
+    assert.ok(unwaived.metrics.coverage.overallCoveragePercentage < 80);
+    assert.equal(unwaived.waivers, undefined);
+
+    await fs.mkdir(path.join(workspace, '.dochealth'));
+    await fs.writeFile(path.join(workspace, '.dochealth', 'waivers.yaml'), [
+      'waivers:',
+      '  - id: coverage:orders',
+      '    reason: Legacy dataset, replaced by orders_v2',
+      '    owner: data-platform',
+      '    expires: 2099-12-31',
+      '  - id: timestamp:orders',
+      '    reason: Timestamps added next quarter',
+      '    owner: data-platform',
+      '    expires: 2020-01-01'
+    ].join('\n'));
+
+    const json = await runCheck(workspace, ['--json']);
+    const report = parseReport(json.stdout);
+    assert.ok(report.health.score > unwaived.health.score);
+    assert.deepEqual(report.waivers.waived.map(waiver => waiver.id), ['coverage:orders']);
+    assert.deepEqual(
+      report.waivers.expired.map(waiver => [waiver.id, waiver.matched]),
+      [['timestamp:orders', true]]
+    );
+    assert.deepEqual(report.details.protocols[0].waivers.map(waiver => waiver.type), ['coverage']);
+    assert.match(json.stderr, /1 waiver\(s\) expired: timestamp:orders \(2020-01-01\)/);
+
+    const text = await runCheck(workspace, []);
+    assert.equal(text.code, 0, text.stdout + text.stderr);
+    assert.match(text.stdout, /Waived Issues:\n.*coverage:orders: Legacy dataset, replaced/);
+    assert.match(text.stdout, /\(owner: data-platform, expires 2099-12-31\)/);
+    assert.match(text.stdout, /Expired Waivers:\n.*timestamp:orders: expired 2020-01-01/);
+    assert.match(text.stdout, /\(owner: data-platform\); issue counts again/);
+    assert.match(text.stdout, /Missing Timestamps:\n.*orders/);
+    assert.doesNotMatch(text.stdout, /Low Coverage:/);
+
+    // Baselines record only unwaived issues
+    await runCheck(workspace, ['--baseline']);
+    const baselinePath = path.join(workspace, '.dochealth', 'baseline.json');
+    const baseline = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    assert.ok(!baseline.issues.some(issue => issue.id === 'coverage:orders'));
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { promisify } = require('node:util');
+const { execFile } = require('node:child_process');
+
+const execFileAsync = promisify(execFile);
+const CLI_PATH = path.join(__dirname, '..', '..', 'bin', 'dochealth.js');
+
+function buildApiManifest(createdDescription) {
+  return {
+    kind: 'api',
+    service: { name: 'orders', version: '1.0.0' },
+    interface: {
+      authentication: { type: 'apiKey' },
+      endpoints: [
+        {
+          method: 'GET',
+          path: '/v1/orders',
+          summary: 'listOrders',
+          params: [],
+          responses: [{ status: 200, description: 'OK' }],
+          errors: []
+        },
+        {
+          method: 'POST',
+          path: '/v1/orders',
+          summary: 'createOrder',
+          params: [],
+          responses: [{ status: 201, description: createdDescription }],
+          errors: []
+        }
+      ]
+    }
+  };
+}
+
+async function runCli(cwd, args) {
+  try {
+    const { stdout } = await execFileAsync('node', [CLI_PATH, ...args], {
+      cwd,
+      env: { ...process.env, FORCE_COLOR: '0' },
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return { code: 0, stdout };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout };
+  }
+}
+
+test('dochealth diff reports hand-edited, outdated and missing sections', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-diff-'));
+  const manifestPath = path.join(workspace, 'protocols', 'orders.protocol.json');
+
+  try {
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, JSON.stringify(buildApiManifest('Created')), 'utf8');
+    await fs.writeFile(
+      path.join(workspace, 'dochealth.config.js'),
+      "module.exports = { protocols: ['protocols/*.protocol.json'] };\n",
+      'utf8'
+    );
+
+    const generated = await runCli(workspace, ['generate', 'api']);
+    assert.equal(generated.code, 0);
+
+    const clean = await runCli(workspace, ['--json', 'diff']);
+    assert.equal(clean.code, 0);
+    assert.equal(JSON.parse(clean.stdout).summary.drift, 0);
+
+    const listPath = path.join(workspace, 'docs', 'orders', 'api-orders-listorders.md');
+    const listContent = await fs.readFile(listPath, 'utf8');
+    await fs.writeFile(
+      listPath,
+      listContent.replace('No description provided.', 'Lists every order for the tenant.'),
+      'utf8'
+    );
+    await fs.writeFile(manifestPath, JSON.stringify(buildApiManifest('Order created')), 'utf8');
+    await fs.rm(path.join(workspace, 'docs', 'orders', 'api-orders-createorder.md'));
+
+    const drifted = await runCli(workspace, ['--json', 'diff', 'api']);
+    assert.equal(drifted.code, 1);
+    const report = JSON.parse(drifted.stdout);
+    assert.equal(report.summary.handEdited, 1);
+    assert.equal(report.summary.missing, 1);
+
+    const edited = report.files.find(file => file.path === 'orders/api-orders-listorders.md');
+    assert.equal(edited.sections[0].status, 'hand-edited');
+    assert.match(edited.sections[0].diff, /^-Lists every order for the tenant\.$/m);
+    assert.match(edited.sections[0].diff, /^\+No description provided\.$/m);
+
+    const text = await runCli(workspace, ['diff', '--summary']);
+    assert.equal(text.code, 1);
+    assert.match(text.stdout, /hand-edited/);
+    assert.match(text.stdout, /api-orders-createorder\.md \(file missing\)/);
+    assert.doesNotMatch(text.stdout, /^\s+@@/m);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+const SITE_FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'docusaurus-site');
+
+function runGenerate(cwd) {
+  return new Promise(resolve => {
+    execFile(
+      'node',
+      [CLI_PATH, 'generate', 'all', '--path', 'protocols', '--output', 'docs', '--format', 'docusaurus', '--root', cwd],
+      { cwd, env: { ...process.env, FORCE_COLOR: '0' } },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+function collectDocIds(items) {
+  return items.flatMap(item => (typeof item === 'string' ? [item] : collectDocIds(item.items || [])));
+}
+
+test('generate --format docusaurus writes a site tree the fixture portal can consume', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-docusaurus-'));
+  try {
+    await fs.cp(SITE_FIXTURE, workspace, { recursive: true });
+
+    const first = await runGenerate(workspace);
+    assert.equal(first.code, 0, first.stderr);
+    assert.match(first.stdout, /Updated 4 docusaurus site file\(s\)/);
+
+    const docsDir = path.join(workspace, 'docs');
+    const sidebars = require(path.join(docsDir, 'sidebars.js'));
+    const expected = JSON.parse(await fs.readFile(path.join(SITE_FIXTURE, 'expected-sidebars.json'), 'utf8'));
+    assert.deepEqual(sidebars, expected);
+
+    for (const docId of collectDocIds(sidebars.dochealth)) {
+      const content = await fs.readFile(path.join(docsDir, `${docId}.md`), 'utf8');
+      assert.match(content, /^sidebar_label: /m, `${docId} should have a sidebar label`);
+      assert.match(content, /<!-- generated-section:docusaurus #/, `${docId} should carry section markers`);
+      assert.ok(!content.includes(':::generated-section'), `${docId} should not contain directives`);
+    }
+    for (const directory of ['orders-api', 'data', 'workflows']) {
+      const category = JSON.parse(await fs.readFile(path.join(docsDir, directory, '_category_.json'), 'utf8'));
+      assert.equal(category.link.type, 'generated-index');
+    }
+
+    const deprecatedPage = path.join(docsDir, 'orders-api', 'api-orders-api-get-an-order-v1.md');
+    const generated = await fs.readFile(deprecatedPage, 'utf8');
+    assert.match(generated, /^:::warning\[Deprecated\]$/m);
+
+    await fs.writeFile(deprecatedPage, `${generated}\n## Support\n\nAsk #orders-team before migrating.\n`);
+    const second = await runGenerate(workspace);
+    assert.equal(second.code, 0, second.stderr);
+    assert.doesNotMatch(second.stdout, /merge conflict/);
+    const merged = await fs.readFile(deprecatedPage, 'utf8');
+    assert.ok(merged.includes(
+      '<!-- /generated-section -->\n\n## Support\n\nAsk #orders-team before migrating.'
+    ));
+    assert.ok(!merged.includes(':::generated-section'));
+
+    const workflow = await fs.readFile(path.join(docsDir, 'workflows', 'order-fulfillment.md'), 'utf8');
+    assert.match(workflow, /^```mermaid$/m);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const yaml = require('js-yaml');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+const SITE_FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'mkdocs-site');
+// Both site fixtures document the same manifests
+const PROTOCOLS_FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'docusaurus-site', 'protocols');
+
+function runGenerate(cwd) {
+  return new Promise(resolve => {
+    execFile(
+      'node',
+      [CLI_PATH, 'generate', 'all', '--path', 'protocols', '--output', 'docs', '--format', 'mkdocs', '--root', cwd],
+      { cwd, env: { ...process.env, FORCE_COLOR: '0' } },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+function collectPages(entries) {
+  return entries.flatMap(entry => Object.values(entry)
+    .flatMap(value => (typeof value === 'string' ? [value] : collectPages(value))));
+}
+
+test('generate --format mkdocs writes Material pages and a nav fragment', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-mkdocs-'));
+  try {
+    await fs.cp(SITE_FIXTURE, workspace, { recursive: true });
+    await fs.cp(PROTOCOLS_FIXTURE, path.join(workspace, 'protocols'), { recursive: true });
+
+    const first = await runGenerate(workspace);
+    assert.equal(first.code, 0, first.stderr);
+    assert.match(first.stdout, /Updated 1 mkdocs site file\(s\)/);
+
+    const docsDir = path.join(workspace, 'docs');
+    const navFile = await fs.readFile(path.join(docsDir, 'mkdocs.nav.yml'), 'utf8');
+    const expected = await fs.readFile(path.join(SITE_FIXTURE, 'expected-nav.yml'), 'utf8');
+    assert.equal(navFile, expected);
+
+    for (const page of collectPages(yaml.load(navFile).nav)) {
+      const content = await fs.readFile(path.join(docsDir, page), 'utf8');
+      assert.match(content, /<!-- generated-section:mkdocs #/, `${page} should carry section markers`);
+      assert.ok(!content.includes(':::generated-section'), `${page} should not contain directives`);
+    }
+
+    const deprecatedPage = path.join(docsDir, 'orders-api', 'api-orders-api-get-an-order-v1.md');
+    const generated = await fs.readFile(deprecatedPage, 'utf8');
+    assert.match(generated, /^status: deprecated$/m);
+    assert.match(generated, /^!!! warning "Deprecated"\n {4}This endpoint is deprecated/m);
+
+    const workflow = await fs.readFile(path.join(docsDir, 'workflows', 'order-fulfillment.md'), 'utf8');
+    assert.match(workflow, /^```mermaid\ngraph TD$/m);
+
+    await fs.writeFile(deprecatedPage, `${generated}\n## Support\n\n!!! tip "Before migrating"\n    Ask #orders-team.\n`);
+    const second = await runGenerate(workspace);
+    assert.equal(second.code, 0, second.stderr);
+    assert.doesNotMatch(second.stdout, /merge conflict/);
+    const merged = await fs.readFile(deprecatedPage, 'utf8');
+    assert.ok(merged.includes(
+      '<!-- /generated-section -->\n\n## Support\n\n!!! tip "Before migrating"\n    Ask #orders-team.\n'
+    ));
+    assert.match(merged, /^!!! warning "Deprecated"$/m);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -137,3 +137,187 @@ test('runGeneratorPipeline generates API, data, and workflow outputs', async ()
     await fs.rm(workspace, { recursive: true, force: true });
   }
 });
+
+test('runGeneratorPipeline writes event catalog pages with workflow consumers', async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-pipeline-'));
+  const protocolsDir = path.join(workspace, 'protocols');
+  const eventManifest = require('../fixtures/event-protocol.json');
+  const workflowManifest = {
+    kind: 'workflow',
+    workflow: { id: 'fulfil', name: 'Fulfil', version: '1.0.0' },
+    steps: [
+      { id: 'ship', type: 'service', service: 'shipping.dispatch', consumes: 'payment.completed' }
+    ]
+  };
+
+  try {
+    await fs.mkdir(protocolsDir, { recursive: true });
+    await fs.writeFile(
+      path.join(protocolsDir, 'payment-completed.protocol.json'),
+      JSON.stringify({ kind: 'event', ...eventManifest }),
+      'utf8'
+    );
+    await fs.writeFile(
+      path.join(protocolsDir, 'fulfil.protocol.json'),
+      JSON.stringify(workflowManifest),
+      'utf8'
+    );
+
+    const result = await runGeneratorPipeline({
+      types: ['events'],
+      protocolsPath: protocolsDir,
+      outputDir: workspace,
+      merge: false
+    });
+
+    const eventSummary = result.summaries.event;
+    assert.equal(eventSummary.documentsWritten, 1);
+    const { relativePath } = eventSummary.documents[0];
+    assert.equal(relativePath, path.join('events', 'payment-completed.md'));
+    assert.equal(result.summaries.workflow, undefined);
+    const content = await fs.readFile(path.join(workspace, 'events', 'payment-completed.md'), 'utf8');
+    assert.match(content, /:::generated-section\{#event-payment-completed/);
+    assert.match(content, /### Producers\n\n- billing-service\n/);
+    assert.match(content, /### Consumers\n\n- shipping\.dispatch\n/);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('runGeneratorPipeline writes UI component pages and Storybook stories', async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-pipeline-'));
+  const protocolsDir = path.join(workspace, 'protocols');
+  const uiManifest = require('../fixtures/ui-protocol.json');
+
+  try {
+    await fs.mkdir(protocolsDir, { recursive: true });
+    await fs.writeFile(
+      path.join(protocolsDir, 'primary-button.protocol.json'),
+      JSON.stringify({ kind: 'ui', ...uiManifest }),
+      'utf8'
+    );
+
+    const options = {
+      types: ['ui'],
+      protocolsPath: protocolsDir,
+      outputDir: workspace,
+      format: 'docusaurus',
+      storybook: true,
+      mergeRoot: workspace
+    };
+    await runGeneratorPipeline(options);
+    const storyPath = path.join(workspace, 'components', 'primary-button.stories.jsx');
+    await fs.writeFile(storyPath, '// stale\n', 'utf8');
+    const result = await runGeneratorPipeline(options);
+
+    const uiSummary = result.summaries.ui;
+    assert.deepEqual(uiSummary.documents.map(doc => [doc.relativePath, doc.action]), [
+      [path.join('components', 'primary-button.md'), 'merged'],
+      [path.join('components', 'primary-button.stories.jsx'), 'overwritten']
+    ]);
+    const story = await fs.readFile(storyPath, 'utf8');
+    assert.match(story, /^import PrimaryButton from '\.\/PrimaryButton';/);
+
+    const page = await fs.readFile(path.join(workspace, 'components', 'primary-button.md'), 'utf8');
+    assert.match(page, /<!-- generated-section:docusaurus #component-primary-button/);
+    assert.match(page, /^```mermaid\nstateDiagram-v2$/m);
+
+    const sidebars = require(path.join(workspace, 'sidebars.js'));
+    assert.deepEqual(sidebars.dochealth, [{
+      type: 'category',
+      label: 'Components',
+      link: { type: 'generated-index' },
+      items: ['components/primary-button']
+    }]);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('runGeneratorPipeline links agent relationships to generated API and workflow pages', async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-pipeline-'));
+  const protocolsDir = path.join(workspace, 'protocols');
+  const agentManifest = JSON.parse(JSON.stringify(require('../fixtures/agent-protocol.json')));
+  agentManifest.relationships.apis = ['urn:proto:api:orders@1.0.0#GET-v1-orders'];
+  agentManifest.relationships.workflows = ['urn:proto:workflow:logistics@1.0.0'];
+
+  try {
+    await fs.mkdir(protocolsDir, { recursive: true });
+    await fs.writeFile(path.join(protocolsDir, 'api_protocol_sample.js'), buildApiModuleSource(), 'utf8');
+    await fs.writeFile(
+      path.join(protocolsDir, 'workflow_protocol_sample.js'),
+      buildWorkflowModuleSource(),
+      'utf8'
+    );
+    await fs.writeFile(
+      path.join(protocolsDir, 'billing-assistant.protocol.json'),
+      JSON.stringify({ kind: 'agent', ...agentManifest }),
+      'utf8'
+    );
+
+    const result = await runGeneratorPipeline({
+      types: ['agents'],
+      protocolsPath: protocolsDir,
+      outputDir: workspace,
+      merge: false
+    });
+
+    assert.deepEqual(Object.keys(result.summaries), ['agent']);
+    assert.equal(result.summaries.agent.documents[0].relativePath, path.join('agents', 'billing-assistant.md'));
+    const agentsDir = path.join(workspace, 'agents');
+    const content = await fs.readFile(path.join(agentsDir, 'billing-assistant.md'), 'utf8');
+    assert.match(content, /^unresolvedLinks: 0$/m);
+
+    const targets = Array.from(content.matchAll(/\]\((\.\.\/[^)]+\.md)\)/g), match => match[1]);
+    assert.deepEqual(targets, ['../orders/api-orders-listorders.md', '../workflows/logistics.md']);
+    // Only the agent page is written; the linked pages come from `generate api` / `generate workflows`
+    await assert.rejects(fs.access(path.resolve(agentsDir, targets[0])));
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('runGeneratorPipeline collects other protocols only for formats with site files', async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-pipeline-'));
+  const protocolsDir = path.join(workspace, 'protocols');
+
+  try {
+    await fs.mkdir(protocolsDir, { recursive: true });
+    await fs.writeFile(path.join(protocolsDir, 'api_protocol_sample.js'), buildApiModuleSource(), 'utf8');
+    // The workflow generator rejects a workflow without id or name
+    await fs.writeFile(
+      path.join(protocolsDir, 'workflow_protocol_sample.js'),
+      buildWorkflowModuleSource().replace("id: 'logistics', name: 'Logistics Flow', ", ''),
+      'utf8'
+    );
+    await fs.writeFile(
+      path.join(protocolsDir, 'billing-assistant.protocol.json'),
+      JSON.stringify({ kind: 'agent', ...require('../fixtures/agent-protocol.json') }),
+      'utf8'
+    );
+
+    const markdown = await runGeneratorPipeline({
+      types: ['api'],
+      protocolsPath: protocolsDir,
+      outputDir: path.join(workspace, 'markdown'),
+      merge: false
+    });
+    assert.deepEqual(markdown.siteFiles, []);
+    assert.deepEqual(markdown.collectErrors, []);
+
+    // Agent links and sidebars both need the workflow; its error is reported once
+    const docusaurus = await runGeneratorPipeline({
+      types: ['agents'],
+      protocolsPath: protocolsDir,
+      outputDir: path.join(workspace, 'docusaurus'),
+      format: 'docusaurus',
+      merge: false
+    });
+    assert.equal(docusaurus.collectErrors.length, 1);
+    assert.equal(docusaurus.collectErrors[0].type, 'workflow');
+    assert.match(docusaurus.collectErrors[0].message, /workflow\.id or workflow\.name/);
+    assert.ok(docusaurus.siteFiles.some(file => file.relativePath === 'sidebars.js'));
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -198,6 +198,30 @@ test('formatPRComment outputs markdown summary and identifier', () => {
   assert.ok(markdown.trim().endsWith(COMMENT_IDENTIFIER));
 });
 
+test('formatPRComment lists contract drift from the head report', () => {
+  const afterReport = {
+    ...buildReport({ score: 80, protocols: [] }),
+    drift: {
+      undocumented: 1,
+      protocols: [{
+        protocolId: 'orders',
+        type: 'data',
+        path: 'protocols/orders.json',
+        undocumented: [{ path: 'schema.fields.total.type', reason: 'column type changed' }],
+        documented: [{ path: 'schema.fields.note', reason: 'column dropped' }],
+        significant: []
+      }]
+    }
+  };
+  const delta = calculateHealthDelta(buildReport({ score: 80, protocols: [] }), afterReport, {});
+  assert.equal(delta.drift.undocumented, 1);
+
+  const markdown = formatPRComment(delta, { repo: 'acme/docs', prNumber: 42 });
+  assert.match(markdown, /\*\*Contract Drift\*\*/);
+  assert.match(markdown, /💥 docs not updated · \*\*orders\*\* · column type changed/);
+  assert.match(markdown, /✅ docs updated · \*\*orders\*\* · column dropped/);
+});
+
 test('runPRCommentWorkflow updates an existing sticky comment', async () => {
   const tempDir = await createTempDir();
   try {
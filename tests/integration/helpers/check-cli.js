@@ -0,0 +1,64 @@
+/**
+ * Helpers for integration tests that run `dochealth check` against data
+ * protocol manifests in a temporary workspace's `protocols` directory.
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+const FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'data-protocol.json');
+
+/**
+ * Build a runner for `dochealth check --path protocols`.
+ * @param {Object} [options]
+ * @param {string[]} [options.globalArgs] - Options placed before the command (e.g. `--config`)
+ * @param {string[]} [options.args] - Options every run of this test passes to `check`
+ * @returns {(cwd: string, args?: string[]) => Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function createCheckRunner({ globalArgs = [], args: commonArgs = [] } = {}) {
+  return (cwd, args = []) => new Promise(resolve => {
+    execFile(
+      'node',
+      [CLI_PATH, ...globalArgs, 'check', '--path', 'protocols', ...commonArgs, ...args],
+      { cwd, env: { ...process.env, FORCE_COLOR: '0' } },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+async function readFixtureManifest() {
+  return JSON.parse(await fs.readFile(FIXTURE, 'utf8'));
+}
+
+/**
+ * Write the data protocol fixture as `protocols/<name>.protocol.json`.
+ * Undocumented manifests have every field description removed.
+ */
+async function writeManifest(workspace, name, { documented }) {
+  const manifest = await readFixtureManifest();
+  manifest.dataset.name = name;
+  if (!documented) {
+    Object.values(manifest.schema.fields).forEach(field => delete field.description);
+  }
+  await fs.writeFile(
+    path.join(workspace, 'protocols', `${name}.protocol.json`),
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+/**
+ * Parse the JSON report from `check --json` output, skipping the progress line.
+ */
+function parseReport(stdout) {
+  return JSON.parse(stdout.slice(stdout.indexOf('{'), stdout.lastIndexOf('}') + 1));
+}
+
+module.exports = {
+  createCheckRunner,
+  readFixtureManifest,
+  writeManifest,
+  parseReport
+};
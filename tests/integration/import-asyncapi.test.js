@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { promisify } = require('node:util');
+const { execFile } = require('node:child_process');
+
+const execFileAsync = promisify(execFile);
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+const FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'asyncapi', 'user-events-v2.yaml');
+
+test('dochealth import asyncapi writes event manifests that pass validation', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-import-asyncapi-'));
+  const env = { ...process.env, FORCE_COLOR: '0' };
+
+  try {
+    await fs.copyFile(FIXTURE, path.join(workspace, 'user-events.yaml'));
+
+    const { stdout } = await execFileAsync(
+      'node',
+      [CLI_PATH, '--json', 'import', 'asyncapi', 'user-events.yaml'],
+      { cwd: workspace, env }
+    );
+    assert.match(stdout, /PII fields: email\*, displayName/);
+
+    const report = JSON.parse(stdout.slice(stdout.indexOf('\n{')));
+    assert.deepEqual(report.manifests.map(entry => entry.status), ['written', 'written', 'written']);
+    assert.deepEqual(report.manifests[0].issues, []);
+
+    const written = JSON.parse(
+      await fs.readFile(path.join(workspace, 'protocols', 'user-signedup.protocol.json'), 'utf8')
+    );
+    assert.equal(written.kind, 'event');
+    assert.equal(written.governance.policy.classification, 'pii');
+
+    const rerun = await execFileAsync('node', [CLI_PATH, 'import', 'asyncapi', '*.yaml'], { cwd: workspace, env });
+    assert.match(rerun.stdout, /already exists \(use --force to overwrite\)/);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
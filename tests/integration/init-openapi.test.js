@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { promisify } = require('node:util');
+const { execFile } = require('node:child_process');
+
+const execFileAsync = promisify(execFile);
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+const FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'openapi', 'petstore.yaml');
+
+test('dochealth init --from-openapi writes manifests and a config that loads them', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-init-openapi-'));
+  const env = { ...process.env, FORCE_COLOR: '0' };
+
+  try {
+    await fs.copyFile(FIXTURE, path.join(workspace, 'petstore.yaml'));
+
+    const { stdout } = await execFileAsync(
+      'node',
+      [CLI_PATH, '--json', 'init', '--from-openapi', '*.yaml'],
+      { cwd: workspace, env }
+    );
+    const report = JSON.parse(stdout.slice(stdout.indexOf('\n{')));
+    assert.equal(report.status, 'created');
+    assert.equal(report.openapi.manifests[0].service, 'Petstore');
+    assert.ok(report.openapi.manifests[0].lossy.length > 0);
+
+    const config = await fs.readFile(path.join(workspace, 'dochealth.config.js'), 'utf8');
+    assert.match(config, /api: '\.\/protocols\/\*\.protocol\.json'/);
+
+    const generated = await execFileAsync('node', [CLI_PATH, 'generate', 'api'], { cwd: workspace, env });
+    assert.match(generated.stdout, /Generated 3 API document\(s\)/);
+
+    // The api glob matches every manifest in the directory but only loads API manifests
+    await fs.copyFile(
+      path.join(PROJECT_ROOT, 'tests', 'fixtures', 'data-protocol.json'),
+      path.join(workspace, 'protocols', 'orders.protocol.json')
+    );
+    const checked = await execFileAsync('node', [CLI_PATH, 'check'], { cwd: workspace, env })
+      .catch(error => error);
+    assert.match(checked.stdout, /Total Protocols: 1\n/);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
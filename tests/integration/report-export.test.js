@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { promisify } = require('node:util');
+const { execFile } = require('node:child_process');
+
+const execFileAsync = promisify(execFile);
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+
+test('dochealth report writes self-contained HTML and Markdown files', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-report-'));
+  const env = { ...process.env, FORCE_COLOR: '0' };
+  try {
+    const htmlPath = path.join(workspace, 'artifacts', 'report.html');
+    const { stdout } = await execFileAsync(
+      'node',
+      [CLI_PATH, 'report', '--path', './src', '--output', htmlPath],
+      { cwd: PROJECT_ROOT, env }
+    );
+    assert.match(stdout, /Report written to/);
+    const html = await fs.readFile(htmlPath, 'utf8');
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<h2>Score Breakdown<\/h2>/);
+    assert.match(html, /<h2>Severity Distribution<\/h2>/);
+
+    // Without --output the document is the only thing on stdout
+    const markdown = await execFileAsync(
+      'node',
+      [CLI_PATH, 'report', '--path', './src', '--format', 'md'],
+      { cwd: PROJECT_ROOT, env, maxBuffer: 20 * 1024 * 1024 }
+    );
+    assert.match(markdown.stdout, /^# Documentation Health Report/);
+    assert.match(markdown.stdout, /## Gap Analysis/);
+    assert.match(markdown.stderr, /Building documentation health report/);
+  } finally {
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CLI_PATH = path.join(PROJECT_ROOT, 'bin', 'dochealth.js');
+const FIXTURE = path.join(PROJECT_ROOT, 'tests', 'fixtures', 'data-protocol.json');
+
+function waitForOutput(child, pattern, timeoutMs = 30000, stream = child.stdout) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      stream.off('data', onData);
+      reject(new Error(`Timed out waiting for ${pattern}; output so far:\n${output}`));
+    }, timeoutMs);
+    function onData(chunk) {
+      output += chunk.toString();
+      if (pattern.test(output)) {
+        clearTimeout(timer);
+        stream.off('data', onData);
+        resolve(output);
+      }
+    }
+    stream.on('data', onData);
+  });
+}
+
+async function writeDataManifest(workspace, name, { documented }) {
+  const manifest = JSON.parse(await fs.readFile(FIXTURE, 'utf8'));
+  manifest.dataset.name = name;
+  if (!documented) {
+    Object.values(manifest.schema.fields).forEach(field => delete field.description);
+  }
+  await fs.writeFile(
+    path.join(workspace, 'protocols', `${name}.protocol.json`),
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+test('dochealth check --watch re-runs changed manifests and prints score deltas', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-watch-'));
+  const manifestPath = path.join(workspace, 'protocols', 'orders.protocol.json');
+  const manifest = JSON.parse(await fs.readFile(FIXTURE, 'utf8'));
+  Object.values(manifest.schema.fields).forEach(field => delete field.description);
+
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+  const child = spawn('node', [CLI_PATH, 'check', '--path', 'protocols', '--watch'], {
+    cwd: workspace,
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+  try {
+    await waitForOutput(child, /Watching protocols for changes/);
+
+    const documented = JSON.parse(await fs.readFile(FIXTURE, 'utf8'));
+    const changed = waitForOutput(child, /user_events: \d+ → \d+ \(\+\d+\)/);
+    await fs.writeFile(manifestPath, JSON.stringify(documented, null, 2));
+    const output = await changed;
+
+    assert.match(output, /↻ .*protocols[\\/]orders\.protocol\.json/);
+    assert.match(output, /Health score: \d+ → \d+ \(\+\d+\)/);
+
+    child.kill('SIGINT');
+    assert.equal(await exited, 0);
+  } finally {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('dochealth check --watch keeps applying the baseline on re-runs', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-watch-'));
+  await fs.mkdir(path.join(workspace, 'protocols'));
+  await writeDataManifest(workspace, 'orders', { documented: false });
+
+  const child = spawn('node', [CLI_PATH, 'check', '--path', 'protocols', '--baseline', '--watch'], {
+    cwd: workspace,
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+  try {
+    await waitForOutput(child, /Watching protocols for changes/);
+
+    const changed = waitForOutput(child, /✗ new coverage:refunds/);
+    const failure = /Health check failing \(exit code: 1\)/;
+    const failing = waitForOutput(child, failure, 30000, child.stderr);
+    await writeDataManifest(workspace, 'refunds', { documented: false });
+    await changed;
+    await failing;
+
+    child.kill('SIGINT');
+    assert.equal(await exited, 0);
+  } finally {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('dochealth check --watch --format sarif keeps score changes off stdout', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-watch-'));
+  await fs.mkdir(path.join(workspace, 'protocols'));
+  await writeDataManifest(workspace, 'orders', { documented: false });
+
+  const child = spawn('node', [CLI_PATH, 'check', '--path', 'protocols', '--format', 'sarif', '--watch'], {
+    cwd: workspace,
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+  let stdout = '';
+  child.stdout.on('data', chunk => { stdout += chunk.toString(); });
+
+  try {
+    await waitForOutput(child, /Watching protocols for changes/, 30000, child.stderr);
+
+    const changed = waitForOutput(child, /Health score: \d+ → \d+/, 30000, child.stderr);
+    await writeDataManifest(workspace, 'orders', { documented: true });
+    await changed;
+
+    child.kill('SIGINT');
+    assert.equal(await exited, 0);
+    assert.equal(JSON.parse(stdout).version, '2.1.0');
+  } finally {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
+
+test('dochealth generate --watch regenerates manifests whose source path changes', { timeout: 120000 }, async () => {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-watch-'));
+  const manifestPath = path.join(workspace, 'protocols', 'nested', 'orders.protocol.json');
+  const sourcePath = path.join(workspace, 'src', 'etl.js');
+  const manifest = JSON.parse(await fs.readFile(FIXTURE, 'utf8'));
+  manifest.maintenance = { freshness_check: { source_code_path: './src/etl.js' } };
+
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  await fs.mkdir(path.dirname(sourcePath), { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  await fs.writeFile(sourcePath, '// v1\n');
+
+  const child = spawn('node', [CLI_PATH, 'generate', 'data', '--path', 'protocols', '--output', 'docs', '--watch'], {
+    cwd: workspace,
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+  try {
+    const started = await waitForOutput(child, /Watching .* for changes/);
+    assert.match(started, /Watching protocols, src for changes/);
+
+    const regenerated = waitForOutput(child, /↻ [^\n]*\n[\s\S]*Generated 1 Data document/);
+    await fs.writeFile(sourcePath, '// v2\n');
+    const output = await regenerated;
+    assert.match(output, /↻ .*src[\\/]etl\.js/);
+
+    child.kill('SIGINT');
+    assert.equal(await exited, 0);
+  } finally {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  generateAgentDocs,
+  formatToolSignature,
+  resolveRelationship
+} = require('../../lib/generators/agent-generator');
+const { renderDocument } = require('../../lib/generators/output-formats');
+
+const agentManifestFixture = require('../fixtures/agent-protocol.json');
+
+const LINKS = [
+  {
+    type: 'api',
+    names: ['billing-api'],
+    title: 'GET /v2/invoices',
+    group: 'billing-api',
+    relativePath: path.join('billing-api', 'list-invoices.md'),
+    endpoint: { method: 'GET', path: '/v2/invoices' }
+  },
+  {
+    type: 'api',
+    names: ['billing-api'],
+    title: 'POST /v2/invoices',
+    group: 'billing-api',
+    relativePath: path.join('billing-api', 'create-invoice.md'),
+    endpoint: { method: 'POST', path: '/v2/invoices' }
+  },
+  {
+    type: 'workflow',
+    names: ['order-fulfillment', 'Order Fulfillment Workflow'],
+    title: 'Order Fulfillment Workflow',
+    relativePath: path.join('workflows', 'order-fulfillment.md')
+  }
+];
+
+function cloneAgent() {
+  return JSON.parse(JSON.stringify(agentManifestFixture));
+}
+
+test('generateAgentDocs documents tools, communication, delegation and linked relationships', async () => {
+  const generation = await generateAgentDocs(cloneAgent(), { links: LINKS });
+  const doc = generation.document.content;
+
+  assert.strictEqual(generation.document.fileName, 'billing-assistant.md');
+  assert.strictEqual(generation.document.frontmatter.unresolvedLinks, 1);
+  assert.strictEqual(generation.document.frontmatter.agentStatus, 'enabled');
+  assert.match(doc, /^slug: \/agents\/billing-assistant$/m);
+  assert.ok(doc.includes(':::generated-section{#agent-billing-assistant data-agent="billing-assistant"'));
+  assert.ok(doc.includes(
+    '`list_invoices(customer_id: string, status?: "open" | "paid", limit?: integer) → InvoiceList`'
+  ));
+  assert.match(doc, /^\| status \| enum \("open", "paid"\) \| No \| — \|$/m);
+  assert.match(doc, /```json\n\{\n {2}"type": "object",/);
+  assert.ok(doc.includes('Implemented by billing-api: [GET /v2/invoices](../billing-api/list-invoices.md)'));
+  assert.match(doc, /^\| mcp \| `https:\/\/agents\.example\.com\/billing\/mcp` \|$/m);
+  assert.ok(doc.includes('Delegated requests must be signed with `ES256`.'));
+  assert.match(doc, /^- \*\*Roles:\*\* `urn:proto:iam:billing-reader@1\.0\.0`$/m);
+  assert.ok(doc.includes('- `urn:proto:api:ledger-api@1.0.0` — not found in the loaded protocols'));
+  assert.ok(doc.includes(
+    '- [Order Fulfillment Workflow](../workflows/order-fulfillment.md) (`urn:proto:workflow:order-fulfillment@3.2.1`)'
+  ));
+  assert.ok(!doc.includes('Delegation policy'), 'a signed delegation setup should not warn');
+});
+
+test('generateAgentDocs flags delegation without a signature algorithm', async () => {
+  const manifest = cloneAgent();
+  delete manifest.authorization.signature_algorithm;
+  manifest.agent.lifecycle.status = 'deprecated';
+
+  const markdown = (await generateAgentDocs(manifest)).document;
+  assert.strictEqual(markdown.frontmatter.deprecated, true);
+  assert.strictEqual(markdown.frontmatter.unresolvedLinks, 3);
+  assert.match(markdown.content, /^> \*\*Delegation policy:\*\*\n>\n> - `authorization\./m);
+  assert.match(markdown.content, /^> - `[a-z._]+` required when delegation\\?_supported=true$/m);
+
+  const site = (await generateAgentDocs(manifest, { format: 'docusaurus' })).document.content;
+  assert.match(site, /^:::warning\[Deprecated\]$/m);
+  assert.match(site, /^:::warning\[Delegation policy\]$/m);
+
+  // MkDocs Material reads `status`, so the lifecycle status has its own key
+  const mkdocs = await renderDocument((await generateAgentDocs(manifest, { format: 'mkdocs' })).document, 'mkdocs');
+  assert.match(mkdocs.content, /^agentStatus: deprecated$/m);
+  assert.match(mkdocs.content, /^status: deprecated$/m);
+});
+
+test('formatToolSignature marks optional parameters and defaults the output to void', () => {
+  assert.strictEqual(formatToolSignature({
+    name: 'draft_invoice',
+    inputSchema: {
+      properties: { customer_id: { type: 'string' }, lines: { type: 'array', items: { type: 'object' } } },
+      required: ['customer_id']
+    }
+  }), 'draft_invoice(customer_id: string, lines?: object[]) → void');
+  assert.strictEqual(formatToolSignature({ name: 'ping', outputSchema: { type: 'boolean' } }), 'ping() → boolean');
+});
+
+test('resolveRelationship matches endpoint anchors, whole services and workflows', () => {
+  const titles = urn => resolveRelationship(urn, LINKS).map(link => link.title);
+
+  assert.deepStrictEqual(titles('urn:proto:api:billing-api@2.1.0#POST-v2-invoices'), ['POST /v2/invoices']);
+  assert.deepStrictEqual(titles('urn:proto:api:billing-api@1.0.0'), ['GET /v2/invoices', 'POST /v2/invoices']);
+  assert.deepStrictEqual(titles('urn:proto:workflow:order-fulfillment@3.2.1#approve'), ['Order Fulfillment Workflow']);
+  assert.deepStrictEqual(titles('urn:proto:api:billing-api@2.1.0#DELETE-v2-invoices'), []);
+  assert.deepStrictEqual(titles('not-a-urn'), []);
+});
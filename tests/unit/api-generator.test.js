@@ -54,6 +54,32 @@ test('renderEndpointMarkdown wraps output in generated-section directives', () =
   assert.ok(markdown.includes('## Parameters'), 'should include parameters section');
 });
 
+test('renderEndpointMarkdown adds a deprecation banner for deprecated endpoints', () => {
+  const manifest = createManifest();
+  manifest.metadata = { ...manifest.metadata, lifecycle: { status: 'ga' } };
+  const endpoint = {
+    ...manifest.interface.endpoints[0],
+    deprecated: true,
+    sunset_at: '2026-06-30',
+    replaced_by: 'GET /v2/invoices'
+  };
+  const health = createHealth(manifest);
+  const args = { manifest, serviceName: manifest.service.name, serviceSlug: 'billing-api', semanticId: 'id', health };
+
+  const markdown = renderEndpointMarkdown({ ...args, endpoint });
+  assert.ok(markdown.includes([
+    '> **Deprecated:**',
+    '>',
+    '> This endpoint is deprecated and will be removed on 2026-06-30.',
+    '>',
+    '> **Migration:** Replaced by GET /v2/invoices'
+  ].join('\n')));
+  assert.strictEqual(buildEndpointFrontmatter({ ...args, endpoint }).sunsetAt, '2026-06-30');
+
+  const current = renderEndpointMarkdown({ ...args, endpoint: manifest.interface.endpoints[0] });
+  assert.ok(!current.includes('**Deprecated:**'));
+});
+
 test('buildEndpointFrontmatter encodes semantic metadata', () => {
   const manifest = createManifest();
   const endpoint = manifest.interface.endpoints[0];
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for lib/importers/asyncapi.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { convertAsyncAPI, importAsyncAPIFile } = require('../../lib/importers/asyncapi');
+
+const FIXTURES = path.join(__dirname, '../fixtures/asyncapi');
+
+async function loadEventProtocolModule() {
+  return import('../../src/event_protocol_v_1_1_1.js');
+}
+
+test('importAsyncAPIFile - should create one event manifest per 2.x channel message', async () => {
+  const { manifests } = await importAsyncAPIFile(path.join(FIXTURES, 'user-events-v2.yaml'));
+
+  assert.deepStrictEqual(manifests.map(item => item.name), ['user.signedup', 'user.deleted', 'user.purged']);
+
+  const signedUp = manifests[0].manifest;
+  assert.deepStrictEqual(signedUp.event, {
+    name: 'user.signedup',
+    version: '1.4.0',
+    lifecycle: { status: 'active' }
+  });
+  assert.deepStrictEqual(signedUp.delivery.contract, {
+    transport: 'kafka',
+    topic: 'user.signedup',
+    guarantees: 'at-least-once',
+    dlq: 'user.signedup.dlq'
+  });
+  assert.deepStrictEqual(signedUp.delivery.bindings.channel, { kafka: { partitions: 12 } });
+  assert.strictEqual(signedUp.schema.payload.properties.address.properties.country.type, 'string');
+
+  assert.strictEqual(manifests[1].manifest.event.lifecycle.status, 'deprecated');
+  assert.strictEqual(manifests[2].manifest.schema.format, 'custom');
+});
+
+test('importAsyncAPIFile - should map PII hints into governance.pii_policy inputs', async () => {
+  const { manifests } = await importAsyncAPIFile(path.join(FIXTURES, 'user-events-v2.yaml'));
+  const { manifest, pii } = manifests[0];
+
+  assert.deepStrictEqual(manifest.governance.policy, { classification: 'pii', legal_basis: 'gdpr' });
+  assert.strictEqual(manifest.schema.payload.properties.email['x-pii'], true);
+  assert.strictEqual(manifest.schema.payload.properties.displayName['x-pii'], true);
+  assert.strictEqual(manifest.schema.payload.properties.plan['x-pii'], undefined);
+  assert.deepStrictEqual(
+    pii.map(item => [item.field, item.source]),
+    [
+      ['email', 'inferred'],
+      ['displayName', 'explicit'],
+      ['address', 'inferred'],
+      ['address.postal_code', 'inferred']
+    ]
+  );
+  assert.strictEqual(manifests[1].manifest.governance, undefined);
+
+  const { createEventProtocol } = await loadEventProtocolModule();
+  const validation = createEventProtocol(manifest).validate(['governance.pii_policy']);
+  assert.strictEqual(validation.ok, true);
+});
+
+test('importAsyncAPIFile - should honour only explicit markers when inference is disabled', async () => {
+  const { manifests } = await importAsyncAPIFile(path.join(FIXTURES, 'user-events-v2.yaml'), {
+    inferPII: false
+  });
+  assert.deepStrictEqual(manifests[0].pii.map(item => item.field), ['displayName']);
+  assert.strictEqual(manifests[0].manifest.schema.payload.properties.email['x-pii'], undefined);
+});
+
+test('importAsyncAPIFile - should read 3.x channels, operations and multi-format payloads', async () => {
+  const { manifests, lossy } = await importAsyncAPIFile(path.join(FIXTURES, 'order-events-v3.yaml'));
+  const [placed, status] = manifests.map(item => item.manifest);
+
+  assert.strictEqual(placed.event.name, 'order.placed');
+  assert.deepStrictEqual(placed.delivery.contract, { transport: 'kafka', topic: 'orders.placed.v2' });
+  assert.deepStrictEqual(placed.schema.compatibility, { policy: 'backward' });
+  assert.deepStrictEqual(placed.schema.payload.required, ['orderId']);
+  assert.deepStrictEqual(placed.metadata.source.actions, ['send']);
+
+  assert.strictEqual(status.event.name, 'OrderStatusChanged');
+  assert.strictEqual(status.delivery.contract.topic, 'orders.{orderId}.status');
+  assert.deepStrictEqual(lossy.map(item => item.path), ['#/channels/orderStatus/parameters']);
+});
+
+test('convertAsyncAPI - should reject unsupported versions and report unknown transports', () => {
+  assert.throws(
+    () => convertAsyncAPI({ asyncapi: '1.2.0' }),
+    error => error.name === 'ImportError' && error.code === 'UNSUPPORTED_VERSION'
+  );
+
+  const { manifests, lossy } = convertAsyncAPI({
+    asyncapi: '2.6.0',
+    info: { title: 'Telemetry', version: '1.0.0' },
+    servers: { broker: { url: 'mqtt://broker', protocol: 'mqtt' } },
+    channels: {
+      'device/temperature': {
+        publish: { message: { name: 'temperature.read', payload: { type: 'object' } } }
+      }
+    }
+  });
+
+  assert.strictEqual(manifests[0].manifest.delivery.contract.transport, undefined);
+  assert.match(lossy[0].reason, /Transport 'mqtt' has no EventManifest equivalent/);
+});
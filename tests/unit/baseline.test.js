@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BaselineError,
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline,
+  ratchetBaseline
+} = require('../../lib/baseline');
+
+function report(score, protocols) {
+  return {
+    health: { score },
+    details: {
+      protocols: protocols.map(({ id, stale = false, coverage = 100 }) => ({
+        id,
+        freshness: { isStale: stale, severity: stale ? 'high' : 'fresh', daysStale: stale ? 20 : 0, hasTimestamps: true },
+        coverage: { coveragePercentage: coverage, totalItems: 10, documentedItems: coverage / 10 }
+      }))
+    }
+  };
+}
+
+test('createBaseline records sorted health-delta issues and the score', () => {
+  const baseline = createBaseline(report(64, [
+    { id: 'orders', coverage: 40 },
+    { id: 'billing', stale: true }
+  ]));
+
+  assert.strictEqual(baseline.version, 1);
+  assert.strictEqual(baseline.score, 64);
+  assert.deepStrictEqual(baseline.issues.map(issue => issue.id), ['coverage:orders', 'freshness:billing']);
+});
+
+test('compareWithBaseline fails on new issues and score drops beyond the tolerance', () => {
+  const baseline = createBaseline(report(64, [
+    { id: 'orders', coverage: 40 },
+    { id: 'billing', stale: true }
+  ]));
+
+  const known = compareWithBaseline(baseline, report(63, [
+    { id: 'orders', coverage: 40 },
+    { id: 'billing', stale: true }
+  ]), { scoreTolerance: 2 });
+  assert.strictEqual(known.passed, true);
+  assert.strictEqual(known.knownIssues.length, 2);
+
+  const regressed = compareWithBaseline(baseline, report(60, [
+    { id: 'orders', coverage: 40 },
+    { id: 'billing' },
+    { id: 'users', coverage: 60 }
+  ]), { scoreTolerance: 2 });
+  assert.strictEqual(regressed.passed, false);
+  assert.deepStrictEqual(regressed.newIssues.map(issue => issue.id), ['coverage:users']);
+  assert.deepStrictEqual(regressed.resolvedIssues.map(issue => issue.id), ['freshness:billing']);
+  assert.deepStrictEqual(regressed.score, {
+    baseline: 64, current: 60, drop: 4, tolerance: 2, regressed: true
+  });
+});
+
+test('ratchetBaseline drops resolved issues and never adopts new ones', () => {
+  const baseline = createBaseline(report(64, [
+    { id: 'orders', coverage: 40 },
+    { id: 'billing', stale: true }
+  ]));
+  const comparison = compareWithBaseline(baseline, report(70, [
+    { id: 'orders', coverage: 40 },
+    { id: 'users', coverage: 60 }
+  ]));
+
+  const { baseline: next, changed } = ratchetBaseline(baseline, comparison);
+  assert.strictEqual(changed, true);
+  assert.strictEqual(next.score, 70);
+  assert.deepStrictEqual(next.issues.map(issue => issue.id), ['coverage:orders']);
+
+  const unchanged = ratchetBaseline(next, compareWithBaseline(next, report(68, [
+    { id: 'orders', coverage: 40 }
+  ])));
+  assert.strictEqual(unchanged.changed, false);
+  assert.strictEqual(unchanged.baseline, next);
+});
+
+test('loadBaseline returns null for a missing file and rejects invalid content', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-baseline-'));
+  try {
+    const filePath = path.join(root, '.dochealth', 'baseline.json');
+    assert.strictEqual(loadBaseline(filePath), null);
+
+    const baseline = createBaseline(report(80, [{ id: 'orders', coverage: 40 }]));
+    saveBaseline(filePath, baseline);
+    assert.deepStrictEqual(loadBaseline(filePath), baseline);
+
+    fs.writeFileSync(filePath, '{"issues": {}}');
+    assert.throws(() => loadBaseline(filePath), error =>
+      error instanceof BaselineError && error.code === 'BASELINE_INVALID'
+    );
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for lib/config.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { Command } = require('commander');
+const {
+  loadConfig,
+  validateConfig,
+  resolveProtocolPatterns,
+  resolveOption,
+  ConfigError,
+  DEFAULT_CONFIG
+} = require('../../lib/config');
+const { loadProtocols } = require('../../lib/loader');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-config-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('loadConfig - should fall back to defaults when the default file is missing', () => {
+  const result = loadConfig('missing.config.js', { cwd: os.tmpdir() });
+
+  assert.strictEqual(result.source, 'defaults');
+  assert.strictEqual(result.path, null);
+  assert.deepStrictEqual(result.config.thresholds, DEFAULT_CONFIG.thresholds);
+});
+
+test('loadConfig - should throw when an explicit config file is missing', () => {
+  assert.throws(
+    () => loadConfig('missing.config.js', { cwd: os.tmpdir(), required: true }),
+    error => error instanceof ConfigError && error.code === 'CONFIG_NOT_FOUND'
+  );
+});
+
+test('loadConfig - should load the repository dochealth.config.js', () => {
+  const result = loadConfig('dochealth.config.js', { cwd: PROJECT_ROOT });
+
+  assert.strictEqual(result.source, 'file');
+  assert.strictEqual(result.rootDir, PROJECT_ROOT);
+  assert.strictEqual(result.config.thresholds.maxStaleDays, 30);
+  assert.strictEqual(result.config.output.directory, './docs');
+});
+
+test('loadConfig - should load JSON and YAML configs merged over defaults', async () => {
+  await withTempDir(async dir => {
+    await fs.writeFile(
+      path.join(dir, 'dochealth.config.json'),
+      JSON.stringify({ thresholds: { healthScore: 85 } })
+    );
+    await fs.writeFile(
+      path.join(dir, 'dochealth.config.yaml'),
+      'output:\n  format: mkdocs\nprotocols:\n  - manifests/*.protocol.yaml\n'
+    );
+
+    const json = loadConfig('dochealth.config.json', { cwd: dir });
+    assert.strictEqual(json.config.thresholds.healthScore, 85);
+    assert.strictEqual(json.config.thresholds.maxStaleDays, DEFAULT_CONFIG.thresholds.maxStaleDays);
+
+    const yamlResult = loadConfig('dochealth.config.yaml', { cwd: dir });
+    assert.strictEqual(yamlResult.config.output.format, 'mkdocs');
+    assert.strictEqual(yamlResult.config.output.directory, './docs');
+    assert.deepStrictEqual(resolveProtocolPatterns(yamlResult.config), ['manifests/*.protocol.yaml']);
+  });
+});
+
+test('loadConfig - should reject ESM-only .mjs configs as unsupported', async () => {
+  await withTempDir(async dir => {
+    await fs.writeFile(path.join(dir, 'dochealth.config.mjs'), 'export default {};\n');
+
+    assert.throws(
+      () => loadConfig('dochealth.config.mjs', { cwd: dir }),
+      error => error instanceof ConfigError && error.code === 'CONFIG_UNSUPPORTED'
+    );
+  });
+});
+
+test('loadConfig - should reject invalid configs with every issue listed', async () => {
+  await withTempDir(async dir => {
+    await fs.writeFile(
+      path.join(dir, 'bad.config.json'),
+      JSON.stringify({
+        thresholds: { healthScore: 120, maxStaleDays: 'soon' },
+        protocols: { graphql: './schemas/*.graphql' },
+        colors: true
+      })
+    );
+
+    assert.throws(
+      () => loadConfig('bad.config.json', { cwd: dir }),
+      error => {
+        assert.ok(error instanceof ConfigError);
+        const messages = error.issues.map(issue => issue.message).join('\n');
+        assert.match(messages, /thresholds\.healthScore must be <= 100/);
+        assert.match(messages, /thresholds\.maxStaleDays must be of type number/);
+        assert.match(messages, /Unknown protocol type 'graphql'/);
+        assert.match(messages, /Unknown config key 'colors'/);
+        return true;
+      }
+    );
+  });
+});
+
+test('validateConfig - should reject non-object configs', () => {
+  const result = validateConfig(['not', 'an', 'object']);
+  assert.strictEqual(result.valid, false);
+  assert.match(result.issues[0].message, /must export an object/);
+});
+
+test('resolveProtocolPatterns - should keep the type of each pattern in a type map', () => {
+  assert.strictEqual(resolveProtocolPatterns({ protocols: null }), null);
+  assert.deepStrictEqual(resolveProtocolPatterns({ protocols: 'src/*.js' }), ['src/*.js']);
+  assert.deepStrictEqual(
+    resolveProtocolPatterns({ protocols: { api: './src/api_*.js', data: ['a.json', 'b.yaml'] } }),
+    [
+      { pattern: './src/api_*.js', type: 'api' },
+      { pattern: 'a.json', type: 'data' },
+      { pattern: 'b.yaml', type: 'data' }
+    ]
+  );
+  assert.deepStrictEqual(
+    resolveProtocolPatterns({ protocols: { documentation: 'docs/*.json' } }),
+    [{ pattern: 'docs/*.json', type: 'docs' }]
+  );
+});
+
+test('resolveProtocolPatterns - type map keys should filter loaded manifests', async () => {
+  await withTempDir(async dir => {
+    const fixtures = path.join(PROJECT_ROOT, 'tests', 'fixtures');
+    await fs.mkdir(path.join(dir, 'protocols'));
+    for (const name of ['api-protocol.json', 'data-protocol.json', 'event-protocol.json']) {
+      await fs.copyFile(path.join(fixtures, name), path.join(dir, 'protocols', name));
+    }
+
+    const typed = await loadProtocols(dir, {
+      patterns: resolveProtocolPatterns({ protocols: { api: './protocols/*.json' } })
+    });
+    assert.deepStrictEqual(typed.protocols.map(p => p.type), ['api']);
+    assert.strictEqual(typed.stats.total, 1);
+
+    const mixed = await loadProtocols(dir, {
+      patterns: [{ pattern: 'protocols/*.json', type: 'api' }, 'protocols/event-*.json']
+    });
+    assert.deepStrictEqual(mixed.protocols.map(p => p.type).sort(), ['api', 'event']);
+  });
+});
+
+test('resolveProtocolPatterns - config globs should feed loadProtocols', async () => {
+  const { config, rootDir } = loadConfig('dochealth.config.js', { cwd: PROJECT_ROOT });
+  const results = await loadProtocols(rootDir, { patterns: resolveProtocolPatterns(config) });
+
+  const types = results.protocols.map(p => p.type).sort();
+  assert.deepStrictEqual(types, ['api', 'data', 'docs', 'semantic', 'workflow']);
+});
+
+test('resolveOption - CLI flags should override config values', () => {
+  const command = new Command()
+    .exitOverride()
+    .option('--format <format>', 'format', 'markdown')
+    .option('--output <path>', 'output', './docs');
+
+  command.parse(['node', 'dochealth', '--format', 'docusaurus']);
+
+  assert.strictEqual(resolveOption(command, 'format', 'mkdocs'), 'docusaurus');
+  assert.strictEqual(resolveOption(command, 'output', './site'), './site');
+  assert.strictEqual(resolveOption(command, 'output', undefined), './docs');
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeContentQuality, lintText } = require('../../lib/content-quality');
+const { analyzeCoverage, analyzeMultipleProtocols } = require('../../lib/analyzer');
+const { calculateHealthScore } = require('../../lib/reporter');
+
+const apiManifest = {
+  service: { name: 'orders' },
+  interface: {
+    endpoints: [
+      { method: 'GET', path: '/users', summary: 'TBD', responses: [{ status: 200 }] },
+      { method: 'GET', path: '/orders', summary: 'Orders', responses: [{ status: 200 }] },
+      { method: 'GET', path: '/items', summary: 'List catalog items by page', responses: [{ status: 200 }] },
+      { method: 'GET', path: '/products', summary: 'List catalog items by page', responses: [{ status: 200 }] },
+      {
+        method: 'POST',
+        path: '/orders',
+        summary: 'Create an order for the signed-in customer',
+        description: 'Describe usage, parameters, examples…',
+        responses: [{ status: 201 }]
+      }
+    ]
+  }
+};
+
+test('lintText flags placeholders, short text and text that repeats the name', () => {
+  const entry = (name, text) => ({ kind: 'field', name, field: 'description', text });
+
+  assert.deepStrictEqual(lintText(entry('id', 'TODO: fill in')).map(issue => issue.rule), ['placeholder']);
+  assert.deepStrictEqual(lintText(entry('id', 'n/a.')).map(issue => issue.rule), ['placeholder']);
+  assert.deepStrictEqual(lintText(entry('user_id', 'User ID')).map(issue => issue.rule), ['same-as-name']);
+  assert.deepStrictEqual(lintText(entry('email', 'Email address')).map(issue => issue.rule), ['too-short']);
+  assert.deepStrictEqual(lintText(entry('email', 'Email address'), { minWords: 2 }), []);
+  assert.deepStrictEqual(
+    lintText(entry('email', 'Legacy field, see the wiki'), { placeholders: ['see the wiki'] })
+      .map(issue => issue.rule),
+    ['placeholder']
+  );
+});
+
+test('analyzeContentQuality scores API summaries and flags duplicates across endpoints', () => {
+  const quality = analyzeContentQuality(apiManifest, 'api');
+
+  assert.strictEqual(quality.checkedItems, 6);
+  assert.strictEqual(quality.flaggedItems, 4);
+  assert.strictEqual(quality.qualityScore, 2 / 6);
+  assert.deepStrictEqual(quality.issues.map(issue => [issue.rule, issue.name, issue.field]), [
+    ['placeholder', 'GET /users', 'summary'],
+    ['same-as-name', 'GET /orders', 'summary'],
+    ['duplicate', 'GET /products', 'summary'],
+    ['placeholder', 'POST /orders', 'description']
+  ]);
+  assert.match(quality.issues[2].message, /duplicates endpoint GET \/items/);
+});
+
+test('analyzeCoverage does not count placeholder text as documented', () => {
+  const coverage = analyzeCoverage(apiManifest, 'api');
+
+  // GET /users only has a TBD summary; the one-word GET /orders summary is a quality issue only
+  assert.strictEqual(coverage.documentedItems, 4);
+  assert.strictEqual(coverage.coveragePercentage, 0.8);
+  assert.deepStrictEqual(
+    coverage.missingDocumentation.map(item => `${item.method} ${item.path}`),
+    ['GET /users']
+  );
+  assert.strictEqual(coverage.qualityScore, coverage.quality.qualityScore);
+  assert.ok(coverage.recommendations.includes('4 of 6 descriptions need better content'));
+
+  const lenient = analyzeCoverage(apiManifest, 'api', { quality: { minWords: 1 } });
+  assert.strictEqual(lenient.quality.flaggedItems, 4);
+  assert.strictEqual(lenient.documentedItems, 4);
+
+  const empty = analyzeCoverage({ schema: { fields: {} } }, 'data');
+  assert.strictEqual(empty.quality.checkedItems, 0);
+  assert.strictEqual(empty.qualityScore, 1);
+});
+
+test('placeholder descriptions lower the health score', () => {
+  const dataset = description => ({
+    dataset: { name: 'customers', lifecycle: { status: 'active' } },
+    schema: {
+      fields: {
+        id: { description: 'Unique customer identifier' },
+        email: { description }
+      }
+    }
+  });
+  const score = description =>
+    calculateHealthScore(analyzeMultipleProtocols([dataset(description)], ['data'])).overallScore;
+
+  const documented = score('Primary contact email address');
+  assert.ok(score('TBD') < documented);
+  assert.strictEqual(score('TBD'), score(undefined));
+  // Short text is reported by the quality sub-score without changing coverage
+  assert.strictEqual(score('Email address'), documented);
+});
+
+test('protocol summaries aggregate content quality', () => {
+  const results = analyzeMultipleProtocols([
+    apiManifest,
+    { dataset: { name: 'events' }, schema: { fields: { id: { description: 'Unique event identifier' } } } }
+  ], ['api', 'data']);
+
+  assert.deepStrictEqual(results.qualitySummary, {
+    checkedItems: 7,
+    flaggedItems: 4,
+    qualityPercentage: 43
+  });
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ContractDriftError,
+  diffManifests,
+  detectContractDrift,
+  loadDriftState
+} = require('../../lib/contract-drift');
+
+const ordersV1 = {
+  dataset: { name: 'orders', type: 'fact-table' },
+  schema: {
+    fields: {
+      id: { type: 'string', required: true },
+      total: { type: 'number' },
+      note: { type: 'string' }
+    }
+  }
+};
+
+const ordersV2 = {
+  dataset: { name: 'orders', type: 'fact-table' },
+  schema: {
+    fields: {
+      id: { type: 'string', required: true },
+      total: { type: 'string' }
+    }
+  }
+};
+
+const entry = (manifest, docsHash) => ({
+  key: 'manifests/orders.json',
+  id: 'orders',
+  type: 'data',
+  manifest,
+  docsHash
+});
+
+test('diffManifests reports breaking data changes from the protocol diff', () => {
+  const { breaking } = diffManifests('data', ordersV1, ordersV2);
+  const reasons = breaking.map(change => `${change.reason} ${change.path}`);
+
+  assert.ok(reasons.includes('column type changed schema.fields.total.type'));
+  assert.ok(reasons.includes('column dropped schema.fields.note'));
+  assert.deepStrictEqual(diffManifests('data', ordersV1, ordersV1).breaking, []);
+});
+
+test('detectContractDrift flags breaking changes until the docs change', () => {
+  const now = new Date('2025-03-01T00:00:00Z');
+  const first = detectContractDrift([entry(ordersV1, 'docs-a')], {}, { now });
+  assert.strictEqual(first.undocumented, 0);
+  assert.deepStrictEqual(first.protocols, []);
+
+  const changed = detectContractDrift([entry(ordersV2, 'docs-a')], first.state.protocols, { now });
+  assert.ok(changed.undocumented >= 2);
+  assert.strictEqual(changed.protocols[0].protocolId, 'orders');
+  assert.strictEqual(changed.protocols[0].undocumented[0].detectedAt, now.toISOString());
+  assert.strictEqual(changed.protocols[0].undocumented[0].docsHash, undefined);
+
+  const later = new Date('2025-03-05T00:00:00Z');
+  const carried = detectContractDrift([entry(ordersV2, 'docs-a')], changed.state.protocols, { now: later });
+  assert.strictEqual(carried.undocumented, changed.undocumented);
+  assert.strictEqual(carried.protocols[0].undocumented[0].detectedAt, now.toISOString());
+
+  const regenerated = detectContractDrift([entry(ordersV2, 'docs-b')], carried.state.protocols, { now: later });
+  assert.strictEqual(regenerated.undocumented, 0);
+  assert.strictEqual(regenerated.protocols[0].documented.length, changed.undocumented);
+  assert.strictEqual(regenerated.state.protocols['manifests/orders.json'].pending, undefined);
+});
+
+test('detectContractDrift counts breaking changes shipped with updated docs as documented', () => {
+  const first = detectContractDrift([entry(ordersV1, 'docs-a')]);
+  const result = detectContractDrift([entry(ordersV2, 'docs-b')], first.state.protocols);
+
+  assert.strictEqual(result.undocumented, 0);
+  assert.ok(result.protocols[0].documented.length >= 2);
+});
+
+test('loadDriftState returns null for a missing file and rejects invalid state', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-drift-'));
+  try {
+    assert.strictEqual(loadDriftState(path.join(dir, 'missing.json')), null);
+
+    const invalid = path.join(dir, 'manifests.json');
+    fs.writeFileSync(invalid, JSON.stringify({ protocols: [] }));
+    assert.throws(() => loadDriftState(invalid), error =>
+      error instanceof ContractDriftError && error.code === 'DRIFT_STATE_INVALID');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,178 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  analyzeCoverage,
+  analyzeMultipleProtocols
+} = require('../../lib/analyzer');
+
+test('event coverage checks payload field descriptions', () => {
+  const coverage = analyzeCoverage({
+    event: { name: 'order.created' },
+    schema: {
+      fields: [
+        { name: 'order_id', type: 'string', description: 'Order identifier' },
+        { name: 'total', type: 'number' }
+      ]
+    }
+  }, 'event');
+
+  assert.strictEqual(coverage.totalItems, 2);
+  assert.strictEqual(coverage.documentedItems, 1);
+  assert.strictEqual(coverage.coveragePercentage, 0.5);
+  assert.deepStrictEqual(coverage.missingDocumentation, [{
+    kind: 'field',
+    name: 'total',
+    reference: 'field total',
+    missingFields: ['description']
+  }]);
+});
+
+test('event coverage falls back to JSON Schema payload properties', () => {
+  const coverage = analyzeCoverage({
+    event: { name: 'order.shipped' },
+    schema: {
+      payload: {
+        properties: {
+          order_id: { type: 'string', description: 'Order identifier' },
+          carrier: { type: 'string', description: 'Shipping carrier' }
+        }
+      }
+    }
+  }, 'event');
+
+  assert.strictEqual(coverage.totalItems, 2);
+  assert.strictEqual(coverage.coverageScore, 1);
+});
+
+test('ui coverage checks props and states separately', () => {
+  const coverage = analyzeCoverage({
+    component: { id: 'button', name: 'Button' },
+    data: {
+      props: [
+        { name: 'label', type: 'string', description: 'Visible text' },
+        { name: 'variant', type: 'enum' }
+      ]
+    },
+    behavior: {
+      states: {
+        idle: { description: 'Ready for input' },
+        loading: {}
+      }
+    }
+  }, 'ui');
+
+  assert.strictEqual(coverage.totalItems, 4);
+  assert.strictEqual(coverage.documentedItems, 2);
+  assert.deepStrictEqual(coverage.breakdown, {
+    prop: { total: 2, documented: 1 },
+    state: { total: 2, documented: 1 }
+  });
+  assert.deepStrictEqual(
+    coverage.missingDocumentation.map(gap => gap.reference),
+    ['prop variant', 'state loading']
+  );
+});
+
+test('agent coverage checks tools, resources and prompts', () => {
+  const coverage = analyzeCoverage({
+    agent: { id: 'support', name: 'Support Agent' },
+    capabilities: {
+      tools: [{ name: 'lookup_order', description: 'Find an order by id' }, { name: 'refund' }],
+      resources: [{ uri: 'kb://articles', name: 'Articles' }],
+      prompts: [{ name: 'triage', description: 'Classify a ticket' }]
+    }
+  }, 'agent');
+
+  assert.strictEqual(coverage.totalItems, 4);
+  assert.strictEqual(coverage.documentedItems, 2);
+  const resourceGap = coverage.missingDocumentation.find(gap => gap.kind === 'resource');
+  assert.deepStrictEqual(resourceGap.missingFields, ['mimeType']);
+  assert.strictEqual(resourceGap.name, 'kb://articles');
+});
+
+test('identity coverage resolves inherited permissions', () => {
+  const coverage = analyzeCoverage({
+    identity: { id: 'svc-billing', type: 'service' },
+    authz: {
+      roles: ['admin', 'auditor', 'guest'],
+      permissions: { viewer: ['invoice:read'] },
+      roles_graph: { inherits: { auditor: ['viewer'], admin: ['admin'] } }
+    }
+  }, 'identity');
+
+  assert.strictEqual(coverage.totalItems, 4);
+  assert.strictEqual(coverage.documentedItems, 2);
+  assert.deepStrictEqual(
+    coverage.missingDocumentation.map(gap => gap.name).sort(),
+    ['admin', 'guest']
+  );
+  assert.deepStrictEqual(coverage.missingDocumentation[0].missingFields, ['permissions']);
+});
+
+test('semantic coverage checks binding purposes', () => {
+  const coverage = analyzeCoverage({
+    id: 'checkout',
+    context: {
+      protocolBindings: {
+        api: [{ urn: 'urn:proto:api:billing@1.0.0', purpose: 'Charges the customer' }],
+        event: [{ urn: 'urn:proto:event:order.created@1.0.0' }],
+        workflow: [],
+        data: []
+      }
+    }
+  }, 'semantic');
+
+  assert.strictEqual(coverage.totalItems, 2);
+  assert.strictEqual(coverage.documentedItems, 1);
+  assert.strictEqual(
+    coverage.missingDocumentation[0].reference,
+    'event binding urn:proto:event:order.created@1.0.0'
+  );
+});
+
+test('docs coverage matches navigation entries to sections and pages', () => {
+  const coverage = analyzeCoverage({
+    documentation: { id: 'guide', title: 'Guide' },
+    structure: {
+      navigation: [
+        { id: 'intro', title: 'Intro' },
+        {
+          id: 'usage',
+          title: 'Usage',
+          children: [
+            { id: 'cli', title: 'CLI', href: '/cli-reference' },
+            { id: 'faq', title: 'FAQ' }
+          ]
+        }
+      ],
+      sections: [{ id: 'intro', title: 'Intro', body: 'Hello' }, { id: 'usage', title: 'Usage' }]
+    },
+    content: { pages: { 'cli-reference': { title: 'CLI', body: '...' } } }
+  }, 'docs');
+
+  assert.strictEqual(coverage.totalItems, 4);
+  assert.strictEqual(coverage.documentedItems, 3);
+  assert.deepStrictEqual(coverage.missingDocumentation[0], {
+    kind: 'navigation',
+    name: 'faq',
+    reference: 'navigation faq',
+    missingFields: ['section']
+  });
+});
+
+test('protocols without documentable items score 0 with a recommendation', () => {
+  const coverage = analyzeCoverage({ component: { name: 'Empty' } }, 'ui');
+  assert.strictEqual(coverage.coverageScore, 0);
+  assert.deepStrictEqual(coverage.recommendations, ['No props or states found in UI component']);
+});
+
+test('coverage summary aggregates item counts across all protocol types', () => {
+  const results = analyzeMultipleProtocols([
+    { service: { name: 'billing' }, interface: { endpoints: [{ path: '/a', summary: 'A', params: [{}] }] } },
+    { event: { name: 'order.created' }, schema: { fields: [{ name: 'id' }] } }
+  ], ['api', 'event']);
+
+  assert.deepStrictEqual(results.protocols.map(p => p.id), ['billing', 'order.created']);
+  assert.strictEqual(results.coverageSummary.totalItems, 2);
+  assert.strictEqual(results.coverageSummary.documentedItems, 1);
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for lib/docs-diff.js and lib/merge/unified-diff.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffDocument, SECTION_STATUS } = require('../../lib/docs-diff');
+const { createUnifiedDiff } = require('../../lib/merge/unified-diff');
+
+function buildDoc(sections) {
+  const blocks = Object.entries(sections).map(
+    ([id, body]) => `:::generated-section{#${id}}\n${body}\n:::`
+  );
+  return `# Doc\n\n${blocks.join('\n\n')}\n`;
+}
+
+test('createUnifiedDiff - should emit hunks with context lines', () => {
+  const before = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\n';
+  const after = 'one\ntwo\nTHREE\nfour\nfive\nsix\nseven\neight\nnine\n';
+
+  const diff = createUnifiedDiff(before, after, { fromFile: 'a/doc.md', toFile: 'b/doc.md', context: 1 });
+
+  assert.strictEqual(
+    diff,
+    [
+      '--- a/doc.md',
+      '+++ b/doc.md',
+      '@@ -2,3 +2,3 @@',
+      ' two',
+      '-three',
+      '+THREE',
+      ' four',
+      '@@ -8 +8,2 @@',
+      ' eight',
+      '+nine',
+      ''
+    ].join('\n')
+  );
+});
+
+test('createUnifiedDiff - should return an empty string for identical text', () => {
+  assert.strictEqual(createUnifiedDiff('same\n', 'same\n'), '');
+});
+
+test('diffDocument - should classify in-sync, outdated, hand-edited and missing sections', async () => {
+  const base = buildDoc({ summary: 'Original summary', params: 'No params', errors: 'No errors' });
+  const local = buildDoc({ summary: 'Original summary', params: 'Hand-written params', errors: 'No errors' });
+  const remote = buildDoc({
+    summary: 'Updated summary',
+    params: 'No params',
+    errors: 'No errors',
+    pagination: 'Cursor based'
+  });
+
+  const result = await diffDocument({
+    relativePath: 'api/orders.md',
+    localContent: local,
+    remoteContent: remote,
+    baseContent: base
+  });
+
+  const statuses = Object.fromEntries(result.sections.map(section => [section.id, section.status]));
+  assert.deepStrictEqual(statuses, {
+    summary: SECTION_STATUS.OUTDATED,
+    params: SECTION_STATUS.HAND_EDITED,
+    errors: SECTION_STATUS.IN_SYNC,
+    pagination: SECTION_STATUS.MISSING
+  });
+  assert.strictEqual(result.status, 'drifted');
+
+  const summary = result.sections.find(section => section.id === 'summary');
+  assert.match(summary.diff, /^--- a\/api\/orders\.md#summary$/m);
+  assert.match(summary.diff, /^-Original summary$/m);
+  assert.match(summary.diff, /^\+Updated summary$/m);
+
+  const params = result.sections.find(section => section.id === 'params');
+  assert.strictEqual(params.generatorChanged, false);
+  assert.strictEqual(result.sections.find(section => section.id === 'errors').diff, undefined);
+});
+
+test('diffDocument - should report orphaned sections and missing files', async () => {
+  const base = buildDoc({ summary: 'Summary', legacy: 'Old endpoint' });
+  const local = buildDoc({ summary: 'Summary', legacy: 'Old endpoint', notes: 'Team notes' });
+  const remote = buildDoc({ summary: 'Summary' });
+
+  const result = await diffDocument({
+    relativePath: 'api/orders.md',
+    localContent: local,
+    remoteContent: remote,
+    baseContent: base
+  });
+
+  assert.deepStrictEqual(
+    result.sections.map(section => [section.id, section.status]),
+    [['summary', SECTION_STATUS.IN_SYNC], ['legacy', SECTION_STATUS.ORPHANED]]
+  );
+
+  const missing = await diffDocument({
+    relativePath: 'api/orders.md',
+    localContent: null,
+    remoteContent: remote
+  });
+  assert.strictEqual(missing.status, SECTION_STATUS.MISSING);
+  assert.strictEqual(missing.sections[0].status, SECTION_STATUS.MISSING);
+});
+
+test('diffDocument - should treat changed sections without a BASE snapshot as outdated', async () => {
+  const result = await diffDocument({
+    relativePath: 'data/users.md',
+    localContent: buildDoc({ schema: 'Old schema' }),
+    remoteContent: buildDoc({ schema: 'New schema' }),
+    baseContent: null
+  });
+
+  assert.strictEqual(result.hasBase, false);
+  assert.strictEqual(result.sections[0].status, SECTION_STATUS.OUTDATED);
+});
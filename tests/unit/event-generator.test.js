@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  generateEventDocs,
+  collectPayloadFields,
+  collectParticipants
+} = require('../../lib/generators/event-generator');
+
+const eventManifestFixture = require('../fixtures/event-protocol.json');
+
+function cloneEvent() {
+  return JSON.parse(JSON.stringify(eventManifestFixture));
+}
+
+test('generateEventDocs documents payload, delivery contract and compatibility', async () => {
+  const generation = await generateEventDocs(cloneEvent());
+  const doc = generation.document.content;
+
+  assert.strictEqual(generation.document.fileName, 'payment-completed.md');
+  assert.match(doc, /^slug: \/events\/payment-completed$/m);
+  assert.ok(doc.includes(':::generated-section{#event-payment-completed data-event="payment.completed"'));
+  assert.match(doc, /^\| customer\.phone \| string \| No \| 🔐 Yes \| Contact number \|$/m);
+  assert.match(doc, /^\| email \| string \(email\) \| No \| 🔐 Yes \| Receipt address \|$/m);
+  assert.match(doc, /^- \*\*Ordering:\*\* Per partition, keyed by the Kafka message key$/m);
+  assert.match(doc, /^- \*\*Retries:\*\* exponential backoff$/m);
+  assert.match(doc, /^- \*\*Dead-letter Queue:\*\* `billing\.payments\.dlq`$/m);
+  assert.match(doc, /^- \*\*PII Fields:\*\* `email`, `customer\.phone`$/m);
+  assert.match(doc, /^\| 1\.1\.0 \| ✅ Yes \| Compatible: consumer version ≤ producer version \|$/m);
+  assert.match(doc, /^\| 1\.0\.0 \| ✅ Yes \| Compatible: listed in compatible versions \|$/m);
+  assert.ok(!doc.includes('2.0.0'), 'only declared versions are listed');
+  assert.match(doc, /```javascript\n\/\*\*\n \* Auto-generated consumer for: payment\.completed/);
+  assert.match(doc, /export async function handlePaymentCompleted\(event\)/);
+  assert.ok(!doc.includes('PII policy'), 'a complete PII policy should not warn');
+});
+
+test('generateEventDocs flags PII policy gaps and deprecations in the output format', async () => {
+  const manifest = cloneEvent();
+  delete manifest.delivery.contract.dlq;
+  delete manifest.governance;
+  manifest.event.lifecycle = {
+    status: 'deprecated',
+    sunset_at: '2027-03-01',
+    replaced_by: 'payment.settled'
+  };
+
+  const generation = await generateEventDocs(manifest, { format: 'docusaurus' });
+  const doc = generation.document.content;
+
+  assert.strictEqual(generation.document.frontmatter.deprecated, true);
+  assert.strictEqual(generation.document.frontmatter.sunsetAt, '2027-03-01');
+  assert.match(doc, /^:::warning\[Deprecated\]$/m);
+  assert.match(doc, /^This event is deprecated and will be removed on 2027-03-01\.$/m);
+  assert.match(doc, /\*\*Migration:\*\* Replaced by payment\.settled/);
+  assert.match(doc, /^:::warning\[PII policy\]$/m);
+  assert.match(doc, /PII events with retries should declare a DLQ \(`delivery\.contract\.dlq`\)/);
+  assert.match(doc, /^- \*\*Dead-letter Queue:\*\* None declared$/m);
+});
+
+test('generateEventDocs writes PII policy warnings as a blockquote in plain Markdown', async () => {
+  const manifest = cloneEvent();
+  delete manifest.governance;
+
+  const { document } = await generateEventDocs(manifest);
+
+  assert.match(document.content, /^> \*\*PII policy:\*\*\n>\n> - PII fields present/m);
+  assert.ok(!document.content.includes('\\:::'), 'no escaped directive fences');
+});
+
+test('collectPayloadFields reads flat schema.fields lists', () => {
+  const fields = collectPayloadFields({
+    fields: [
+      { name: 'order_id', type: 'string', required: true },
+      { name: 'email', type: 'string', pii: true, description: 'Buyer email' }
+    ]
+  });
+
+  assert.deepStrictEqual(fields, {
+    order_id: { type: 'string', required: true, pii: false, description: undefined },
+    email: { type: 'string', required: false, pii: true, description: 'Buyer email' }
+  });
+});
+
+test('collectParticipants combines the manifest owner with workflow steps', () => {
+  const workflows = [
+    {
+      workflow: { id: 'fulfil', name: 'Fulfil' },
+      steps: [
+        { id: 'charge', type: 'service', service: 'billing.charge', produces: ['payment.completed'] },
+        { id: 'retry', type: 'service', service: 'billing.retry', produces: 'payment.completed' },
+        // A single produced event is compared whole, not as a substring
+        { id: 'reverse', type: 'service', service: 'billing.reverse', produces: 'payment.completed.reversed' },
+        { id: 'ship', type: 'service', service: 'shipping.dispatch', consumes: 'payment.completed' },
+        { id: 'notify', type: 'event', consumes: ['payment.completed', 'order.shipped'] },
+        { id: 'audit', type: 'service', service: 'audit.log', consumes: 'order.shipped' }
+      ]
+    }
+  ];
+
+  assert.deepStrictEqual(collectParticipants(cloneEvent(), workflows), {
+    producers: ['billing-service', 'billing.charge', 'billing.retry'],
+    consumers: ['Fulfil → notify', 'shipping.dispatch']
+  });
+});
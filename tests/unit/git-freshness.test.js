@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { resolveGitTimestamps, getLastCommitDate } = require('../../lib/git-freshness');
+const { planDocumentPaths } = require('../../lib/generator-pipeline');
+const { analyzeFreshness, extractTimestamps } = require('../../lib/analyzer');
+
+const dataManifestFixture = require('../fixtures/data-protocol.json');
+
+function commitAt(cwd, files, isoDate) {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+    fs.writeFileSync(path.join(cwd, file), content);
+  });
+  const env = { ...process.env, GIT_AUTHOR_DATE: isoDate, GIT_COMMITTER_DATE: isoDate };
+  execFileSync('git', ['add', '-A'], { cwd, env });
+  execFileSync(
+    'git',
+    ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', isoDate],
+    { cwd, env }
+  );
+}
+
+function createDataEntry() {
+  const manifest = JSON.parse(JSON.stringify(dataManifestFixture));
+  manifest.maintenance = {
+    freshness_check: {
+      enabled: true,
+      source_code_path: './src/etl.js',
+      last_code_change_at: '2024-06-01T00:00:00Z'
+    }
+  };
+  manifest.lifecycle = { updated_at: '2024-06-02T00:00:00Z' };
+  return { type: 'data', path: 'data.protocol.json', protocol: { manifest: () => manifest } };
+}
+
+test('resolveGitTimestamps reads code and generated doc commit dates', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-git-'));
+  try {
+    execFileSync('git', ['init', '-q'], { cwd: root });
+    const entry = createDataEntry();
+    const docsPath = path.join(root, 'docs');
+    const [docPath] = await planDocumentPaths(entry, { outputDir: docsPath });
+
+    commitAt(root, { [path.join('docs', docPath)]: '# Dataset\n' }, '2025-01-05T12:00:00Z');
+    commitAt(root, { 'src/etl.js': 'module.exports = {};\n' }, '2025-01-20T12:00:00Z');
+
+    const result = await resolveGitTimestamps([entry], { rootDir: root, docsPath });
+    assert.strictEqual(result.available, true);
+    assert.deepStrictEqual(result.timestamps, [{
+      lastCodeChange: '2025-01-20T12:00:00.000Z',
+      lastDocUpdate: '2025-01-05T12:00:00.000Z'
+    }]);
+
+    const freshness = analyzeFreshness(entry.protocol.manifest(), {
+      gitTimestamps: result.timestamps[0]
+    });
+    assert.strictEqual(freshness.isStale, true);
+    assert.strictEqual(freshness.daysStale, 15);
+    assert.deepStrictEqual(freshness.timestampSources, {
+      lastCodeChange: 'git',
+      lastDocUpdate: 'git'
+    });
+
+    assert.strictEqual(await getLastCommitDate(['src/missing.js'], { cwd: root }), null);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('resolveGitTimestamps reports unavailable outside a repository', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-nogit-'));
+  try {
+    const result = await resolveGitTimestamps([createDataEntry()], {
+      rootDir: root,
+      docsPath: path.join(root, 'docs')
+    });
+    assert.strictEqual(result.available, false);
+    assert.deepStrictEqual(result.timestamps, [{}]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('extractTimestamps falls back to manifest values per timestamp', () => {
+  const manifest = createDataEntry().protocol.manifest();
+  const timestamps = extractTimestamps(manifest, { lastCodeChange: '2025-01-20T12:00:00.000Z' });
+
+  assert.strictEqual(timestamps.lastCodeChange, '2025-01-20T12:00:00.000Z');
+  assert.strictEqual(timestamps.lastDocUpdate, '2024-06-02T00:00:00Z');
+  assert.deepStrictEqual(timestamps.sources, { lastCodeChange: 'git', lastDocUpdate: 'manifest' });
+  assert.deepStrictEqual(extractTimestamps({}).sources, {
+    lastCodeChange: null,
+    lastDocUpdate: null
+  });
+});
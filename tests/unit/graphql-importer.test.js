@@ -0,0 +1,136 @@
+/**
+ * Unit tests for lib/importers/graphql.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { convertGraphQL, importGraphQLFile } = require('../../lib/importers/graphql');
+const { analyzeAPICoverage } = require('../../lib/analyzer');
+const { generateAPIReferences } = require('../../lib/generators/api-generator');
+
+const FIXTURE = path.join(__dirname, '../fixtures/graphql/bookstore.graphql');
+
+test('importGraphQLFile - should map root fields to endpoints with argument tables', async () => {
+  const { manifest } = await importGraphQLFile(FIXTURE, { serviceName: 'Bookstore' });
+
+  assert.strictEqual(manifest.service.name, 'Bookstore');
+  assert.strictEqual(manifest.metadata.description, 'Bookstore catalog and ordering API.');
+  assert.deepStrictEqual(
+    manifest.interface.endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`),
+    [
+      'QUERY book',
+      'QUERY books',
+      'QUERY search',
+      'QUERY bestseller',
+      'QUERY author',
+      'MUTATION createBook',
+      'SUBSCRIPTION reviewAdded'
+    ]
+  );
+
+  const [book, books] = manifest.interface.endpoints;
+  assert.strictEqual(book.summary, 'Fetch a single book.');
+  assert.strictEqual(book.description, 'Returns null when the ID is unknown.');
+  assert.deepStrictEqual(book.params, [
+    { name: 'id', in: 'argument', required: true, schema: { type: 'string' } }
+  ]);
+  assert.deepStrictEqual(book.responses, [
+    { status: 200, description: 'Returns `Book`', schema: { $ref: '#/validation/schemas/Book' } }
+  ]);
+  assert.deepStrictEqual(books.params[0], {
+    name: 'first',
+    in: 'argument',
+    required: false,
+    schema: { type: 'integer', default: 20 }
+  });
+  assert.deepStrictEqual(books.pagination, { style: 'cursor', params: { cursor: 'after', limit: 'first' } });
+  assert.strictEqual(manifest.interface.endpoints[3].deprecated, true);
+});
+
+test('importGraphQLFile - should emit named types as JSON Schemas', async () => {
+  const { manifest } = await importGraphQLFile(FIXTURE);
+  const { schemas } = manifest.validation;
+
+  assert.strictEqual(manifest.service.name, 'bookstore');
+  assert.strictEqual(schemas.Query, undefined);
+  assert.deepStrictEqual(schemas.Book.required, ['id', 'title', 'authors', 'reviews']);
+  assert.deepStrictEqual(schemas.Book.properties.authors, {
+    type: 'array',
+    items: { $ref: '#/validation/schemas/Author' },
+    description: 'Authors in credit order'
+  });
+  assert.deepStrictEqual(schemas.BookFilter.properties.minRating, { type: 'integer', default: 1 });
+  assert.deepStrictEqual(schemas.SearchResult.oneOf, [
+    { $ref: '#/validation/schemas/Book' },
+    { $ref: '#/validation/schemas/Author' }
+  ]);
+  assert.deepStrictEqual(schemas.Role.enum, ['READER', 'EDITOR', 'LEGACY_ADMIN']);
+  assert.deepStrictEqual(schemas.DateTime, { type: 'string', format: 'date-time' });
+});
+
+test('importGraphQLFile - should report lossy mappings by schema coordinate', async () => {
+  const { lossy } = await importGraphQLFile(FIXTURE);
+  const paths = lossy.map(item => item.path);
+
+  assert.ok(paths.includes('Query.bestseller'));
+  assert.ok(paths.includes('Subscription.reviewAdded'));
+  assert.ok(paths.includes('Book.reviews'));
+  assert.ok(paths.includes('Money'));
+  assert.deepStrictEqual(lossy.find(item => item.path === '@auth'), {
+    path: '@auth',
+    reason: 'Directive used 2 time(s) is not represented'
+  });
+});
+
+test('convertGraphQL - should count undocumented fields against API coverage', async () => {
+  const { manifest } = convertGraphQL(`
+    type Query {
+      "Current viewer."
+      me: User
+      users(limit: Int, offset: Int): [User!]!
+    }
+    type User { id: ID! }
+  `);
+
+  assert.deepStrictEqual(manifest.interface.endpoints[1].pagination, {
+    style: 'page',
+    params: { page: 'offset', limit: 'limit' }
+  });
+
+  const coverage = analyzeAPICoverage(manifest);
+  assert.strictEqual(coverage.documentedEndpoints, 1);
+  assert.deepStrictEqual(coverage.missingDocumentation.map(item => item.path), ['users']);
+
+  const { endpoints: documents } = await generateAPIReferences(manifest);
+  assert.strictEqual(documents.length, 2);
+  assert.match(documents[1].content, /# QUERY users/);
+  assert.match(documents[1].content, /\| limit \| argument \| integer \| No/);
+});
+
+test('convertGraphQL - should honour schema definitions and reject invalid SDL', () => {
+  const { manifest } = convertGraphQL(`
+    schema { query: RootQuery }
+    type RootQuery { ping: Boolean! }
+    type Mutation { ignored: Boolean }
+  `);
+  assert.deepStrictEqual(manifest.interface.endpoints.map(endpoint => endpoint.path), ['ping']);
+  assert.ok(manifest.validation.schemas.Mutation);
+
+  assert.throws(
+    () => convertGraphQL('type User { id: ID! }'),
+    error => error.name === 'ImportError' && error.code === 'INVALID_SPEC'
+  );
+  assert.throws(
+    () => convertGraphQL('type Query {\n  user(id: ID!: User\n}'),
+    error => error.code === 'PARSE_ERROR' && error.line === 2 && error.column === 15
+  );
+  assert.throws(
+    () => convertGraphQL('type Query { me: User }\nquery { me { id } }'),
+    error => error.code === 'INVALID_SPEC' && /Executable definitions/.test(error.message) && error.line === 2
+  );
+  assert.throws(
+    () => convertGraphQL('type Query { me: User }'),
+    error => error.code === 'INVALID_SPEC' && /Unknown type "User"/.test(error.message)
+  );
+});
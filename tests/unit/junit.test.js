@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { generateJUnitReport, escapeXml } = require('../../lib/junit');
+
+const ROOT = path.join(path.sep, 'repo');
+
+function protocolResult(overrides = {}) {
+  return {
+    id: 'orders',
+    type: 'data',
+    path: path.join(ROOT, 'protocols', 'orders.protocol.json'),
+    urns: [],
+    freshness: { enabled: true, hasTimestamps: true, isStale: false, severity: 'fresh' },
+    coverage: {
+      coveragePercentage: 1, totalItems: 4, documentedItems: 4, missingDocumentation: []
+    },
+    combined: { healthScore: 90 },
+    ...overrides
+  };
+}
+
+test('generateJUnitReport maps protocols to suites and checks to test cases', () => {
+  const xml = generateJUnitReport({ overallScore: 60, metrics: {} }, {
+    protocols: [
+      protocolResult({
+        urns: ['urn:proto:api:billing@1.0.0', 'urn:proto:data:users@1.0.0'],
+        freshness: {
+          enabled: true, hasTimestamps: true, isStale: true, severity: 'high', daysStale: 20, thresholdDays: 7
+        }
+      }),
+      protocolResult({
+        id: 'checkout',
+        type: 'workflow',
+        path: path.join(ROOT, 'protocols', 'checkout.protocol.yaml'),
+        freshness: { enabled: false, hasTimestamps: false },
+        coverage: {
+          coveragePercentage: 0.25, totalItems: 4, documentedItems: 1, missingDocumentation: []
+        }
+      })
+    ],
+    urnValidation: { broken: ['urn:proto:api:billing@1.0.0'], invalid: [] }
+  }, { rootDir: ROOT, timestamp: '2025-01-01T00:00:00' });
+
+  const expected = [
+    /^<\?xml version="1\.0" encoding="UTF-8"\?>/,
+    /<testsuites name="DocHealth" tests="6" failures="3" errors="0" skipped="1"/,
+    /<testsuite name="data:orders" tests="4" failures="2" [^>]*file="protocols\/orders\.protocol/,
+    /<failure type="stale-docs" message="Documentation is 20 days stale \(threshold 7 days\)">/,
+    /- Run &quot;dochealth generate data&quot; to refresh outdated documentation/,
+    /<failure type="broken-urn" message="Broken URN reference: urn:proto:api:billing@1\.0\.0">/,
+    /<testcase name="urn urn:proto:data:users@1\.0\.0" [^>]*\/>/,
+    /<testcase name="freshness" classname="dochealth\.workflow\.checkout"[^>]*>\s*<skipped/,
+    /<failure type="low-coverage" message="25% documentation coverage \(1\/4 items, minimum 80%/,
+    /- Run &quot;dochealth generate workflow&quot; to auto-generate missing documentation for 3/
+  ];
+  expected.forEach(pattern => assert.match(xml, pattern));
+  // Score-based advice is not repeated in every failure
+  assert.doesNotMatch(xml, /Warning: Documentation needs attention/);
+});
+
+test('escapeXml escapes markup characters', () => {
+  assert.strictEqual(escapeXml('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+});
+
+test('generateJUnitReport skips waived checks instead of failing them', () => {
+  const waiver = { type: 'coverage', reason: 'Legacy', owner: 'data', expires: '2099-12-31' };
+  const xml = generateJUnitReport({ overallScore: 60, metrics: {} }, {
+    protocols: [protocolResult({
+      urns: ['urn:proto:api:gone@1.0.0'],
+      waivers: [waiver],
+      coverage: {
+        coveragePercentage: 0.25, totalItems: 4, documentedItems: 1, missingDocumentation: []
+      }
+    })],
+    urnValidation: {
+      broken: [],
+      invalid: [],
+      waived: [{ ...waiver, urn: 'urn:proto:api:gone@1.0.0', status: 'broken' }]
+    }
+  }, { rootDir: ROOT });
+
+  assert.match(xml, /<testsuites name="DocHealth" tests="3" failures="0" errors="0" skipped="2"/);
+  const skipped = name => new RegExp(`<testcase name="${name}"[^>]*>\\s*<skipped message="([^"]+)"`);
+  assert.strictEqual(
+    xml.match(skipped('coverage'))[1],
+    'Waived: Legacy (owner: data, expires 2099-12-31)'
+  );
+  assert.match(xml, skipped('urn urn:proto:api:gone@1.0.0'));
+});
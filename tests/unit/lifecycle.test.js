@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeLifecycle, describeDeprecation } = require('../../lib/lifecycle');
+const { analyzeMultipleProtocols } = require('../../lib/analyzer');
+const { calculateHealthScore, generateCLIReport } = require('../../lib/reporter');
+
+const now = new Date('2025-06-01T00:00:00Z');
+
+const manifest = {
+  service: { name: 'billing' },
+  metadata: { lifecycle: { status: 'deprecated', sunset_at: '2025-07-01', replaced_by: 'billing-v2' } },
+  interface: {
+    endpoints: [
+      { method: 'GET', path: '/invoices', summary: 'List invoices' },
+      { method: 'POST', path: '/invoices', deprecated: true, description: 'Use POST /v2/invoices instead.' },
+      { method: 'DELETE', path: '/invoices/{id}', sunset_at: '2025-05-01' }
+    ]
+  }
+};
+
+test('analyzeLifecycle lists deprecated services and endpoints by sunset status', () => {
+  const result = analyzeLifecycle(manifest, 'api', { now, sunsetWindowDays: 60 });
+
+  const summary = result.items
+    .map(item => [item.kind, item.name, item.sunset, item.daysUntilSunset]);
+  assert.deepStrictEqual(summary, [
+    ['service', 'billing', 'upcoming', 30],
+    ['endpoint', 'POST /invoices', 'upcoming', 30],
+    ['endpoint', 'DELETE /invoices/{id}', 'past', -31]
+  ]);
+  assert.strictEqual(result.items[0].migration, 'Replaced by billing-v2');
+  assert.strictEqual(result.items[1].migration, 'Use POST /v2/invoices instead.');
+  assert.strictEqual(result.deprecated, 3);
+  assert.strictEqual(result.upcomingSunsets, 2);
+  assert.strictEqual(result.pastSunsets, 1);
+  // Endpoints fall back to the service's migration guidance
+  assert.strictEqual(result.missingMigration, 0);
+
+  assert.strictEqual(analyzeLifecycle(manifest, 'api', { now, sunsetWindowDays: 10 }).upcomingSunsets, 0);
+  assert.strictEqual(analyzeLifecycle(manifest, 'data', { now }), null);
+});
+
+test('describeDeprecation reports missing migration guidance', () => {
+  const bare = { service: { name: 'legacy' }, metadata: { lifecycle: { status: 'deprecated' } } };
+
+  assert.deepStrictEqual(describeDeprecation(bare), { scope: 'service', sunsetAt: null, migration: null });
+  assert.strictEqual(describeDeprecation({ service: { name: 'ok' } }), null);
+  assert.strictEqual(describeDeprecation({ service: { name: 'ok' } }, { method: 'GET', path: '/' }), null);
+});
+
+test('check reports list deprecations, sunsets and missing migration guidance', () => {
+  const analysis = analyzeMultipleProtocols(
+    [{ ...manifest, metadata: { lifecycle: { status: 'deprecated', sunset_at: '2025-07-01' } } }],
+    ['api'],
+    { lifecycle: { now, sunsetWindowDays: 60 } }
+  );
+  assert.deepStrictEqual(analysis.lifecycleSummary, {
+    deprecated: 3,
+    upcomingSunsets: 2,
+    pastSunsets: 1,
+    missingMigration: 2
+  });
+
+  const healthScore = calculateHealthScore(analysis);
+  const report = generateCLIReport(healthScore, analysis, { color: false });
+  assert.match(report, /Deprecations: 3 deprecated \(2 sunsetting soon, 1 past sunset, 2 without/);
+  assert.match(report, /API Lifecycle:\n {2}billing \(api\):\n {4}service billing: sunset/);
+  assert.match(report, /billing: sunset 2025-07-01 in 30 day\(s\), no migration guidance/);
+  assert.match(report, / {4}endpoint DELETE \/invoices\/\{id\}: sunset 2025-05-01 passed 31 day/);
+  assert.match(report, /billing: 1 deprecated item\(s\) are past their sunset date/);
+});
@@ -5,12 +5,14 @@
 const { test } = require('node:test');
 const assert = require('node:assert');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
 const {
   loadProtocols,
   loadProtocol,
   validateProtocol,
   detectProtocolType,
+  detectManifestType,
   clearCache,
   getCacheStats,
   PROTOCOL_PATTERNS,
@@ -138,6 +140,81 @@ test('loadProtocols - should collect errors for invalid protocols', async () =>
   }
 });
 
+test('detectManifestType - should honor kind field and manifest shape', () => {
+  assert.strictEqual(detectManifestType({ kind: 'data', dataset: { name: 'x' } }), 'data');
+  assert.strictEqual(detectManifestType({ kind: 'UIComponent' }), 'ui');
+  assert.strictEqual(detectManifestType({ service: { name: 'x' }, interface: {} }), 'api');
+  assert.strictEqual(detectManifestType({ workflow: { id: 'wf' }, steps: [] }), 'workflow');
+  assert.strictEqual(detectManifestType({ unrelated: true }), null);
+});
+
+test('loadProtocols - should load JSON and YAML manifest files', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-loader-'));
+  const apiFixture = await fs.readFile(path.join(__dirname, '../fixtures/api-protocol.json'), 'utf8');
+
+  try {
+    await fs.writeFile(path.join(tempDir, 'billing.protocol.json'), apiFixture);
+    await fs.writeFile(
+      path.join(tempDir, 'users.protocol.yaml'),
+      [
+        'kind: data',
+        'dataset:',
+        '  name: users',
+        'schema:',
+        '  fields:',
+        '    id: { type: string, description: Primary identifier }'
+      ].join('\n')
+    );
+
+    const results = await loadProtocols(tempDir);
+
+    assert.strictEqual(results.errors.length, 0, JSON.stringify(results.errors));
+    assert.strictEqual(results.protocols.length, 2);
+
+    const api = results.protocols.find(p => p.type === 'api');
+    assert.strictEqual(api.protocol.manifest().service.name, 'billing-api');
+    assert.strictEqual(typeof api.protocol.validate, 'function');
+
+    const data = results.protocols.find(p => p.type === 'data');
+    assert.strictEqual(data.protocol.manifest().dataset.name, 'users');
+    assert.strictEqual(data.protocol.manifest().kind, undefined, 'kind hint should be stripped');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('loadProtocols - should report manifest parse errors with line numbers', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-loader-'));
+
+  try {
+    await fs.writeFile(
+      path.join(tempDir, 'broken.protocol.json'),
+      '{\n  "service": {\n    "name": "x",\n  }\n}\n'
+    );
+    await fs.writeFile(path.join(tempDir, 'broken.protocol.yaml'), 'dataset:\n  name: [users\n');
+    await fs.writeFile(path.join(tempDir, 'unknown.protocol.json'), '{ "hello": "world" }');
+
+    const results = await loadProtocols(tempDir);
+
+    assert.strictEqual(results.protocols.length, 0);
+    assert.strictEqual(results.errors.length, 3);
+
+    const jsonError = results.errors.find(err => err.path.endsWith('broken.protocol.json'));
+    assert.strictEqual(jsonError.code, 'PARSE_ERROR');
+    assert.strictEqual(jsonError.line, 4);
+    assert.match(jsonError.message, /line 4/);
+
+    const yamlError = results.errors.find(err => err.path.endsWith('broken.protocol.yaml'));
+    assert.strictEqual(yamlError.code, 'PARSE_ERROR');
+    assert.ok(yamlError.line >= 2, 'YAML error should carry a line number');
+
+    const unknownError = results.errors.find(err => err.path.endsWith('unknown.protocol.json'));
+    assert.match(unknownError.message, /Unable to detect protocol type/);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
 test('validateProtocol - should validate a loaded protocol', async () => {
   const apiPath = path.join(SRC_DIR, 'api_protocol_v_1_1_1.js');
   const result = await loadProtocol(apiPath);
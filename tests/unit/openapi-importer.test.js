@@ -0,0 +1,119 @@
+/**
+ * Unit tests for lib/importers/openapi.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { convertOpenAPI, importOpenAPIFile } = require('../../lib/importers/openapi');
+const { writeManifestFiles, resolveSpecFiles } = require('../../lib/importers/manifest-writer');
+const { loadProtocols } = require('../../lib/loader');
+
+const FIXTURE = path.join(__dirname, '../fixtures/openapi/petstore.yaml');
+
+test('importOpenAPIFile - should map service, auth, endpoints and rate limits', async () => {
+  const { manifest } = await importOpenAPIFile(FIXTURE);
+
+  assert.deepStrictEqual(manifest.service, { name: 'Petstore', version: '2.3.0' });
+  assert.deepStrictEqual(manifest.interface.authentication, { type: 'oauth2', scopes: ['pets:read'] });
+  assert.deepStrictEqual(
+    manifest.interface.endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`),
+    ['GET /pets', 'POST /pets', 'GET /pets/{petId}']
+  );
+  assert.deepStrictEqual(manifest.operations.rate_limits, [
+    { scope: 'tenant', limit: 1000, window: '1m' },
+    { scope: 'user', limit: 10, window: '60s', endpoint: 'POST /pets' }
+  ]);
+  assert.deepStrictEqual(manifest.context.servers, ['https://api.petstore.example/v2']);
+  assert.strictEqual(manifest.metadata.source.format, 'openapi');
+  assert.ok(manifest.maintenance.freshness_check.last_code_change_at);
+});
+
+test('importOpenAPIFile - should map parameters, bodies, responses and errors', async () => {
+  const { manifest } = await importOpenAPIFile(FIXTURE);
+  const [listPets, createPet, getPet] = manifest.interface.endpoints;
+
+  assert.deepStrictEqual(listPets.params.map(param => param.name), ['X-Trace-Id', 'cursor', 'limit']);
+  assert.deepStrictEqual(listPets.pagination, { style: 'cursor', params: { cursor: 'cursor', limit: 'limit' } });
+  assert.deepStrictEqual(listPets.responses[0].schema.items, { $ref: '#/validation/schemas/Pet' });
+  assert.deepStrictEqual(listPets.errors, [
+    { code: 'HTTP_429', http: 429, retriable: true, docs: 'Too many requests' }
+  ]);
+
+  assert.deepStrictEqual(createPet.request, {
+    contentType: 'application/json',
+    schema: { $ref: '#/validation/schemas/Pet' },
+    required: true
+  });
+  assert.strictEqual(createPet.errors[0].code, 'ProblemDetails');
+
+  assert.strictEqual(getPet.deprecated, true);
+  assert.strictEqual(getPet.params[0].required, true);
+  assert.deepStrictEqual(
+    manifest.validation.schemas.Pet.properties.owner,
+    { $ref: '#/validation/schemas/Owner' }
+  );
+});
+
+test('importOpenAPIFile - should report lossy mappings with source locations', async () => {
+  const { lossy } = await importOpenAPIFile(FIXTURE);
+  const paths = lossy.map(item => item.path);
+
+  assert.ok(paths.includes('#/paths/~1pets/get/responses/default'));
+  assert.ok(paths.includes('#/paths/~1pets/post/requestBody/content'));
+  assert.ok(paths.includes('#/paths/~1pets~1{petId}/get/security'));
+  assert.ok(paths.includes('#/webhooks'));
+});
+
+test('convertOpenAPI - should reject Swagger 2.0 and unknown versions', () => {
+  assert.throws(
+    () => convertOpenAPI({ swagger: '2.0', info: { title: 'Old' } }),
+    error => error.name === 'ImportError' && error.code === 'UNSUPPORTED_VERSION'
+  );
+  assert.throws(() => convertOpenAPI({ openapi: '4.0.0' }), /Unsupported OpenAPI version '4.0.0'/);
+});
+
+test('convertOpenAPI - should map http bearer auth and flag the approximation', () => {
+  const { manifest, lossy } = convertOpenAPI({
+    openapi: '3.0.3',
+    info: { title: 'Billing', version: '1.0.0' },
+    security: [{ bearer: [] }],
+    components: { securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } } },
+    paths: { '/invoices': { get: { responses: { 200: { description: 'OK' } } } } }
+  });
+
+  assert.deepStrictEqual(manifest.interface.authentication, { type: 'oauth2' });
+  assert.strictEqual(manifest.interface.endpoints[0].summary, 'GET /invoices');
+  assert.match(lossy[0].reason, /bearer scheme 'bearer' mapped to oauth2/);
+});
+
+test('writeManifestFiles - imported manifests should be loadable by the loader', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dochealth-openapi-'));
+  try {
+    const [specPath] = resolveSpecFiles('tests/fixtures/openapi/*.yaml', {
+      cwd: path.join(__dirname, '../..')
+    });
+    const { manifest } = await importOpenAPIFile(specPath);
+    const first = await writeManifestFiles(
+      [{ name: manifest.service.name, kind: 'api', manifest }],
+      { outputDir: dir }
+    );
+    assert.strictEqual(first[0].status, 'written');
+    assert.strictEqual(path.basename(first[0].path), 'petstore.protocol.json');
+
+    const second = await writeManifestFiles(
+      [{ name: manifest.service.name, kind: 'api', manifest }],
+      { outputDir: dir }
+    );
+    assert.strictEqual(second[0].status, 'skipped');
+
+    const results = await loadProtocols(dir);
+    assert.strictEqual(results.errors.length, 0);
+    assert.strictEqual(results.protocols[0].type, 'api');
+    assert.strictEqual(results.protocols[0].protocol.manifest().interface.endpoints.length, 3);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,187 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  resolveOutputFormat,
+  renderDocument,
+  buildSiteFiles
+} = require('../../lib/generators/output-formats');
+const { formatAdmonition, wrapGeneratedSection } = require('../../lib/generators/helpers');
+const { mergeDocuments } = require('../../lib/merge/ast-merger');
+const {
+  admonitionsToDirectives,
+  directivesToAdmonitions
+} = require('../../lib/merge/section-markers');
+
+const API_DOC = `---
+title: Get an order
+slug: /api/orders/get-an-order
+method: GET
+path: /orders/{id}
+generatedAt: '2026-10-01T00:00:00.000Z'
+---
+
+# GET /orders/{id}
+
+::::generated-section{#orders-get data-path="/orders/{id}"}
+:::warning[Deprecated]
+Use v2.
+:::
+
+## Parameters {#orders-get-params}
+
+| id | path | Order <id> from checkout |
+::::
+`;
+
+test('resolveOutputFormat rejects unknown formats', () => {
+  assert.strictEqual(resolveOutputFormat('Docusaurus').name, 'docusaurus');
+  assert.throws(() => resolveOutputFormat('hugo'), error =>
+    error.name === 'OutputFormatError' && error.code === 'OUTPUT_FORMAT_UNKNOWN');
+});
+
+test('renderDocument writes Docusaurus pages with comment markers and MDX-safe text', async () => {
+  const rendered = await renderDocument({ type: 'api', relativePath: 'orders/get.md', content: API_DOC }, 'docusaurus');
+  const { content } = rendered;
+
+  assert.match(content, /^sidebar_label: GET \/orders\/\{id\}$/m);
+  assert.match(content, /^generatedAt: '2026-10-01T00:00:00.000Z'$/m);
+  assert.ok(content.includes('<!-- generated-section:docusaurus #orders-get data-path="/orders/{id}" -->'));
+  assert.match(content, /<!-- \/generated-section -->/);
+  assert.ok(!content.includes(':::generated-section'));
+  assert.match(content, /^:::warning\[Deprecated\]$/m);
+  assert.match(content, /^# GET \/orders\/\\\{id\}$/m);
+  assert.match(content, /^## Parameters \{#orders-get-params\}$/m);
+  assert.match(content, /Order \\<id> from checkout/);
+
+  const markdown = await renderDocument({ type: 'api', relativePath: 'orders/get.md', content: API_DOC }, 'markdown');
+  assert.strictEqual(markdown.content, API_DOC);
+});
+
+test('mergeDocuments recovers comment markers and keeps the Docusaurus format', async () => {
+  const descriptor = { type: 'api', relativePath: 'orders/get.md', content: API_DOC };
+  const { content: base } = await renderDocument(descriptor, 'docusaurus');
+  const local = `${base}\n## Notes\n\nHuman note.\n`;
+  const remote = base.replace('Use v2.', 'Use v2 before 2027.');
+
+  const result = await mergeDocuments({
+    baseContent: base,
+    localContent: local,
+    remoteContent: remote
+  });
+
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.match(result.mergedContent, /Use v2 before 2027\./);
+  assert.match(result.mergedContent, /<!-- generated-section:docusaurus #orders-get/);
+  assert.match(result.mergedContent, /<!-- \/generated-section -->\n\n## Notes\n\nHuman note\./);
+  assert.ok(!result.mergedContent.includes(':::generated-section'));
+});
+
+test('buildSiteFiles groups Docusaurus sidebars by service, datasets, workflows, events and agents', () => {
+  const files = buildSiteFiles('docusaurus', [
+    { type: 'agent', relativePath: path.join('agents', 'billing-assistant.md') },
+    { type: 'event', relativePath: path.join('events', 'payment-completed.md') },
+    { type: 'workflow', relativePath: path.join('workflows', 'ship.md') },
+    { type: 'api', relativePath: path.join('orders', 'list.md'), meta: { service: 'Orders API' } },
+    { type: 'api', relativePath: path.join('orders', 'get.md'), meta: { service: 'Orders API' } },
+    { type: 'data', relativePath: path.join('data', 'events.md') }
+  ]);
+
+  assert.deepStrictEqual(files.map(file => file.relativePath), [
+    'sidebars.js',
+    path.join('orders', '_category_.json'),
+    path.join('data', '_category_.json'),
+    path.join('workflows', '_category_.json'),
+    path.join('events', '_category_.json'),
+    path.join('agents', '_category_.json')
+  ]);
+  const sidebars = files[0].content;
+  assert.match(sidebars, /^module\.exports = /m);
+  const { dochealth } = JSON.parse(sidebars.slice(sidebars.indexOf('= {') + 2, sidebars.lastIndexOf('}') + 1));
+  assert.deepStrictEqual(dochealth.map(category => category.label), ['APIs', 'Datasets', 'Workflows', 'Events', 'Agents']);
+  assert.deepStrictEqual(dochealth[0].items[0].items, ['orders/get', 'orders/list']);
+  assert.deepStrictEqual(JSON.parse(files[3].content), {
+    label: 'Workflows',
+    position: 3,
+    link: { type: 'generated-index' }
+  });
+  assert.deepStrictEqual(buildSiteFiles('markdown', []), []);
+});
+
+test('renderDocument writes MkDocs pages with status metadata and !!! admonitions', async () => {
+  const deprecated = API_DOC.replace('generatedAt:', 'deprecated: true\ngeneratedAt:');
+  const { content } = await renderDocument(
+    { type: 'api', relativePath: 'orders/get.md', content: deprecated },
+    'mkdocs'
+  );
+
+  assert.match(content, /^status: deprecated$/m);
+  assert.ok(content.includes('<!-- generated-section:mkdocs #orders-get data-path="/orders/{id}" -->'));
+  assert.match(content, /^!!! warning "Deprecated"\n {4}Use v2\.$/m);
+  assert.match(content, /^# GET \/orders\/\{id\}$/m);
+  assert.ok(!content.includes(':::'));
+
+  const local = `${content}\n!!! tip "Support"\n    Ask the orders team.\n`;
+  const remote = content.replace('Use v2.', 'Use v2 before 2027.');
+  const result = await mergeDocuments({
+    baseContent: content,
+    localContent: local,
+    remoteContent: remote
+  });
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.match(result.mergedContent, /^!!! warning "Deprecated"\n {4}Use v2 before 2027\.$/m);
+  assert.match(result.mergedContent, /^!!! tip "Support"\n {4}Ask the orders team\.$/m);
+});
+
+test('MkDocs admonitions convert to directives and back, skipping code', () => {
+  const mkdocs = [
+    '!!! note "Outer"',
+    '    First.',
+    '',
+    '    !!! tip',
+    '        Inner.',
+    '',
+    '```md',
+    '!!! note "Not an admonition"',
+    '```'
+  ].join('\n');
+  const directives = admonitionsToDirectives(mkdocs);
+
+  assert.ok(directives.startsWith('::::note[Outer]\nFirst.\n\n:::tip\nInner.\n:::\n::::\n'));
+  assert.ok(directives.endsWith('```md\n!!! note "Not an admonition"\n```'));
+  assert.strictEqual(directivesToAdmonitions(directives), mkdocs);
+});
+
+test('buildSiteFiles writes an mkdocs.yml nav fragment', () => {
+  const page = (title, extra = '') => `---\ntitle: ${title}\n${extra}---\n\n# ${title}\n`;
+  const [nav] = buildSiteFiles('mkdocs', [
+    { type: 'data', relativePath: path.join('data', 'events.md'), content: page('events') },
+    {
+      type: 'api',
+      relativePath: path.join('orders', 'get.md'),
+      meta: { service: 'Orders API' },
+      content: page('Get an order', 'method: GET\npath: /orders/{id}\n')
+    }
+  ]);
+
+  assert.strictEqual(nav.relativePath, 'mkdocs.nav.yml');
+  assert.ok(nav.content.endsWith([
+    'nav:',
+    '  - APIs:',
+    '      - Orders API:',
+    '          - GET /orders/{id}: orders/get.md',
+    '  - Datasets:',
+    '      - events: data/events.md',
+    ''
+  ].join('\n')));
+});
+
+test('wrapGeneratedSection uses a longer fence around nested admonitions', () => {
+  const admonition = formatAdmonition('danger', 'Cycle detected', 'a → b → a', 'docusaurus');
+  assert.strictEqual(admonition, ':::danger[Cycle detected]\na → b → a\n:::');
+  assert.strictEqual(formatAdmonition('note', 'Validation state', 'Fix it'), ':::note Validation state\nFix it\n:::');
+
+  const wrapped = wrapGeneratedSection(admonition, { id: 'workflow-a' });
+  assert.ok(wrapped.startsWith('::::generated-section{#workflow-a}\n'));
+  assert.ok(wrapped.endsWith('\n::::\n'));
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ConfigError } = require('../../lib/config');
+const { matchesSelector, evaluatePolicies } = require('../../lib/policy');
+
+function entry(type, id, tags = []) {
+  return {
+    type,
+    path: `/repo/${id}.json`,
+    protocol: { match: expr => expr === 'metadata.tags:contains:critical' && tags.includes('critical') }
+  };
+}
+
+function result(type, id, options = {}) {
+  const { coverage = 1, daysStale = 0, hasTimestamps = true, score = 90, urns = [] } = options;
+  return {
+    id,
+    type,
+    urns,
+    freshness: { daysStale: hasTimestamps ? daysStale : null, hasTimestamps },
+    coverage: { coveragePercentage: coverage },
+    combined: { healthScore: score }
+  };
+}
+
+function run(items, broken = []) {
+  return {
+    protocols: items.map(item => item.entry),
+    results: new Map(items.map(item => [item.entry.path, item.result])),
+    urnValidation: { broken }
+  };
+}
+
+test('matchesSelector filters by type and every match() expression', () => {
+  const critical = entry('api', 'billing', ['critical']);
+  assert.strictEqual(matchesSelector({ type: 'api', match: 'metadata.tags:contains:critical' }, critical), true);
+  assert.strictEqual(matchesSelector({ type: ['data', 'event'] }, critical), false);
+  assert.strictEqual(matchesSelector({ match: ['metadata.tags:contains:critical', 'x:contains:y'] }, critical), false);
+  assert.strictEqual(matchesSelector({ type: 'documentation' }, entry('docs', 'guide')), true);
+  assert.strictEqual(matchesSelector({ match: 'a:contains:b' }, { type: 'semantic', protocol: {} }), false);
+  assert.strictEqual(matchesSelector(undefined, entry('api', 'search')), true);
+});
+
+test('evaluatePolicies reports named violations with the first error policy exit code', () => {
+  const billing = entry('api', 'billing', ['critical']);
+  const search = entry('api', 'search');
+  const orders = entry('data', 'orders');
+  const evaluation = evaluatePolicies([
+    { name: 'stale-data', select: { type: 'data' }, require: { maxStaleDays: 7 }, severity: 'warning' },
+    { name: 'critical-coverage', select: { type: 'api', match: 'metadata.tags:contains:critical' }, require: { minCoverage: 90 }, exitCode: 4 },
+    { name: 'no-broken-urns', require: { maxBrokenUrns: 0 } }
+  ], run([
+    { entry: billing, result: result('api', 'billing', { coverage: 0.75 }) },
+    { entry: search, result: result('api', 'search', { coverage: 0.2, urns: ['urn:proto:data:gone', 'urn:proto:data:gone'] }) },
+    { entry: orders, result: result('data', 'orders', { daysStale: 12 }) }
+  ], ['urn:proto:data:gone']));
+
+  assert.strictEqual(evaluation.passed, false);
+  assert.strictEqual(evaluation.exitCode, 4);
+  assert.deepStrictEqual(
+    evaluation.violations.map(violation => `${violation.policy}:${violation.protocolId}:${violation.actual}`),
+    ['stale-data:orders:12', 'critical-coverage:billing:75', 'no-broken-urns:search:1']
+  );
+  assert.strictEqual(evaluation.violations[2].exitCode, 3);
+  assert.deepStrictEqual(
+    evaluation.policies.map(policy => [policy.name, policy.matched, policy.violations]),
+    [['stale-data', 1, 1], ['critical-coverage', 1, 1], ['no-broken-urns', 3, 1]]
+  );
+});
+
+test('evaluatePolicies passes with only warnings and skips staleness without timestamps', () => {
+  const orders = entry('data', 'orders');
+  const evaluation = evaluatePolicies([
+    { name: 'fresh-data', require: { maxStaleDays: 7 } },
+    { name: 'timestamps', require: { timestamps: true }, severity: 'warning' }
+  ], run([{ entry: orders, result: result('data', 'orders', { hasTimestamps: false }) }]));
+
+  assert.strictEqual(evaluation.passed, true);
+  assert.strictEqual(evaluation.exitCode, 0);
+  assert.deepStrictEqual(evaluation.violations.map(violation => violation.policy), ['timestamps']);
+});
+
+test('evaluatePolicies lists requirements covered by an active waiver as waived', () => {
+  const orders = entry('data', 'orders');
+  const waiver = { id: 'coverage:orders', reason: 'Legacy', owner: 'data', expires: '2099-01-01', type: 'coverage' };
+  const evaluation = evaluatePolicies([
+    { name: 'coverage', require: { minCoverage: 90, minScore: 95 } }
+  ], run([{ entry: orders, result: { ...result('data', 'orders', { coverage: 0.5 }), waivers: [waiver] } }]));
+
+  assert.strictEqual(evaluation.exitCode, 3);
+  assert.deepStrictEqual(evaluation.violations.map(violation => violation.requirement), ['minScore']);
+  assert.deepStrictEqual(
+    evaluation.waived.map(item => [item.requirement, item.waiver.reason]),
+    [['minCoverage', 'Legacy']]
+  );
+  assert.deepStrictEqual(evaluation.policies[0], {
+    name: 'coverage', severity: 'error', matched: 1, violations: 1, waived: 1
+  });
+});
+
+test('evaluatePolicies rejects unnamed, duplicate and empty policies', () => {
+  assert.throws(
+    () => evaluatePolicies([
+      { require: { minScore: 50 } },
+      { name: 'a', require: { minScore: 50 } },
+      { name: 'a', require: {} }
+    ], run([])),
+    error => error instanceof ConfigError
+      && error.issues.map(issue => issue.path).join(',') === 'policies[0].name,policies[2].name,policies[2].require'
+  );
+});
+
+test('evaluatePolicies rejects exit codes check itself uses', () => {
+  assert.throws(
+    () => evaluatePolicies([{ name: 'a', require: { minScore: 50 }, exitCode: 1 }], run([])),
+    error => error instanceof ConfigError && error.issues[0].path === 'policies[0].exitCode'
+  );
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { calculateHealthScore } = require('../../lib/reporter');
+const {
+  inferExportFormat,
+  buildReportModel,
+  generateReportDocument
+} = require('../../lib/report-export');
+
+const ROOT = path.join(path.sep, 'repo');
+
+const analysisResults = {
+  total: 2,
+  staleCount: 1,
+  enabledCount: 2,
+  hasTimestampsCount: 2,
+  avgFreshnessScore: 60,
+  avgCoverageScore: 55,
+  severityBreakdown: { fresh: 1, high: 1 },
+  coverageSummary: { totalItems: 8, documentedItems: 5, coveragePercentage: 63 },
+  urnValidation: { total: 1, valid: [], broken: ['urn:proto:api:billing@1.0.0'], invalid: [] },
+  protocols: [
+    {
+      id: 'orders',
+      type: 'data',
+      path: path.join(ROOT, 'protocols', 'orders.protocol.json'),
+      freshness: { enabled: true, hasTimestamps: true, isStale: true, severity: 'high', daysStale: 20 },
+      coverage: { coveragePercentage: 0.25, totalItems: 4, documentedItems: 1 },
+      combined: { healthScore: 40, recommendations: ['Update documentation - 20 days stale'] }
+    },
+    {
+      id: 'billing <v2>',
+      type: 'api',
+      freshness: { enabled: true, hasTimestamps: true, isStale: false, severity: 'fresh', daysStale: 0 },
+      coverage: { coveragePercentage: 1, totalItems: 4, documentedItems: 4 },
+      combined: { healthScore: 95, recommendations: [] }
+    }
+  ]
+};
+
+test('inferExportFormat prefers --format and falls back to the output extension', () => {
+  assert.strictEqual(inferExportFormat('md', 'report.html'), 'md');
+  assert.strictEqual(inferExportFormat('markdown'), 'md');
+  assert.strictEqual(inferExportFormat(undefined, 'status/report.md'), 'md');
+  assert.strictEqual(inferExportFormat(undefined, 'report.html'), 'html');
+  assert.strictEqual(inferExportFormat(), 'html');
+});
+
+test('buildReportModel collects breakdown, severities, gaps and protocol recommendations', () => {
+  const healthScore = calculateHealthScore(analysisResults);
+  const model = buildReportModel(healthScore, analysisResults, { rootDir: ROOT });
+
+  assert.deepStrictEqual(model.breakdown.map(row => row.component), ['freshness', 'coverage', 'validation']);
+  assert.deepStrictEqual(model.severities, [
+    { severity: 'high', count: 1 },
+    { severity: 'fresh', count: 1 }
+  ]);
+  assert.deepStrictEqual(model.urns, { valid: 0, broken: 1, invalid: 0 });
+  assert.deepStrictEqual(model.gaps.map(section => section.items.length), [1, 1, 1]);
+  assert.strictEqual(model.protocols[0].file, 'protocols/orders.protocol.json');
+  assert.strictEqual(model.protocols[0].freshness, '20 days stale');
+  assert.deepStrictEqual(model.protocols[0].recommendations, ['Update documentation - 20 days stale']);
+});
+
+test('generateReportDocument renders self-contained HTML and Markdown', () => {
+  const healthScore = calculateHealthScore(analysisResults);
+  const options = { rootDir: ROOT, generatedAt: '2025-01-01T00:00:00.000Z' };
+
+  const html = generateReportDocument(healthScore, analysisResults, { ...options, format: 'html' });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<style>[\s\S]*\.score/);
+  assert.match(html, /<h2>Gap Analysis<\/h2>/);
+  assert.match(html, /urn:proto:api:billing@1\.0\.0/);
+  assert.match(html, /billing &lt;v2&gt;/);
+  assert.doesNotMatch(html, /<(link|script|img)\b|https?:\/\//);
+
+  const markdown = generateReportDocument(healthScore, analysisResults, { ...options, format: 'md' });
+  assert.match(markdown, /^# Documentation Health Report/);
+  assert.match(markdown, /\| freshness \| 60 \| 40% \| 24 \|/);
+  assert.match(markdown, /### Coverage Gaps\n\n\| Subject \| Severity \| Issue \|/);
+  assert.match(markdown, /### orders \(data\)\n\nManifest: `protocols\/orders\.protocol\.json`/);
+  assert.match(markdown, /- Update documentation - 20 days stale/);
+});
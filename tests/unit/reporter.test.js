@@ -255,6 +255,26 @@ test('generateRecommendations - should generate excellent recommendations for hi
   assert.ok(hasExcellentRec, 'Should have excellent recommendations for high scores');
 });
 
+test('generateRecommendations - categories limit output to matching issues', () => {
+  const healthScore = calculateHealthScore(mockAnalysisResults);
+  const recommendations = generateRecommendations(healthScore, {
+    protocols: [],
+    urnValidation: { broken: ['urn:proto:api:billing@1.0.0'], invalid: [] }
+  }, { categories: ['validation'] });
+
+  assert.deepStrictEqual(recommendations, [
+    'Fix broken URN reference: urn:proto:api:billing@1.0.0. ' +
+      'Check if target protocol exists or update the reference.'
+  ]);
+
+  // Only the protocol below 80% coverage is listed, without score-based advice
+  const coverage = generateRecommendations(healthScore, mockAnalysisResults, {
+    categories: ['coverage']
+  });
+  assert.strictEqual(coverage.length, 1);
+  assert.match(coverage[0], /complete documentation coverage/);
+});
+
 test('getExitCode - should return 0 for passing scores above threshold', () => {
   const healthScore = { overallScore: 85 };
   const exitCode = getExitCode(healthScore, { threshold: 70 });
@@ -301,4 +321,41 @@ test('getExitCode - should pass at exactly threshold', () => {
   const exitCode = getExitCode(healthScore, { threshold: 70 });
   
   assert.strictEqual(exitCode, 0);
-});
\ No newline at end of file
+});
+
+test('calculateHealthScore - folds protocol validators into the validation score', () => {
+  const validationSummary = { protocols: 2, checks: 4, passed: 3, errors: 1, warnings: 2 };
+  const healthScore = calculateHealthScore({
+    ...mockAnalysisResults,
+    validationSummary,
+    urnValidation: { valid: ['urn:a', 'urn:b'], broken: ['urn:c'], invalid: [] }
+  });
+
+  // (2 valid URNs + 3 passing validators) / (3 URNs + 4 validators)
+  assert.strictEqual(healthScore.breakdown.validation.score, 71);
+  assert.deepStrictEqual(healthScore.metrics.validators, validationSummary);
+});
+
+test('generateCLIReport - lists validator issues per protocol', () => {
+  const analysisResults = {
+    ...mockAnalysisResults,
+    validationSummary: { protocols: 1, checks: 2, passed: 1, errors: 1, warnings: 0 },
+    protocols: mockAnalysisResults.protocols.map(protocol => protocol.id !== 'data-protocol' ? protocol : {
+      ...protocol,
+      validation: {
+        ok: false,
+        validators: [{ name: 'core.shape', ok: true }, { name: 'schema.keys', ok: false }],
+        issues: [{ validator: 'schema.keys', path: 'keys.primary_key', level: 'error', msg: 'unknown field' }]
+      }
+    })
+  };
+  const report = generateCLIReport(calculateHealthScore(analysisResults), analysisResults);
+
+  assert.ok(report.includes('Validators: 1/2 passed (1 error(s), 0 warning(s))'));
+  assert.ok(report.includes('Validator Issues:'));
+  assert.ok(report.includes('error [schema.keys] keys.primary_key: unknown field'));
+
+  const json = generateJSONReport(calculateHealthScore(analysisResults), analysisResults);
+  const dataProtocol = json.details.protocols.find(protocol => protocol.id === 'data-protocol');
+  assert.strictEqual(dataProtocol.validation.issues[0].path, 'keys.primary_key');
+});
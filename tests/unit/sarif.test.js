@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateSARIFReport, findJsonPathLine, RULES } = require('../../lib/sarif');
+
+const MANIFEST = `{
+  "dataset": { "name": "orders" },
+  "schema": {
+    "fields": {
+      "id": { "type": "string" }
+    }
+  },
+  "lifecycle": {
+    "updated_at": "2024-01-01T00:00:00Z"
+  },
+  "relationships": ["urn:proto:api:billing@1.0.0"]
+}
+`;
+
+function protocolResult(overrides = {}) {
+  return {
+    id: 'orders',
+    type: 'data',
+    freshness: { enabled: true, hasTimestamps: true, isStale: false },
+    coverage: {
+      coveragePercentage: 1, totalItems: 1, documentedItems: 1, missingDocumentation: []
+    },
+    ...overrides
+  };
+}
+
+test('findJsonPathLine resolves nested keys in JSON and YAML', () => {
+  assert.strictEqual(findJsonPathLine(MANIFEST, 'lifecycle.updated_at'), 9);
+  assert.strictEqual(findJsonPathLine(MANIFEST, 'schema.fields[0].id'), 5);
+  assert.strictEqual(findJsonPathLine('lifecycle:\n  status: active\n  updated_at: x\n', 'lifecycle.updated_at'), 3);
+  assert.strictEqual(findJsonPathLine(MANIFEST, 'maintenance.freshness_check'), null);
+});
+
+test('generateSARIFReport maps findings to rules and manifest locations', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-sarif-'));
+  try {
+    const manifestPath = path.join(root, 'protocols', 'orders.protocol.json');
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, MANIFEST);
+
+    const sarif = generateSARIFReport({ overallScore: 42 }, {
+      protocols: [protocolResult({
+        path: manifestPath,
+        freshness: {
+          enabled: true, hasTimestamps: true, isStale: true, severity: 'high', daysStale: 40, thresholdDays: 7
+        },
+        coverage: {
+          coveragePercentage: 0.4,
+          totalItems: 5,
+          documentedItems: 2,
+          missingDocumentation: [{ fieldName: 'id' }]
+        },
+        validation: {
+          issues: [{ validator: 'schema.keys', path: 'schema.fields', level: 'warn', msg: 'No primary key' }]
+        }
+      })],
+      urnValidation: { broken: ['urn:proto:api:billing@1.0.0'], invalid: [] }
+    }, { rootDir: root });
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    const [run] = sarif.runs;
+    assert.deepStrictEqual(
+      run.tool.driver.rules.map(rule => rule.id),
+      Object.values(RULES).map(rule => rule.id)
+    );
+    assert.deepStrictEqual(
+      run.results.map(result => [
+        result.ruleId, result.level, result.locations[0].physicalLocation.region
+      ]),
+      [
+        [RULES.staleDocs.id, 'error', { startLine: 9 }],
+        [RULES.lowCoverage.id, 'error', { startLine: 4 }],
+        [RULES.validatorFailure.id, 'warning', { startLine: 4 }],
+        [RULES.brokenUrn.id, 'error', { startLine: 11 }]
+      ]
+    );
+    assert.strictEqual(
+      run.results[0].locations[0].physicalLocation.artifactLocation.uri,
+      'protocols/orders.protocol.json'
+    );
+    assert.strictEqual(
+      run.results[0].locations[0].logicalLocations[0].fullyQualifiedName,
+      'lifecycle.updated_at'
+    );
+    assert.match(
+      run.results[1].message.text,
+      /40% documentation coverage \(2\/5 items\); missing e\.g\. id/
+    );
+    assert.strictEqual(run.properties.healthScore, 42);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('generateSARIFReport points findings in unreadable files at the first line', () => {
+  const sarif = generateSARIFReport({ overallScore: 80 }, {
+    protocols: [protocolResult({
+      path: path.join(os.tmpdir(), 'does-not-exist.protocol.json'),
+      freshness: { enabled: true, hasTimestamps: false, lastCodeChange: '2024-01-01T00:00:00Z' }
+    })],
+    urnValidation: { broken: [], invalid: [] }
+  }, { rootDir: os.tmpdir() });
+
+  const [result] = sarif.runs[0].results;
+  assert.strictEqual(result.ruleId, RULES.missingTimestamps.id);
+  assert.match(result.message.text, /missing lifecycle\.updated_at/);
+  assert.deepStrictEqual(result.locations[0].physicalLocation.region, { startLine: 1 });
+  assert.strictEqual(sarif.runs[0].results.length, 1);
+});
+
+test('generateSARIFReport marks waived findings as suppressed', () => {
+  const waiver = { reason: 'Legacy', owner: 'data', expires: '2099-12-31' };
+  const sarif = generateSARIFReport({ overallScore: 80 }, {
+    protocols: [protocolResult({
+      coverage: {
+        coveragePercentage: 0.4, totalItems: 5, documentedItems: 2, missingDocumentation: []
+      },
+      waivers: [{ ...waiver, id: 'coverage:orders', type: 'coverage' }]
+    })],
+    urnValidation: {
+      broken: [],
+      invalid: [],
+      waived: [{ ...waiver, urn: 'urn:proto:api:billing@1.0.0', status: 'broken' }]
+    }
+  }, { rootDir: os.tmpdir() });
+
+  assert.deepStrictEqual(
+    sarif.runs[0].results.map(result => [result.ruleId, result.suppressions?.[0].justification]),
+    [
+      [RULES.lowCoverage.id, 'Legacy (owner: data, expires 2099-12-31)'],
+      [RULES.brokenUrn.id, 'Legacy (owner: data, expires 2099-12-31)']
+    ]
+  );
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for lib/scoring.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveScoringProfile,
+  getProtocolWeights,
+  assignGrade,
+  describeWeights
+} = require('../../lib/scoring');
+const { analyzeMultipleProtocols } = require('../../lib/analyzer');
+const { calculateHealthScore, generateCLIReport, generateJSONReport } = require('../../lib/reporter');
+const { validateConfig } = require('../../lib/config');
+
+const scoringConfig = {
+  profile: 'strict',
+  profiles: {
+    strict: {
+      weights: { freshness: 2, coverage: 1, validation: 1 },
+      protocolTypes: { api: { coverage: 0.6 }, documentation: { freshness: 1, coverage: 0 } },
+      grades: { Gold: 90, Silver: 75, Bronze: 50 }
+    }
+  }
+};
+
+const analysisResults = {
+  total: 2,
+  staleCount: 0,
+  enabledCount: 2,
+  hasTimestampsCount: 2,
+  avgFreshnessScore: 80,
+  avgCoverageScore: 60,
+  severityBreakdown: { fresh: 2 },
+  urnValidation: { total: 4, valid: 4, broken: 0, invalid: 0 }
+};
+
+test('resolveScoringProfile - should reproduce the historical weights by default', () => {
+  const profile = resolveScoringProfile();
+
+  assert.strictEqual(profile.name, 'default');
+  assert.strictEqual(profile.source, 'builtin');
+  assert.deepStrictEqual(profile.weights, { freshness: 0.4, coverage: 0.4, validation: 0.2 });
+  assert.deepStrictEqual(getProtocolWeights(profile, 'api'), { freshnessWeight: 0.6, coverageWeight: 0.4 });
+  assert.strictEqual(calculateHealthScore(analysisResults).overallScore, 76);
+});
+
+test('resolveScoringProfile - should merge config profiles over the default and normalize weights', () => {
+  const profile = resolveScoringProfile(scoringConfig);
+
+  assert.strictEqual(profile.name, 'strict');
+  assert.strictEqual(profile.source, 'config');
+  assert.deepStrictEqual(profile.weights, { freshness: 0.5, coverage: 0.25, validation: 0.25 });
+  assert.deepStrictEqual(profile.protocolWeights, { freshness: 0.6, coverage: 0.4 });
+  assert.deepStrictEqual(profile.protocolTypes.api, { freshness: 0.5, coverage: 0.5 });
+  assert.deepStrictEqual(profile.protocolTypes.docs, { freshness: 1, coverage: 0 });
+  assert.deepStrictEqual(profile.grades, { Gold: 90, Silver: 75, Bronze: 0 });
+  assert.strictEqual(describeWeights(profile.weights), '50% freshness, 25% coverage, 25% validation');
+});
+
+test('resolveScoringProfile - should let an explicit name win and reject unknown profiles', () => {
+  assert.strictEqual(resolveScoringProfile(scoringConfig, 'default').name, 'default');
+  assert.throws(
+    () => resolveScoringProfile(scoringConfig, 'lenient'),
+    error => error.name === 'ConfigError' && /default, strict/.test(error.issues[0].message)
+  );
+  assert.throws(
+    () => resolveScoringProfile({ profiles: { zero: { weights: { freshness: 0, coverage: 0, validation: 0 } } } }, 'zero'),
+    error => error.issues[0].path === 'scoring.profiles.zero.weights'
+  );
+});
+
+test('assignGrade - should use the lowest band as the floor', () => {
+  const grades = { Gold: 90, Silver: 75, Bronze: 50 };
+  assert.strictEqual(assignGrade(95, grades), 'Gold');
+  assert.strictEqual(assignGrade(75, grades), 'Silver');
+  assert.strictEqual(assignGrade(10, grades), 'Bronze');
+  assert.strictEqual(assignGrade(65), 'D');
+});
+
+test('calculateHealthScore - should apply profile weights and grades and echo the profile', () => {
+  const profile = resolveScoringProfile(scoringConfig);
+  const healthScore = calculateHealthScore(analysisResults, { profile });
+
+  assert.strictEqual(healthScore.overallScore, 80);
+  assert.strictEqual(healthScore.grade, 'Silver');
+  assert.strictEqual(healthScore.breakdown.freshness.weight, 0.5);
+  assert.strictEqual(healthScore.notes, 'Score based on 50% freshness, 25% coverage, 25% validation (profile: strict).');
+  assert.strictEqual(generateJSONReport(healthScore, analysisResults).health.profile.name, 'strict');
+  assert.match(
+    generateCLIReport(healthScore, analysisResults, { color: false }),
+    /Scoring profile: strict \(config\); grades: Gold≥90 Silver≥75 Bronze≥0/
+  );
+});
+
+test('analyzeMultipleProtocols - should apply per-protocol-type weights', () => {
+  const profile = resolveScoringProfile(scoringConfig);
+  const manifest = {
+    service: { name: 'svc' },
+    interface: { endpoints: [{ method: 'GET', path: '/a', summary: 'A', responses: [{ status: 200 }] }] }
+  };
+  const results = analyzeMultipleProtocols([manifest, manifest], ['api', 'data'], { scoringProfile: profile });
+
+  assert.strictEqual(results.protocols[0].combined.freshnessWeight, 0.5);
+  assert.strictEqual(results.protocols[1].combined.freshnessWeight, 0.6);
+});
+
+test('validateConfig - should check scoring profile weights, types and grades', () => {
+  assert.strictEqual(validateConfig({ scoring: scoringConfig }).valid, true);
+
+  const { issues } = validateConfig({
+    scoring: {
+      profiles: {
+        broken: {
+          weights: { freshness: -1, speed: 1 },
+          protocolTypes: { graphql: { coverage: 1 } },
+          grades: { A: 120 }
+        }
+      }
+    }
+  });
+  assert.deepStrictEqual(issues.map(issue => issue.path), [
+    'scoring.profiles.broken.weights.freshness',
+    'scoring.profiles.broken.weights.speed',
+    'scoring.profiles.broken.protocolTypes.graphql',
+    'scoring.profiles.broken.grades.A'
+  ]);
+});
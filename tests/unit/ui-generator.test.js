@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  generateComponentDocs,
+  collectTransitions
+} = require('../../lib/generators/ui-generator');
+
+const uiManifestFixture = require('../fixtures/ui-protocol.json');
+
+function cloneComponent() {
+  return JSON.parse(JSON.stringify(uiManifestFixture));
+}
+
+test('generateComponentDocs documents props, states, accessibility and fetching', async () => {
+  const generation = await generateComponentDocs(cloneComponent());
+  const doc = generation.document.content;
+
+  assert.strictEqual(generation.document.fileName, 'primary-button.md');
+  assert.strictEqual(generation.story, null);
+  assert.match(doc, /^slug: \/components\/primary-button$/m);
+  assert.ok(doc.includes(':::generated-section{#component-primary-button data-component="btn-01"'));
+  assert.match(doc, /^\| variant \| enum \("primary", "ghost"\) \| No \| `"primary"` \| — \|$/m);
+  assert.match(doc, /```mermaid\nstateDiagram-v2\n {4}idle : Default\n/);
+  assert.match(doc, /^ {4}\[\*\] --> idle$/m);
+  assert.match(doc, /^ {4}idle --> loading : fetch \/api\/demo$/m);
+  assert.match(doc, /^ {4}loading --> error : fetch failed$/m);
+  assert.match(doc, /^1\. click `button` → loading$/m);
+  assert.match(doc, /^- \*\*Keyboard Support:\*\* `enter`, `space`$/m);
+  assert.match(doc, /^- \*\*Error State:\*\* error$/m);
+  assert.ok(!doc.includes('Accessibility contract:'), 'a valid contract should not warn');
+  assert.ok(!doc.includes('## Storybook'));
+});
+
+test('generateComponentDocs returns Storybook stories and flags a11y contract gaps', async () => {
+  const manifest = cloneComponent();
+  manifest.a11y.contract.describedby_prop = 'hint';
+
+  const generation = await generateComponentDocs(manifest, { storybook: true });
+  const doc = generation.document.content;
+
+  assert.strictEqual(generation.story.fileName, 'primary-button.stories.jsx');
+  assert.match(generation.story.content, /^export const Loading = Template\.bind\(\{\}\);$/m);
+  assert.strictEqual(generation.document.frontmatter.storybook, 'primary-button.stories.jsx');
+  assert.match(doc, /Stories for every state are generated in `primary-button\.stories\.jsx`\./);
+  assert.match(doc, /^> \*\*Accessibility contract:\*\*$/m);
+  assert.match(doc, /^> - describedby\\?_prop 'hint' not found/m);
+});
+
+test('collectTransitions follows user flows from the initial state', () => {
+  const transitions = collectTransitions({
+    behavior: {
+      states: { closed: {}, 'half-open': {}, open: {} },
+      user_flows: [
+        {
+          name: 'Expand',
+          steps: [
+            { interaction: 'drag', target: 'handle', outcome: 'half-open' },
+            { interaction: 'click', target: 'handle', outcome: 'open' }
+          ]
+        },
+        { name: 'Peek', steps: [{ interaction: 'drag', target: 'handle', outcome: 'half-open' }] }
+      ]
+    }
+  });
+
+  assert.deepStrictEqual(transitions, [
+    { from: 'closed', to: 'half-open', label: 'drag handle' },
+    { from: 'half-open', to: 'open', label: 'click handle' }
+  ]);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveValidatorSelection, runProtocolValidators } = require('../../lib/validation');
+
+function entry(type, results, calls = []) {
+  return {
+    type,
+    protocol: {
+      validate(names) {
+        calls.push(names);
+        return { ok: results.every(result => result.ok), results };
+      }
+    }
+  };
+}
+
+test('resolveValidatorSelection runs every validator unless config narrows or skips the type', () => {
+  assert.deepStrictEqual(resolveValidatorSelection({}, 'api'), []);
+  assert.deepStrictEqual(resolveValidatorSelection({ api: true }, 'api'), []);
+  assert.deepStrictEqual(resolveValidatorSelection({ api: ['core.shape'] }, 'api'), ['core.shape']);
+  assert.deepStrictEqual(resolveValidatorSelection({ documentation: ['core.shape'] }, 'docs'), ['core.shape']);
+  assert.strictEqual(resolveValidatorSelection({ api: false }, 'api'), null);
+  assert.strictEqual(resolveValidatorSelection({ api: [] }, 'api'), null);
+  assert.strictEqual(resolveValidatorSelection(false, 'api'), null);
+});
+
+test('runProtocolValidators normalizes issues and fails validators on error-level issues', () => {
+  const calls = [];
+  const validation = runProtocolValidators(entry('data', [
+    { name: 'core.shape', ok: true, issues: [{ p: 'dataset.owner', msg: 'owner missing', level: 'warn' }] },
+    { name: 'schema.keys', ok: false, issues: [{ path: 'keys.primary_key', msg: 'unknown field' }] },
+    { name: 'governance.pii_policy', ok: false }
+  ], calls), { data: ['core.shape', 'schema.keys', 'governance.pii_policy'] });
+
+  assert.deepStrictEqual(calls, [['core.shape', 'schema.keys', 'governance.pii_policy']]);
+  assert.strictEqual(validation.ok, false);
+  assert.deepStrictEqual(validation.validators, [
+    { name: 'core.shape', ok: true },
+    { name: 'schema.keys', ok: false },
+    { name: 'governance.pii_policy', ok: false }
+  ]);
+  assert.deepStrictEqual(validation.issues, [
+    { validator: 'core.shape', path: 'dataset.owner', level: 'warning', msg: 'owner missing' },
+    { validator: 'schema.keys', path: 'keys.primary_key', level: 'error', msg: 'unknown field' },
+    { validator: 'governance.pii_policy', path: null, level: 'error', msg: 'Validation failed' }
+  ]);
+});
+
+test('runProtocolValidators skips disabled types and protocols without validate()', () => {
+  assert.strictEqual(runProtocolValidators(entry('api', []), { api: false }), null);
+  assert.strictEqual(runProtocolValidators({ type: 'api', protocol: {} }), null);
+
+  const thrown = runProtocolValidators({
+    type: 'api',
+    protocol: { validate() { throw new Error('boom'); } }
+  });
+  assert.strictEqual(thrown.ok, false);
+  assert.deepStrictEqual(thrown.issues, [{ validator: null, path: null, level: 'error', msg: 'boom' }]);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  WaiverError,
+  loadWaivers,
+  matchesUrnPattern,
+  applyWaivers
+} = require('../../lib/waivers');
+const { summarizeProtocolResults } = require('../../lib/analyzer');
+
+function result(id, { coverage = 1, stale = false } = {}) {
+  return {
+    id,
+    type: 'data',
+    path: `/repo/${id}.json`,
+    freshness: {
+      isStale: stale,
+      severity: stale ? 'high' : 'fresh',
+      daysStale: stale ? 20 : 0,
+      hasTimestamps: true,
+      enabled: true,
+      freshnessScore: stale ? 0.5 : 1
+    },
+    coverage: {
+      coveragePercentage: coverage,
+      coverageScore: coverage,
+      totalItems: 10,
+      documentedItems: coverage * 10
+    },
+    combined: { combinedScore: 1, healthScore: 100 }
+  };
+}
+
+function writeWaivers(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-waivers-'));
+  const filePath = path.join(dir, 'waivers.yaml');
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('loadWaivers reads YAML dates and rejects incomplete entries', () => {
+  const filePath = writeWaivers([
+    'waivers:',
+    '  - id: coverage:orders',
+    '    reason: Legacy dataset',
+    '    owner: data-platform',
+    '    expires: 2026-12-31',
+    '  - urn: "urn:proto:api:legacy-*"',
+    '    reason: Not migrated',
+    '    owner: api-guild',
+    '    expires: "2026-06-30"'
+  ].join('\n'));
+  assert.deepStrictEqual(loadWaivers(filePath), [
+    { id: 'coverage:orders', reason: 'Legacy dataset', owner: 'data-platform', expires: '2026-12-31' },
+    { urn: 'urn:proto:api:legacy-*', reason: 'Not migrated', owner: 'api-guild', expires: '2026-06-30' }
+  ]);
+  assert.deepStrictEqual(loadWaivers(path.join(path.dirname(filePath), 'missing.yaml')), []);
+
+  const invalid = writeWaivers('- id: coverage:orders\n  reason: Legacy\n  expires: 2026-12-31\n');
+  assert.throws(() => loadWaivers(invalid), error =>
+    error instanceof WaiverError && /waiver #1 .*"owner" is required/.test(error.message));
+});
+
+test('matchesUrnPattern treats * as a wildcard and everything else literally', () => {
+  assert.strictEqual(matchesUrnPattern('urn:proto:api:legacy-*', 'urn:proto:api:legacy-billing'), true);
+  assert.strictEqual(matchesUrnPattern('urn:proto:api:legacy-*', 'urn:proto:api:billing'), false);
+  assert.strictEqual(matchesUrnPattern('urn:proto:api:a.b', 'urn:proto:api:aXb'), false);
+});
+
+test('applyWaivers excludes active waivers from scoring and reports expired ones', () => {
+  const now = new Date('2026-07-01T12:00:00Z');
+  const waivers = [
+    { id: 'coverage:orders', reason: 'Legacy', owner: 'data', expires: '2026-07-01' },
+    { id: 'freshness:refunds', reason: 'Frozen', owner: 'data', expires: '2026-06-30' },
+    { urn: 'urn:proto:data:gone*', reason: 'Removed', owner: 'data', expires: '2026-12-31' }
+  ];
+  const applied = applyWaivers(
+    [result('orders', { coverage: 0.2 }), result('refunds', { stale: true })],
+    { broken: ['urn:proto:data:gone', 'urn:proto:data:missing'], invalid: [] },
+    waivers,
+    { now }
+  );
+
+  assert.deepStrictEqual(applied.results[0].waivers.map(waiver => waiver.type), ['coverage']);
+  assert.deepStrictEqual(applied.results[1].waivers, []);
+  assert.deepStrictEqual(applied.urnValidation.broken, ['urn:proto:data:missing']);
+  assert.deepStrictEqual(applied.urnValidation.waived.map(waiver => waiver.urn), ['urn:proto:data:gone']);
+  assert.deepStrictEqual(
+    applied.summary.waived.map(waiver => waiver.id || waiver.urn),
+    ['coverage:orders', 'urn:proto:data:gone']
+  );
+  assert.deepStrictEqual(
+    applied.summary.expired.map(waiver => [waiver.id, waiver.matched]),
+    [['freshness:refunds', true]]
+  );
+
+  const summary = summarizeProtocolResults(applied.results);
+  assert.strictEqual(summary.avgCoverageScore, 100);
+  assert.deepStrictEqual(
+    summary.coverageSummary,
+    { totalItems: 10, documentedItems: 10, coveragePercentage: 100 }
+  );
+  assert.strictEqual(summary.staleCount, 1);
+});
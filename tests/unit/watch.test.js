@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveWatchTargets,
+  createChangeWatcher,
+  isAffectedBy,
+  diffScores,
+  formatDelta
+} = require('../../lib/watch');
+
+test('resolveWatchTargets watches glob bases and source paths without overlaps', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-watch-targets-'));
+  try {
+    fs.mkdirSync(path.join(root, 'protocols', 'nested'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'src', 'billing'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'src', 'etl.js'), '');
+
+    const targets = resolveWatchTargets({
+      rootDir: root,
+      patterns: ['protocols/**/*.protocol.json', { pattern: 'protocols/nested/*.yaml', type: 'data' }],
+      sourcePaths: ['./src/etl.js', './src/billing', './protocols/nested', './missing.js']
+    });
+
+    assert.deepStrictEqual(targets, [
+      { path: path.join(root, 'protocols'), recursive: true },
+      { path: path.join(root, 'src'), recursive: false },
+      { path: path.join(root, 'src', 'billing'), recursive: true }
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('createChangeWatcher sees changes in nested and newly created directories', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-watch-tree-'));
+  fs.mkdirSync(path.join(root, 'nested'));
+  fs.mkdirSync(path.join(root, 'node_modules'));
+  const batches = [];
+  let notify = () => {};
+  const watcher = createChangeWatcher([{ path: root, recursive: true }], {
+    debounceMs: 20,
+    onChange: batch => {
+      batches.push(batch);
+      notify();
+    }
+  });
+  const nextBatch = () => new Promise(resolve => { notify = resolve; });
+
+  try {
+    let changed = nextBatch();
+    fs.writeFileSync(path.join(root, 'node_modules', 'ignored.js'), '');
+    fs.writeFileSync(path.join(root, 'nested', 'a.protocol.json'), '{}');
+    await changed;
+    assert.deepStrictEqual(batches.pop(), [path.join(root, 'nested', 'a.protocol.json')]);
+
+    changed = nextBatch();
+    fs.mkdirSync(path.join(root, 'later'));
+    await changed;
+    await watcher.ready();
+    batches.length = 0;
+
+    changed = nextBatch();
+    fs.writeFileSync(path.join(root, 'later', 'b.protocol.json'), '{}');
+    await changed;
+    assert.ok(batches.pop().includes(path.join(root, 'later', 'b.protocol.json')));
+  } finally {
+    watcher.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('createChangeWatcher.add watches targets resolved after startup', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dochealth-watch-add-'));
+  fs.mkdirSync(path.join(root, 'protocols'));
+  fs.mkdirSync(path.join(root, 'src'));
+  let notify = () => {};
+  const watcher = createChangeWatcher([{ path: path.join(root, 'protocols'), recursive: true }], {
+    debounceMs: 20,
+    onChange: batch => notify(batch)
+  });
+  const nextBatch = () => new Promise(resolve => { notify = resolve; });
+
+  try {
+    watcher.add([{ path: path.join(root, 'src'), recursive: false }]);
+    const changed = nextBatch();
+    fs.writeFileSync(path.join(root, 'src', 'handler.js'), '');
+    assert.deepStrictEqual(await changed, [path.join(root, 'src', 'handler.js')]);
+  } finally {
+    watcher.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('isAffectedBy matches the manifest itself and files inside its source path', () => {
+  const entry = {
+    path: '/repo/protocols/orders.protocol.json',
+    protocol: {
+      manifest: () => ({ maintenance: { freshness_check: { source_code_path: './src/orders' } } })
+    }
+  };
+
+  assert.ok(isAffectedBy(entry, ['/repo/protocols/orders.protocol.json'], '/repo'));
+  assert.ok(isAffectedBy(entry, ['/repo/src/orders/handler.js'], '/repo'));
+  assert.ok(!isAffectedBy(entry, ['/repo/src/orders-v2/handler.js'], '/repo'));
+});
+
+test('diffScores lists changed, added and removed protocols', () => {
+  const previous = {
+    overallScore: 70,
+    protocols: new Map([
+      ['/p/a.json', { id: 'a', type: 'api', score: 60 }],
+      ['/p/b.json', { id: 'b', type: 'data', score: 80 }],
+      ['/p/c.json', { id: 'c', type: 'data', score: 50 }]
+    ])
+  };
+  const current = {
+    overallScore: 74,
+    protocols: new Map([
+      ['/p/a.json', { id: 'a', type: 'api', score: 72 }],
+      ['/p/b.json', { id: 'b', type: 'data', score: 80 }],
+      ['/p/d.json', { id: 'd', type: 'event', score: 40 }]
+    ])
+  };
+
+  const changes = diffScores(previous, current);
+
+  assert.strictEqual(changes.delta, 4);
+  assert.deepStrictEqual(
+    changes.protocols.map(({ id, status, delta }) => ({ id, status, delta })),
+    [
+      { id: 'a', status: 'changed', delta: 12 },
+      { id: 'd', status: 'added', delta: 40 },
+      { id: 'c', status: 'removed', delta: -50 }
+    ]
+  );
+  assert.deepStrictEqual([formatDelta(3), formatDelta(-2), formatDelta(0)], ['+3', '-2', '±0']);
+});
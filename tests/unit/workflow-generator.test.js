@@ -67,6 +67,21 @@ test('generateWorkflowDocs emits danger admonition when cycles exist', async ()
   assert.ok(generation.document.content.includes(':::danger'), 'should warn about cycles');
 });
 
+test('generateWorkflowDocs writes plain mermaid fences and MkDocs admonitions for mkdocs', async () => {
+  const valid = await generateWorkflowDocs(cloneWorkflow(), { format: 'mkdocs' });
+  assert.ok(valid.document.content.includes('```mermaid\ngraph TD'), 'superfences needs no init directive');
+
+  const { renderDocument } = require('../../lib/generators/output-formats');
+  const cycle = await generateWorkflowDocs(createCycleManifest(), { format: 'mkdocs' });
+  const rendered = await renderDocument(
+    { type: 'workflow', relativePath: 'workflows/cycle.md', content: cycle.document.content },
+    'mkdocs'
+  );
+  assert.match(rendered.content, /^!!! danger "Cycle detected"\n {4}Workflow contains a cycle/m);
+  assert.match(rendered.content, /^!!! note "Validation state"$/m);
+  assert.ok(!rendered.content.includes(':::'), 'no directives should remain');
+});
+
 test('generateWorkflowDocs handles 50+ node workflows with benchmarking', async () => {
   const manifest = createLargeWorkflowManifest(60);
   const generation = await generateWorkflowDocs(manifest);